@@ -24,7 +24,8 @@ const Navbar = () => {
     hasPermission,
     getRemainingAiRequests,
   } = useAuth();
-  const { notifications, unreadCount, markAllAsRead } = useNotifications();
+  const { notifications, unreadCount, markAsRead, markAllAsRead } =
+    useNotifications();
   const [isOpen, setIsOpen] = useState(false);
   const [showNotifications, setShowNotifications] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
@@ -50,6 +51,12 @@ const Navbar = () => {
     navigate("/");
   };
 
+  const openNotification = (notification) => {
+    markAsRead(notification.id);
+    setShowNotifications(false);
+    if (notification.link) navigate(notification.link);
+  };
+
   const remainingRequests = getRemainingAiRequests();
 
   return (
@@ -145,12 +152,95 @@ const Navbar = () => {
                   </motion.div>
                 )}
 
-                {/* User Menu */}
+                {/* Notifications */}
+                <div className="relative">
+                  <button
+                    onClick={() => {
+                      setShowNotifications(!showNotifications);
+                      setShowUserMenu(false);
+                    }}
+                    className="relative p-2.5 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                    aria-label="Notifications"
+                  >
+                    <FaBell className="h-5 w-5" />
+                    {unreadCount > 0 && (
+                      <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+                        {unreadCount > 9 ? "9+" : unreadCount}
+                      </span>
+                    )}
+                  </button>
+
+                  <AnimatePresence>
+                    {showNotifications && (
+                      <motion.div
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                        className="absolute right-0 mt-2 w-80 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 z-50"
+                      >
+                        <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+                          <span className="text-sm font-semibold text-gray-900 dark:text-white">
+                            Notifications
+                          </span>
+                          {unreadCount > 0 && (
+                            <button
+                              onClick={markAllAsRead}
+                              className="text-xs text-blue-600 hover:text-blue-800 dark:text-blue-400"
+                            >
+                              Mark all as read
+                            </button>
+                          )}
+                        </div>
+                        <div className="max-h-96 overflow-y-auto">
+                          {notifications.length === 0 ? (
+                            <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+                              You're all caught up.
+                            </p>
+                          ) : (
+                            notifications.slice(0, 20).map((notification) => (
+                              <button
+                                key={notification.id}
+                                onClick={() => openNotification(notification)}
+                                className={`block w-full text-left px-4 py-3 border-b last:border-b-0 border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 ${
+                                  notification.read
+                                    ? ""
+                                    : "bg-blue-50/60 dark:bg-blue-900/20"
+                                }`}
+                              >
+                                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                                  {notification.title}
+                                </p>
+                                <p className="text-xs text-gray-600 dark:text-gray-400 line-clamp-2">
+                                  {notification.message}
+                                </p>
+                                <p className="mt-1 text-[10px] text-gray-400">
+                                  {new Date(
+                                    notification.timestamp
+                                  ).toLocaleString()}
+                                </p>
+                              </button>
+                            ))
+                          )}
+                        </div>
+                        <Link
+                          to="/profile?tab=notifications"
+                          onClick={() => setShowNotifications(false)}
+                          className="block px-4 py-2 text-xs text-center text-gray-500 hover:text-blue-600 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700"
+                        >
+                          Notification settings
+                        </Link>
+                      </motion.div>
+                    )}
+                  </AnimatePresence>
+                </div>
 
                 {/* User Menu */}
                 <div className="relative">
                   <button
-                    onClick={() => setShowUserMenu(!showUserMenu)}
+                    onClick={() => {
+                      setShowUserMenu(!showUserMenu);
+                      setShowNotifications(false);
+                    }}
                     className="group flex items-center space-x-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 rounded-xl p-2 hover:bg-gray-100 dark:hover:bg-gray-800 transition-all duration-300"
                   >
                     <div className="flex items-center space-x-3">
@@ -0,0 +1,137 @@
+import React from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import { useApi } from "../../hooks/useApi";
+import { notificationAPI, handleApiError } from "../../services/api";
+import { Card, LoadingSpinner } from "../ui";
+import { FaBell } from "react-icons/fa";
+
+const TYPES = [
+  {
+    key: "tripReminder",
+    label: "Trip reminders",
+    description: "Before a trip you are on starts",
+  },
+  {
+    key: "tripEdited",
+    label: "Trip changes",
+    description: "When someone else changes a trip you are on",
+  },
+  {
+    key: "generationFinished",
+    label: "AI itineraries",
+    description: "When an itinerary you asked for is ready",
+  },
+  {
+    key: "tripInvitation",
+    label: "Trip invitations",
+    description: "When someone invites you to a trip",
+  },
+];
+
+const CHANNELS = [
+  { key: "inApp", label: "In app" },
+  { key: "email", label: "Email" },
+];
+
+// Which notifications the user gets, and where. Each change is saved
+// straight away.
+const NotificationSettings = () => {
+  const queryClient = useQueryClient();
+  const { data: preferences, isLoading } = useApi(
+    ["notificationPreferences"],
+    () => notificationAPI.getPreferences().then((res) => res.data.preferences),
+    { staleTime: 0 }
+  );
+
+  const save = async (type, setting, value) => {
+    try {
+      const response = await notificationAPI.updatePreferences({
+        [type]: { [setting]: value },
+      });
+      queryClient.setQueryData(
+        ["notificationPreferences"],
+        response.data.preferences
+      );
+      toast.success("Notification settings saved");
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    }
+  };
+
+  return (
+    <Card className="p-3 md:p-8 bg-white/90 dark:bg-gray-800/90 backdrop-blur-xl rounded-2xl md:rounded-3xl shadow-2xl">
+      <h2 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white mb-6 flex items-center">
+        <FaBell className="mr-3 text-blue-600" />
+        Notifications
+      </h2>
+
+      {isLoading || !preferences ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {TYPES.map((type) => (
+            <div
+              key={type.key}
+              className="flex flex-col md:flex-row md:items-center justify-between gap-3 py-4"
+            >
+              <div>
+                <p className="font-semibold text-gray-900 dark:text-white">
+                  {type.label}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {type.description}
+                </p>
+                {type.key === "tripReminder" && (
+                  <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                    Remind me
+                    <select
+                      value={preferences.tripReminder.daysBefore}
+                      onChange={(e) =>
+                        save(
+                          "tripReminder",
+                          "daysBefore",
+                          Number(e.target.value)
+                        )
+                      }
+                      className="px-2 py-1 text-sm border border-gray-300 rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    >
+                      {[1, 2, 3, 5, 7, 14, 30].map((days) => (
+                        <option key={days} value={days}>
+                          {days} day{days > 1 ? "s" : ""}
+                        </option>
+                      ))}
+                    </select>
+                    before
+                  </label>
+                )}
+              </div>
+              <div className="flex gap-4">
+                {CHANNELS.map((channel) => (
+                  <label
+                    key={channel.key}
+                    className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={Boolean(preferences[type.key][channel.key])}
+                      onChange={(e) =>
+                        save(type.key, channel.key, e.target.checked)
+                      }
+                      className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+                    />
+                    {channel.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from "react";
+import { mapsAPI } from "../../services/api";
+import { Button } from "../ui";
+import { FaSearch, FaMapMarkerAlt } from "react-icons/fa";
+
+const fieldClasses =
+  "w-full px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+const toNumber = (value) => (value === "" ? undefined : Number(value));
+
+// Places matching `query`, looked up once the user stops typing
+const usePlaceSearch = (query, near) => {
+  const [places, setPlaces] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  useEffect(() => {
+    if (query.trim().length < 3) {
+      setPlaces([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await mapsAPI.searchPlaces({
+          query: near ? `${query}, ${near}` : query,
+        });
+        if (!cancelled) setPlaces(response.data.data.places || []);
+      } catch (error) {
+        if (!cancelled) setPlaces([]);
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, near]);
+
+  return { places, isSearching };
+};
+
+/**
+ * Form for one itinerary activity, used both to edit an activity in place and
+ * to add a custom one. `onSubmit` receives only the fields that differ from
+ * `activity`. The place can be searched for near `near` (the day's city).
+ */
+const ActivityForm = ({
+  activity = {},
+  near,
+  withName = false,
+  submitLabel = "Save",
+  onSubmit,
+  onCancel,
+}) => {
+  const [values, setValues] = useState({
+    activity: activity.activity || "",
+    time: activity.time || "",
+    duration: activity.duration ?? "",
+    cost: activity.cost?.amount ?? "",
+    description: activity.description || "",
+  });
+  const [location, setLocation] = useState(activity.location);
+  const [placeQuery, setPlaceQuery] = useState("");
+  const { places, isSearching } = usePlaceSearch(placeQuery, near);
+
+  const set = (field) => (e) =>
+    setValues((current) => ({ ...current, [field]: e.target.value }));
+
+  const choosePlace = (place) => {
+    setLocation({
+      name: place.name,
+      address: place.formatted_address,
+      coordinates: place.geometry?.location,
+    });
+    if (!values.activity) {
+      setValues((current) => ({ ...current, activity: place.name }));
+    }
+    setPlaceQuery("");
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const next = {
+      activity: values.activity.trim(),
+      time: values.time,
+      duration: toNumber(values.duration),
+      cost: { amount: toNumber(values.cost) ?? 0 },
+      description: values.description,
+      location,
+    };
+
+    const changes = {};
+    if (withName && next.activity !== (activity.activity || "")) {
+      changes.activity = next.activity;
+    }
+    if (next.time && next.time !== activity.time) changes.time = next.time;
+    if (next.duration !== undefined && next.duration !== activity.duration) {
+      changes.duration = next.duration;
+    }
+    if (next.cost.amount !== (activity.cost?.amount ?? 0)) {
+      changes.cost = next.cost;
+    }
+    if (next.description !== (activity.description || "")) {
+      changes.description = next.description;
+    }
+    if (location && location !== activity.location) {
+      changes.location = location;
+    }
+    onSubmit(changes);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-2 rounded-lg bg-white/70 p-3 dark:bg-gray-800/70"
+    >
+      {withName && (
+        <input
+          className={fieldClasses}
+          placeholder="Activity"
+          value={values.activity}
+          onChange={set("activity")}
+          required
+        />
+      )}
+      <div className="grid grid-cols-3 gap-2">
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Time
+          <input
+            type="time"
+            className={fieldClasses}
+            value={values.time}
+            onChange={set("time")}
+          />
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Hours
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            className={fieldClasses}
+            value={values.duration}
+            onChange={set("duration")}
+          />
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Cost
+          <input
+            type="number"
+            min="0"
+            className={fieldClasses}
+            value={values.cost}
+            onChange={set("cost")}
+          />
+        </label>
+      </div>
+      <textarea
+        className={fieldClasses}
+        rows={2}
+        placeholder="Notes"
+        value={values.description}
+        onChange={set("description")}
+      />
+      <div className="relative">
+        <div className="flex items-center gap-2">
+          <FaSearch className="text-gray-400" />
+          <input
+            className={fieldClasses}
+            placeholder={
+              location?.name
+                ? `Place: ${location.name} (search to change)`
+                : "Search for a place"
+            }
+            value={placeQuery}
+            onChange={(e) => setPlaceQuery(e.target.value)}
+          />
+        </div>
+        {(isSearching || places.length > 0) && (
+          <ul className="absolute z-10 mt-1 max-h-56 w-full overflow-y-auto rounded-lg border border-gray-200 bg-white shadow-lg dark:border-gray-700 dark:bg-gray-800">
+            {isSearching && (
+              <li className="px-3 py-2 text-sm text-gray-500">Searching…</li>
+            )}
+            {places.map((place) => (
+              <li key={place.place_id}>
+                <button
+                  type="button"
+                  onClick={() => choosePlace(place)}
+                  className="flex w-full items-start px-3 py-2 text-left text-sm hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  <FaMapMarkerAlt className="mr-2 mt-0.5 flex-shrink-0 text-purple-600" />
+                  <span>
+                    <span className="font-medium text-gray-900 dark:text-white">
+                      {place.name}
+                    </span>
+                    <span className="block truncate text-xs text-gray-500">
+                      {place.formatted_address}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="flex justify-end gap-2">
+        <Button type="button" size="sm" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm">
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ActivityForm;
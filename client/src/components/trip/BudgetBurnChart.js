@@ -0,0 +1,92 @@
+import React from "react";
+import {
+  Chart as ChartJS,
+  TimeScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend,
+} from "chart.js";
+import { Line } from "react-chartjs-2";
+import "chartjs-adapter-date-fns";
+
+ChartJS.register(
+  TimeScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+);
+
+// Cumulative spending against the plan and the budget over the trip, from
+// the `burn` of GET /trips/:id/expenses/summary
+const BudgetBurnChart = ({ burn, budget, currency }) => {
+  const points = (field) =>
+    burn.map((point) => ({ x: point.date, y: point[field] }));
+
+  const datasets = [
+    {
+      label: "Spent",
+      data: points("actual"),
+      borderColor: "rgb(37, 99, 235)",
+      backgroundColor: "rgba(37, 99, 235, 0.15)",
+      fill: true,
+      tension: 0.2,
+    },
+    {
+      label: "Planned",
+      data: points("planned"),
+      borderColor: "rgb(147, 51, 234)",
+      borderDash: [6, 4],
+      pointRadius: 0,
+      stepped: true,
+    },
+  ];
+
+  if (budget) {
+    datasets.push({
+      label: "Budget",
+      data: burn.map((point) => ({ x: point.date, y: budget })),
+      borderColor: "rgb(220, 38, 38)",
+      borderWidth: 1,
+      pointRadius: 0,
+    });
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: "index", intersect: false },
+    scales: {
+      x: {
+        type: "time",
+        time: { unit: "day", tooltipFormat: "MMM d, yyyy" },
+      },
+      y: {
+        beginAtZero: true,
+        title: { display: true, text: currency },
+      },
+    },
+    plugins: {
+      legend: { position: "bottom" },
+      tooltip: {
+        callbacks: {
+          label: (context) =>
+            `${context.dataset.label}: ${currency} ${context.parsed.y}`,
+        },
+      },
+    },
+  };
+
+  return (
+    <div className="h-64 md:h-80">
+      <Line data={{ datasets }} options={options} />
+    </div>
+  );
+};
+
+export default BudgetBurnChart;
@@ -0,0 +1,50 @@
+import React from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useApi } from "../../hooks/useApi";
+import { currencyAPI } from "../../services/api";
+
+// "1 USD = 0.9167 EUR, rate of Oct 1" for a conversion from the server
+// ({ currency, rate, rateDate })
+export const rateLabel = (from, conversion) => {
+  const rate = Number(conversion.rate).toLocaleString("en-US", {
+    maximumSignificantDigits: 4,
+  });
+  const label = `1 ${from} = ${rate} ${conversion.currency}`;
+  if (!conversion.rateDate) return label;
+
+  return `${label}, rate of ${new Date(conversion.rateDate).toLocaleDateString(
+    "en-US",
+    { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" }
+  )}`;
+};
+
+// An amount in the user's preferred currency with the rate used. Renders
+// nothing when the amount already is in that currency or there is no rate.
+const ConvertedAmount = ({ amount, currency, date, className = "" }) => {
+  const { user } = useAuth();
+  const preferred = user?.preferences?.currency || "USD";
+  const needed = Boolean(amount) && Boolean(currency) && currency !== preferred;
+
+  const { data: converted } = useApi(
+    ["currencyConversion", amount, currency, preferred, date],
+    () =>
+      currencyAPI
+        .convert({ amount, from: currency, to: preferred, date })
+        .then((res) => res.data.converted),
+    { enabled: needed, retry: false }
+  );
+
+  if (!needed || !converted) return null;
+
+  return (
+    <span
+      className={`text-xs text-gray-500 dark:text-gray-400 ${className}`}
+      title={rateLabel(currency, converted)}
+    >
+      ≈ {converted.currency}{" "}
+      {converted.amount.toLocaleString("en-US", { maximumFractionDigits: 2 })}
+    </span>
+  );
+};
+
+export default ConvertedAmount;
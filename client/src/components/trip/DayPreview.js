@@ -0,0 +1,46 @@
+import React from "react";
+import { FaMapMarkerAlt } from "react-icons/fa";
+
+const isSameActivity = (a, b) => a.activity === b.activity && a.time === b.time;
+
+// One column of a before/after day comparison. With `compareTo`, activities
+// that are not in that day are highlighted as new.
+const DayPreview = ({ title, day, compareTo }) => (
+  <div className="flex-1 min-w-0">
+    <h4 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase mb-2">
+      {title}
+    </h4>
+    <p className="font-semibold text-gray-900 dark:text-white mb-2">
+      {day.title || `Day ${day.day}`}
+    </p>
+    <div className="space-y-2">
+      {(day.activities || []).map((activity, index) => (
+        <div
+          key={index}
+          className={`flex items-start text-sm pl-2 border-l-2 ${
+            compareTo &&
+            !(compareTo.activities || []).some((old) =>
+              isSameActivity(old, activity)
+            )
+              ? "border-green-500 text-gray-900 dark:text-white"
+              : "border-purple-200 dark:border-purple-800 text-gray-700 dark:text-gray-300"
+          }`}
+        >
+          <FaMapMarkerAlt className="mr-2 mt-1 text-purple-600 flex-shrink-0" />
+          <span>
+            {activity.time && <strong>{activity.time}:</strong>}{" "}
+            {activity.activity}
+            {activity.location?.name && ` at ${activity.location.name}`}
+          </span>
+        </div>
+      ))}
+    </div>
+    {day.totalCost?.amount != null && (
+      <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+        Total: {day.totalCost.amount} {day.totalCost.currency}
+      </p>
+    )}
+  </div>
+);
+
+export default DayPreview;
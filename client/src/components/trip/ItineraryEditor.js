@@ -0,0 +1,306 @@
+import React, { useEffect, useState } from "react";
+import {
+  useItineraryEditor,
+  locateActivity,
+} from "../../hooks/useItineraryEditor";
+import { Button } from "../ui";
+import ActivityForm from "./ActivityForm";
+import {
+  FaUndo,
+  FaRedo,
+  FaEdit,
+  FaTrash,
+  FaPlus,
+  FaGripVertical,
+  FaCheck,
+} from "react-icons/fa";
+
+// Parts of the day activities are grouped into; `start` is the time an
+// activity gets when it is dropped into a part of the day it was not in
+const SLOTS = [
+  { key: "morning", label: "Morning", start: "09:00", until: "12:00" },
+  { key: "afternoon", label: "Afternoon", start: "13:00", until: "17:00" },
+  { key: "evening", label: "Evening", start: "18:00", until: "24:00" },
+];
+
+const slotOf = (time) =>
+  SLOTS.find((slot) => (time || "00:00") < slot.until) || SLOTS[0];
+
+// Index in `activities` (without the dragged one) that a drop lands on:
+// before `beforeId`, or after the last activity of `slot`
+const dropPosition = (activities, slot, beforeId) => {
+  if (beforeId) {
+    return activities.findIndex((activity) => activity._id === beforeId);
+  }
+  const slotIndex = SLOTS.indexOf(slot);
+  const next = activities.findIndex(
+    (activity) => SLOTS.indexOf(slotOf(activity.time)) > slotIndex
+  );
+  return next === -1 ? activities.length : next;
+};
+
+/**
+ * Drag-and-drop editor for the itinerary of a trip
+ * Activities can be dragged within and between days and parts of the day,
+ * edited in place, removed and added with a place search. Every change is
+ * saved on its own through useItineraryEditor and can be undone.
+ */
+const ItineraryEditor = ({ trip, onDone }) => {
+  const editor = useItineraryEditor(trip._id);
+  const [dragged, setDragged] = useState(null); // activity id
+  const [dropTarget, setDropTarget] = useState(null); // "day:slot[:before]"
+  const [editingId, setEditingId] = useState(null);
+  const [addingTo, setAddingTo] = useState(null); // day index
+  const currency = trip.itinerary.totalCost?.currency || "";
+  const days = trip.itinerary.days;
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z, outside of form fields
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        if (editor.canRedo) editor.redo();
+      } else if (editor.canUndo) {
+        editor.undo();
+      }
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [editor]);
+
+  const drop = (dayIndex, slot, beforeId) => {
+    const found = dragged && locateActivity(trip, dragged);
+    setDragged(null);
+    setDropTarget(null);
+    if (!found || beforeId === dragged) return;
+
+    const { activity } = found;
+    const remaining = days[dayIndex].activities.filter(
+      (other) => other._id !== activity._id
+    );
+    const position = dropPosition(remaining, slot, beforeId);
+    const steps = [];
+
+    if (found.dayIndex !== dayIndex || found.index !== position) {
+      steps.push({
+        type: "move",
+        activityId: activity._id,
+        toDayIndex: dayIndex,
+        position,
+      });
+    }
+    if (slotOf(activity.time) !== slot) {
+      const before = remaining.find((other) => other._id === beforeId);
+      steps.push({
+        type: "update",
+        activityId: activity._id,
+        changes: { time: before?.time || slot.start },
+      });
+    }
+
+    if (steps.length > 0) editor.apply(`Move "${activity.activity}"`, steps);
+  };
+
+  const dropHandlers = (key, onDrop) => ({
+    onDragOver: (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(key);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onDrop();
+    },
+  });
+
+  const saveEdit = (activity, changes) => {
+    setEditingId(null);
+    if (Object.keys(changes).length === 0) return;
+    editor.apply(`Edit "${activity.activity}"`, [
+      { type: "update", activityId: activity._id, changes },
+    ]);
+  };
+
+  const addActivity = (dayIndex, fields) => {
+    setAddingTo(null);
+    if (!fields.activity) return;
+    editor.apply(`Add "${fields.activity}"`, [
+      {
+        type: "add",
+        dayIndex,
+        activity: { type: "activity", ...fields },
+      },
+    ]);
+  };
+
+  const renderActivity = (activity, dayIndex, slot, day) => {
+    const key = `${dayIndex}:${slot.key}:${activity._id}`;
+
+    if (editingId === activity._id) {
+      return (
+        <ActivityForm
+          key={activity._id}
+          activity={activity}
+          near={day.city || trip.destination?.city}
+          onSubmit={(changes) => saveEdit(activity, changes)}
+          onCancel={() => setEditingId(null)}
+        />
+      );
+    }
+
+    return (
+      <div
+        key={activity._id}
+        draggable={!editor.isSaving}
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = "move";
+          setDragged(activity._id);
+        }}
+        onDragEnd={() => {
+          setDragged(null);
+          setDropTarget(null);
+        }}
+        {...dropHandlers(key, () => drop(dayIndex, slot, activity._id))}
+        className={`group flex items-start gap-2 rounded-lg border bg-white p-2 text-sm dark:bg-gray-800 ${
+          dropTarget === key
+            ? "border-t-4 border-t-blue-500"
+            : "border-gray-200 dark:border-gray-700"
+        } ${dragged === activity._id ? "opacity-40" : ""}`}
+      >
+        <FaGripVertical className="mt-1 flex-shrink-0 cursor-grab text-gray-400" />
+        <div className="min-w-0 flex-1 text-gray-700 dark:text-gray-300">
+          <p>
+            {activity.time && <strong>{activity.time}</strong>}{" "}
+            {activity.activity}
+            {activity.location?.name && ` at ${activity.location.name}`}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {activity.duration ? `${activity.duration}h · ` : ""}
+            {currency} {activity.cost?.amount || 0}
+            {activity.description && ` · ${activity.description}`}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setEditingId(activity._id)}
+          className="p-1 text-gray-400 hover:text-blue-600"
+          aria-label={`Edit ${activity.activity}`}
+        >
+          <FaEdit className="h-3 w-3" />
+        </button>
+        <button
+          type="button"
+          onClick={() =>
+            editor.apply(`Remove "${activity.activity}"`, [
+              { type: "remove", activityId: activity._id },
+            ])
+          }
+          className="p-1 text-gray-400 hover:text-red-600"
+          aria-label={`Remove ${activity.activity}`}
+        >
+          <FaTrash className="h-3 w-3" />
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="sticky top-0 z-20 flex flex-wrap items-center justify-between gap-2 rounded-xl bg-white/90 p-2 shadow dark:bg-gray-800/90">
+        <div className="flex items-center gap-2">
+          <Button
+            size="sm"
+            variant="secondary"
+            icon={FaUndo}
+            onClick={editor.undo}
+            disabled={!editor.canUndo}
+            title={editor.undoLabel && `Undo: ${editor.undoLabel}`}
+          >
+            Undo
+          </Button>
+          <Button
+            size="sm"
+            variant="secondary"
+            icon={FaRedo}
+            onClick={editor.redo}
+            disabled={!editor.canRedo}
+            title={editor.redoLabel && `Redo: ${editor.redoLabel}`}
+          >
+            Redo
+          </Button>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {editor.isSaving ? "Saving…" : "All changes saved"}
+          </span>
+        </div>
+        <Button size="sm" icon={FaCheck} onClick={onDone}>
+          Done
+        </Button>
+      </div>
+
+      {days.map((day, dayIndex) => (
+        <div
+          key={day._id || dayIndex}
+          className="p-2 md:p-5 bg-gradient-to-r from-blue-50 to-purple-50 dark:from-blue-900/20 dark:to-purple-900/20 rounded-2xl border border-gray-200/50 dark:border-gray-700/50"
+        >
+          <h3 className="mb-3 text-sm md:text-lg font-bold text-gray-900 dark:text-white">
+            Day {day.day}
+            {day.title && `: ${day.title}`}
+          </h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {SLOTS.map((slot) => {
+              const key = `${dayIndex}:${slot.key}`;
+              return (
+                <div
+                  key={slot.key}
+                  {...dropHandlers(key, () => drop(dayIndex, slot))}
+                  className={`min-h-[80px] space-y-2 rounded-xl border-2 border-dashed p-2 ${
+                    dropTarget === key
+                      ? "border-blue-500 bg-blue-50/60 dark:bg-blue-900/20"
+                      : "border-transparent"
+                  }`}
+                >
+                  <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                    {slot.label}
+                  </p>
+                  {(day.activities || [])
+                    .filter((activity) => slotOf(activity.time) === slot)
+                    .map((activity) =>
+                      renderActivity(activity, dayIndex, slot, day)
+                    )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="mt-3">
+            {addingTo === dayIndex ? (
+              <ActivityForm
+                withName
+                near={day.city || trip.destination?.city}
+                submitLabel="Add"
+                onSubmit={(fields) => addActivity(dayIndex, fields)}
+                onCancel={() => setAddingTo(null)}
+              />
+            ) : (
+              <button
+                type="button"
+                onClick={() => setAddingTo(dayIndex)}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400"
+              >
+                <FaPlus className="mr-1" />
+                Add activity
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ItineraryEditor;
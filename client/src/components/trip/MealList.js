@@ -0,0 +1,67 @@
+import React from "react";
+import { FaUtensils } from "react-icons/fa";
+
+const RESERVATION_LABELS = {
+  requested: "Reservation requested",
+  confirmed: "Reservation confirmed",
+  cancelled: "Reservation cancelled",
+};
+
+// Meals of a saved itinerary day, with dietary tags and reservation status
+const MealList = ({ meals }) => {
+  if (!meals || meals.length === 0) return null;
+
+  return (
+    <div className="mt-4 space-y-2">
+      {meals.map((meal, index) => {
+        const reservation =
+          RESERVATION_LABELS[meal.reservation?.status] ||
+          (meal.reservation?.required ? "Reservation recommended" : null);
+
+        return (
+          <div
+            key={meal._id || index}
+            className="flex items-start text-sm text-gray-700 dark:text-gray-300 pl-2 md:pl-4 border-l-2 border-orange-200 dark:border-orange-800"
+          >
+            <FaUtensils className="mr-2 mt-1 text-orange-600 flex-shrink-0" />
+            <span className="flex-1">
+              {meal.time && <strong>{meal.time}:</strong>}{" "}
+              {meal.type && <span className="capitalize">{meal.type} at </span>}
+              {meal.restaurant}
+              {meal.cuisine && (
+                <span className="text-gray-500 dark:text-gray-400">
+                  {" "}
+                  ({meal.cuisine})
+                </span>
+              )}
+              <span className="flex flex-wrap items-center gap-1 mt-1">
+                {(meal.dietaryTags || []).map((tag) => (
+                  <span
+                    key={tag}
+                    className="px-2 py-0.5 rounded-full text-xs bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200"
+                  >
+                    {tag}
+                  </span>
+                ))}
+                {reservation && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {reservation}
+                    {meal.reservation?.confirmationNumber &&
+                      ` #${meal.reservation.confirmationNumber}`}
+                  </span>
+                )}
+              </span>
+            </span>
+            {meal.cost?.amount > 0 && (
+              <span className="ml-2 text-xs text-green-600 dark:text-green-400 whitespace-nowrap">
+                {meal.cost.currency} {meal.cost.amount}
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MealList;
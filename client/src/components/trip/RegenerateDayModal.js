@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { aiAPI, tripAPI, handleApiError } from "../../services/api";
+import { Modal, Button } from "../ui";
+import DayPreview from "./DayPreview";
+import { FaMagic, FaCheck } from "react-icons/fa";
+
+const DAY_PRESETS = [
+  {
+    label: "Rainy-day friendly",
+    instructions:
+      "Make it rainy-day friendly: prefer indoor attractions, museums, covered markets and short transfers.",
+  },
+  {
+    label: "Keep the morning",
+    instructions: "Keep the morning as it is and change the afternoon.",
+    keepMorning: true,
+  },
+  {
+    label: "More relaxed",
+    instructions: "Make the day more relaxed with fewer, longer stops.",
+  },
+];
+
+const ACTIVITY_PRESETS = [
+  {
+    label: "Indoor alternative",
+    instructions: "Replace it with an indoor alternative nearby.",
+  },
+  {
+    label: "Cheaper",
+    instructions: "Replace it with a cheaper or free alternative.",
+  },
+];
+
+const isMorning = (time) => /^(0\d|1[01]):/.test(time || "");
+
+// Regenerates one day (or one activity when activityIndex is set) of a saved
+// trip. Nothing is written until the user applies the previewed result, and
+// only if the trip is still at the version the preview was made from.
+const RegenerateDayModal = ({
+  isOpen,
+  onClose,
+  tripId,
+  day,
+  dayIndex,
+  activityIndex = null,
+  version,
+  onApplied,
+}) => {
+  const isActivity = activityIndex !== null;
+  const [instructions, setInstructions] = useState("");
+  const [keep, setKeep] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [previewVersion, setPreviewVersion] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setInstructions("");
+      setKeep([]);
+      setPreview(null);
+    }
+  }, [isOpen, dayIndex, activityIndex]);
+
+  if (!day) return null;
+
+  const applyPreset = (preset) => {
+    setInstructions(preset.instructions);
+    if (preset.keepMorning) {
+      setKeep(
+        (day.activities || []).reduce(
+          (indexes, activity, index) =>
+            isMorning(activity.time) ? [...indexes, index] : indexes,
+          []
+        )
+      );
+    }
+  };
+
+  const toggleKeep = (index) => {
+    setKeep((current) =>
+      current.includes(index)
+        ? current.filter((i) => i !== index)
+        : [...current, index]
+    );
+  };
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const response = isActivity
+        ? await aiAPI.regenerateActivity(tripId, dayIndex, activityIndex, {
+            instructions,
+          })
+        : await aiAPI.regenerateDay(tripId, dayIndex, {
+            instructions,
+            keepActivityIndexes: keep,
+          });
+      setPreview(response.data.data);
+      setPreviewVersion(version);
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      await tripAPI.replaceDay(tripId, dayIndex, {
+        ...preview.after,
+        version: previewVersion,
+      });
+      toast.success(`Day ${day.day} updated`);
+      if (onApplied) onApplied();
+      onClose();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+      // Someone edited the trip meanwhile: reload it and preview again
+      if (error.response?.status === 409) {
+        setPreview(null);
+        if (onApplied) onApplied();
+      }
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const presets = isActivity ? ACTIVITY_PRESETS : DAY_PRESETS;
+  const title = isActivity
+    ? `Replace "${day.activities?.[activityIndex]?.activity}"`
+    : `Regenerate Day ${day.day}`;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} size="xl">
+      <div className="p-6 space-y-5">
+        <div className="flex flex-wrap gap-2">
+          {presets.map((preset) => (
+            <button
+              key={preset.label}
+              type="button"
+              onClick={() => applyPreset(preset)}
+              className="px-3 py-1 rounded-full text-sm bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200 hover:bg-purple-200"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+
+        <textarea
+          value={instructions}
+          onChange={(e) => setInstructions(e.target.value)}
+          maxLength={500}
+          rows={3}
+          placeholder="What should change? e.g. make it rainy-day friendly"
+          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+
+        {!isActivity && day.activities?.length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Keep these activities
+            </p>
+            <div className="space-y-1">
+              {day.activities.map((activity, index) => (
+                <label
+                  key={index}
+                  className="flex items-center text-sm text-gray-700 dark:text-gray-300"
+                >
+                  <input
+                    type="checkbox"
+                    checked={keep.includes(index)}
+                    onChange={() => toggleKeep(index)}
+                    className="mr-2"
+                  />
+                  {activity.time && <strong className="mr-1">{activity.time}</strong>}
+                  {activity.activity}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <div className="flex flex-col md:flex-row gap-6 p-4 rounded-xl bg-gray-50 dark:bg-gray-900/40">
+            <DayPreview title="Before" day={preview.before} />
+            <DayPreview
+              title="After"
+              day={preview.after}
+              compareTo={preview.before}
+            />
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant={preview ? "outline" : "primary"}
+            icon={FaMagic}
+            loading={isGenerating}
+            disabled={isApplying}
+            onClick={handleGenerate}
+          >
+            {preview ? "Try again" : "Generate preview"}
+          </Button>
+          {preview && (
+            <Button
+              variant="success"
+              icon={FaCheck}
+              loading={isApplying}
+              disabled={isGenerating}
+              onClick={handleApply}
+            >
+              Apply
+            </Button>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default RegenerateDayModal;
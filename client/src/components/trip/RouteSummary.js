@@ -0,0 +1,85 @@
+import React from "react";
+import {
+  FaMapMarkerAlt,
+  FaPlane,
+  FaTrain,
+  FaBus,
+  FaCar,
+  FaShip,
+  FaRoute,
+} from "react-icons/fa";
+
+const TRANSFER_ICONS = {
+  flight: FaPlane,
+  train: FaTrain,
+  bus: FaBus,
+  car: FaCar,
+  ferry: FaShip,
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+// "Days 1-3" for a generated plan, "Mar 4 - Mar 6" for a saved trip
+const legDates = (leg) => {
+  if (leg.startDay) {
+    return leg.startDay === leg.endDay
+      ? `Day ${leg.startDay}`
+      : `Days ${leg.startDay}-${leg.endDay}`;
+  }
+  if (leg.startDate && leg.endDate) {
+    return `${formatDate(leg.startDate)} - ${formatDate(leg.endDate)}`;
+  }
+  return null;
+};
+
+// Stops of a multi-city trip in order, with the transfer between each pair
+const RouteSummary = ({ legs }) => {
+  if (!legs || legs.length < 2) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <FaRoute className="text-blue-600 dark:text-blue-400" />
+      {legs.map((leg, index) => {
+        const TransferIcon = TRANSFER_ICONS[leg.transfer?.mode] || FaRoute;
+        const dates = legDates(leg);
+
+        return (
+          <React.Fragment key={leg._id || index}>
+            {index > 0 && (
+              <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                →
+                {leg.transfer?.mode && (
+                  <>
+                    <TransferIcon />
+                    {leg.transfer.durationHours > 0 &&
+                      `${leg.transfer.durationHours}h`}
+                    {leg.transfer.cost?.amount > 0 &&
+                      ` · ${leg.transfer.cost.currency || ""} ${
+                        leg.transfer.cost.amount
+                      }`}
+                  </>
+                )}
+                {leg.transfer?.mode && "→"}
+              </span>
+            )}
+            <span className="flex items-center gap-1 px-3 py-1 rounded-full bg-blue-50 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200">
+              <FaMapMarkerAlt className="h-3 w-3" />
+              <span className="font-medium">{leg.city}</span>
+              {dates && (
+                <span className="text-xs text-blue-600 dark:text-blue-300">
+                  {dates}
+                </span>
+              )}
+            </span>
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RouteSummary;
@@ -0,0 +1,88 @@
+import React from "react";
+import { FaMapMarkedAlt, FaPlus, FaTimes } from "react-icons/fa";
+import { Input } from "../ui";
+
+// Cities of a multi-city trip and the days spent in each. The first stop is
+// the planner's destination; with a single stop only the add button shows.
+const StopsEditor = ({ stops, duration, onChange }) => {
+  const isMultiCity = stops.length > 1;
+  const assignedDays = stops.reduce(
+    (sum, stop) => sum + (parseInt(stop.days) || 0),
+    0
+  );
+
+  const updateStop = (index, field, value) =>
+    onChange(
+      stops.map((stop, i) => (i === index ? { ...stop, [field]: value } : stop))
+    );
+
+  const removeStop = (index) => onChange(stops.filter((_, i) => i !== index));
+
+  const addStop = () => onChange([...stops, { city: "", days: "" }]);
+
+  return (
+    <div className="space-y-3">
+      {isMultiCity && (
+        <>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Route
+          </label>
+          {stops.map((stop, index) => (
+            <div key={index} className="flex items-end gap-2">
+              <span className="flex h-8 w-8 mb-1 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 text-sm font-bold text-blue-600 dark:bg-blue-900/30 dark:text-blue-400">
+                {index + 1}
+              </span>
+              <Input
+                placeholder="e.g., Jaipur, India"
+                icon={FaMapMarkedAlt}
+                value={stop.city}
+                onChange={(e) => updateStop(index, "city", e.target.value)}
+                wrapperClassName="flex-1"
+                required
+              />
+              <Input
+                type="number"
+                min="1"
+                placeholder="Days"
+                value={stop.days}
+                onChange={(e) => updateStop(index, "days", e.target.value)}
+                wrapperClassName="w-24"
+                required
+              />
+              <button
+                type="button"
+                onClick={() => removeStop(index)}
+                className="mb-1 p-2 text-gray-400 hover:text-red-600 transition-colors"
+                aria-label={`Remove stop ${index + 1}`}
+              >
+                <FaTimes />
+              </button>
+            </div>
+          ))}
+          {duration > 0 && (
+            <p
+              className={`text-sm ${
+                assignedDays === duration
+                  ? "text-gray-500 dark:text-gray-400"
+                  : "text-red-600"
+              }`}
+            >
+              {assignedDays} of {duration} days assigned
+            </p>
+          )}
+        </>
+      )}
+
+      <button
+        type="button"
+        onClick={addStop}
+        className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+      >
+        <FaPlus className="mr-2" />
+        Add another city
+      </button>
+    </div>
+  );
+};
+
+export default StopsEditor;
@@ -0,0 +1,302 @@
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useQueryClient } from "@tanstack/react-query";
+import { useApi } from "../../hooks/useApi";
+import { tripAPI, handleApiError } from "../../services/api";
+import { Card, Button, Input, Badge, LoadingSpinner } from "../ui";
+import {
+  FaUsers,
+  FaUserPlus,
+  FaTimes,
+  FaCheck,
+  FaExchangeAlt,
+} from "react-icons/fa";
+
+const cardClasses =
+  "p-4 md:p-6 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl";
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+// Travellers of a trip, what each of them is owed or owes, and the payments
+// that would settle up. Travellers need no account; people who can edit the
+// trip add them by name and mark payments as made.
+const TripBalancesPanel = ({ tripId, canEdit }) => {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [isAdding, setIsAdding] = useState(false);
+  const [payingKey, setPayingKey] = useState(null);
+
+  const { data, isLoading } = useApi(
+    ["tripBalances", tripId],
+    () => tripAPI.getBalances(tripId).then((res) => res.data),
+    { staleTime: 0 }
+  );
+
+  const currency = data?.currency || "USD";
+  const balances = data?.balances || [];
+  const nameOf = (id) =>
+    balances.find((entry) => entry.traveller._id === id)?.traveller.name ||
+    "Former traveller";
+
+  // Expense forms list the travellers too
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["tripBalances", tripId] });
+    queryClient.invalidateQueries({ queryKey: ["tripExpenses", tripId] });
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setIsAdding(true);
+    try {
+      const response = await tripAPI.addTraveller(tripId, {
+        name: name.trim(),
+        email: email.trim() || undefined,
+      });
+      toast.success(response.data.message);
+      setName("");
+      setEmail("");
+      refresh();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const removeTraveller = async (traveller) => {
+    if (!window.confirm(`Remove ${traveller.name} from the travellers?`)) {
+      return;
+    }
+
+    try {
+      const response = await tripAPI.removeTraveller(tripId, traveller._id);
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    }
+  };
+
+  const markPaid = async (payment) => {
+    const key = `${payment.from}-${payment.to}`;
+    setPayingKey(key);
+    try {
+      const response = await tripAPI.addSettlement(tripId, {
+        ...payment,
+        currency,
+      });
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setPayingKey(null);
+    }
+  };
+
+  const deleteSettlement = async (settlement) => {
+    if (!window.confirm("Delete this payment? The balances will reopen.")) {
+      return;
+    }
+
+    try {
+      await tripAPI.deleteSettlement(tripId, settlement._id);
+      refresh();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const suggested = data?.suggested || [];
+  const settlements = data?.settlements || [];
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <Card className={cardClasses}>
+        <h2 className="flex items-center text-lg md:text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          <FaUsers className="mr-2 text-blue-500" />
+          Balances
+        </h2>
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {balances.map((entry) => (
+            <div
+              key={entry.traveller._id}
+              className="flex items-center justify-between gap-3 py-3"
+            >
+              <div className="min-w-0">
+                <p className="truncate font-medium text-gray-900 dark:text-white">
+                  {entry.traveller.name}
+                  {!entry.traveller.user && (
+                    <Badge variant="secondary" size="sm" className="ml-2">
+                      Guest
+                    </Badge>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Paid {formatMoney(entry.paid, currency)} · share{" "}
+                  {formatMoney(entry.share, currency)}
+                </p>
+              </div>
+              <div className="flex flex-shrink-0 items-center gap-2">
+                <span
+                  className={`font-semibold ${
+                    entry.balance < 0
+                      ? "text-red-600 dark:text-red-400"
+                      : "text-green-600 dark:text-green-400"
+                  }`}
+                >
+                  {entry.balance < 0 ? "owes " : "is owed "}
+                  {formatMoney(Math.abs(entry.balance), currency)}
+                </span>
+                {canEdit &&
+                  !entry.traveller.user &&
+                  entry.paid === 0 &&
+                  entry.share === 0 && (
+                    <button
+                      type="button"
+                      onClick={() => removeTraveller(entry.traveller)}
+                      className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                      aria-label={`Remove ${entry.traveller.name}`}
+                    >
+                      <FaTimes />
+                    </button>
+                  )}
+              </div>
+            </div>
+          ))}
+        </div>
+        {data?.converted.length > 0 && (
+          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+            Amounts in {data.converted.join(", ")} are converted to {currency}{" "}
+            at the rate of the day they were spent or paid.
+          </p>
+        )}
+        {data?.otherCurrencies.length > 0 && (
+          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+            Amounts in {data.otherCurrencies.join(", ")} are not included: there
+            is no exchange rate to {currency} for them.
+          </p>
+        )}
+
+        {canEdit && (
+          <form
+            onSubmit={handleAdd}
+            className="mt-4 flex flex-col md:flex-row gap-2"
+          >
+            <Input
+              placeholder="Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              wrapperClassName="flex-1"
+              maxLength={100}
+              required
+            />
+            <Input
+              type="email"
+              placeholder="Email (optional)"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              wrapperClassName="flex-1"
+            />
+            <Button type="submit" icon={FaUserPlus} loading={isAdding}>
+              Add
+            </Button>
+          </form>
+        )}
+      </Card>
+
+      <Card className={cardClasses}>
+        <h2 className="flex items-center text-lg md:text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          <FaExchangeAlt className="mr-2 text-blue-500" />
+          Settle up
+        </h2>
+        {suggested.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Everyone is settled up.
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {suggested.map((payment) => (
+              <div
+                key={`${payment.from}-${payment.to}`}
+                className="flex items-center justify-between gap-3 py-3"
+              >
+                <p className="text-sm text-gray-700 dark:text-gray-300">
+                  <span className="font-medium">{nameOf(payment.from)}</span>{" "}
+                  pays <span className="font-medium">{nameOf(payment.to)}</span>{" "}
+                  {formatMoney(payment.amount, currency)}
+                </p>
+                {canEdit && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    icon={FaCheck}
+                    loading={payingKey === `${payment.from}-${payment.to}`}
+                    onClick={() => markPaid(payment)}
+                  >
+                    Mark paid
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {settlements.length > 0 && (
+          <>
+            <h3 className="mt-6 mb-2 font-semibold text-gray-900 dark:text-white">
+              Payments made
+            </h3>
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {settlements.map((settlement) => (
+                <div
+                  key={settlement._id}
+                  className="flex items-center justify-between gap-3 py-2"
+                >
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {nameOf(settlement.from)} → {nameOf(settlement.to)}{" "}
+                    {formatMoney(settlement.amount, settlement.currency)} ·{" "}
+                    {formatDate(settlement.paidAt)}
+                  </p>
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => deleteSettlement(settlement)}
+                      className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                      aria-label="Delete payment"
+                    >
+                      <FaTimes />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default TripBalancesPanel;
@@ -0,0 +1,248 @@
+import React, { useEffect, useRef, useState } from "react";
+import { toast } from "react-hot-toast";
+import { useApi } from "../../hooks/useApi";
+import { aiAPI, tripAPI, handleApiError } from "../../services/api";
+import { Card, Button, LoadingSpinner } from "../ui";
+import DayPreview from "./DayPreview";
+import { FaPaperPlane, FaCheck, FaRobot, FaTrash } from "react-icons/fa";
+
+const SUGGESTIONS = [
+  "Swap day 2 and day 3",
+  "Add a vegetarian dinner near the hotel each night",
+  "Cut the total cost by 20%",
+];
+
+// Chat with the trip-editing assistant. Proposed changes are previewed here
+// and only saved to the trip when the user applies them.
+const TripChatPanel = ({ tripId, onApplied }) => {
+  const [messages, setMessages] = useState([]);
+  const [previews, setPreviews] = useState({}); // messageId -> preview
+  const [input, setInput] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const [applyingId, setApplyingId] = useState(null);
+  const bottomRef = useRef(null);
+
+  const { data: history, isLoading } = useApi(["tripChat", tripId], () =>
+    tripAPI.getChat(tripId).then((res) => res.data.messages)
+  );
+
+  useEffect(() => {
+    if (history) setMessages(history);
+  }, [history]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }, [messages.length]);
+
+  const sendMessage = async (text) => {
+    const message = text.trim();
+    if (!message || isSending) return;
+
+    setIsSending(true);
+    try {
+      const response = await aiAPI.chatWithTrip(tripId, message);
+      const { messages: newMessages, preview } = response.data.data;
+      setMessages((current) => [...current, ...newMessages]);
+      if (preview) {
+        setPreviews((current) => ({
+          ...current,
+          [newMessages[1]._id]: preview,
+        }));
+      }
+      setInput("");
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const applyPatch = async (messageId) => {
+    setApplyingId(messageId);
+    try {
+      await tripAPI.applyChatPatch(tripId, messageId);
+      setMessages((current) =>
+        current.map((message) =>
+          message._id === messageId
+            ? { ...message, patchStatus: "applied" }
+            : message
+        )
+      );
+      toast.success("Changes applied to your trip");
+      if (onApplied) onApplied();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+      // The trip was edited meanwhile: show the latest version
+      if (error.response?.status === 409 && onApplied) onApplied();
+    } finally {
+      setApplyingId(null);
+    }
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm("Clear the conversation for this trip?")) return;
+    try {
+      await tripAPI.clearChat(tripId);
+      setMessages([]);
+      setPreviews({});
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    }
+  };
+
+  return (
+    <Card className="px-2 py-3 md:p-8 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
+      <div className="flex items-center justify-between mb-3 md:mb-6">
+        <h2 className="text-lg md:text-2xl font-bold text-gray-900 dark:text-white flex items-center">
+          <FaRobot className="mr-2 text-purple-600" />
+          Trip Assistant
+        </h2>
+        {messages.length > 0 && (
+          <button
+            type="button"
+            onClick={clearHistory}
+            className="text-sm text-gray-500 hover:text-red-600 flex items-center"
+          >
+            <FaTrash className="mr-1" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : (
+        <div className="space-y-4 max-h-[32rem] overflow-y-auto mb-4">
+          {messages.length === 0 && (
+            <p className="text-gray-600 dark:text-gray-400">
+              Ask for changes in plain language and review them before they
+              are saved.
+            </p>
+          )}
+
+          {messages.map((message) => {
+            const preview = previews[message._id];
+            return (
+              <div
+                key={message._id}
+                className={`flex ${
+                  message.role === "user" ? "justify-end" : "justify-start"
+                }`}
+              >
+                <div
+                  className={`max-w-full md:max-w-[80%] rounded-2xl px-4 py-3 ${
+                    message.role === "user"
+                      ? "bg-gradient-to-r from-blue-600 to-purple-600 text-white"
+                      : "bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white"
+                  }`}
+                >
+                  <p className="whitespace-pre-wrap">{message.content}</p>
+
+                  {message.changes?.length > 0 && (
+                    <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600">
+                      <ul className="list-disc list-inside text-sm space-y-1">
+                        {message.changes.map((change, index) => (
+                          <li key={index}>{change}</li>
+                        ))}
+                      </ul>
+
+                      {preview && message.patchStatus === "proposed" && (
+                        <div className="mt-3 space-y-3">
+                          {preview.changedDays.map((change) => (
+                            <div
+                              key={change.day}
+                              className="flex flex-col md:flex-row gap-4 p-3 rounded-xl bg-white dark:bg-gray-800"
+                            >
+                              <DayPreview
+                                title={`Day ${change.day} before`}
+                                day={change.before}
+                              />
+                              <DayPreview
+                                title={`Day ${change.day} after`}
+                                day={change.after}
+                                compareTo={change.before}
+                              />
+                            </div>
+                          ))}
+                          <p className="text-sm text-gray-600 dark:text-gray-300">
+                            Total cost: {preview.totalCost.before} →{" "}
+                            {preview.totalCost.after}{" "}
+                            {preview.totalCost.currency}
+                          </p>
+                        </div>
+                      )}
+
+                      <div className="mt-3">
+                        {message.patchStatus === "applied" ? (
+                          <span className="inline-flex items-center text-sm text-green-600 dark:text-green-400">
+                            <FaCheck className="mr-1" />
+                            Applied
+                          </span>
+                        ) : (
+                          <Button
+                            size="sm"
+                            variant="success"
+                            icon={FaCheck}
+                            loading={applyingId === message._id}
+                            disabled={!!applyingId}
+                            onClick={() => applyPatch(message._id)}
+                          >
+                            Apply changes
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          <div ref={bottomRef} />
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {SUGGESTIONS.map((suggestion) => (
+          <button
+            key={suggestion}
+            type="button"
+            disabled={isSending}
+            onClick={() => setInput(suggestion)}
+            className="px-3 py-1 rounded-full text-xs md:text-sm bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200 hover:bg-purple-200"
+          >
+            {suggestion}
+          </button>
+        ))}
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          sendMessage(input);
+        }}
+        className="flex gap-2"
+      >
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          maxLength={1000}
+          placeholder="e.g. make day 3 more relaxed"
+          className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <Button
+          type="submit"
+          icon={FaPaperPlane}
+          loading={isSending}
+          disabled={!input.trim()}
+        >
+          Send
+        </Button>
+      </form>
+    </Card>
+  );
+};
+
+export default TripChatPanel;
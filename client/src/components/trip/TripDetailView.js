@@ -4,6 +4,7 @@ import { useNavigate } from "react-router-dom";
 import { toast } from "react-hot-toast";
 import { useQueryClient } from "@tanstack/react-query";
 import { tripAPI } from "../../services/api";
+import RouteSummary from "./RouteSummary";
 import {
   FaMapMarkerAlt,
   FaClock,
@@ -19,13 +20,17 @@ import {
   FaShare,
   FaTimes,
   FaPlus,
+  FaExclamationTriangle,
+  FaSpinner,
 } from "react-icons/fa";
 
-const TripDetailView = ({ itinerary, formValues, onClose }) => {
+const TripDetailView = ({ itinerary, formValues, onClose, onCancel }) => {
   const [expandedDays, setExpandedDays] = useState([0]); // First day expanded by default
   const [imageErrors, setImageErrors] = useState({});
   const [isAddingTrip, setIsAddingTrip] = useState(false);
   const [isDownloading, setIsDownloading] = useState(false);
+  // Days are still arriving; saving or exporting now would lose the rest
+  const isStreaming = !!itinerary.isStreaming;
   const navigate = useNavigate();
   const queryClient = useQueryClient();
 
@@ -130,6 +135,25 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
           }
         });
 
+        day.meals?.forEach((meal) => {
+          if (yPos > pageHeight - 30) {
+            doc.addPage();
+            yPos = 20;
+          }
+
+          const details = [meal.cuisine, ...(meal.dietaryTags || [])].filter(
+            Boolean
+          );
+          const mealText = `• ${meal.time || ""} ${
+            meal.type ? `${meal.type}: ` : ""
+          }${meal.restaurant}${
+            details.length > 0 ? ` (${details.join(", ")})` : ""
+          }${meal.reservation?.required ? " - reservation recommended" : ""}`;
+          const lines = doc.splitTextToSize(mealText, pageWidth - 30);
+          doc.text(lines, 20, yPos);
+          yPos += lines.length * 5;
+        });
+
         yPos += 5;
       });
 
@@ -155,8 +179,12 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
       setIsAddingTrip(true);
       toast.loading("Adding trip...", { id: "add-trip" });
 
-      // Parse destination to get city and country
-      const destinationStr = itinerary.destination || formValues.destination;
+      // Parse destination to get city and country. A multi-city plan names
+      // its whole route, so use the first stop from the form instead
+      const destinationStr =
+        (itinerary.legs?.length > 1 && formValues.destination) ||
+        itinerary.destination ||
+        formValues.destination;
       const destParts = destinationStr.split(",").map((s) => s.trim());
       const city = destParts[0] || destinationStr;
       const country = destParts[1] || destParts[0] || destinationStr;
@@ -170,13 +198,28 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
         "activity",
       ];
 
+      const validMealTypes = ["breakfast", "lunch", "dinner", "snack"];
+      const validDietaryTags = [
+        "vegetarian",
+        "vegan",
+        "pescatarian",
+        "halal",
+        "kosher",
+        "gluten-free",
+        "dairy-free",
+        "nut-free",
+      ];
+
+      const dayDate = (index) =>
+        new Date(
+          new Date(formValues.startDate).getTime() + index * 24 * 60 * 60 * 1000
+        );
+
       const transformedDays =
         itinerary.itinerary?.map((day, index) => ({
           day: day.day || index + 1,
-          date: new Date(
-            new Date(formValues.startDate).getTime() +
-              index * 24 * 60 * 60 * 1000
-          ),
+          date: dayDate(index),
+          ...(day.city && { city: day.city }),
           title: day.title || "",
           theme: day.theme || "",
           activities:
@@ -208,10 +251,38 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
                 bookingRequired: activity.bookingRequired || false,
               };
             }) || [],
+          meals:
+            day.meals
+              ?.filter((meal) => meal.restaurant)
+              .map((meal) => ({
+                time: meal.time || "",
+                type: validMealTypes.includes(meal.type)
+                  ? meal.type
+                  : undefined,
+                restaurant: meal.restaurant,
+                cuisine: meal.cuisine || "",
+                dietaryTags: (meal.dietaryTags || []).filter((tag) =>
+                  validDietaryTags.includes(tag)
+                ),
+                location: {
+                  name: meal.location?.name || meal.restaurant,
+                  address: meal.location?.address || "",
+                  coordinates: meal.location?.coordinates,
+                },
+                cost: {
+                  amount: meal.cost?.amount || 0,
+                  currency:
+                    meal.cost?.currency ||
+                    itinerary.totalEstimatedCost?.currency ||
+                    "INR",
+                },
+                reservation: { required: !!meal.reservation?.required },
+              })) || [],
+          // The server recalculates this from activity and meal costs
           totalCost: {
-            amount: day.totalCost?.amount || 0,
+            amount: (day.totalDayCost || day.totalCost)?.amount || 0,
             currency:
-              day.totalCost?.currency ||
+              (day.totalDayCost || day.totalCost)?.currency ||
               itinerary.totalEstimatedCost?.currency ||
               "INR",
           },
@@ -263,10 +334,40 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
           )
         : [];
 
+      // Stops of a multi-city plan, dated from the day ranges of each leg
+      const validTransferModes = [
+        "flight",
+        "train",
+        "bus",
+        "car",
+        "ferry",
+        "other",
+      ];
+      const legs = (itinerary.legs || []).map((leg) => ({
+        city: leg.city,
+        country: leg.country || leg.city,
+        startDate: dayDate(leg.startDay - 1),
+        endDate: dayDate(leg.endDay - 1),
+        ...(leg.transfer && {
+          transfer: {
+            mode: validTransferModes.includes(leg.transfer.mode)
+              ? leg.transfer.mode
+              : "other",
+            departureTime: leg.transfer.departureTime || "",
+            durationHours: leg.transfer.durationHours,
+            cost: leg.transfer.cost,
+            notes: leg.transfer.notes || "",
+          },
+        }),
+      }));
+      const route = legs.map((leg) => leg.city).join(" → ");
+
       // Prepare trip data matching backend schema
       const tripData = {
-        title: `Trip to ${city}`,
-        description: `${itinerary.duration}-day trip to ${destinationStr}`,
+        title: `Trip to ${legs.length > 1 ? route : city}`.slice(0, 100),
+        description: `${itinerary.duration}-day trip to ${
+          legs.length > 1 ? route : destinationStr
+        }`,
         destination: {
           city: city,
           country: country,
@@ -275,6 +376,7 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
             lng: 0,
           },
         },
+        ...(legs.length > 1 && { legs }),
         preferences: {
           budget: {
             min: itinerary.totalEstimatedCost?.amount || 0,
@@ -289,8 +391,11 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
           transport: transport,
         },
         itinerary: {
-          generatedBy: "AI",
+          generatedBy:
+            itinerary.generation?.status === "fallback" ? "placeholder" : "AI",
           generatedAt: new Date(),
+          // Lets the server record which AI generation produced this trip
+          generation: itinerary.generation?.id,
           days: transformedDays,
           totalCost: {
             amount: itinerary.totalEstimatedCost?.amount || 0,
@@ -305,7 +410,14 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
         // Don't send status - let backend auto-determine based on itinerary
         notes: formValues.specialRequests || "",
         isPublic: false,
-        tags: [city.toLowerCase(), country.toLowerCase(), travelStyle],
+        tags: [
+          ...new Set([
+            city.toLowerCase(),
+            country.toLowerCase(),
+            ...legs.map((leg) => leg.city.toLowerCase()),
+            travelStyle,
+          ]),
+        ],
         recommendations: {
           weather: {
             forecast:
@@ -611,6 +723,48 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
           </div>
 
           <div className="p-3 md:p-8">
+            {itinerary.legs?.length > 1 && (
+              <div className="mb-4 md:mb-8">
+                <RouteSummary legs={itinerary.legs} />
+              </div>
+            )}
+            {/* Placeholder / Repair Notice */}
+            {itinerary.generation?.status === "fallback" && (
+              <div className="flex items-start gap-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-300 p-3 md:p-4 rounded-xl mb-4 md:mb-8">
+                <FaExclamationTriangle className="mt-0.5 flex-shrink-0" />
+                <p className="text-sm">
+                  This is a placeholder outline, not an AI-planned itinerary.
+                  The AI response could not be validated after{" "}
+                  {itinerary.generation.attempts} attempts.
+                </p>
+              </div>
+            )}
+            {itinerary.generation?.status === "repaired" && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                The AI response needed {itinerary.generation.attempts - 1}{" "}
+                correction{itinerary.generation.attempts > 2 ? "s" : ""} to
+                match the itinerary format.
+              </p>
+            )}
+            {itinerary.constraints?.budgetRevision?.status === "applied" && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                The first plan was over budget (about{" "}
+                {itinerary.constraints.budgetRevision.perPersonBefore}{" "}
+                {itinerary.constraints.summary.currency} per person), so the AI
+                was asked for a cheaper one.
+              </p>
+            )}
+            {itinerary.constraints?.warnings?.length > 0 && (
+              <div className="flex items-start gap-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-300 p-3 md:p-4 rounded-xl mb-4 md:mb-8">
+                <FaExclamationTriangle className="mt-0.5 flex-shrink-0" />
+                <ul className="text-sm space-y-1">
+                  {itinerary.constraints.warnings.map((warning, index) => (
+                    <li key={index}>{warning.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Trip Summary */}
             <div className="grid grid-cols-3 gap-2 md:gap-6 mb-4 md:mb-8">
               <div className="bg-gradient-to-br from-blue-50 to-blue-100 dark:from-blue-900/20 dark:to-blue-800/20 p-2 md:p-6 rounded-xl">
@@ -768,6 +922,7 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
                               "Activities planned"}
                           </h4>
                           <p className="text-xs md:text-sm text-gray-600 dark:text-gray-400">
+                            {day.city && `${day.city} • `}
                             {day.date} • {day.activities?.length || 0}{" "}
                             activities
                           </p>
@@ -894,6 +1049,11 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
                                           {meal.cuisine}
                                         </p>
                                       )}
+                                      {meal.dietaryTags?.length > 0 && (
+                                        <p className="text-[10px] md:text-xs text-green-700 dark:text-green-400 mt-0.5 truncate">
+                                          {meal.dietaryTags.join(", ")}
+                                        </p>
+                                      )}
                                     </div>
                                   ))}
                                 </div>
@@ -929,6 +1089,25 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
                     </AnimatePresence>
                   </motion.div>
                 ))}
+                {isStreaming && (
+                  <div className="flex items-center justify-between gap-3 border border-dashed border-blue-300 dark:border-blue-700 text-blue-700 dark:text-blue-300 rounded-xl p-3 md:p-6">
+                    <div className="flex items-center gap-3">
+                      <FaSpinner className="animate-spin" />
+                      <span className="text-sm md:text-base">
+                        Planning day {(itinerary.itinerary?.length || 0) + 1} of{" "}
+                        {itinerary.duration}...
+                      </span>
+                    </div>
+                    {onCancel && (
+                      <button
+                        onClick={onCancel}
+                        className="text-sm font-medium hover:text-red-600 underline"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -939,7 +1118,7 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
                 whileHover={{ scale: 1.02 }}
                 whileTap={{ scale: 0.98 }}
                 onClick={handleDownloadPDF}
-                disabled={isDownloading}
+                disabled={isDownloading || isStreaming}
                 className="bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-700 hover:to-teal-700 text-white font-semibold py-2 px-3 md:py-4 md:px-6 rounded-xl transition-all flex items-center justify-center gap-1 md:gap-3 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed text-xs md:text-base"
               >
                 <FaDownload className={isDownloading ? "animate-bounce" : ""} />
@@ -951,7 +1130,7 @@ const TripDetailView = ({ itinerary, formValues, onClose }) => {
                 whileHover={{ scale: 1.02 }}
                 whileTap={{ scale: 0.98 }}
                 onClick={handleAddTrip}
-                disabled={isAddingTrip}
+                disabled={isAddingTrip || isStreaming}
                 className="bg-gradient-to-r from-pink-600 to-rose-600 hover:from-pink-700 hover:to-rose-700 text-white font-semibold py-2 px-3 md:py-4 md:px-6 rounded-xl transition-all flex items-center justify-center gap-1 md:gap-3 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed text-xs md:text-base"
               >
                 <FaPlus className={isAddingTrip ? "animate-spin" : ""} />
@@ -0,0 +1,729 @@
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useQueryClient } from "@tanstack/react-query";
+import { useApi } from "../../hooks/useApi";
+import { tripAPI, handleApiError } from "../../services/api";
+import { Card, Button, Input, Badge, LoadingSpinner } from "../ui";
+import BudgetBurnChart from "./BudgetBurnChart";
+import { rateLabel } from "./ConvertedAmount";
+import {
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaReceipt,
+  FaTimes,
+  FaWallet,
+} from "react-icons/fa";
+
+const CATEGORIES = {
+  accommodation: "Accommodation",
+  transport: "Transport",
+  food: "Food & drink",
+  activities: "Activities",
+  shopping: "Shopping",
+  other: "Other",
+};
+
+const selectClasses =
+  "block w-full px-3 py-2 md:py-3 text-sm md:text-base border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+const cardClasses =
+  "p-4 md:p-6 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString("en-US", {
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+const SPLIT_METHODS = {
+  equal: "Equally",
+  shares: "By shares",
+  exact: "Exact amounts",
+};
+
+const remainingLabel = (remaining) => {
+  if (remaining === null) return "Left of plan";
+  return remaining < 0 ? "Over budget" : "Left of budget";
+};
+
+// Older expenses name their payer by user id
+const findTraveller = (travellers, id) =>
+  travellers.find((traveller) => traveller._id === id || traveller.user === id);
+
+// Split form values by traveller id: { included, value }, `value` being
+// the shares or exact amount. Everyone is in a new split.
+const toSplitForm = (travellers, split) => {
+  const parts = split?.among?.length ? split.among : null;
+  return Object.fromEntries(
+    travellers.map((traveller) => {
+      const part = parts?.find((entry) => entry.traveller === traveller._id);
+      return [
+        traveller._id,
+        {
+          included: parts ? Boolean(part) : true,
+          value: String(part?.shares ?? part?.amount ?? "1"),
+        },
+      ];
+    })
+  );
+};
+
+const emptyForm = (currency, travellers) => ({
+  amount: "",
+  currency,
+  category: "food",
+  date: today(),
+  paidBy: "",
+  description: "",
+  activity: "",
+  splitMethod: "equal",
+  split: toSplitForm(travellers),
+  receipt: null,
+});
+
+// Form values of a saved expense
+const toForm = (expense, travellers) => ({
+  amount: String(expense.amount),
+  currency: expense.currency,
+  category: expense.category,
+  date: expense.date.slice(0, 10),
+  paidBy: findTraveller(travellers, expense.paidBy)?._id || "",
+  description: expense.description || "",
+  activity: expense.activity || "",
+  splitMethod: expense.split?.method || "equal",
+  split: toSplitForm(travellers, expense.split),
+  receipt: null,
+});
+
+// The split of the form as the API takes it
+const fromSplitForm = (form) => ({
+  method: form.splitMethod,
+  among: Object.entries(form.split)
+    .filter(([, part]) => part.included)
+    .map(([traveller, part]) => ({
+      traveller,
+      ...(form.splitMethod === "shares" && { shares: Number(part.value) }),
+      ...(form.splitMethod === "exact" && { amount: Number(part.value) }),
+    })),
+});
+
+// A planned and an actual amount side by side, the actual one red when it
+// is over plan
+const PlanBar = ({ label, planned, actual, currency }) => {
+  const scale = Math.max(planned, actual, 1);
+  const over = actual > planned;
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm">
+        <span className="font-medium text-gray-900 dark:text-white">
+          {label}
+        </span>
+        <span
+          className={
+            over
+              ? "text-red-600 dark:text-red-400"
+              : "text-gray-600 dark:text-gray-400"
+          }
+        >
+          {formatMoney(actual, currency)} / {formatMoney(planned, currency)}
+        </span>
+      </div>
+      <div className="relative mt-1 h-2 rounded-full bg-gray-200 dark:bg-gray-700">
+        <div
+          className="absolute h-2 rounded-full bg-purple-300 dark:bg-purple-800"
+          style={{ width: `${(planned / scale) * 100}%` }}
+        />
+        <div
+          className={`absolute h-2 rounded-full ${
+            over ? "bg-red-500" : "bg-blue-600"
+          }`}
+          style={{ width: `${(actual / scale) * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+const Stat = ({ label, value, tone = "text-gray-900 dark:text-white" }) => (
+  <Card className={cardClasses}>
+    <p className="text-sm text-gray-500 dark:text-gray-400">{label}</p>
+    <p className={`text-xl md:text-2xl font-bold ${tone}`}>{value}</p>
+  </Card>
+);
+
+// What was actually spent on a trip, against the planned itinerary costs
+// and the budget. People who can edit the trip log expenses, optionally
+// with a receipt and the activity they were for, and split them between
+// the trip's travellers.
+const TripExpensesPanel = ({ tripId, trip, canEdit }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null); // form values while adding/editing
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { data: summary, isLoading: isSummaryLoading } = useApi(
+    ["tripExpenseSummary", tripId],
+    () => tripAPI.getExpenseSummary(tripId).then((res) => res.data.summary),
+    { staleTime: 0 }
+  );
+  const { data, isLoading } = useApi(
+    ["tripExpenses", tripId],
+    () => tripAPI.getExpenses(tripId).then((res) => res.data),
+    { staleTime: 0 }
+  );
+
+  const expenses = data?.expenses || [];
+  const travellers = data?.travellers || [];
+  const currency = summary?.currency || data?.currency || "USD";
+  const days = trip.itinerary?.days || [];
+
+  const travellerName = (id) =>
+    findTraveller(travellers, id)?.name || "Former traveller";
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["tripExpenses", tripId] });
+    queryClient.invalidateQueries({
+      queryKey: ["tripExpenseSummary", tripId],
+    });
+    queryClient.invalidateQueries({ queryKey: ["tripBalances", tripId] });
+  };
+
+  const setField = (field) => (e) =>
+    setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const setSplitPart = (travellerId, changes) =>
+    setForm((current) => ({
+      ...current,
+      split: {
+        ...current.split,
+        [travellerId]: { ...current.split[travellerId], ...changes },
+      },
+    }));
+
+  const openForm = (expense) => {
+    setEditingId(expense?._id || null);
+    setForm(
+      expense ? toForm(expense, travellers) : emptyForm(currency, travellers)
+    );
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    const expense = {
+      amount: Number(form.amount),
+      currency: form.currency,
+      category: form.category,
+      date: form.date,
+      description: form.description,
+      activity: form.activity || null,
+      split: fromSplitForm(form),
+      ...(form.paidBy && { paidBy: form.paidBy }),
+    };
+
+    try {
+      const response = editingId
+        ? await tripAPI.updateExpense(tripId, editingId, expense)
+        : await tripAPI.addExpense(tripId, expense);
+
+      if (form.receipt) {
+        const formData = new FormData();
+        formData.append("receipt", form.receipt);
+        await tripAPI.uploadReceipt(
+          tripId,
+          response.data.expense._id,
+          formData
+        );
+      }
+
+      toast.success(response.data.message);
+      closeForm();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setIsSaving(false);
+      refresh();
+    }
+  };
+
+  const deleteExpense = async (expense) => {
+    if (!window.confirm("Delete this expense?")) return;
+
+    try {
+      await tripAPI.deleteExpense(tripId, expense._id);
+      toast.success("Expense deleted");
+      refresh();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    }
+  };
+
+  const viewReceipt = async (expense) => {
+    try {
+      const response = await tripAPI.getReceipt(tripId, expense._id);
+      const url = URL.createObjectURL(response.data);
+      window.open(url, "_blank", "noopener");
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error("Could not open the receipt");
+    }
+  };
+
+  const removeReceipt = async (expense) => {
+    if (!window.confirm("Remove the receipt from this expense?")) return;
+
+    try {
+      await tripAPI.deleteReceipt(tripId, expense._id);
+      refresh();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    }
+  };
+
+  if (isLoading || isSummaryLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const totals = summary?.totals;
+  const remaining = totals?.remaining;
+
+  return (
+    <div className="space-y-6">
+      {totals && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Stat label="Planned" value={formatMoney(totals.planned, currency)} />
+          <Stat
+            label="Spent"
+            value={formatMoney(totals.actual, currency)}
+            tone={
+              totals.actual > totals.planned
+                ? "text-red-600 dark:text-red-400"
+                : "text-blue-600 dark:text-blue-400"
+            }
+          />
+          <Stat
+            label={remainingLabel(remaining)}
+            value={formatMoney(
+              Math.abs(
+                remaining === null ? totals.planned - totals.actual : remaining
+              ),
+              currency
+            )}
+            tone={
+              remaining !== null && remaining < 0
+                ? "text-red-600 dark:text-red-400"
+                : "text-green-600 dark:text-green-400"
+            }
+          />
+        </div>
+      )}
+
+      {summary?.display && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          In {summary.display.currency}: planned{" "}
+          {formatMoney(summary.display.planned, summary.display.currency)},
+          spent {formatMoney(summary.display.actual, summary.display.currency)}
+          {summary.display.budget !== null &&
+            ` of a ${formatMoney(
+              summary.display.budget,
+              summary.display.currency
+            )} budget`}{" "}
+          ({rateLabel(currency, summary.display)}).
+        </p>
+      )}
+
+      {summary?.converted.length > 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Converted to {currency} at the rate of each expense's date:{" "}
+          {summary.converted
+            .map(
+              (total) =>
+                `${formatMoney(total.amount, total.currency)} ≈ ${formatMoney(
+                  total.converted,
+                  currency
+                )}`
+            )
+            .join(", ")}
+          .
+        </p>
+      )}
+
+      {summary?.otherCurrencies.length > 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Not included above:{" "}
+          {summary.otherCurrencies
+            .map((other) => formatMoney(other.amount, other.currency))
+            .join(", ")}
+          . There is no exchange rate to {currency} for{" "}
+          {summary.otherCurrencies.length === 1 ? "this currency" : "them"}.
+        </p>
+      )}
+
+      {summary?.burn.length > 0 && (
+        <Card className={cardClasses}>
+          <h2 className="text-lg md:text-2xl font-bold text-gray-900 dark:text-white mb-4">
+            Budget burn
+          </h2>
+          <BudgetBurnChart
+            burn={summary.burn}
+            budget={totals.budget}
+            currency={currency}
+          />
+        </Card>
+      )}
+
+      {summary && totals.expenseCount > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <Card className={cardClasses}>
+            <h2 className="text-lg md:text-xl font-bold text-gray-900 dark:text-white mb-4">
+              By category
+            </h2>
+            <div className="space-y-3">
+              {summary.byCategory
+                .filter((category) => category.planned || category.actual)
+                .map((category) => (
+                  <PlanBar
+                    key={category.category}
+                    label={CATEGORIES[category.category]}
+                    planned={category.planned}
+                    actual={category.actual}
+                    currency={currency}
+                  />
+                ))}
+            </div>
+          </Card>
+          <Card className={cardClasses}>
+            <h2 className="text-lg md:text-xl font-bold text-gray-900 dark:text-white mb-4">
+              By day
+            </h2>
+            <div className="space-y-3">
+              {summary.byDay.map((day) => (
+                <PlanBar
+                  key={day.dayIndex}
+                  label={`Day ${day.day}${
+                    day.date ? ` · ${formatDate(day.date)}` : ""
+                  }`}
+                  planned={day.planned}
+                  actual={day.actual}
+                  currency={currency}
+                />
+              ))}
+              {totals.unassigned > 0 && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {formatMoney(totals.unassigned, currency)} spent outside the
+                  itinerary days.
+                </p>
+              )}
+            </div>
+          </Card>
+        </div>
+      )}
+
+      <Card className={cardClasses}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="flex items-center text-lg md:text-2xl font-bold text-gray-900 dark:text-white">
+            <FaWallet className="mr-2 text-blue-500" />
+            Expenses
+          </h2>
+          {canEdit && !form && (
+            <Button size="sm" icon={FaPlus} onClick={() => openForm(null)}>
+              Add expense
+            </Button>
+          )}
+        </div>
+
+        {form && (
+          <form
+            onSubmit={handleSubmit}
+            className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-4 rounded-xl bg-gray-50 p-4 dark:bg-gray-900/40"
+          >
+            <div className="flex gap-2">
+              <Input
+                label="Amount"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.amount}
+                onChange={setField("amount")}
+                wrapperClassName="flex-1"
+                required
+              />
+              <Input
+                label="Currency"
+                value={form.currency}
+                onChange={setField("currency")}
+                wrapperClassName="w-24"
+                maxLength={3}
+                required
+              />
+            </div>
+            <Input
+              label="Date"
+              type="date"
+              value={form.date}
+              onChange={setField("date")}
+              required
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Category
+              </label>
+              <select
+                value={form.category}
+                onChange={setField("category")}
+                className={selectClasses}
+              >
+                {Object.entries(CATEGORIES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Paid by
+              </label>
+              <select
+                value={form.paidBy}
+                onChange={setField("paidBy")}
+                className={selectClasses}
+              >
+                <option value="">Me</option>
+                {travellers.map((traveller) => (
+                  <option key={traveller._id} value={traveller._id}>
+                    {traveller.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <Input
+              label="Description"
+              value={form.description}
+              onChange={setField("description")}
+              maxLength={200}
+              placeholder="Dinner at the harbour"
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Activity
+              </label>
+              <select
+                value={form.activity}
+                onChange={setField("activity")}
+                className={selectClasses}
+              >
+                <option value="">Not linked</option>
+                {days.map((day, index) => (
+                  <optgroup key={day._id || index} label={`Day ${day.day}`}>
+                    {day.activities.map((activity) => (
+                      <option key={activity._id} value={activity._id}>
+                        {activity.activity}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <div className="flex items-center justify-between mb-2">
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Split
+                </label>
+                <select
+                  value={form.splitMethod}
+                  onChange={setField("splitMethod")}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                  aria-label="Split method"
+                >
+                  {Object.entries(SPLIT_METHODS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {travellers.map((traveller) => {
+                  const part = form.split[traveller._id] || {};
+                  return (
+                    <div
+                      key={traveller._id}
+                      className="flex items-center justify-between gap-2"
+                    >
+                      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(part.included)}
+                          onChange={(e) =>
+                            setSplitPart(traveller._id, {
+                              included: e.target.checked,
+                            })
+                          }
+                        />
+                        {traveller.name}
+                      </label>
+                      {form.splitMethod !== "equal" && part.included && (
+                        <input
+                          type="number"
+                          min="0"
+                          step={form.splitMethod === "exact" ? "0.01" : "1"}
+                          value={part.value}
+                          onChange={(e) =>
+                            setSplitPart(traveller._id, {
+                              value: e.target.value,
+                            })
+                          }
+                          className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                          aria-label={`${
+                            form.splitMethod === "exact" ? "Amount" : "Shares"
+                          } for ${traveller.name}`}
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Receipt (image or PDF, up to 5 MB)
+              </label>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp,image/heic,application/pdf"
+                onChange={(e) =>
+                  setForm((current) => ({
+                    ...current,
+                    receipt: e.target.files[0] || null,
+                  }))
+                }
+                className="text-sm text-gray-600 dark:text-gray-400"
+              />
+            </div>
+            <div className="md:col-span-2 flex justify-end gap-2">
+              <Button type="button" variant="ghost" onClick={closeForm}>
+                Cancel
+              </Button>
+              <Button type="submit" loading={isSaving}>
+                {editingId ? "Save expense" : "Add expense"}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {expenses.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            No expenses yet. Log what you spend to see how the trip tracks
+            against its plan.
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {expenses.map((expense) => (
+              <div
+                key={expense._id}
+                className="flex flex-col md:flex-row md:items-center justify-between gap-2 py-3"
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-gray-900 dark:text-white">
+                      {formatMoney(expense.amount, expense.currency)}
+                    </span>
+                    {expense.converted && (
+                      <span
+                        className="text-xs text-gray-500 dark:text-gray-400"
+                        title={rateLabel(expense.currency, expense.converted)}
+                      >
+                        ≈{" "}
+                        {formatMoney(
+                          expense.converted.amount,
+                          expense.converted.currency
+                        )}
+                      </span>
+                    )}
+                    <Badge variant="secondary" size="sm">
+                      {CATEGORIES[expense.category]}
+                    </Badge>
+                  </div>
+                  {expense.description && (
+                    <p className="truncate text-sm text-gray-600 dark:text-gray-400">
+                      {expense.description}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500 dark:text-gray-500">
+                    {formatDate(expense.date)} · paid by{" "}
+                    {travellerName(expense.paidBy)}
+                  </p>
+                </div>
+                <div className="flex flex-shrink-0 items-center gap-1">
+                  {expense.receipt?.filename && (
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      icon={FaReceipt}
+                      onClick={() => viewReceipt(expense)}
+                    >
+                      Receipt
+                    </Button>
+                  )}
+                  {canEdit && expense.receipt?.filename && (
+                    <button
+                      type="button"
+                      onClick={() => removeReceipt(expense)}
+                      className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                      aria-label="Remove receipt"
+                    >
+                      <FaTimes />
+                    </button>
+                  )}
+                  {canEdit && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => openForm(expense)}
+                        className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
+                        aria-label="Edit expense"
+                      >
+                        <FaEdit />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => deleteExpense(expense)}
+                        className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                        aria-label="Delete expense"
+                      >
+                        <FaTrash />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default TripExpensesPanel;
@@ -0,0 +1,312 @@
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useApi } from "../../hooks/useApi";
+import { tripAPI, handleApiError } from "../../services/api";
+import { Card, Button, Badge, LoadingSpinner } from "../ui";
+import { FaHistory, FaUndo, FaExchangeAlt, FaTimes } from "react-icons/fa";
+
+const SOURCES = {
+  manual: { label: "Edit", variant: "secondary" },
+  "ai-generate": { label: "AI generated", variant: "primary" },
+  "ai-optimize": { label: "AI optimized", variant: "primary" },
+  "ai-chat": { label: "Assistant", variant: "primary" },
+  clone: { label: "Cloned", variant: "warning" },
+  restore: { label: "Restored", variant: "success" },
+};
+
+const STATUS_STYLES = {
+  added: "text-green-700 dark:text-green-400",
+  removed: "text-red-700 dark:text-red-400 line-through",
+  changed: "text-yellow-700 dark:text-yellow-400",
+};
+
+const STATUS_SIGNS = { added: "+", removed: "−", changed: "~" };
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const FieldChanges = ({ changes }) =>
+  changes.map((change) => (
+    <p key={change.field} className="text-sm text-gray-600 dark:text-gray-400">
+      <span className="font-medium">{change.field}</span>:{" "}
+      {formatValue(change.before)} → {formatValue(change.after)}
+    </p>
+  ));
+
+const EntryChanges = ({ entries, nameField }) =>
+  entries.map((entry, index) => {
+    const name = (entry.after || entry.before)[nameField];
+    return (
+      <div key={index} className="ml-4">
+        <p className={`text-sm ${STATUS_STYLES[entry.status]}`}>
+          {STATUS_SIGNS[entry.status]} {name}
+        </p>
+        {entry.changes && (
+          <div className="ml-4">
+            <FieldChanges changes={entry.changes} />
+          </div>
+        )}
+      </div>
+    );
+  });
+
+// Day-by-day changes between two versions of a trip, as returned by
+// GET /trips/:id/revisions/diff
+const RevisionDiff = ({ diff }) => {
+  const costChanged = diff.totalCost.before !== diff.totalCost.after;
+  const isEmpty =
+    diff.fields.length === 0 &&
+    !diff.route &&
+    diff.days.length === 0 &&
+    !costChanged;
+
+  if (isEmpty) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        No differences.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {diff.fields.length > 0 && <FieldChanges changes={diff.fields} />}
+      {diff.route && (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          <span className="font-medium">Route</span>:{" "}
+          {formatValue(diff.route.before)} → {formatValue(diff.route.after)}
+        </p>
+      )}
+      {diff.days.map((day) => (
+        <div key={day.day}>
+          <p
+            className={`font-semibold ${
+              day.status === "changed"
+                ? "text-gray-900 dark:text-white"
+                : STATUS_STYLES[day.status]
+            }`}
+          >
+            {day.status !== "changed" && `${STATUS_SIGNS[day.status]} `}
+            Day {day.day}
+            {(day.after || day.before)?.title &&
+              `: ${(day.after || day.before).title}`}
+          </p>
+          <div className="ml-4">
+            <FieldChanges changes={day.changes} />
+          </div>
+          <EntryChanges entries={day.activities} nameField="activity" />
+          <EntryChanges entries={day.meals} nameField="restaurant" />
+        </div>
+      ))}
+      {costChanged && (
+        <p className="text-sm font-medium text-gray-900 dark:text-white">
+          Total cost: {diff.totalCost.currency} {diff.totalCost.before} →{" "}
+          {diff.totalCost.currency} {diff.totalCost.after}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Saved versions of a trip, newest first. Each can be compared with the
+// version before it or with the trip as it is now, and people who can edit
+// the trip can put an earlier version back.
+const TripHistoryPanel = ({ tripId, version, canEdit, onRestored }) => {
+  const [comparison, setComparison] = useState(null); // { from, to, title }
+  const [restoringId, setRestoringId] = useState(null);
+
+  const { data, isLoading, refetch } = useApi(
+    ["tripRevisions", tripId],
+    () => tripAPI.getRevisions(tripId, { limit: 50 }).then((res) => res.data),
+    { staleTime: 0 }
+  );
+
+  const { data: diff, isLoading: isDiffLoading } = useApi(
+    ["tripRevisionDiff", tripId, comparison?.from, comparison?.to],
+    () =>
+      tripAPI
+        .getRevisionDiff(tripId, comparison.from, comparison.to)
+        .then((res) => res.data.diff),
+    { enabled: !!comparison, staleTime: 0 }
+  );
+
+  const revisions = data?.revisions || [];
+
+  const restore = async (revision) => {
+    if (
+      !window.confirm(
+        `Restore version ${revision.version}? The current itinerary stays in the history.`
+      )
+    ) {
+      return;
+    }
+
+    setRestoringId(revision._id);
+    try {
+      const response = await tripAPI.restoreRevision(
+        tripId,
+        revision._id,
+        version
+      );
+      toast.success(response.data.message);
+      setComparison(null);
+      refetch();
+      if (onRestored) onRestored();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+      // Someone edited the trip meanwhile: reload it and its history
+      if (error.response?.status === 409) {
+        refetch();
+        if (onRestored) onRestored();
+      }
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {comparison && (
+        <Card className="p-4 md:p-6 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg md:text-xl font-bold text-gray-900 dark:text-white">
+              {comparison.title}
+            </h2>
+            <button
+              type="button"
+              onClick={() => setComparison(null)}
+              className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              aria-label="Close comparison"
+            >
+              <FaTimes />
+            </button>
+          </div>
+          {isDiffLoading || !diff ? (
+            <div className="flex justify-center py-6">
+              <LoadingSpinner />
+            </div>
+          ) : (
+            <RevisionDiff diff={diff} />
+          )}
+        </Card>
+      )}
+
+      <Card className="p-4 md:p-6 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
+        <h2 className="flex items-center text-lg md:text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          <FaHistory className="mr-2 text-blue-500" />
+          History
+        </h2>
+        {revisions.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            No saved versions yet. Every change to the trip is kept here.
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {revisions.map((revision, index) => {
+              const source = SOURCES[revision.source] || SOURCES.manual;
+              const previous = revisions[index + 1];
+              const isCurrent = revision.version === data.version;
+
+              return (
+                <div
+                  key={revision._id}
+                  className="flex flex-col md:flex-row md:items-center justify-between gap-2 py-3"
+                >
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold text-gray-900 dark:text-white">
+                        Version {revision.version}
+                      </span>
+                      <Badge variant={source.variant} size="sm">
+                        {source.label}
+                      </Badge>
+                      {isCurrent && (
+                        <Badge variant="success" size="sm">
+                          Current
+                        </Badge>
+                      )}
+                    </div>
+                    {revision.summary && (
+                      <p className="truncate text-sm text-gray-600 dark:text-gray-400">
+                        {revision.summary}
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-500 dark:text-gray-500">
+                      {revision.author?.name || "Unknown user"} ·{" "}
+                      {formatTime(revision.createdAt)}
+                    </p>
+                  </div>
+                  <div className="flex flex-shrink-0 items-center gap-2">
+                    {previous && (
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() =>
+                          setComparison({
+                            from: previous._id,
+                            to: revision._id,
+                            title: `Changes in version ${revision.version}`,
+                          })
+                        }
+                      >
+                        Changes
+                      </Button>
+                    )}
+                    {!isCurrent && (
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        icon={FaExchangeAlt}
+                        onClick={() =>
+                          setComparison({
+                            from: revision._id,
+                            title: `Version ${revision.version} → current`,
+                          })
+                        }
+                      >
+                        Compare
+                      </Button>
+                    )}
+                    {canEdit && !isCurrent && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        icon={FaUndo}
+                        loading={restoringId === revision._id}
+                        onClick={() => restore(revision)}
+                      >
+                        Restore
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default TripHistoryPanel;
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import { useQueryClient } from "@tanstack/react-query";
+import { useApi } from "../../hooks/useApi";
+import { tripAPI, handleApiError } from "../../services/api";
+import { Card, Button } from "../ui";
+import { FaEnvelopeOpenText, FaCheck, FaTimes } from "react-icons/fa";
+
+const ROLE_LABELS = {
+  "co-owner": "co-owner",
+  editor: "editor",
+  viewer: "viewer",
+};
+
+// Pending invitations to other people's trips, with accept / decline.
+// Renders nothing when there are none.
+const TripInvitations = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [respondingId, setRespondingId] = useState(null);
+
+  const { data: invitations = [], refetch } = useApi(["myInvitations"], () =>
+    tripAPI.getMyInvitations().then((res) => res.data.invitations)
+  );
+
+  const respond = async (invitation, accept) => {
+    setRespondingId(invitation._id);
+    try {
+      if (accept) {
+        await tripAPI.acceptInvitation(invitation._id);
+        toast.success(`You joined ${invitation.trip.title}`);
+        queryClient.invalidateQueries({ queryKey: ["sharedTrips"] });
+        navigate(`/trips/${invitation.trip._id}`);
+      } else {
+        await tripAPI.declineInvitation(invitation._id);
+        toast.success("Invitation declined");
+        refetch();
+      }
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+      refetch();
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  if (invitations.length === 0) return null;
+
+  return (
+    <Card className="mb-4 md:mb-6 p-3 md:p-5 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
+      <h2 className="flex items-center text-base md:text-lg font-bold text-gray-900 dark:text-white mb-2">
+        <FaEnvelopeOpenText className="mr-2 text-blue-600 dark:text-blue-400" />
+        Trip invitations
+      </h2>
+      <div className="divide-y divide-gray-200 dark:divide-gray-700">
+        {invitations.map((invitation) => (
+          <div
+            key={invitation._id}
+            className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 py-3"
+          >
+            <div className="text-sm text-gray-700 dark:text-gray-300">
+              <span className="font-semibold text-gray-900 dark:text-white">
+                {invitation.invitedBy?.name || invitation.trip.owner?.name}
+              </span>{" "}
+              invited you to{" "}
+              <span className="font-semibold text-gray-900 dark:text-white">
+                {invitation.trip.title}
+              </span>{" "}
+              as {ROLE_LABELS[invitation.role]}
+            </div>
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                icon={FaCheck}
+                loading={respondingId === invitation._id}
+                onClick={() => respond(invitation, true)}
+              >
+                Accept
+              </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                icon={FaTimes}
+                disabled={respondingId === invitation._id}
+                onClick={() => respond(invitation, false)}
+              >
+                Decline
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+};
+
+export default TripInvitations;
@@ -0,0 +1,287 @@
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useApi } from "../../hooks/useApi";
+import { useAuth } from "../../contexts/AuthContext";
+import { tripAPI, handleApiError } from "../../services/api";
+import { Card, Button, Input, Badge, LoadingSpinner } from "../ui";
+import { FaEnvelope, FaUserPlus, FaTimes, FaSignOutAlt } from "react-icons/fa";
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  "co-owner": "Co-owner",
+  editor: "Editor",
+  viewer: "Viewer",
+};
+
+const selectClasses =
+  "px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+// Only the owner hands out co-ownership, matching the server's rule
+const assignableRoles = (role) =>
+  role === "owner" ? ["viewer", "editor", "co-owner"] : ["viewer", "editor"];
+
+const PersonRow = ({ person, children }) => (
+  <div className="flex items-center justify-between gap-3 py-3">
+    <div className="flex items-center gap-3 min-w-0">
+      {person?.avatar ? (
+        <img
+          src={person.avatar}
+          alt=""
+          className="h-9 w-9 rounded-full object-cover"
+        />
+      ) : (
+        <span className="flex h-9 w-9 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 font-semibold text-blue-600 dark:bg-blue-900/30 dark:text-blue-400">
+          {(person?.name || person?.email || "?")[0].toUpperCase()}
+        </span>
+      )}
+      <div className="min-w-0">
+        <p className="truncate font-medium text-gray-900 dark:text-white">
+          {person?.name || "Unknown user"}
+        </p>
+        {person?.email && (
+          <p className="truncate text-sm text-gray-500 dark:text-gray-400">
+            {person.email}
+          </p>
+        )}
+      </div>
+    </div>
+    <div className="flex flex-shrink-0 items-center gap-2">{children}</div>
+  </div>
+);
+
+// Owner and members of a trip. Owners and co-owners can invite people by
+// email, change roles and remove members; anyone else can leave the trip.
+const TripMembersPanel = ({ tripId, onLeft }) => {
+  const { user } = useAuth();
+  const [email, setEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("viewer");
+  const [isInviting, setIsInviting] = useState(false);
+
+  const {
+    data,
+    isLoading,
+    refetch: refetchMembers,
+  } = useApi(["tripMembers", tripId], () =>
+    tripAPI.getMembers(tripId).then((res) => res.data)
+  );
+
+  const role = data?.role;
+  const canManage = role === "owner" || role === "co-owner";
+
+  const { data: invitations = [], refetch: refetchInvitations } = useApi(
+    ["tripInvitations", tripId],
+    () => tripAPI.getInvitations(tripId).then((res) => res.data.invitations),
+    { enabled: canManage }
+  );
+
+  const run = async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+      return false;
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setIsInviting(true);
+    const sent = await run(
+      () => tripAPI.invite(tripId, { email: email.trim(), role: inviteRole }),
+      `Invitation sent to ${email.trim()}`
+    );
+    setIsInviting(false);
+    if (sent) {
+      setEmail("");
+      refetchInvitations();
+    }
+  };
+
+  const changeRole = async (member, newRole) => {
+    if (
+      await run(
+        () => tripAPI.updateMember(tripId, member.user._id, newRole),
+        "Role updated"
+      )
+    ) {
+      refetchMembers();
+    }
+  };
+
+  const removeMember = async (member) => {
+    const isSelf = member.user._id === user?.id;
+    const prompt = isSelf
+      ? "Leave this trip? You will lose access to it."
+      : `Remove ${member.user.name} from this trip?`;
+    if (!window.confirm(prompt)) return;
+
+    if (
+      await run(
+        () => tripAPI.removeMember(tripId, member.user._id),
+        isSelf ? "You left the trip" : "Member removed"
+      )
+    ) {
+      if (isSelf && onLeft) onLeft();
+      else refetchMembers();
+    }
+  };
+
+  const revokeInvitation = async (invitation) => {
+    if (
+      await run(
+        () => tripAPI.revokeInvitation(tripId, invitation._id),
+        "Invitation revoked"
+      )
+    ) {
+      refetchInvitations();
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  // Co-owners cannot change or remove other co-owners
+  const canChange = (member) =>
+    canManage && (role === "owner" || member.role !== "co-owner");
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-4 md:p-6 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
+        <h2 className="text-lg md:text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          Members
+        </h2>
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          <PersonRow person={data.owner}>
+            <Badge variant="primary" size="sm">
+              {ROLE_LABELS.owner}
+            </Badge>
+          </PersonRow>
+          {data.members.map((member) => {
+            const isSelf = member.user?._id === user?.id;
+            return (
+              <PersonRow key={member._id} person={member.user}>
+                {canChange(member) && !isSelf ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => changeRole(member, e.target.value)}
+                    className={selectClasses}
+                    aria-label={`Role of ${member.user?.name}`}
+                  >
+                    {assignableRoles(role).map((option) => (
+                      <option key={option} value={option}>
+                        {ROLE_LABELS[option]}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <Badge variant="secondary" size="sm">
+                    {ROLE_LABELS[member.role]}
+                  </Badge>
+                )}
+                {isSelf ? (
+                  <button
+                    type="button"
+                    onClick={() => removeMember(member)}
+                    className="inline-flex items-center p-2 text-sm text-gray-500 hover:text-red-600 transition-colors"
+                  >
+                    <FaSignOutAlt className="mr-1" />
+                    Leave
+                  </button>
+                ) : (
+                  canChange(member) && (
+                    <button
+                      type="button"
+                      onClick={() => removeMember(member)}
+                      className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                      aria-label={`Remove ${member.user?.name}`}
+                    >
+                      <FaTimes />
+                    </button>
+                  )
+                )}
+              </PersonRow>
+            );
+          })}
+        </div>
+        {data.members.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Nobody else has access to this trip yet.
+          </p>
+        )}
+      </Card>
+
+      {canManage && (
+        <Card className="p-4 md:p-6 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
+          <h2 className="text-lg md:text-2xl font-bold text-gray-900 dark:text-white mb-4">
+            Invite people
+          </h2>
+          <form
+            onSubmit={handleInvite}
+            className="flex flex-col md:flex-row gap-2"
+          >
+            <Input
+              type="email"
+              placeholder="friend@example.com"
+              icon={FaEnvelope}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              wrapperClassName="flex-1"
+              required
+            />
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className={selectClasses}
+              aria-label="Role"
+            >
+              {assignableRoles(role).map((option) => (
+                <option key={option} value={option}>
+                  {ROLE_LABELS[option]}
+                </option>
+              ))}
+            </select>
+            <Button type="submit" icon={FaUserPlus} loading={isInviting}>
+              Invite
+            </Button>
+          </form>
+
+          {invitations.length > 0 && (
+            <div className="mt-4 divide-y divide-gray-200 dark:divide-gray-700">
+              {invitations.map((invitation) => (
+                <PersonRow
+                  key={invitation._id}
+                  person={{ email: invitation.email, name: "Pending invite" }}
+                >
+                  <Badge variant="warning" size="sm">
+                    {ROLE_LABELS[invitation.role]}
+                  </Badge>
+                  <button
+                    type="button"
+                    onClick={() => revokeInvitation(invitation)}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    aria-label={`Revoke invitation for ${invitation.email}`}
+                  >
+                    <FaTimes />
+                  </button>
+                </PersonRow>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default TripMembersPanel;
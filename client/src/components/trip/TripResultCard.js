@@ -13,12 +13,16 @@ import {
   FaDownload,
   FaPlus,
   FaEye,
+  FaExclamationTriangle,
+  FaSpinner,
 } from "react-icons/fa";
 
-const TripResultCard = ({ itinerary, formValues, onViewDetails }) => {
+const TripResultCard = ({ itinerary, formValues, onViewDetails, onCancel }) => {
   const [imageError, setImageError] = useState(false);
   const [isAddingTrip, setIsAddingTrip] = useState(false);
   const navigate = useNavigate();
+  const isFallback = itinerary.generation?.status === "fallback";
+  const isStreaming = !!itinerary.isStreaming;
 
   const handleDownloadPDF = () => {
     toast.success(
@@ -57,6 +61,7 @@ const TripResultCard = ({ itinerary, formValues, onViewDetails }) => {
         transport: formValues.transportation ? [formValues.transportation] : [],
         specialRequests: formValues.specialRequests || "",
         itinerary: {
+          generation: itinerary.generation?.id,
           dailyPlans: itinerary.itinerary || [],
           recommendations: itinerary.recommendations || {},
           totalEstimatedCost: itinerary.totalEstimatedCost,
@@ -160,12 +165,14 @@ const TripResultCard = ({ itinerary, formValues, onViewDetails }) => {
         </div>
 
         {/* Rating Badge (if available) - Hidden on mobile */}
-        <div className="hidden md:block absolute top-4 right-4">
-          <div className="bg-yellow-400 text-gray-900 px-2 md:px-3 py-1 md:py-2 rounded-full shadow-lg flex items-center gap-1">
-            <FaStar className="text-white" />
-            <span className="font-bold">AI Optimized</span>
+        {!isFallback && (
+          <div className="hidden md:block absolute top-4 right-4">
+            <div className="bg-yellow-400 text-gray-900 px-2 md:px-3 py-1 md:py-2 rounded-full shadow-lg flex items-center gap-1">
+              <FaStar className="text-white" />
+              <span className="font-bold">AI Optimized</span>
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Title and subtitle overlay */}
         <div className="absolute bottom-0 left-0 right-0 p-3 md:p-6 text-white">
@@ -181,6 +188,40 @@ const TripResultCard = ({ itinerary, formValues, onViewDetails }) => {
 
       {/* Trip Details Card */}
       <div className="p-3 md:p-8">
+        {/* Placeholder Warning */}
+        {isFallback && (
+          <div className="flex items-start gap-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-300 p-3 md:p-4 rounded-xl mb-6">
+            <FaExclamationTriangle className="mt-0.5 flex-shrink-0" />
+            <p className="text-sm">
+              The AI couldn't produce a complete itinerary for this trip, so
+              this is only a placeholder outline. Try generating again for
+              specific activities and restaurants.
+            </p>
+          </div>
+        )}
+
+        {/* Streaming Progress */}
+        {isStreaming && (
+          <div className="flex items-center justify-between gap-3 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 text-blue-700 dark:text-blue-300 p-3 md:p-4 rounded-xl mb-6">
+            <div className="flex items-center gap-3">
+              <FaSpinner className="animate-spin flex-shrink-0" />
+              <p className="text-sm">
+                Planned {itinerary.itinerary?.length || 0} of{" "}
+                {itinerary.duration} days. The rest is still being generated...
+              </p>
+            </div>
+            {onCancel && (
+              <button
+                type="button"
+                onClick={onCancel}
+                className="text-sm font-medium hover:text-red-600 underline flex-shrink-0"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Quick Stats */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
           <div className="bg-blue-50 dark:bg-blue-900/20 p-2 md:p-4 rounded-xl text-center">
@@ -0,0 +1,22 @@
+import React from "react";
+import { Badge } from "../ui";
+
+// Trip statuses are kept up to date by the server as the trip dates pass
+export const TRIP_STATUSES = {
+  draft: { label: "Draft", variant: "secondary" },
+  upcoming: { label: "Upcoming", variant: "primary" },
+  ongoing: { label: "In Progress", variant: "warning" },
+  completed: { label: "Completed", variant: "success" },
+  cancelled: { label: "Cancelled", variant: "danger" },
+};
+
+const TripStatusBadge = ({ status, className = "" }) => {
+  const { label, variant } = TRIP_STATUSES[status] || TRIP_STATUSES.draft;
+  return (
+    <Badge variant={variant} className={className}>
+      {label}
+    </Badge>
+  );
+};
+
+export default TripStatusBadge;
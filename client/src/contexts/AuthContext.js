@@ -1,7 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-hot-toast";
-import api from "../services/api";
+import api, { AI_QUOTA_EVENT } from "../services/api";
 
 const AuthContext = createContext();
 
@@ -10,6 +10,7 @@ const initialState = {
   token: localStorage.getItem("token"),
   isAuthenticated: false,
   loading: false, // Start false, only true when actually verifying
+  aiQuota: null, // { plan, limit, used, remaining, resetsAt } from the server
 };
 
 const authReducer = (state, action) => {
@@ -26,6 +27,7 @@ const authReducer = (state, action) => {
         token: action.payload.token,
         isAuthenticated: true,
         loading: false,
+        aiQuota: action.payload.user?.aiQuota || null,
       };
     case "AUTH_FAIL":
       return {
@@ -34,6 +36,7 @@ const authReducer = (state, action) => {
         token: null,
         isAuthenticated: false,
         loading: false,
+        aiQuota: null,
       };
     case "LOGOUT":
       return {
@@ -42,11 +45,20 @@ const authReducer = (state, action) => {
         token: null,
         isAuthenticated: false,
         loading: false,
+        aiQuota: null,
       };
     case "UPDATE_USER":
       return {
         ...state,
         user: action.payload,
+        aiQuota: action.payload?.aiQuota || state.aiQuota,
+      };
+    case "UPDATE_AI_QUOTA":
+      return {
+        ...state,
+        aiQuota: state.aiQuota
+          ? { ...state.aiQuota, ...action.payload }
+          : action.payload,
       };
     default:
       return state;
@@ -66,6 +78,15 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.token]);
 
+  // Keep the AI quota in sync with the headers on every AI response
+  useEffect(() => {
+    const handleQuota = (event) => {
+      dispatch({ type: "UPDATE_AI_QUOTA", payload: event.detail });
+    };
+    window.addEventListener(AI_QUOTA_EVENT, handleQuota);
+    return () => window.removeEventListener(AI_QUOTA_EVENT, handleQuota);
+  }, []);
+
   // Check if user is authenticated on app load
   useEffect(() => {
     const checkAuth = async () => {
@@ -222,11 +243,10 @@ export const AuthProvider = ({ children }) => {
     return permission !== "admin";
   };
 
+  // -1 means unlimited
   const getRemainingAiRequests = () => {
-    if (!state.user) return 0;
-
-    // Return unlimited requests (-1) for all users
-    return -1;
+    if (!state.user || !state.aiQuota) return 0;
+    return state.aiQuota.remaining;
   };
 
   const refreshUserData = async () => {
@@ -256,6 +276,7 @@ export const AuthProvider = ({ children }) => {
     changePassword,
     hasPermission,
     getRemainingAiRequests,
+    aiQuota: state.aiQuota,
     refreshUserData,
   };
 
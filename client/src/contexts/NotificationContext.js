@@ -1,7 +1,9 @@
 import React, { createContext, useContext, useReducer, useEffect } from "react";
 import io from "socket.io-client";
 import toast from "react-hot-toast";
+import { useQueryClient } from "@tanstack/react-query";
 import { useAuth } from "./AuthContext";
+import { notificationAPI } from "../services/api";
 
 // Initial state
 const initialState = {
@@ -12,11 +14,31 @@ const initialState = {
   realTimeData: {},
 };
 
+// What to tell members when a trip moves on by itself
+const TRIP_STATUS_MESSAGES = {
+  ongoing: (title) => `${title} has started. Have a great trip!`,
+  completed: (title) => `${title} has ended. Welcome back!`,
+};
+
+// Shape of a notification from the server's inbox (GET /api/notifications)
+const fromInbox = (notification) => ({
+  id: notification._id,
+  persisted: true,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  link: notification.link,
+  data: notification.data,
+  timestamp: new Date(notification.createdAt),
+  read: Boolean(notification.readAt),
+});
+
 // Action types
 const NotificationActionTypes = {
   CONNECT_SOCKET: "CONNECT_SOCKET",
   DISCONNECT_SOCKET: "DISCONNECT_SOCKET",
   ADD_NOTIFICATION: "ADD_NOTIFICATION",
+  SET_INBOX: "SET_INBOX",
   MARK_NOTIFICATION_READ: "MARK_NOTIFICATION_READ",
   MARK_ALL_READ: "MARK_ALL_READ",
   UPDATE_REAL_TIME_DATA: "UPDATE_REAL_TIME_DATA",
@@ -47,7 +69,22 @@ const notificationReducer = (state, action) => {
         unreadCount: state.unreadCount + 1,
       };
 
-    case NotificationActionTypes.MARK_NOTIFICATION_READ:
+    // Notifications stored on the server, followed by those only kept here
+    case NotificationActionTypes.SET_INBOX: {
+      const local = state.notifications.filter((n) => !n.persisted);
+      return {
+        ...state,
+        notifications: [...action.payload.notifications, ...local],
+        unreadCount:
+          action.payload.unreadCount + local.filter((n) => !n.read).length,
+      };
+    }
+
+    case NotificationActionTypes.MARK_NOTIFICATION_READ: {
+      const wasUnread = state.notifications.some(
+        (notification) =>
+          notification.id === action.payload && !notification.read
+      );
       return {
         ...state,
         notifications: state.notifications.map((notification) =>
@@ -55,8 +92,11 @@ const notificationReducer = (state, action) => {
             ? { ...notification, read: true }
             : notification
         ),
-        unreadCount: Math.max(0, state.unreadCount - 1),
+        unreadCount: wasUnread
+          ? Math.max(0, state.unreadCount - 1)
+          : state.unreadCount,
       };
+    }
 
     case NotificationActionTypes.MARK_ALL_READ:
       return {
@@ -107,6 +147,25 @@ export const useNotifications = () => {
 export const NotificationProvider = ({ children }) => {
   const [state, dispatch] = useReducer(notificationReducer, initialState);
   const { user, isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+
+  // Load the inbox once the user is known
+  useEffect(() => {
+    if (!isAuthenticated || !user) return;
+
+    notificationAPI
+      .getNotifications({ limit: 20 })
+      .then((response) =>
+        dispatch({
+          type: NotificationActionTypes.SET_INBOX,
+          payload: {
+            notifications: response.data.notifications.map(fromInbox),
+            unreadCount: response.data.unreadCount,
+          },
+        })
+      )
+      .catch((error) => console.log("Could not load notifications:", error));
+  }, [isAuthenticated, user]);
 
   // Connect to Socket.IO when user is authenticated
   useEffect(() => {
@@ -114,10 +173,9 @@ export const NotificationProvider = ({ children }) => {
       const socketUrl =
         process.env.REACT_APP_API_URL?.replace("/api", "") ||
         "http://localhost:5000";
+      // Read on every (re)connect so a refreshed access token is picked up
       const newSocket = io(socketUrl, {
-        auth: {
-          token: localStorage.getItem("token"),
-        },
+        auth: (cb) => cb({ token: localStorage.getItem("token") }),
       });
 
       dispatch({
@@ -135,21 +193,44 @@ export const NotificationProvider = ({ children }) => {
         dispatch({ type: NotificationActionTypes.DISCONNECT_SOCKET });
       });
 
-      // Trip-related events
-      newSocket.on("trip-updated", (data) => {
-        addNotification({
-          type: "trip",
-          title: "Trip Updated",
-          message: `Your trip "${data.tripName}" has been updated.`,
-          data,
-        });
+      // The server does not retry a rejected handshake; try again once the
+      // API client has had a chance to refresh the access token
+      newSocket.on("connect_error", (error) => {
+        console.log("Socket connection rejected:", error.message);
+        if (error.message?.startsWith("Token expired")) {
+          setTimeout(() => newSocket.connect(), 5000);
+        }
+      });
 
+      // Trip-related events. Edits by others also arrive as a persisted
+      // "trip-edited" notification, so none is added here.
+      newSocket.on("trip-changed", (data) => {
         dispatch({
           type: NotificationActionTypes.UPDATE_REAL_TIME_DATA,
           payload: { key: "tripUpdate", data },
         });
       });
 
+      // Scheduled status changes of trips the user owns or is a member of
+      newSocket.on("trip-status", (data) => {
+        queryClient.setQueryData(["trip", data.tripId], (trip) =>
+          trip ? { ...trip, status: data.status } : trip
+        );
+        ["trips", "sharedTrips", "userTrips"].forEach((key) =>
+          queryClient.invalidateQueries({ queryKey: [key] })
+        );
+
+        const message = TRIP_STATUS_MESSAGES[data.status];
+        if (message) {
+          addNotification({
+            type: "trip",
+            title: "Trip Status",
+            message: message(data.title),
+            data,
+          });
+        }
+      });
+
       // Payment-related events
       newSocket.on("payment-success", (data) => {
         addNotification({
@@ -241,16 +322,21 @@ export const NotificationProvider = ({ children }) => {
         });
       }
 
-      // General notifications
+      // General notifications; those with an _id were stored in the inbox
       newSocket.on("notification", (data) => {
-        addNotification(data);
+        if (data._id) {
+          addNotification(fromInbox(data));
+          toast(data.title, { icon: "🔔" });
+        } else {
+          addNotification(data);
+        }
       });
 
       return () => {
         newSocket.disconnect();
       };
     }
-  }, [isAuthenticated, user, state.socket]);
+  }, [isAuthenticated, user, state.socket, queryClient]);
 
   // Disconnect socket when user logs out
   useEffect(() => {
@@ -280,17 +366,30 @@ export const NotificationProvider = ({ children }) => {
     }
   };
 
-  // Mark notification as read
+  // Mark notification as read, in the inbox too when it is stored there
   const markAsRead = (notificationId) => {
+    const notification = state.notifications.find(
+      (n) => n.id === notificationId
+    );
     dispatch({
       type: NotificationActionTypes.MARK_NOTIFICATION_READ,
       payload: notificationId,
     });
+    if (notification?.persisted && !notification.read) {
+      notificationAPI
+        .markRead(notificationId)
+        .catch((error) => console.log("Could not mark as read:", error));
+    }
   };
 
   // Mark all notifications as read
   const markAllAsRead = () => {
     dispatch({ type: NotificationActionTypes.MARK_ALL_READ });
+    if (state.notifications.some((n) => n.persisted && !n.read)) {
+      notificationAPI
+        .markAllRead()
+        .catch((error) => console.log("Could not mark as read:", error));
+    }
   };
 
   // Clear all notifications
@@ -298,12 +397,18 @@ export const NotificationProvider = ({ children }) => {
     dispatch({ type: NotificationActionTypes.CLEAR_NOTIFICATIONS });
   };
 
-  // Join trip room for real-time updates
-  const joinTripRoom = (tripId) => {
-    if (state.socket) {
-      state.socket.emit("join-trip", tripId);
-    }
-  };
+  // Send an event and resolve with the server's acknowledgement
+  const request = (event, payload) =>
+    new Promise((resolve) => {
+      if (!state.socket?.connected) {
+        resolve({ success: false, message: "Not connected" });
+        return;
+      }
+      state.socket.emit(event, payload, resolve);
+    });
+
+  // Join trip room for real-time updates; the server checks access
+  const joinTripRoom = (tripId) => request("join-trip", tripId);
 
   // Leave trip room
   const leaveTripRoom = (tripId) => {
@@ -312,12 +417,10 @@ export const NotificationProvider = ({ children }) => {
     }
   };
 
-  // Send trip update
-  const sendTripUpdate = (tripData) => {
-    if (state.socket) {
-      state.socket.emit("trip-update", tripData);
-    }
-  };
+  // Apply itinerary operations on the server, based on `version`. Resolves
+  // with { success, version, days } or { conflict: true } when stale.
+  const editTrip = (tripId, version, operations) =>
+    request("trip-edit", { tripId, version, operations });
 
   const value = {
     ...state,
@@ -327,7 +430,7 @@ export const NotificationProvider = ({ children }) => {
     clearNotifications,
     joinTripRoom,
     leaveTripRoom,
-    sendTripUpdate,
+    editTrip,
   };
 
   return (
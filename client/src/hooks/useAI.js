@@ -1,3 +1,4 @@
+import { useCallback, useEffect, useRef, useState } from "react";
 import { useMutation, useQuery } from "@tanstack/react-query";
 import { aiAPI, handleApiError } from "../services/api";
 import { useNotifications } from "../contexts/NotificationContext";
@@ -31,6 +32,66 @@ export const useGenerateItinerary = () => {
   });
 };
 
+// Streams an itinerary day by day. `itinerary` holds the days received so
+// far (flagged with isStreaming) and is replaced by the final payload once
+// the server sends it. Unmounting or calling cancel() aborts generation.
+export const useItineraryStream = () => {
+  const [itinerary, setItinerary] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const controllerRef = useRef(null);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  useEffect(() => cancel, [cancel]);
+
+  const start = useCallback(async (itineraryData) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setItinerary(null);
+    setIsStreaming(true);
+
+    let result = null;
+    try {
+      await aiAPI.streamItinerary(itineraryData, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === "meta") {
+            setItinerary({ ...data, itinerary: [], isStreaming: true });
+          } else if (event === "day") {
+            setItinerary((prev) => ({
+              ...prev,
+              itinerary: [...(prev?.itinerary || []), data],
+            }));
+          } else if (event === "complete") {
+            result = data;
+            setItinerary(data);
+          } else if (event === "error") {
+            throw new Error(data.message);
+          }
+        },
+      });
+
+      if (!result) {
+        throw new Error("The connection closed before the itinerary was complete");
+      }
+      return result;
+    } finally {
+      // Stops the upstream generation too if we bailed out early
+      controller.abort();
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsStreaming(false);
+      }
+    }
+  }, []);
+
+  return { start, cancel, itinerary, isStreaming };
+};
+
 export const useOptimizeItinerary = () => {
   const { notify, setLoading } = useNotifications();
 
@@ -0,0 +1,224 @@
+import { useRef, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import { tripAPI, handleApiError } from "../services/api";
+
+// Where an activity is in the itinerary: { dayIndex, index, activity }
+export const locateActivity = (trip, activityId) => {
+  const days = trip?.itinerary?.days || [];
+  for (let dayIndex = 0; dayIndex < days.length; dayIndex++) {
+    const index = (days[dayIndex].activities || []).findIndex(
+      (activity) => activity._id === activityId
+    );
+    if (index !== -1) {
+      return { dayIndex, index, activity: days[dayIndex].activities[index] };
+    }
+  }
+  return null;
+};
+
+/**
+ * In-place itinerary editing with undo and redo
+ * An edit is a list of steps, each saved straight away through the day and
+ * activity endpoints against the cached trip version:
+ *
+ *   { type: "update", activityId, changes }
+ *   { type: "move", activityId, toDayIndex, position }
+ *   { type: "add", dayIndex, activity, position? }
+ *   { type: "remove", activityId }
+ *
+ * Running a step yields the step that reverses it, so undoing an edit gives
+ * the edit that redoes it. An edit that fails part way keeps the steps that
+ * were saved in the history. When the trip changed elsewhere in the meantime
+ * (409) it is reloaded and the history dropped, as its positions are stale.
+ */
+export const useItineraryEditor = (tripId) => {
+  const queryClient = useQueryClient();
+  const history = useRef({ undo: [], redo: [] });
+  const queue = useRef(Promise.resolve());
+  // Activities put back by an undo get new ids; older steps follow them here
+  const renamed = useRef({});
+  const [, setHistoryVersion] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const currentTrip = () => queryClient.getQueryData(["trip", tripId]);
+
+  const resolveId = (activityId) => {
+    let id = activityId;
+    while (renamed.current[id]) id = renamed.current[id];
+    return id;
+  };
+
+  const save = async (request) => {
+    const response = await request({ version: currentTrip()?.version });
+    queryClient.setQueryData(["trip", tripId], response.data.trip);
+    return response.data.trip;
+  };
+
+  const runStep = async (step) => {
+    if (step.type === "add") {
+      const before = new Set(
+        currentTrip().itinerary.days[step.dayIndex].activities.map(
+          (activity) => activity._id
+        )
+      );
+      const saved = await save((data) =>
+        tripAPI.addActivity(tripId, step.dayIndex, {
+          ...step.activity,
+          ...data,
+          position: step.position,
+        })
+      );
+      const added = saved.itinerary.days[step.dayIndex].activities.find(
+        (activity) => !before.has(activity._id)
+      );
+      if (step.replaces) renamed.current[step.replaces] = added._id;
+      return { type: "remove", activityId: added._id };
+    }
+
+    const activityId = resolveId(step.activityId);
+    const found = locateActivity(currentTrip(), activityId);
+    if (!found) throw new Error("This activity no longer exists");
+    const { dayIndex, index, activity } = found;
+
+    if (step.type === "update") {
+      // Notes can be cleared; other fields are only put back if they were set
+      const previous = Object.fromEntries(
+        Object.keys(step.changes)
+          .filter((field) => activity[field] !== undefined)
+          .map((field) => [field, activity[field]])
+      );
+      if ("description" in step.changes && !("description" in previous)) {
+        previous.description = "";
+      }
+      await save((data) =>
+        tripAPI.updateActivity(tripId, dayIndex, activityId, {
+          ...step.changes,
+          ...data,
+        })
+      );
+      return { type: "update", activityId, changes: previous };
+    }
+
+    if (step.type === "move") {
+      await save((data) =>
+        tripAPI.moveActivity(tripId, dayIndex, activityId, step.toDayIndex, {
+          ...data,
+          position: step.position,
+        })
+      );
+      return {
+        type: "move",
+        activityId,
+        toDayIndex: dayIndex,
+        position: index,
+      };
+    }
+
+    await save((data) =>
+      tripAPI.removeActivity(tripId, dayIndex, activityId, data)
+    );
+    const { _id, ...removed } = activity;
+    return {
+      type: "add",
+      dayIndex,
+      activity: removed,
+      position: index,
+      replaces: activityId,
+    };
+  };
+
+  // Steps run in order; the reversing steps run in the opposite order. When
+  // a step fails, the error carries the reversing steps of the ones already
+  // saved (`reverse`) and the steps that did not run (`remaining`).
+  const runSteps = async (steps) => {
+    const reverse = [];
+    for (const [index, step] of steps.entries()) {
+      try {
+        reverse.unshift(await runStep(step));
+      } catch (error) {
+        error.reverse = reverse;
+        error.remaining = steps.slice(index);
+        throw error;
+      }
+    }
+    return reverse;
+  };
+
+  const record = (stack, label, steps) => {
+    if (steps.length > 0) history.current[stack].push({ label, steps });
+  };
+
+  // One save at a time, so each is based on the version the last one left
+  const enqueue = (task) => {
+    const run = queue.current.then(async () => {
+      setIsSaving(true);
+      try {
+        await task();
+        return true;
+      } catch (error) {
+        const { status, message } = handleApiError(error);
+        if (status === 409 || status === 404) {
+          toast.error(
+            "This trip was changed elsewhere. It has been reloaded and the undo history cleared."
+          );
+          history.current = { undo: [], redo: [] };
+          renamed.current = {};
+        } else {
+          toast.error(message);
+        }
+        queryClient.invalidateQueries({ queryKey: ["trip", tripId] });
+        return false;
+      } finally {
+        setIsSaving(false);
+        setHistoryVersion((version) => version + 1);
+      }
+    });
+    queue.current = run;
+    return run;
+  };
+
+  // An edit that fails part way is recorded as far as it got, so the
+  // history still matches what was saved
+  const apply = (label, steps) => {
+    const recordEdit = (reverse) => {
+      record("undo", label, reverse);
+      if (reverse.length > 0) history.current.redo = [];
+    };
+    return enqueue(async () => {
+      try {
+        recordEdit(await runSteps(steps));
+      } catch (error) {
+        recordEdit(error.reverse || []);
+        throw error;
+      }
+    });
+  };
+
+  const replay = (from, to) =>
+    enqueue(async () => {
+      const entry = history.current[from].pop();
+      if (!entry) return;
+      try {
+        record(to, entry.label, await runSteps(entry.steps));
+      } catch (error) {
+        // What ran can be replayed back; what did not stays where it was
+        record(to, entry.label, error.reverse || []);
+        record(from, entry.label, error.remaining || entry.steps);
+        throw error;
+      }
+    });
+
+  const { undo, redo } = history.current;
+
+  return {
+    apply,
+    undo: () => replay("undo", "redo"),
+    redo: () => replay("redo", "undo"),
+    canUndo: undo.length > 0,
+    canRedo: redo.length > 0,
+    undoLabel: undo[undo.length - 1]?.label,
+    redoLabel: redo[redo.length - 1]?.label,
+    isSaving,
+  };
+};
@@ -1,8 +1,10 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
 import { useNotifications } from "../contexts/NotificationContext";
+import { useAuth } from "../contexts/AuthContext";
 
 export const useSocket = () => {
-  const { socket, isConnected, joinTripRoom, leaveTripRoom, sendTripUpdate } =
+  const { socket, isConnected, joinTripRoom, leaveTripRoom, editTrip } =
     useNotifications();
 
   return {
@@ -10,6 +12,103 @@ export const useSocket = () => {
     isConnected,
     joinTripRoom,
     leaveTripRoom,
-    sendTripUpdate,
+    editTrip,
+  };
+};
+
+// Cached trip with the days an edit changed swapped in
+const withChangedDays = (trip, { days, totalCost, version }) => ({
+  ...trip,
+  version,
+  itinerary: {
+    ...trip.itinerary,
+    totalCost,
+    days: trip.itinerary.days.map(
+      (day) => days.find((changed) => changed.day === day.day) || day
+    ),
+  },
+});
+
+/**
+ * Live collaboration on one trip
+ * Joins the trip's room while mounted and keeps the ["trip", tripId] query
+ * in step with changes made by other people. Returns the other users viewing
+ * the trip and `editTrip(operations)`, which applies itinerary operations on
+ * the server against the cached version.
+ */
+export const useTripRoom = (tripId, { onDeleted } = {}) => {
+  const { socket, joinTripRoom, leaveTripRoom, editTrip } = useNotifications();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [viewers, setViewers] = useState([]);
+  const onDeletedRef = useRef(onDeleted);
+  onDeletedRef.current = onDeleted;
+
+  useEffect(() => {
+    if (!socket || !tripId) return undefined;
+
+    const join = () => joinTripRoom(tripId);
+
+    const handleChange = (event) => {
+      if (event.tripId !== tripId) return;
+
+      if (event.source === "delete") {
+        if (event.user?.id !== user?.id && onDeletedRef.current) {
+          onDeletedRef.current(event);
+        }
+        return;
+      }
+
+      const cached = queryClient.getQueryData(["trip", tripId]);
+      const cachedVersion = cached?.version ?? 0;
+      if (cached && event.version <= cachedVersion) return;
+
+      // Edits that follow straight on from our copy can be merged in place;
+      // anything else (missed events, whole-trip updates) means a reload
+      if (cached && event.days && event.version === cachedVersion + 1) {
+        queryClient.setQueryData(
+          ["trip", tripId],
+          withChangedDays(cached, event)
+        );
+      } else {
+        queryClient.invalidateQueries({ queryKey: ["trip", tripId] });
+      }
+    };
+
+    const handlePresence = (event) => {
+      if (event.tripId === tripId) setViewers(event.users);
+    };
+
+    if (socket.connected) join();
+    socket.on("connect", join); // rooms are lost on reconnect
+    socket.on("trip-changed", handleChange);
+    socket.on("trip-presence", handlePresence);
+
+    return () => {
+      socket.off("connect", join);
+      socket.off("trip-changed", handleChange);
+      socket.off("trip-presence", handlePresence);
+      leaveTripRoom(tripId);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, tripId, user?.id]);
+
+  const edit = async (operations) => {
+    const cached = queryClient.getQueryData(["trip", tripId]);
+    const result = await editTrip(tripId, cached?.version ?? 0, operations);
+
+    if (result.success) {
+      queryClient.setQueryData(["trip", tripId], (current) =>
+        current ? withChangedDays(current, result) : current
+      );
+    } else if (result.conflict) {
+      queryClient.invalidateQueries({ queryKey: ["trip", tripId] });
+    }
+    return result;
+  };
+
+  return {
+    viewers: viewers.filter((viewer) => viewer.id !== user?.id),
+    editTrip: edit,
   };
 };
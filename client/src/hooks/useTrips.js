@@ -5,7 +5,7 @@ import { useNotifications } from "../contexts/NotificationContext";
 // Query keys
 const QUERY_KEYS = {
   trips: ["trips"],
-  trip: (id) => ["trips", id],
+  trip: (id) => ["trip", id], // shared with the trip pages
   tripStats: ["trips", "stats"],
   upcomingTrips: ["trips", "upcoming"],
   pastTrips: ["trips", "past"],
@@ -30,7 +30,7 @@ export const useTrip = (id) => {
     queryKey: QUERY_KEYS.trip(id),
     queryFn: async () => {
       const response = await tripAPI.getTripById(id);
-      return response.data;
+      return response.data.trip;
     },
     enabled: !!id,
     staleTime: 5 * 60 * 1000, // 5 minutes
@@ -110,23 +110,169 @@ export const useCreateTrip = () => {
   });
 };
 
-// Update trip mutation
-export const useUpdateTrip = () => {
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Total of an itinerary as the server's Trip.sumTripCost works it out: the
+// activity and meal costs of every day plus the transfers between legs
+const sumTripCost = (days = [], legs = []) =>
+  days.reduce(
+    (sum, day) =>
+      [...(day.activities || []), ...(day.meals || [])].reduce(
+        (daySum, entry) => daySum + (entry.cost?.amount || 0),
+        sum
+      ),
+    0
+  ) + legs.reduce((sum, leg) => sum + (leg.transfer?.cost?.amount || 0), 0);
+
+// Day-by-day merge of two edits of the same itinerary; null when the days
+// cannot be lined up (one side added or removed days)
+const mergeDays = (baseDays = [], myDays = [], theirDays = [], prefer) => {
+  if (
+    myDays.length !== baseDays.length ||
+    theirDays.length !== baseDays.length
+  ) {
+    return null;
+  }
+
+  const conflicts = [];
+  const days = baseDays.map((baseDay, index) => {
+    const mine = myDays[index];
+    const theirs = theirDays[index];
+    if (same(mine, baseDay)) return theirs;
+    if (same(theirs, baseDay) || same(mine, theirs)) return mine;
+    conflicts.push(`itinerary.days.${index}`);
+    return prefer === "mine" ? mine : theirs;
+  });
+  return { days, conflicts };
+};
+
+/**
+ * Three-way merge of an update onto a newer server copy of the trip
+ * `base` is the trip the changes were made to, `mine` the changed fields
+ * and `theirs` the server copy. Fields only one side changed merge cleanly,
+ * and itinerary days are compared one by one. Returns { changes, conflicts }:
+ * the update to send on top of `theirs`, and the fields (or
+ * "itinerary.days.N") both sides changed differently. Conflicts keep the
+ * server value unless `prefer` is "mine".
+ */
+export const mergeTripChanges = (base, mine, theirs, prefer = "theirs") => {
+  const changes = {};
+  const conflicts = [];
+  let mergedDays = null;
+
+  Object.entries(mine).forEach(([field, value]) => {
+    if (same(value, base[field])) return;
+    if (same(base[field], theirs[field]) || same(value, theirs[field])) {
+      changes[field] = value;
+      return;
+    }
+
+    const merged =
+      field === "itinerary" &&
+      mergeDays(
+        base.itinerary?.days,
+        value?.days,
+        theirs.itinerary?.days,
+        prefer
+      );
+    if (merged) {
+      conflicts.push(...merged.conflicts);
+      mergedDays = merged.days;
+      return;
+    }
+
+    conflicts.push(field);
+    if (prefer === "mine") changes[field] = value;
+  });
+
+  // Merged days get a new total, with the legs that will be saved
+  if (mergedDays) {
+    changes.itinerary = {
+      ...theirs.itinerary,
+      days: mergedDays,
+      totalCost: {
+        ...theirs.itinerary?.totalCost,
+        amount: sumTripCost(mergedDays, changes.legs || theirs.legs),
+      },
+    };
+  }
+
+  return { changes, conflicts };
+};
+
+const describeConflict = (path) => {
+  const day = path.match(/^itinerary\.days\.(\d+)$/);
+  return day ? `day ${Number(day[1]) + 1}` : path;
+};
+
+// Default resolution: ask whether to keep our version of the fields both
+// sides changed, or theirs
+const confirmConflict = ({ conflicts }) =>
+  window.confirm(
+    `Someone else also changed ${conflicts
+      .map(describeConflict)
+      .join(", ")} of this trip.\n\n` +
+      "OK keeps your version of these, Cancel keeps theirs."
+  )
+    ? "mine"
+    : "theirs";
+
+/**
+ * Update trip mutation
+ * Saves against the version of the trip the changes were made to (`base`,
+ * by default the cached trip). When someone else saved in between, the
+ * server answers 409 with its copy; the changes are merged onto it and
+ * saved again. Conflicting fields are settled by `onConflict`, which
+ * resolves to "mine", "theirs" or null to give up.
+ */
+export const useUpdateTrip = ({ onConflict = confirmConflict } = {}) => {
   const queryClient = useQueryClient();
   const { notify } = useNotifications();
 
   return useMutation({
-    mutationFn: async ({ id, ...tripData }) => {
-      const response = await tripAPI.updateTrip(id, tripData);
-      return response.data;
+    mutationFn: async ({ id, base, version: _version, ...changes }) => {
+      const original = base || queryClient.getQueryData(QUERY_KEYS.trip(id));
+      const save = async (update, version) => {
+        const response = await tripAPI.updateTrip(id, { ...update, version });
+        return response.data;
+      };
+
+      try {
+        return await save(changes, original?.version);
+      } catch (error) {
+        const theirs =
+          error.response?.status === 409 && error.response.data.trip;
+        if (!theirs || !original) throw error;
+
+        let { changes: merged, conflicts } = mergeTripChanges(
+          original,
+          changes,
+          theirs
+        );
+        if (conflicts.length > 0) {
+          const choice = await onConflict({ conflicts, mine: changes, theirs });
+          if (!choice) {
+            queryClient.setQueryData(QUERY_KEYS.trip(id), theirs);
+            throw error;
+          }
+          merged = mergeTripChanges(original, changes, theirs, choice).changes;
+        }
+
+        const data = await save(merged, theirs.version);
+        return { ...data, merged: true, conflicts };
+      }
     },
     onSuccess: (data) => {
       // Update specific trip query
-      queryClient.setQueryData(QUERY_KEYS.trip(data.id), data);
+      queryClient.setQueryData(QUERY_KEYS.trip(data.trip._id), data.trip);
       // Invalidate trips list
       queryClient.invalidateQueries({ queryKey: QUERY_KEYS.trips });
 
-      notify.success(`Trip "${data.title}" updated successfully!`);
+      notify.success(
+        data.merged
+          ? `Trip "${data.trip.title}" updated and merged with changes from someone else`
+          : `Trip "${data.trip.title}" updated successfully!`
+      );
     },
     onError: (error) => {
       const { message } = handleApiError(error);
@@ -184,11 +330,33 @@ export const useCloneTrip = () => {
   });
 };
 
-// Optimistic update helper
-export const useOptimisticTripUpdate = () => {
+/**
+ * Optimistic trip update
+ * Returns `(tripId, changes) => Promise`: the cached trip shows the changes
+ * at once while they are saved through useUpdateTrip, including its
+ * conflict merge. A failed save puts the previous copy back, unless a newer
+ * one arrived meanwhile.
+ */
+export const useOptimisticTripUpdate = (options) => {
   const queryClient = useQueryClient();
+  const { mutateAsync } = useUpdateTrip(options);
+
+  return async (tripId, changes) => {
+    const key = QUERY_KEYS.trip(tripId);
+    const previous = queryClient.getQueryData(key);
+    queryClient.setQueryData(key, (current) =>
+      current ? { ...current, ...changes } : current
+    );
 
-  return (tripId, updater) => {
-    queryClient.setQueryData(QUERY_KEYS.trip(tripId), updater);
+    try {
+      return await mutateAsync({ id: tripId, base: previous, ...changes });
+    } catch (error) {
+      queryClient.setQueryData(key, (current) =>
+        current && previous && current.version === previous.version
+          ? previous
+          : current
+      );
+      throw error;
+    }
   };
 };
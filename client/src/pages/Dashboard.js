@@ -4,8 +4,10 @@ import { Link, useNavigate } from "react-router-dom";
 import { toast } from "react-hot-toast";
 import { useAuth } from "../contexts/AuthContext";
 import { useApi } from "../hooks/useApi";
+import { useTripStats } from "../hooks/useTrips";
 import { userAPI, tripAPI, aiAPI } from "../services/api";
 import { Card, Button, LoadingSpinner, Badge } from "../components/ui";
+import { rateLabel } from "../components/trip/ConvertedAmount";
 import {
   FaPlane,
   FaMapMarkedAlt,
@@ -36,6 +38,10 @@ const Dashboard = () => {
     () => aiAPI.getRecommendations().then((res) => res.data.data || res.data)
   );
 
+  // Planned costs of all trips, in the user's preferred currency
+  const { data: tripStats } = useTripStats();
+  const costs = tripStats?.stats;
+
   const remainingAiRequests = getRemainingAiRequests();
 
   // Function to refresh recommendations
@@ -48,7 +54,9 @@ const Dashboard = () => {
       toast.success("New trip recommendations generated!");
     } catch (error) {
       console.error("Error refreshing recommendations:", error);
-      toast.error("Failed to generate new recommendations");
+      toast.error(
+        error.response?.data?.message || "Failed to generate new recommendations"
+      );
     }
   };
 
@@ -75,21 +83,14 @@ const Dashboard = () => {
     },
   ];
 
-  // Calculate upcoming and completed trips (excluding drafts)
-  const upcomingTrips =
-    nonDraftTrips?.filter((trip) => {
-      const startDate = new Date(trip.startDate);
-      const now = new Date();
-      return startDate > now;
-    }).length || 0;
+  // Upcoming and completed trips, by the status the server keeps up to date
+  const upcomingTrips = nonDraftTrips.filter(
+    (trip) => trip.status === "upcoming"
+  ).length;
 
-  const completedTrips =
-    nonDraftTrips?.filter((trip) => {
-      const endDate = new Date(trip.endDate);
-      const now = new Date();
-      // Show trips where end date has passed
-      return endDate < now;
-    }).length || 0;
+  const completedTrips = nonDraftTrips.filter(
+    (trip) => trip.status === "completed"
+  ).length;
 
   const statsCards = [
     {
@@ -212,6 +213,28 @@ const Dashboard = () => {
           ))}
         </motion.div>
 
+        {costs?.overview.totalCost > 0 && (
+          <p className="-mt-1 md:-mt-2 mb-4 md:mb-6 text-xs md:text-sm text-gray-600 dark:text-gray-400">
+            Planned spending across your trips:{" "}
+            <span className="font-semibold text-gray-900 dark:text-white">
+              {costs.overview.currency}{" "}
+              {costs.overview.totalCost.toLocaleString("en-US", {
+                maximumFractionDigits: 2,
+              })}
+            </span>
+            {costs.costConversion.rates.length > 0 &&
+              ` (${costs.costConversion.rates
+                .map((rate) =>
+                  rateLabel(rate.from, { ...rate, currency: rate.to })
+                )
+                .join("; ")})`}
+            {costs.costConversion.unconverted.length > 0 &&
+              `, not counting ${costs.costConversion.unconverted
+                .map((cost) => `${cost.currency} ${cost.amount}`)
+                .join(", ")} without an exchange rate`}
+          </p>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
           {/* Quick Actions */}
           <motion.div
@@ -311,13 +334,25 @@ const Dashboard = () => {
                         <p className="text-[10px] md:text-xs text-gray-600 dark:text-gray-300 mt-1 leading-relaxed line-clamp-2">
                           {rec.highlights}
                         </p>
+                        {rec.whyRecommended && (
+                          <p
+                            className="text-[10px] md:text-xs text-purple-700 dark:text-purple-300 mt-1 leading-relaxed italic"
+                            title={rec.reasons
+                              ?.map((reason) => reason.text)
+                              .join("\n")}
+                          >
+                            {rec.whyRecommended}
+                          </p>
+                        )}
                         <div className="flex items-center mt-2 space-x-2 flex-wrap gap-y-1">
                           <Badge
                             variant="secondary"
                             size="sm"
                             className="text-[10px] md:text-sm font-semibold"
                           >
-                            ₹{rec.estimatedCost?.min?.toLocaleString()}
+                            {rec.localCost
+                              ? `${rec.localCost.currency} ${rec.localCost.min.toLocaleString()}`
+                              : `₹${rec.estimatedCost?.min?.toLocaleString()}`}
                           </Badge>
                           <Badge variant="secondary" size="sm" className="text-[10px] md:text-sm">
                             {rec.duration} days
@@ -448,13 +483,15 @@ const Dashboard = () => {
                     <div className="flex items-center justify-between text-xs md:text-sm text-gray-500 dark:text-gray-400 mb-0 md:mb-1">
                       <div className="flex items-center">
                         <span className="font-medium text-gray-900 dark:text-white mr-1">
-                          ₹
+                          {(trip.preferences?.budget?.max
+                            ? trip.preferences.budget.currency
+                            : trip.itinerary?.totalCost?.currency) || ""}{" "}
                           {(
                             trip.preferences?.budget?.max ||
                             trip.itinerary?.totalCost?.amount ||
                             trip.totalCost ||
                             0
-                          ).toLocaleString("en-IN")}
+                          ).toLocaleString("en-US")}
                         </span>
                         <span className="text-xs text-gray-400 hidden md:inline">Budget</span>
                       </div>
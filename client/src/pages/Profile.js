@@ -1,22 +1,32 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { motion } from "framer-motion";
 import { toast } from "react-hot-toast";
 import { useAuth } from "../contexts/AuthContext";
 import { userAPI } from "../services/api";
 import { Card, Button, Input, LoadingSpinner } from "../components/ui";
+import NotificationSettings from "../components/profile/NotificationSettings";
 import {
   FaUser,
   FaEnvelope,
+  FaCoins,
   FaLock,
   FaShieldAlt,
   FaSave,
   FaEye,
   FaEyeSlash,
+  FaBell,
 } from "react-icons/fa";
 
+// Currencies the server can show amounts in (User.preferences.currency)
+const CURRENCIES = ["USD", "EUR", "GBP", "INR", "JPY", "AUD", "CAD"];
+
 const Profile = () => {
   const { user, updateUser } = useAuth();
-  const [activeTab, setActiveTab] = useState("details");
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(
+    searchParams.get("tab") || "details"
+  );
   const [isLoading, setIsLoading] = useState(false);
   const [showPasswords, setShowPasswords] = useState({
     current: false,
@@ -29,6 +39,7 @@ const Profile = () => {
     firstName: user?.name?.split(" ")[0] || "",
     lastName: user?.name?.split(" ")[1] || "",
     email: user?.email || "",
+    currency: user?.preferences?.currency || "USD",
   });
 
   // Password State
@@ -38,6 +49,12 @@ const Profile = () => {
     confirmPassword: "",
   });
 
+  // Links such as /profile?tab=notifications open a tab
+  useEffect(() => {
+    const tab = searchParams.get("tab");
+    if (tab) setActiveTab(tab);
+  }, [searchParams]);
+
   const handleProfileChange = (e) => {
     setProfileData({
       ...profileData,
@@ -67,13 +84,24 @@ const Profile = () => {
       const fullName =
         `${profileData.firstName} ${profileData.lastName}`.trim();
 
+      // preferences is replaced as a whole
+      const preferences = {
+        ...user?.preferences,
+        currency: profileData.currency,
+      };
       const response = await userAPI.updateProfile({
         name: fullName,
         email: profileData.email,
+        preferences,
       });
 
       if (response.data.success) {
-        updateUser({ ...user, name: fullName, email: profileData.email });
+        updateUser({
+          ...user,
+          name: fullName,
+          email: profileData.email,
+          preferences,
+        });
         toast.success("Profile updated successfully!");
       }
     } catch (error) {
@@ -167,6 +195,17 @@ const Profile = () => {
             <FaShieldAlt className="inline-block mr-2" />
             Security
           </button>
+          <button
+            onClick={() => setActiveTab("notifications")}
+            className={`flex-1 py-2 px-4 md:py-3 md:px-6 text-sm md:text-base rounded-xl font-semibold transition-all duration-300 ${
+              activeTab === "notifications"
+                ? "bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-lg"
+                : "bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+            }`}
+          >
+            <FaBell className="inline-block mr-2" />
+            Notifications
+          </button>
         </motion.div>
 
         {/* Profile Details Tab */}
@@ -218,6 +257,33 @@ const Profile = () => {
                   required
                 />
 
+                <div>
+                  <label
+                    htmlFor="currency"
+                    className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 mb-2"
+                  >
+                    <FaCoins className="mr-2 text-gray-400" />
+                    Preferred Currency
+                  </label>
+                  <select
+                    id="currency"
+                    name="currency"
+                    value={profileData.currency}
+                    onChange={handleProfileChange}
+                    className="block w-full px-3 py-2 md:py-3 text-sm md:text-base border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                  >
+                    {CURRENCIES.map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Trip costs, budgets and statistics are also shown in this
+                    currency, converted with the exchange rates on file.
+                  </p>
+                </div>
+
                 <div className="flex flex-col md:flex-row items-center justify-between gap-4 md:gap-0 pt-4">
                   <p className="hidden md:block text-sm text-gray-600 dark:text-gray-400">
                     Trusted Traveler
@@ -339,6 +405,18 @@ const Profile = () => {
             </Card>
           </motion.div>
         )}
+
+        {/* Notifications Tab */}
+        {activeTab === "notifications" && (
+          <motion.div
+            key="notifications"
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -20 }}
+          >
+            <NotificationSettings />
+          </motion.div>
+        )}
       </div>
     </div>
   );
@@ -4,8 +4,20 @@ import { motion } from "framer-motion";
 import { toast } from "react-hot-toast";
 import jsPDF from "jspdf";
 import { useApi } from "../hooks/useApi";
+import { useTripRoom } from "../hooks/useSocket";
 import { tripAPI } from "../services/api";
-import { Card, Button, LoadingSpinner, Badge } from "../components/ui";
+import { Card, Button, LoadingSpinner } from "../components/ui";
+import RegenerateDayModal from "../components/trip/RegenerateDayModal";
+import TripChatPanel from "../components/trip/TripChatPanel";
+import MealList from "../components/trip/MealList";
+import RouteSummary from "../components/trip/RouteSummary";
+import TripMembersPanel from "../components/trip/TripMembersPanel";
+import TripHistoryPanel from "../components/trip/TripHistoryPanel";
+import TripExpensesPanel from "../components/trip/TripExpensesPanel";
+import TripBalancesPanel from "../components/trip/TripBalancesPanel";
+import ItineraryEditor from "../components/trip/ItineraryEditor";
+import TripStatusBadge from "../components/trip/TripStatusBadge";
+import ConvertedAmount from "../components/trip/ConvertedAmount";
 import {
   FaRoute,
   FaCalendar,
@@ -21,21 +33,44 @@ import {
   FaStar,
   FaArrowLeft,
   FaMapMarkerAlt,
+  FaMagic,
+  FaSyncAlt,
+  FaEye,
 } from "react-icons/fa";
 
 const TripDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const [activeTab, setActiveTab] = useState("overview"); // overview, itinerary, details
+  const [activeTab, setActiveTab] = useState("overview"); // overview, itinerary, assistant, expenses, members, history, details
+  const [regenerateTarget, setRegenerateTarget] = useState(null); // { dayIndex, activityIndex }
+  const [isEditingItinerary, setIsEditingItinerary] = useState(false);
 
   const {
     data: trip,
     isLoading,
     error,
+    refetch,
   } = useApi(["trip", id], () =>
     tripAPI.getTripById(id).then((res) => res.data.trip)
   );
 
+  // The caller's role decides which actions are offered; the server checks
+  // the same permissions on every request
+  const { data: members } = useApi(["tripMembers", id], () =>
+    tripAPI.getMembers(id).then((res) => res.data)
+  );
+  const role = members?.role;
+
+  // Other people's edits arrive live; see who else has the trip open
+  const { viewers } = useTripRoom(id, {
+    onDeleted: (event) => {
+      toast.error(`${event.user?.name || "The owner"} deleted this trip`);
+      navigate("/trips");
+    },
+  });
+  const canEdit = ["owner", "co-owner", "editor"].includes(role);
+  const isOwner = role === "owner";
+
   const handleDelete = async () => {
     if (window.confirm("Are you sure you want to delete this trip?")) {
       try {
@@ -93,6 +128,19 @@ const TripDetail = () => {
       pdf.text(destination, margin + 40, yPosition);
       yPosition += 10;
 
+      // Route of a multi-city trip (the PDF font has no arrow glyph)
+      if (trip.legs?.length > 1) {
+        pdf.setFont("helvetica", "bold");
+        pdf.text("Route:", margin, yPosition);
+        pdf.setFont("helvetica", "normal");
+        pdf.text(
+          trip.legs.map((leg) => leg.city).join(" - "),
+          margin + 40,
+          yPosition
+        );
+        yPosition += 10;
+      }
+
       // Duration and Budget
       pdf.setFont("helvetica", "bold");
       pdf.text("Duration:", margin, yPosition);
@@ -104,7 +152,9 @@ const TripDetail = () => {
       pdf.text("Budget:", margin, yPosition);
       pdf.setFont("helvetica", "normal");
       const budget = trip.preferences?.budget?.max
-        ? `Rs ${trip.preferences.budget.max}`
+        ? `${trip.preferences.budget.currency || "USD"} ${
+            trip.preferences.budget.max
+          }`
         : "Not specified";
       pdf.text(budget, margin + 40, yPosition);
       yPosition += 7;
@@ -178,6 +228,53 @@ const TripDetail = () => {
               }
             });
           }
+
+          if (day.meals && day.meals.length > 0) {
+            pdf.setFontSize(10);
+            pdf.setFont("helvetica", "normal");
+
+            day.meals.forEach((meal) => {
+              if (yPosition > pageHeight - 30) {
+                pdf.addPage();
+                yPosition = margin;
+              }
+
+              const details = [
+                meal.cuisine,
+                ...(meal.dietaryTags || []),
+                meal.reservation?.status === "confirmed"
+                  ? "reservation confirmed"
+                  : meal.reservation?.required && "reservation recommended",
+              ].filter(Boolean);
+              const mealText = `${meal.time || ""} - ${
+                meal.type ? `${meal.type}: ` : "Meal: "
+              }${meal.restaurant}${
+                details.length > 0 ? ` (${details.join(", ")})` : ""
+              }${
+                meal.cost?.amount
+                  ? ` - ${meal.cost.currency} ${meal.cost.amount}`
+                  : ""
+              }`;
+              const splitText = pdf.splitTextToSize(
+                mealText,
+                pageWidth - 2 * margin - 10
+              );
+              pdf.text(splitText, margin + 5, yPosition);
+              yPosition += splitText.length * 5;
+            });
+          }
+
+          if (day.totalCost?.amount) {
+            pdf.setFontSize(10);
+            pdf.setFont("helvetica", "italic");
+            pdf.text(
+              `Day total: ${day.totalCost.currency || ""} ${day.totalCost.amount}`,
+              margin + 5,
+              yPosition
+            );
+            pdf.setFont("helvetica", "normal");
+            yPosition += 5;
+          }
           yPosition += 5;
         });
       }
@@ -243,28 +340,6 @@ const TripDetail = () => {
     return `${days} day${days > 1 ? "s" : ""}`;
   };
 
-  const getStatusVariant = () => {
-    const now = new Date();
-    const startDate = new Date(trip.startDate);
-    const endDate = new Date(trip.endDate);
-
-    if (trip.status === "draft") return "secondary";
-    if (endDate < now) return "success";
-    if (startDate <= now && endDate >= now) return "warning";
-    return "primary";
-  };
-
-  const getStatusLabel = () => {
-    const now = new Date();
-    const startDate = new Date(trip.startDate);
-    const endDate = new Date(trip.endDate);
-
-    if (trip.status === "draft") return "Draft";
-    if (endDate < now) return "Completed";
-    if (startDate <= now && endDate >= now) return "In Progress";
-    return "Upcoming";
-  };
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50 dark:from-gray-900 dark:via-blue-950/50 dark:to-gray-900 py-4 md:py-6">
       <div className="max-w-6xl mx-auto px-3 md:px-6 lg:px-8">
@@ -301,29 +376,32 @@ const TripDetail = () => {
               
               {/* Mobile Badge - Top Right */}
               <div className="absolute top-2 right-2 md:hidden z-10">
-                <Badge
-                  variant={getStatusVariant()}
+                <TripStatusBadge
+                  status={trip.status}
                   className="inline-flex items-center rounded-full px-2.5 py-1 font-bold shadow-lg text-xs"
-                >
-                  {getStatusLabel()}
-                </Badge>
+                />
               </div>
 
               <div className="absolute bottom-0 left-0 right-0 p-3 md:p-6">
                 <div className="flex items-start justify-between">
                   <div className="flex-1">
-                    <Badge
-                      variant={getStatusVariant()}
+                    <TripStatusBadge
+                      status={trip.status}
                       className="hidden md:inline-flex mb-2 md:mb-3 font-bold shadow-lg text-xs md:text-sm"
-                    >
-                      {getStatusLabel()}
-                    </Badge>
+                    />
                     <h1 className="text-2xl md:text-4xl font-bold text-white mb-1 md:mb-2 line-clamp-1">
                       {trip.destination?.city || trip.destination}
                       {trip.destination?.country &&
                         trip.destination.city !== trip.destination.country &&
                         `, ${trip.destination.country}`}
                     </h1>
+                    {viewers.length > 0 && (
+                      <div className="flex items-center gap-1 mb-1 md:mb-2 text-white/90 text-[10px] md:text-sm">
+                        <FaEye className="mr-1" />
+                        Also viewing:{" "}
+                        {viewers.map((viewer) => viewer.name).join(", ")}
+                      </div>
+                    )}
                     <div className="flex flex-wrap gap-2 md:gap-4 text-white/90 text-[10px] md:text-sm">
                       <div className="flex items-center">
                         <FaCalendar className="mr-1 md:mr-2" />
@@ -389,33 +467,37 @@ const TripDetail = () => {
                   </Button>
                 </motion.div>
                 <div className="col-span-2 md:ml-auto flex gap-2 md:gap-3 order-3 md:order-none">
-                  <motion.div
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.95 }}
-                    className="flex-1 md:flex-none"
-                  >
-                    <Button
-                      onClick={() => navigate(`/trip-planner?edit=${id}`)}
-                      className="w-full md:w-auto bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-bold rounded-lg md:rounded-xl text-sm md:text-base py-1.5"
+                  {canEdit && (
+                    <motion.div
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.95 }}
+                      className="flex-1 md:flex-none"
                     >
-                      <FaEdit className="mr-1 md:mr-2" />
-                      Edit
-                    </Button>
-                  </motion.div>
-                  <motion.div
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.95 }}
-                    className="flex-1 md:flex-none"
-                  >
-                    <Button
-                      onClick={handleDelete}
-                      variant="outline"
-                      className="w-full md:w-auto rounded-lg md:rounded-xl border-2 border-red-300 text-red-600 hover:bg-red-50 dark:border-red-800 dark:text-red-400 dark:hover:bg-red-900/20 font-semibold text-sm md:text-base py-1.5"
+                      <Button
+                        onClick={() => navigate(`/trip-planner?edit=${id}`)}
+                        className="w-full md:w-auto bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-bold rounded-lg md:rounded-xl text-sm md:text-base py-1.5"
+                      >
+                        <FaEdit className="mr-1 md:mr-2" />
+                        Edit
+                      </Button>
+                    </motion.div>
+                  )}
+                  {isOwner && (
+                    <motion.div
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.95 }}
+                      className="flex-1 md:flex-none"
                     >
-                      <FaTrash className="mr-1 md:mr-2" />
-                      Delete
-                    </Button>
-                  </motion.div>
+                      <Button
+                        onClick={handleDelete}
+                        variant="outline"
+                        className="w-full md:w-auto rounded-lg md:rounded-xl border-2 border-red-300 text-red-600 hover:bg-red-50 dark:border-red-800 dark:text-red-400 dark:hover:bg-red-900/20 font-semibold text-sm md:text-base py-1.5"
+                      >
+                        <FaTrash className="mr-1 md:mr-2" />
+                        Delete
+                      </Button>
+                    </motion.div>
+                  )}
                 </div>
               </div>
             </div>
@@ -431,7 +513,15 @@ const TripDetail = () => {
         >
           <Card className="p-1 md:p-2 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
             <div className="flex gap-1 md:gap-2">
-              {["Overview", "Itinerary", "Details"].map((tab) => (
+              {[
+                "Overview",
+                "Itinerary",
+                ...(canEdit && trip.itinerary?.days?.length
+                  ? ["Assistant"]
+                  : []),
+                ...(role ? ["Expenses", "Members", "History"] : []),
+                "Details",
+              ].map((tab) => (
                 <button
                   key={tab}
                   onClick={() => setActiveTab(tab.toLowerCase())}
@@ -480,11 +570,17 @@ const TripDetail = () => {
                           <div className="flex items-center text-sm font-bold text-gray-900 dark:text-white">
                             <FaDollarSign className="mr-1 text-green-600 text-xs" />
                             {trip.preferences?.budget?.max
-                              ? `₹${trip.preferences.budget.max}`
+                              ? `${trip.preferences.budget.currency || "USD"} ${
+                                  trip.preferences.budget.max
+                                }`
                               : trip.budget?.max
                               ? `₹${trip.budget.max}`
                               : trip.budget || "Not specified"}
                           </div>
+                          <ConvertedAmount
+                            amount={trip.preferences?.budget?.max}
+                            currency={trip.preferences?.budget?.currency}
+                          />
                         </div>
                         <div>
                           <div className="text-[10px] uppercase tracking-wider text-gray-500 dark:text-gray-400 mb-1">
@@ -586,11 +682,17 @@ const TripDetail = () => {
                       <div className="flex items-center text-lg font-bold text-gray-900 dark:text-white">
                         <FaDollarSign className="mr-2 text-green-600" />
                         {trip.preferences?.budget?.max
-                          ? `₹${trip.preferences.budget.max}`
+                          ? `${trip.preferences.budget.currency || "USD"} ${
+                              trip.preferences.budget.max
+                            }`
                           : trip.budget?.max
                           ? `₹${trip.budget.max}`
                           : trip.budget || "Not specified"}
                       </div>
+                      <ConvertedAmount
+                        amount={trip.preferences?.budget?.max}
+                        currency={trip.preferences?.budget?.currency}
+                      />
                     </div>
                     <div>
                       <div className="text-sm text-gray-500 dark:text-gray-400 mb-1">
@@ -657,11 +759,35 @@ const TripDetail = () => {
 
           {activeTab === "itinerary" && (
             <Card className="px-2 py-3 md:p-8 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-xl md:rounded-2xl">
-              <h2 className="text-lg md:text-2xl font-bold text-gray-900 dark:text-white mb-3 md:mb-6">
-                Day-by-Day Itinerary
-              </h2>
-              {trip.itinerary &&
-              (trip.itinerary.days || trip.itinerary.dailyPlans) ? (
+              <div className="flex items-center justify-between gap-2 mb-3 md:mb-6">
+                <h2 className="text-lg md:text-2xl font-bold text-gray-900 dark:text-white">
+                  Day-by-Day Itinerary
+                </h2>
+                {canEdit &&
+                  trip.itinerary?.days?.length > 0 &&
+                  !isEditingItinerary && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      icon={FaEdit}
+                      onClick={() => setIsEditingItinerary(true)}
+                    >
+                      Edit itinerary
+                    </Button>
+                  )}
+              </div>
+              {trip.legs?.length > 1 && (
+                <div className="mb-4 md:mb-6">
+                  <RouteSummary legs={trip.legs} />
+                </div>
+              )}
+              {isEditingItinerary && canEdit ? (
+                <ItineraryEditor
+                  trip={trip}
+                  onDone={() => setIsEditingItinerary(false)}
+                />
+              ) : trip.itinerary &&
+                (trip.itinerary.days || trip.itinerary.dailyPlans) ? (
                 <div className="space-y-4">
                   {(trip.itinerary.days || trip.itinerary.dailyPlans).map(
                     (day, index) => (
@@ -674,16 +800,41 @@ const TripDetail = () => {
                             {day.day}
                           </div>
                           <div className="flex-1">
-                            <div className="mb-2 md:mb-3">
-                              <h3 className="text-sm md:text-xl font-bold text-gray-900 dark:text-white inline">
-                                Day {day.day}:{" "}
-                              </h3>
-                              <span className="text-sm md:text-lg font-semibold text-gray-700 dark:text-gray-300">
-                                {day.title ||
-                                  day.theme ||
-                                  day.activities?.[0]?.activity ||
-                                  "Activities planned"}
-                              </span>
+                            <div className="mb-2 md:mb-3 flex items-start justify-between gap-2">
+                              <div>
+                                <h3 className="text-sm md:text-xl font-bold text-gray-900 dark:text-white inline">
+                                  Day {day.day}:{" "}
+                                </h3>
+                                <span className="text-sm md:text-lg font-semibold text-gray-700 dark:text-gray-300">
+                                  {day.title ||
+                                    day.theme ||
+                                    day.activities?.[0]?.activity ||
+                                    "Activities planned"}
+                                </span>
+                                {day.city && (
+                                  <p className="text-xs md:text-sm text-blue-600 dark:text-blue-400">
+                                    {day.city}
+                                  </p>
+                                )}
+                              </div>
+                              {canEdit && trip.itinerary.days && (
+                                <button
+                                  type="button"
+                                  onClick={() =>
+                                    setRegenerateTarget({
+                                      dayIndex: index,
+                                      activityIndex: null,
+                                    })
+                                  }
+                                  className="flex-shrink-0 inline-flex items-center text-xs md:text-sm text-purple-700 dark:text-purple-300 hover:text-purple-900"
+                                  title="Regenerate this day"
+                                >
+                                  <FaMagic className="mr-1" />
+                                  <span className="hidden md:inline">
+                                    Regenerate
+                                  </span>
+                                </button>
+                              )}
                             </div>
                             <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400 flex items-center gap-2">
                               <span>
@@ -700,6 +851,11 @@ const TripDetail = () => {
                               <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200">
                                 {day.activities?.length || 0} activities
                               </span>
+                              {day.meals?.length > 0 && (
+                                <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200">
+                                  {day.meals.length} meals
+                                </span>
+                              )}
                             </p>
                             {day.activities && day.activities.length > 0 && (
                               <div className="mt-4 space-y-2">
@@ -709,7 +865,7 @@ const TripDetail = () => {
                                     className="flex items-start text-sm text-gray-700 dark:text-gray-300 pl-2 md:pl-4 border-l-2 border-purple-200 dark:border-purple-800"
                                   >
                                     <FaMapMarkerAlt className="mr-2 mt-1 text-purple-600 flex-shrink-0" />
-                                    <span>
+                                    <span className="flex-1">
                                       {activity.time && (
                                         <strong>{activity.time}:</strong>
                                       )}{" "}
@@ -724,10 +880,26 @@ const TripDetail = () => {
                                         </span>
                                       )}
                                     </span>
+                                    {canEdit && trip.itinerary.days && (
+                                      <button
+                                        type="button"
+                                        onClick={() =>
+                                          setRegenerateTarget({
+                                            dayIndex: index,
+                                            activityIndex: actIdx,
+                                          })
+                                        }
+                                        className="ml-2 p-1 text-gray-400 hover:text-purple-600"
+                                        title="Replace this activity"
+                                      >
+                                        <FaSyncAlt className="h-3 w-3" />
+                                      </button>
+                                    )}
                                   </div>
                                 ))}
                               </div>
                             )}
+                            <MealList meals={day.meals} />
                           </div>
                         </div>
                       </div>
@@ -745,6 +917,30 @@ const TripDetail = () => {
             </Card>
           )}
 
+          {activeTab === "assistant" && (
+            <TripChatPanel tripId={id} onApplied={refetch} />
+          )}
+
+          {activeTab === "expenses" && (
+            <div className="space-y-6">
+              <TripExpensesPanel tripId={id} trip={trip} canEdit={canEdit} />
+              <TripBalancesPanel tripId={id} canEdit={canEdit} />
+            </div>
+          )}
+
+          {activeTab === "members" && (
+            <TripMembersPanel tripId={id} onLeft={() => navigate("/trips")} />
+          )}
+
+          {activeTab === "history" && (
+            <TripHistoryPanel
+              tripId={id}
+              version={trip.version}
+              canEdit={canEdit}
+              onRestored={refetch}
+            />
+          )}
+
           {activeTab === "details" && (
             <div className="space-y-6">
               <Card className="hidden md:block p-6 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm border-0 shadow-lg rounded-2xl">
@@ -962,6 +1158,20 @@ const TripDetail = () => {
           )}
         </motion.div>
       </div>
+
+      <RegenerateDayModal
+        isOpen={!!regenerateTarget}
+        onClose={() => setRegenerateTarget(null)}
+        tripId={id}
+        day={
+          regenerateTarget &&
+          trip.itinerary?.days?.[regenerateTarget.dayIndex]
+        }
+        dayIndex={regenerateTarget?.dayIndex}
+        activityIndex={regenerateTarget?.activityIndex ?? null}
+        version={trip.version}
+        onApplied={refetch}
+      />
     </div>
   );
 };
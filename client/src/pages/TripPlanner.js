@@ -3,12 +3,15 @@ import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "react-hot-toast";
 import { useAuth } from "../contexts/AuthContext";
 import { useNotifications } from "../contexts/NotificationContext";
-import { useApiMutation, useApi } from "../hooks/useApi";
+import { useApi } from "../hooks/useApi";
+import { useOptimisticTripUpdate } from "../hooks/useTrips";
+import { useItineraryStream } from "../hooks/useAI";
 import { useFormValidation } from "../hooks/useFormValidation";
 import { Button, Input, Card, LoadingSpinner } from "../components/ui";
-import { aiAPI, tripAPI } from "../services/api";
+import { tripAPI } from "../services/api";
 import TripResultCard from "../components/trip/TripResultCard";
 import TripDetailView from "../components/trip/TripDetailView";
+import StopsEditor from "../components/trip/StopsEditor";
 import { useSearchParams, useNavigate } from "react-router-dom";
 import {
   FaPlane,
@@ -34,7 +37,7 @@ import {
 } from "react-icons/fa";
 
 const TripPlanner = () => {
-  const { user, getRemainingAiRequests } = useAuth();
+  const { user, getRemainingAiRequests, aiQuota } = useAuth();
   const notifications = useNotifications();
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
@@ -45,6 +48,8 @@ const TripPlanner = () => {
   const [isGenerating, setIsGenerating] = useState(false);
   const [isSavingDraft, setIsSavingDraft] = useState(false);
   const [showDetailView, setShowDetailView] = useState(false);
+  // Cities of a multi-city trip as [{ city, days }]; empty for one destination
+  const [stops, setStops] = useState([]);
 
   const { values, errors, handleChange, handleBlur, isValid, setValues } =
     useFormValidation(
@@ -107,32 +112,71 @@ const TripPlanner = () => {
         specialRequests: editTrip.specialRequests || "",
       });
 
+      setStops(
+        editTrip.legs?.length > 1
+          ? editTrip.legs.map((leg) => ({
+              city: leg.country ? `${leg.city}, ${leg.country}` : leg.city,
+              days:
+                editTrip.itinerary?.days?.filter((day) => day.city === leg.city)
+                  .length || "",
+            }))
+          : []
+      );
+
       toast.success("Trip loaded for editing!");
     }
   }, [editTrip, setValues]);
 
-  const generateItinerary = useApiMutation(aiAPI.generateItinerary, {
-    onSuccess: (response) => {
-      console.log("API Response:", response);
-      console.log("Itinerary Data:", response.data);
-      // The actual itinerary is in response.data.data
-      const itinerary = response.data.data;
-      console.log("Actual Itinerary:", itinerary);
-      setGeneratedItinerary(itinerary);
+  const itineraryStream = useItineraryStream();
+  const saveTripChanges = useOptimisticTripUpdate();
+
+  // Show the plan as soon as the first day arrives; later days and the final
+  // validated payload replace it as they stream in
+  useEffect(() => {
+    if (itineraryStream.itinerary?.itinerary?.length) {
+      setGeneratedItinerary(itineraryStream.itinerary);
       setCurrentStep(4);
-      toast.success("Your AI-powered itinerary is ready!");
-    },
-    onError: (error) => {
-      console.error("Full error:", error);
-      toast.error(
-        error.response?.data?.message ||
-          "Failed to generate itinerary. Please try again."
-      );
-      console.error("Generation error:", error);
-    },
-  });
+    }
+  }, [itineraryStream.itinerary]);
+
+  // The first stop is always the destination field
+  const routeStops =
+    stops.length > 0
+      ? stops.map((stop, index) =>
+          index === 0 ? { ...stop, city: values.destination } : stop
+        )
+      : [{ city: values.destination, days: "" }];
+
+  const handleStopsChange = (nextStops) => {
+    if (nextStops.length < 2) {
+      setStops([]);
+      return;
+    }
+    setStops(nextStops);
+    if (nextStops[0].city !== values.destination) {
+      setValues((prev) => ({ ...prev, destination: nextStops[0].city }));
+    }
+  };
+
+  const tripDays =
+    values.startDate && values.endDate
+      ? Math.ceil(
+          (new Date(values.endDate) - new Date(values.startDate)) /
+            (1000 * 60 * 60 * 24)
+        ) + 1
+      : 0;
+
+  // Stops as { city, country, days } for the API; null for one destination
+  const routeLegs = () => {
+    if (stops.length < 2) return null;
+    return routeStops.map((stop) => {
+      const [city, country] = stop.city.split(",").map((part) => part.trim());
+      return { city, country: country || "", days: parseInt(stop.days) || 0 };
+    });
+  };
 
   const remainingRequests = getRemainingAiRequests();
+  const isQuotaExhausted = aiQuota?.remaining === 0;
 
   const interestOptions = [
     { id: "culture", label: "Culture & History", icon: FaCity },
@@ -183,6 +227,18 @@ const TripPlanner = () => {
       return;
     }
 
+    const legs = routeLegs();
+    if (
+      legs &&
+      (legs.some((leg) => !leg.city) ||
+        legs.reduce((sum, leg) => sum + leg.days, 0) !== tripDays)
+    ) {
+      toast.error(
+        `Give every city a name and split all ${tripDays} days between them.`
+      );
+      return;
+    }
+
     setIsGenerating(true);
     try {
       // Calculate duration in days
@@ -221,11 +277,35 @@ const TripPlanner = () => {
           ? [values.transportation]
           : ["flexible"],
         specialRequests: values.specialRequests || "",
+        ...(legs && { legs }),
       };
 
-      await generateItinerary.mutateAsync(itineraryData);
+      const itinerary = await itineraryStream.start(itineraryData);
+      setGeneratedItinerary(itinerary);
+      setCurrentStep(4);
+      if (itinerary.generation?.status === "fallback") {
+        toast.error(
+          "The AI couldn't build a complete itinerary. Showing a placeholder outline."
+        );
+      } else {
+        toast.success("Your AI-powered itinerary is ready!");
+      }
     } catch (error) {
-      console.error("Error generating itinerary:", error);
+      // Drop any partially streamed days
+      setGeneratedItinerary(null);
+      setShowDetailView(false);
+      setCurrentStep(3);
+
+      if (error.name === "AbortError") {
+        toast("Itinerary generation cancelled");
+      } else {
+        console.error("Error generating itinerary:", error);
+        toast.error(
+          error.response?.data?.message ||
+            error.message ||
+            "Failed to generate itinerary. Please try again."
+        );
+      }
     } finally {
       setIsGenerating(false);
     }
@@ -264,6 +344,11 @@ const TripPlanner = () => {
           country:
             values.destination.split(",")[1]?.trim() || values.destination,
         },
+        // The server needs a country for every leg
+        legs: routeLegs()?.map(({ city, country }) => ({
+          city,
+          country: country || city,
+        })),
         startDate: values.startDate,
         endDate: values.endDate,
         preferences: {
@@ -308,6 +393,66 @@ const TripPlanner = () => {
     }
   };
 
+  // Editing a trip: save the form onto it against the version that was
+  // loaded; changes others saved meanwhile are merged in by useUpdateTrip,
+  // which also reports the outcome
+  const handleSaveChanges = async () => {
+    if (!isValid) {
+      toast.error("Please fill in all required fields.");
+      return;
+    }
+
+    const start = new Date(values.startDate);
+    const end = new Date(values.endDate);
+    const duration = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    const [city, country] = values.destination
+      .split(",")
+      .map((part) => part.trim());
+    const legs = routeLegs()?.map((leg) => ({
+      city: leg.city,
+      country: leg.country || leg.city,
+    }));
+    // Stops and destination are only sent when they changed, so saved
+    // coordinates and transfers are kept
+    const route = (tripLegs) =>
+      tripLegs?.length > 1 ? tripLegs.map((leg) => leg.city).join("|") : "";
+    const budgetMax = parseFloat(values.budget);
+
+    setIsSavingDraft(true);
+    try {
+      await saveTripChanges(editTrip._id, {
+        ...(city !== editTrip.destination?.city && {
+          destination: { city, country: country || city },
+        }),
+        ...(route(legs) !== route(editTrip.legs) && { legs: legs || [] }),
+        startDate: values.startDate,
+        endDate: values.endDate,
+        preferences: {
+          ...editTrip.preferences,
+          duration,
+          budget: {
+            ...editTrip.preferences?.budget,
+            ...(Number.isFinite(budgetMax) && { max: budgetMax }),
+          },
+          travelStyle: values.travelStyle || editTrip.preferences?.travelStyle,
+          interests: values.interests || [],
+          groupSize: parseInt(values.travelers) || 1,
+          accommodation:
+            values.accommodationType || editTrip.preferences?.accommodation,
+          transport: values.transportation
+            ? [values.transportation]
+            : editTrip.preferences?.transport,
+        },
+        notes: values.specialRequests || "",
+      });
+      navigate(`/trips/${editTrip._id}`);
+    } catch (error) {
+      console.error("Error saving trip:", error);
+    } finally {
+      setIsSavingDraft(false);
+    }
+  };
+
   const nextStep = () => {
     if (currentStep < 3) {
       setCurrentStep(currentStep + 1);
@@ -520,6 +665,12 @@ const TripPlanner = () => {
                 />
               </div>
 
+              <StopsEditor
+                stops={routeStops}
+                duration={tripDays}
+                onChange={handleStopsChange}
+              />
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                   Budget per person (INR)
@@ -760,7 +911,7 @@ const TripPlanner = () => {
                 >
                   <Button
                     onClick={handleGenerateItinerary}
-                    disabled={isGenerating || !isValid}
+                    disabled={isGenerating || !isValid || isQuotaExhausted}
                     loading={isGenerating}
                     size="lg"
                     className="w-full md:w-auto bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 hover:from-blue-700 hover:via-purple-700 hover:to-pink-700 text-white font-bold text-base md:text-lg px-4 py-3 md:px-8 md:py-4 rounded-xl shadow-xl hover:shadow-2xl transition-all min-h-[56px]"
@@ -780,14 +931,29 @@ const TripPlanner = () => {
                         Please wait... AI is analyzing...
                       </p>
                     </div>
+                    <button
+                      type="button"
+                      onClick={itineraryStream.cancel}
+                      className="mt-2 text-xs md:text-sm text-gray-500 hover:text-red-600 underline"
+                    >
+                      Cancel
+                    </button>
                   </div>
                 )}
 
-                {!isGenerating && (
+                {!isGenerating && !isQuotaExhausted && (
                   <p className="mt-3 text-xs md:text-sm text-gray-500">
                     This will use 1 AI request from your monthly balance
                   </p>
                 )}
+
+                {!isGenerating && isQuotaExhausted && (
+                  <p className="mt-3 text-xs md:text-sm text-red-600 dark:text-red-400">
+                    You've used all {aiQuota.limit} AI requests for this month.
+                    Your quota resets on{" "}
+                    {new Date(aiQuota.resetsAt).toLocaleDateString()}.
+                  </p>
+                )}
               </div>
             </motion.div>
           )}
@@ -818,7 +984,13 @@ const TripPlanner = () => {
                 className="flex-1"
               >
                 <Button
-                  onClick={currentStep === 3 ? handleSaveDraft : nextStep}
+                  onClick={
+                    currentStep === 3
+                      ? editTrip
+                        ? handleSaveChanges
+                        : handleSaveDraft
+                      : nextStep
+                  }
                   disabled={
                     (currentStep === 1 && !values.destination) ||
                     (currentStep === 3 && (isGenerating || isSavingDraft))
@@ -827,7 +999,9 @@ const TripPlanner = () => {
                   className="w-full px-3 md:px-6 py-2.5 md:py-3 rounded-xl bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 hover:from-blue-700 hover:via-purple-700 hover:to-pink-700 text-white font-bold shadow-lg text-sm md:text-base min-h-[44px] flex items-center justify-center"
                 >
                   <span className="truncate">
-                    {currentStep === 3 ? (
+                    {currentStep === 3 && editTrip ? (
+                      "Save Changes"
+                    ) : currentStep === 3 ? (
                       <>
                         <span className="md:hidden">Save Draft</span>
                         <span className="hidden md:inline">Save as Draft</span>
@@ -854,6 +1028,7 @@ const TripPlanner = () => {
             itinerary={generatedItinerary}
             formValues={values}
             onViewDetails={() => setShowDetailView(true)}
+            onCancel={itineraryStream.cancel}
           />
         )}
       </div>
@@ -865,6 +1040,7 @@ const TripPlanner = () => {
             itinerary={generatedItinerary}
             formValues={values}
             onClose={() => setShowDetailView(false)}
+            onCancel={itineraryStream.cancel}
           />
         )}
       </AnimatePresence>
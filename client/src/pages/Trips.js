@@ -3,7 +3,9 @@ import { motion } from "framer-motion";
 import { Link } from "react-router-dom";
 import { useApi } from "../hooks/useApi";
 import { tripAPI } from "../services/api";
-import { Card, Button, LoadingSpinner, Badge } from "../components/ui";
+import { Card, Button, LoadingSpinner } from "../components/ui";
+import TripInvitations from "../components/trip/TripInvitations";
+import TripStatusBadge from "../components/trip/TripStatusBadge";
 import {
   FaRoute,
   FaCalendarAlt,
@@ -17,14 +19,22 @@ import {
 } from "react-icons/fa";
 
 const Trips = () => {
-  const [filter, setFilter] = useState("all"); // all, upcoming, past, draft
+  const [filter, setFilter] = useState("all"); // all, upcoming, past, draft, shared
   const [searchQuery, setSearchQuery] = useState("");
 
   const { data: response, isLoading } = useApi(["trips"], () =>
     tripAPI.getTrips().then((res) => res.data)
   );
 
-  const trips = response?.trips || [];
+  // Trips other users shared with me are listed under their own filter
+  const { data: sharedResponse, isLoading: isLoadingShared } = useApi(
+    ["sharedTrips"],
+    () => tripAPI.getSharedTrips({ limit: 50 }).then((res) => res.data),
+    { enabled: filter === "shared" }
+  );
+
+  const trips =
+    (filter === "shared" ? sharedResponse?.trips : response?.trips) || [];
 
   const filteredTrips =
     trips?.filter((trip) => {
@@ -36,70 +46,40 @@ const Trips = () => {
           : typeof trip.destination === "string"
           ? trip.destination.toLowerCase()
           : "";
+        // Multi-city trips match on any stop of the route
+        const legsStr = (trip.legs || [])
+          .map((leg) => `${leg.city} ${leg.country}`)
+          .join(" ")
+          .toLowerCase();
         const matchesSearch =
           destinationStr.includes(query) ||
+          legsStr.includes(query) ||
           trip.description?.toLowerCase().includes(query) ||
           trip.title?.toLowerCase().includes(query);
 
         if (!matchesSearch) return false;
       }
 
-      // Then apply status/date filters
+      // Then apply status filters
+      if (filter === "shared") return true;
+
       if (filter === "draft") {
         // Show only drafts
         return trip.status === "draft";
       }
 
       if (filter === "all") {
-        // Exclude drafts from "All Trips" and show upcoming/completed
-        const now = new Date();
-        const endDate = new Date(trip.endDate);
-        // Show upcoming and completed trips
+        // Exclude drafts from "All Trips"
         return trip.status !== "draft";
       }
 
-      // For upcoming and past filters
-      const now = new Date();
-      const startDate = new Date(trip.startDate);
-      const endDate = new Date(trip.endDate);
+      if (filter === "upcoming") return trip.status === "upcoming";
 
-      if (filter === "upcoming") {
-        // Show only upcoming trips (not drafts, start date in future)
-        return trip.status === "upcoming" && startDate >= now;
-      }
-
-      if (filter === "past") {
-        // Show completed trips (end date has passed)
-        return endDate < now;
-      }
+      if (filter === "past") return trip.status === "completed";
 
       return true;
     }) || [];
 
-  const getStatusVariant = (trip) => {
-    if (trip.status === "draft") return "secondary";
-
-    const now = new Date();
-    const startDate = new Date(trip.startDate);
-    const endDate = new Date(trip.endDate);
-
-    if (endDate < now) return "success";
-    if (startDate <= now && endDate >= now) return "warning";
-    return "primary";
-  };
-
-  const getStatusLabel = (trip) => {
-    if (trip.status === "draft") return "Draft";
-
-    const now = new Date();
-    const startDate = new Date(trip.startDate);
-    const endDate = new Date(trip.endDate);
-
-    if (endDate < now) return "Completed";
-    if (startDate <= now && endDate >= now) return "In Progress";
-    return "Upcoming";
-  };
-
   return (
 
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50 dark:from-gray-900 dark:via-blue-950/50 dark:to-gray-900 py-4 md:py-6">
@@ -167,6 +147,7 @@ const Trips = () => {
                   { id: "upcoming", label: "Upcoming" },
                   { id: "past", label: "Past" },
                   { id: "draft", label: "Drafts" },
+                  { id: "shared", label: "Shared with me" },
                 ].map((filterOption) => (
                   <button
                     key={filterOption.id}
@@ -185,8 +166,10 @@ const Trips = () => {
           </Card>
         </motion.div>
 
+        <TripInvitations />
+
         {/* Trips Grid */}
-        {isLoading ? (
+        {isLoading || (filter === "shared" && isLoadingShared) ? (
           <div className="flex justify-center py-20">
             <LoadingSpinner size="lg" />
           </div>
@@ -208,12 +191,10 @@ const Trips = () => {
                         <FaMapMarkedAlt className="h-12 w-12 md:h-16 md:w-16 text-white/30" />
                       </div>
                       <div className="absolute top-3 right-3">
-                        <Badge
-                          variant={getStatusVariant(trip)}
+                        <TripStatusBadge
+                          status={trip.status}
                           className="font-bold shadow-lg text-xs md:text-sm"
-                        >
-                          {getStatusLabel(trip)}
-                        </Badge>
+                        />
                       </div>
                     </div>
 
@@ -229,6 +210,17 @@ const Trips = () => {
                               trip.destination.country &&
                             `, ${trip.destination.country}`}
                         </h3>
+                        {trip.legs?.length > 1 && (
+                          <p className="text-xs md:text-sm font-medium text-blue-600 dark:text-blue-400 mb-0.5 md:mb-1">
+                            {trip.legs.map((leg) => leg.city).join(" → ")}
+                          </p>
+                        )}
+                        {trip.role && (
+                          <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400 mb-0.5 md:mb-1">
+                            Shared by {trip.user?.name || "another traveler"} ·{" "}
+                            <span className="capitalize">{trip.role}</span>
+                          </p>
+                        )}
                         {(trip.description || trip.title) && (
                           <p className="text-xs md:text-sm text-gray-600 dark:text-gray-400 line-clamp-2">
                             {trip.description || trip.title}
@@ -279,7 +271,9 @@ const Trips = () => {
                             <FaDollarSign className="mr-1" />
                             <span>
                               {trip.preferences?.budget?.max
-                                ? `₹${trip.preferences.budget.max.toLocaleString()}`
+                                ? `${
+                                    trip.preferences.budget.currency || "USD"
+                                  } ${trip.preferences.budget.max.toLocaleString()}`
                                 : trip.budget?.max
                                 ? `₹${trip.budget.max.toLocaleString()}`
                                 : trip.budget}
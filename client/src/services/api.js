@@ -26,6 +26,25 @@ const processQueue = (error, token = null) => {
   failedQueue = [];
 };
 
+// AI responses report the caller's monthly quota in headers; broadcast it so
+// AuthContext can keep its counter in sync without polling
+export const AI_QUOTA_EVENT = "ai-quota";
+
+const publishAiQuota = (getHeader) => {
+  const remaining = getHeader("x-ai-quota-remaining");
+  if (remaining === null || remaining === undefined) return;
+
+  window.dispatchEvent(
+    new CustomEvent(AI_QUOTA_EVENT, {
+      detail: {
+        limit: Number(getHeader("x-ai-quota-limit")),
+        remaining: Number(remaining),
+        resetsAt: getHeader("x-ai-quota-reset"),
+      },
+    })
+  );
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -43,11 +62,16 @@ api.interceptors.request.use(
 // Response interceptor to handle errors and token refresh
 api.interceptors.response.use(
   (response) => {
+    publishAiQuota((name) => response.headers?.[name]);
     return response;
   },
   async (error) => {
     const originalRequest = error.config;
 
+    if (error.response) {
+      publishAiQuota((name) => error.response.headers?.[name]);
+    }
+
     // Skip refresh for login/register
     if (
       (error.response?.status === 401 && !originalRequest._retry) &&
@@ -117,10 +141,71 @@ export const authAPI = {
   logout: () => api.post("/auth/logout"),
 };
 
+// POST to a Server-Sent Events endpoint and call onEvent(event, data) for
+// each message. Uses fetch because axios cannot read a response body
+// incrementally in the browser; aborting `signal` cancels the request.
+const streamEvents = async (url, body, { onEvent, signal }, isRetry = false) => {
+  const token = localStorage.getItem("token");
+  const response = await fetch(`${api.defaults.baseURL}${url}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    credentials: "include",
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  publishAiQuota((name) => response.headers.get(name));
+
+  if (response.status === 401 && !isRetry) {
+    // Refresh through axios so the interceptor logic stays in one place
+    const { data } = await api.post("/auth/refresh");
+    localStorage.setItem("token", data.accessToken);
+    return streamEvents(url, body, { onEvent, signal }, true);
+  }
+
+  if (!response.ok) {
+    // Same shape as an axios error so handleApiError works on it
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.message || `Request failed (${response.status})`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      let data = "";
+      message.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
 // AI API calls
 export const aiAPI = {
   generateItinerary: (itineraryData) =>
     api.post("/ai/generate-itinerary", itineraryData),
+  streamItinerary: (itineraryData, options) =>
+    streamEvents("/ai/generate-itinerary/stream", itineraryData, options),
   optimizeItinerary: (optimizationData) =>
     api.post("/ai/optimize-itinerary", optimizationData),
   getTravelSuggestions: (preferencesData) =>
@@ -129,6 +214,16 @@ export const aiAPI = {
     api.post("/ai/destination-insights", destinationData),
   getRecommendations: () => api.get("/ai/recommendations"),
   refreshRecommendations: () => api.post("/ai/recommendations/refresh"),
+  getQuota: () => api.get("/ai/quota"),
+  regenerateDay: (tripId, dayIndex, data) =>
+    api.post(`/ai/trips/${tripId}/days/${dayIndex}/regenerate`, data),
+  regenerateActivity: (tripId, dayIndex, activityIndex, data) =>
+    api.post(
+      `/ai/trips/${tripId}/days/${dayIndex}/activities/${activityIndex}/regenerate`,
+      data
+    ),
+  chatWithTrip: (tripId, message) =>
+    api.post(`/ai/trips/${tripId}/chat`, { message }),
 };
 
 // Trip API calls
@@ -138,12 +233,95 @@ export const tripAPI = {
   createTrip: (tripData) => api.post("/trips", tripData),
   updateTrip: (id, tripData) => api.put(`/trips/${id}`, tripData),
   deleteTrip: (id) => api.delete(`/trips/${id}`),
+  replaceDay: (id, dayIndex, day) =>
+    api.put(`/trips/${id}/days/${dayIndex}`, day),
+  // Granular itinerary edits; `data.version` makes them fail with 409 when
+  // the trip changed since it was loaded
+  addDay: (id, data) => api.post(`/trips/${id}/days`, data),
+  removeDay: (id, dayIndex, data) =>
+    api.delete(`/trips/${id}/days/${dayIndex}`, { data }),
+  addActivity: (id, dayIndex, activity) =>
+    api.post(`/trips/${id}/days/${dayIndex}/activities`, activity),
+  updateActivity: (id, dayIndex, activityId, changes) =>
+    api.put(`/trips/${id}/days/${dayIndex}/activities/${activityId}`, changes),
+  removeActivity: (id, dayIndex, activityId, data) =>
+    api.delete(`/trips/${id}/days/${dayIndex}/activities/${activityId}`, {
+      data,
+    }),
+  reorderActivities: (id, dayIndex, order, data) =>
+    api.put(`/trips/${id}/days/${dayIndex}/activities/order`, {
+      ...data,
+      order,
+    }),
+  moveActivity: (id, dayIndex, activityId, toDayIndex, data) =>
+    api.post(`/trips/${id}/days/${dayIndex}/activities/${activityId}/move`, {
+      ...data,
+      toDayIndex,
+    }),
+  getChat: (id) => api.get(`/trips/${id}/chat`),
+  clearChat: (id) => api.delete(`/trips/${id}/chat`),
+  applyChatPatch: (id, messageId) =>
+    api.post(`/trips/${id}/chat/${messageId}/apply`),
   getPublicTrips: (params = {}) => api.get("/trips/public", { params }),
   cloneTrip: (id) => api.post(`/trips/${id}/clone`),
   getTripStats: () => api.get("/trips/stats"),
   getUpcomingTrips: (params = {}) => api.get("/trips/upcoming", { params }),
   getPastTrips: (params = {}) => api.get("/trips/past", { params }),
   getRecentTrips: () => api.get("/trips/recent"),
+  getSharedTrips: (params = {}) => api.get("/trips/shared", { params }),
+  getMembers: (id) => api.get(`/trips/${id}/members`),
+  updateMember: (id, userId, role) =>
+    api.put(`/trips/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => api.delete(`/trips/${id}/members/${userId}`),
+  getInvitations: (id) => api.get(`/trips/${id}/invitations`),
+  invite: (id, invitation) => api.post(`/trips/${id}/invitations`, invitation),
+  revokeInvitation: (id, invitationId) =>
+    api.delete(`/trips/${id}/invitations/${invitationId}`),
+  getMyInvitations: () => api.get("/trips/invitations"),
+  acceptInvitation: (invitationId) =>
+    api.post(`/trips/invitations/${invitationId}/accept`),
+  declineInvitation: (invitationId) =>
+    api.post(`/trips/invitations/${invitationId}/decline`),
+  getRevisions: (id, params) => api.get(`/trips/${id}/revisions`, { params }),
+  getRevision: (id, revisionId) =>
+    api.get(`/trips/${id}/revisions/${revisionId}`),
+  // Without `to` the revision is compared with the current trip
+  getRevisionDiff: (id, from, to) =>
+    api.get(`/trips/${id}/revisions/diff`, { params: { from, to } }),
+  // `version` is the trip version the restore was confirmed against
+  restoreRevision: (id, revisionId, version) =>
+    api.post(`/trips/${id}/revisions/${revisionId}/restore`, { version }),
+  getExpenses: (id, params = {}) =>
+    api.get(`/trips/${id}/expenses`, { params }),
+  getExpenseSummary: (id) => api.get(`/trips/${id}/expenses/summary`),
+  addExpense: (id, expense) => api.post(`/trips/${id}/expenses`, expense),
+  updateExpense: (id, expenseId, changes) =>
+    api.put(`/trips/${id}/expenses/${expenseId}`, changes),
+  deleteExpense: (id, expenseId) =>
+    api.delete(`/trips/${id}/expenses/${expenseId}`),
+  uploadReceipt: (id, expenseId, formData) =>
+    api.post(`/trips/${id}/expenses/${expenseId}/receipt`, formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+    }),
+  // Receipts need the auth header, so they are fetched rather than linked
+  getReceipt: (id, expenseId) =>
+    api.get(`/trips/${id}/expenses/${expenseId}/receipt`, {
+      responseType: "blob",
+    }),
+  deleteReceipt: (id, expenseId) =>
+    api.delete(`/trips/${id}/expenses/${expenseId}/receipt`),
+  getTravellers: (id) => api.get(`/trips/${id}/travellers`),
+  addTraveller: (id, traveller) =>
+    api.post(`/trips/${id}/travellers`, traveller),
+  updateTraveller: (id, travellerId, changes) =>
+    api.put(`/trips/${id}/travellers/${travellerId}`, changes),
+  removeTraveller: (id, travellerId) =>
+    api.delete(`/trips/${id}/travellers/${travellerId}`),
+  getBalances: (id) => api.get(`/trips/${id}/balances`),
+  addSettlement: (id, settlement) =>
+    api.post(`/trips/${id}/settlements`, settlement),
+  deleteSettlement: (id, settlementId) =>
+    api.delete(`/trips/${id}/settlements/${settlementId}`),
 };
 
 // Maps API calls (using consolidated backend route)
@@ -176,6 +354,24 @@ export const userAPI = {
     api.post("/auth/change-password", passwordData),
 };
 
+export const notificationAPI = {
+  getNotifications: (params = {}) => api.get("/notifications", { params }),
+  markRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllRead: () => api.put("/notifications/read-all"),
+  deleteNotification: (id) => api.delete(`/notifications/${id}`),
+  getPreferences: () => api.get("/notifications/preferences"),
+  updatePreferences: (preferences) =>
+    api.put("/notifications/preferences", preferences),
+};
+
+export const currencyAPI = {
+  getRates: (params = {}) => api.get("/currencies/rates", { params }),
+  saveRate: (rate) => api.post("/currencies/rates", rate),
+  importRates: (rates) => api.post("/currencies/rates/import", rates),
+  deleteRate: (id) => api.delete(`/currencies/rates/${id}`),
+  convert: (params) => api.get("/currencies/convert", { params }),
+};
+
 // Error handling utility
 export const handleApiError = (error) => {
   if (error.response) {
@@ -1,29 +1,60 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { validationResult } = require("express-validator");
 const Trip = require("../models/Trip");
-const { protect } = require("../middleware/auth");
+const AiGeneration = require("../models/AiGeneration");
+const llm = require("../services/llm");
+const { generateStructured } = require("../services/llm/structuredOutput");
+const {
+  validateItinerary,
+  validateDay,
+  validateActivity,
+} = require("../services/llm/itinerarySchema");
+const {
+  validateChatResponse,
+  previewOperations,
+  describeOperations,
+} = require("../services/llm/itineraryPatch");
+const {
+  checkItineraryConstraints,
+  isOverBudget,
+} = require("../services/llm/itineraryConstraints");
+const {
+  sameCity,
+  planLegs,
+  legForDay,
+  attachTransfers,
+} = require("../services/llm/itineraryLegs");
+const { createArrayItemParser } = require("../services/llm/streamParser");
+const { renderPrompt, listTemplates } = require("../services/llm/prompts");
+const recommendationService = require("../services/recommendationService");
+const { trackGeneration } = require("../services/aiGenerationService");
+const { notifyGenerationFinished } = require("../services/notificationService");
+const { findTripWithPermission } = require("../services/tripPermissions");
+const {
+  preferredCurrency,
+  tripCurrency,
+} = require("../services/currencyService");
 const { logger } = require("../middleware/logging");
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+// Chat turns kept on a trip, and how many of them are replayed to the model
+const CHAT_HISTORY_LIMIT = 100;
+const CHAT_CONTEXT_MESSAGES = 12;
 
 // @desc    Generate AI-powered trip itinerary
 // @route   POST /api/ai/generate-itinerary
 // @access  Private
 const generateItinerary = async (req, res) => {
   try {
-    const {
-      destination,
-      duration,
-      budget,
-      travelStyle,
-      interests,
-      groupSize,
-      accommodation,
-      transport,
-      startDate,
-      endDate,
-    } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { destination, duration, budget } = req.body;
+    const legs = planLegs(req.body.legs);
 
     // Validate required fields
     if (!destination || !duration || !budget) {
@@ -33,227 +64,36 @@ const generateItinerary = async (req, res) => {
       });
     }
 
-    // Create detailed prompt for Gemini
-    const prompt = `Create a detailed ${duration}-day travel itinerary for ${destination} with the following preferences:
+    const prompt = renderItineraryPrompt(req);
 
-Travel Style: ${travelStyle || "balanced"}
-Budget Range: ₹${budget.min || 0} - ₹${budget.max || 5000} ${
-      budget.currency || "INR"
-    }
-Group Size: ${groupSize || 1} people
-Accommodation Preference: ${accommodation || "hotel"}
-Transport Preferences: ${transport?.join(", ") || "flexible"}
-Interests: ${interests?.join(", ") || "general sightseeing"}
-Start Date: ${startDate || "flexible"}
-End Date: ${endDate || "flexible"}
-
-Please provide a detailed day-by-day itinerary in the following JSON format:
-{
-  "destination": "${destination}",
-  "duration": ${duration},
-  "totalEstimatedCost": {
-    "amount": 0,
-    "currency": "${budget.currency || "INR"}"
-  },
-  "itinerary": [
-    {
-      "day": 1,
-      "date": "2025-11-15",
-      "title": "Arrival, Iconic Views & Cultural Introduction",
-      "activities": [
-        {
-          "time": "09:00",
-          "activity": "Arrival and Hotel Check-in",
-          "location": {
-            "name": "Hotel Name",
-            "address": "Hotel Address",
-            "coordinates": {
-              "lat": 0.0,
-              "lng": 0.0
-            }
-          },
-          "duration": 2,
-          "cost": {
-            "amount": 150,
-            "currency": "INR"
-          },
-          "description": "Check into hotel and freshen up",
-          "type": "accommodation"
-        }
-      ],
-      "meals": [
-        {
-          "time": "12:00",
-          "restaurant": "Restaurant Name",
-          "cuisine": "Local",
-          "cost": {
-            "amount": 25,
-            "currency": "INR"
-          },
-          "location": {
-            "name": "Restaurant Name",
-            "address": "Restaurant Address"
-          }
-        }
-      ],
-      "totalDayCost": {
-        "amount": 175,
-        "currency": "INR"
-      }
-    }
-  ],
-  "recommendations": {
-    "bestTimeToVisit": "November to March",
-    "weather": "Pleasant and mild",
-    "localTips": [
-      "Carry local currency",
-      "Dress modestly when visiting religious sites"
-    ],
-    "mustSeeAttractions": [
-      "Main attraction 1",
-      "Main attraction 2"
-    ],
-    "budgetTips": [
-      "Use public transport",
-      "Eat at local restaurants"
-    ],
-    "safetyTips": [
-      "Keep copies of important documents",
-      "Stay aware of your surroundings"
-    ]
-  }
-}
+    // Generate and validate against the itinerary schema, re-prompting
+    // with the validation errors when the model gets the format wrong
+    const generated = await trackedGeneration(
+      req,
+      "generateItinerary",
+      { prompt, input: req.body },
+      () =>
+        generateStructured("generateItinerary", prompt.text, {
+          validate: (data) => validateItinerary(data, { duration, legs }),
+        })
+    );
 
-IMPORTANT: For each day in the itinerary, generate a creative and descriptive "title" that summarizes the theme and main highlights of that day. The title should be concise (3-6 words) and capture the essence of the day's activities.
-
-Examples of good day titles:
-- "Arrival, Iconic Views & Seine Cruise"
-- "Art, Grandeur & Shopping"
-- "Impressionist Art, Latin Quarter & Bohemian Montmartre"
-- "Historical Monuments & Local Culture"
-- "Beach Relaxation & Water Sports"
-- "Mountain Adventures & Scenic Views"
-
-Make sure to include realistic costs, actual attractions, restaurants, and locations for ${destination}. Provide specific addresses and coordinates where possible. The total cost should fit within the budget range of $${
-      budget.min || 0
-    } - $${budget.max || 5000}.`;
-
-    // Get the generative model
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-    // Generate content using Gemini
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let generatedText = response.text();
-
-    // Clean up the response - remove markdown formatting if present
-    generatedText = generatedText
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "");
-
-    // Parse the JSON response
-    let itineraryData;
-    try {
-      itineraryData = JSON.parse(generatedText);
-      console.log(
-        "Parsed itinerary data:",
-        JSON.stringify(itineraryData, null, 2)
-      );
-      console.log("First day data:", itineraryData.itinerary?.[0]);
-    } catch (parseError) {
-      console.error("Failed to parse AI response:", parseError);
-      // Fallback: create a basic structure if JSON parsing fails
-      itineraryData = {
-        destination,
-        duration,
-        totalEstimatedCost: {
-          amount: budget.max || 1000,
-          currency: budget.currency || "INR",
-        },
-        itinerary: [],
-        recommendations: {
-          bestTimeToVisit: "Year-round",
-          weather: "Varies by season",
-          localTips: ["Research local customs", "Learn basic phrases"],
-          mustSeeAttractions: ["Top attraction in " + destination],
-          budgetTips: ["Use public transport", "Eat at local places"],
-          safetyTips: ["Keep documents safe", "Stay alert"],
-        },
-      };
-    }
-
-    // Validate and enhance the itinerary data
-    if (!itineraryData.itinerary || itineraryData.itinerary.length === 0) {
-      // Create basic itinerary if none provided
-      const basicItinerary = [];
-      for (let day = 1; day <= duration; day++) {
-        basicItinerary.push({
-          day,
-          date: startDate
-            ? new Date(
-                new Date(startDate).getTime() + (day - 1) * 24 * 60 * 60 * 1000
-              )
-                .toISOString()
-                .split("T")[0]
-            : `Day ${day}`,
-          theme: `Day ${day} in ${destination}`,
-          activities: [
-            {
-              time: "09:00",
-              activity: `Explore ${destination} - Day ${day}`,
-              location: {
-                name: destination,
-                address: `${destination} city center`,
-                coordinates: { lat: 0, lng: 0 },
-              },
-              duration: 4,
-              cost: {
-                amount: Math.round(budget.max / duration / 2),
-                currency: budget.currency || "INR",
-              },
-              description: `Guided tour and exploration of ${destination}`,
-              type: "attraction",
-              bookingRequired: false,
-            },
-          ],
-          meals: [
-            {
-              time: "12:00",
-              restaurant: `Local Restaurant Day ${day}`,
-              cuisine: "Local",
-              cost: { amount: 30, currency: budget.currency || "INR" },
-              location: {
-                name: `Restaurant in ${destination}`,
-                address: `${destination} dining district`,
-              },
-            },
-          ],
-          totalDayCost: {
-            amount: Math.round(budget.max / duration),
-            currency: budget.currency || "INR",
-          },
-        });
-      }
-      itineraryData.itinerary = basicItinerary;
-    }
-
-    // Calculate total cost if not provided
-    if (
-      !itineraryData.totalEstimatedCost ||
-      itineraryData.totalEstimatedCost.amount === 0
-    ) {
-      const totalCost = itineraryData.itinerary.reduce((sum, day) => {
-        return sum + (day.totalDayCost?.amount || 0);
-      }, 0);
-      itineraryData.totalEstimatedCost = {
-        amount: totalCost,
-        currency: budget.currency || "INR",
-      };
-    }
+    const itineraryData = finalizeItinerary(
+      await checkConstraints(req, prompt, generated),
+      req
+    );
+    notifyGenerationFinished(
+      req.user.id,
+      itineraryData.generation,
+      destination
+    );
 
     res.json({
       success: true,
-      message: "Itinerary generated successfully",
+      message:
+        itineraryData.generation.status === "fallback"
+          ? "AI could not produce a valid itinerary; returning a placeholder outline"
+          : "Itinerary generated successfully",
       data: itineraryData,
     });
   } catch (error) {
@@ -274,11 +114,147 @@ Make sure to include realistic costs, actual attractions, restaurants, and locat
   }
 };
 
+// @desc    Generate itinerary, streaming each day as soon as it is parsed
+// @route   POST /api/ai/generate-itinerary/stream
+// @access  Private
+//
+// Server-Sent Events over the POST response:
+//   meta      { destination, duration, legs? } once the stream is open
+//   day       a single schema-valid day, in order, while the model is writing
+//   complete  the final payload (same shape as the JSON route's data); it
+//             supersedes streamed days, which may have been repaired
+//   error     { message } when generation fails
+// Closing the connection aborts the upstream model call. The response is
+// already 200 by then, so failed and cancelled streams refund the AI quota
+// themselves.
+const generateItineraryStream = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { destination, duration, budget } = req.body;
+  const legs = planLegs(req.body.legs);
+  if (!budget) {
+    return res.status(400).json({
+      success: false,
+      message: "Destination, duration, and budget are required",
+    });
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+      if (req.refundAiRequest) req.refundAiRequest();
+    }
+  });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers otherwise
+    if (typeof res.flush === "function") res.flush();
+  };
+
+  sendEvent("meta", {
+    destination,
+    duration: Number(duration),
+    ...(legs.length > 0 && { legs }),
+  });
+
+  try {
+    const prompt = renderItineraryPrompt(req);
+    const dayParser = createArrayItemParser("itinerary");
+    let nextDay = 1;
+
+    const generated = await trackedGeneration(
+      req,
+      "generateItinerary",
+      { prompt, input: { ...req.body, stream: true } },
+      async () => {
+        const streamed = await llm.generateStream(
+          "generateItinerary",
+          prompt.text,
+          {
+            signal: controller.signal,
+            onChunk: (chunk) => {
+              for (const day of dayParser.push(chunk)) {
+                // Only forward days the client can render as-is; anything else
+                // is fixed up by the repair pass and arrives with "complete"
+                if (day.day !== nextDay || nextDay > Number(duration)) continue;
+                if (validateDay(day).length > 0) continue;
+                sendEvent("day", day);
+                nextDay++;
+              }
+            },
+          }
+        );
+
+        return generateStructured("generateItinerary", prompt.text, {
+          validate: (data) => validateItinerary(data, { duration, legs }),
+          signal: controller.signal,
+          initialResult: streamed,
+        });
+      }
+    );
+
+    const checked = await checkConstraints(req, prompt, generated, {
+      signal: controller.signal,
+    });
+    const itineraryData = finalizeItinerary(checked, req);
+    sendEvent("complete", itineraryData);
+    res.end();
+    notifyGenerationFinished(
+      req.user.id,
+      itineraryData.generation,
+      destination
+    );
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info("Itinerary stream cancelled by client:", { destination });
+      return;
+    }
+
+    console.error("Generate itinerary stream error:", error);
+    if (req.refundAiRequest) req.refundAiRequest();
+    sendEvent("error", {
+      message: "Error generating itinerary with AI",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+    res.end();
+  }
+};
+
 // @desc    Optimize existing itinerary
 // @route   POST /api/ai/optimize-itinerary
 // @access  Private
 const optimizeItinerary = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
     const { itinerary, optimizationGoals } = req.body;
 
     if (!itinerary) {
@@ -288,72 +264,181 @@ const optimizeItinerary = async (req, res) => {
       });
     }
 
-    const goals = optimizationGoals || ["cost", "time", "experience"];
-
-    const prompt = `Optimize the following travel itinerary based on these goals: ${goals.join(
-      ", "
-    )}.
+    const prompt = renderRequestPrompt(req, "optimizeItinerary", {
+      itinerary,
+      goals: optimizationGoals,
+    });
 
-Current Itinerary:
-${JSON.stringify(itinerary, null, 2)}
+    const { outcome, generationId } = await trackedGeneration(
+      req,
+      "optimizeItinerary",
+      { prompt, input: req.body },
+      () =>
+        generateStructured("optimizeItinerary", prompt.text, {
+          validate: (data) =>
+            validateItinerary(data, { duration: itinerary.duration }),
+        })
+    );
 
-Please provide an optimized version that:
-1. ${
-      goals.includes("cost")
-        ? "Reduces overall costs while maintaining quality"
-        : ""
+    let optimizedData;
+    if (outcome.data) {
+      optimizedData = outcome.data;
+    } else {
+      logger.warn("Optimization response failed validation:", {
+        attempts: outcome.attempts.length,
+        errors: outcome.errors,
+      });
+      // Return the original itinerary untouched
+      optimizedData = { ...itinerary, optimizationNotes: [] };
     }
-2. ${
-      goals.includes("time")
-        ? "Optimizes travel time and reduces unnecessary delays"
-        : ""
+
+    optimizedData.generation = {
+      id: generationId,
+      status: outcome.data ? outcome.status : "fallback",
+      attempts: outcome.attempts.length,
+      validationErrors: outcome.errors,
+    };
+
+    res.json({
+      success: true,
+      message:
+        optimizedData.generation.status === "fallback"
+          ? "AI could not produce a valid optimization; itinerary unchanged"
+          : "Itinerary optimized successfully",
+      data: optimizedData,
+    });
+  } catch (error) {
+    console.error("Optimize itinerary error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error optimizing itinerary",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Propose a regenerated version of one day of a saved trip
+// @route   POST /api/ai/trips/:tripId/days/:dayIndex/regenerate
+// @access  Private
+//
+// Returns { before, after } for preview; nothing is saved. Apply the result
+// with PUT /api/trips/:id/days/:dayIndex.
+const regenerateDay = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
     }
-3. ${
-      goals.includes("experience")
-        ? "Enhances the overall travel experience"
-        : ""
+
+    const trip = await findEditableTrip(req, res);
+    if (!trip) return;
+
+    const dayIndex = parseInt(req.params.dayIndex);
+    const day = trip.itinerary?.days?.[dayIndex];
+    if (!day) {
+      return res.status(404).json({
+        success: false,
+        message: "Day not found in this trip's itinerary",
+      });
     }
-4. Maintains the same destination and duration
-5. Keeps the same JSON structure
 
-Return the optimized itinerary in the same JSON format with explanations for key changes in an "optimizationNotes" field.`;
+    const before = day.toObject();
+    const { instructions, keepActivityIndexes = [] } = req.body;
+    const kept = before.activities.filter((activity, index) =>
+      keepActivityIndexes.includes(index)
+    );
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let optimizedText = response.text();
+    if (kept.length === before.activities.length && kept.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Every activity is marked to keep; nothing to regenerate",
+      });
+    }
 
-    // Clean up the response
-    optimizedText = optimizedText
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "");
+    const prompt = renderRequestPrompt(
+      req,
+      "regenerateDay",
+      {
+        trip: promptTrip(trip, dayIndex),
+        days: trip.itinerary.days.map((day) => day.toObject()),
+        dayIndex,
+        kept,
+        instructions,
+      },
+      { currency: tripCurrency(trip, req.user) }
+    );
 
-    let optimizedData;
-    try {
-      optimizedData = JSON.parse(optimizedText);
-    } catch (parseError) {
-      console.error("Failed to parse optimization response:", parseError);
-      // Return original itinerary with basic optimization notes
-      optimizedData = {
-        ...itinerary,
-        optimizationNotes: [
-          "Optimization completed",
-          "Cost-effective options prioritized",
-          "Travel time optimized",
-        ],
-      };
+    const { outcome, generationId } = await trackedGeneration(
+      req,
+      "regenerateDay",
+      { prompt, input: { dayIndex, ...req.body }, trip },
+      () =>
+        generateStructured("regenerateDay", prompt.text, {
+          validate: validateDay,
+        })
+    );
+
+    if (!outcome.data) {
+      logger.warn("Day regeneration failed validation:", {
+        tripId: trip._id.toString(),
+        dayIndex,
+        errors: outcome.errors,
+      });
+      return res.status(502).json({
+        success: false,
+        message: "AI could not produce a valid replacement for this day",
+        errors: outcome.errors,
+      });
     }
 
+    // Kept activities are merged back verbatim so the model cannot alter them
+    const currency = tripCurrency(trip, req.user);
+    const activities = [
+      ...kept,
+      ...outcome.data.activities.map((activity) =>
+        toTripActivity(activity, currency)
+      ),
+    ].sort((a, b) => (a.time || "").localeCompare(b.time || ""));
+
+    // Meals are not regenerated; they stay with the day
+    const after = {
+      day: before.day,
+      date: before.date,
+      title: outcome.data.title,
+      theme: before.theme,
+      activities,
+      meals: before.meals,
+      totalCost: {
+        amount: Trip.sumDayCost({ activities, meals: before.meals }),
+        currency,
+      },
+    };
+
     res.json({
       success: true,
-      message: "Itinerary optimized successfully",
-      data: optimizedData,
+      data: {
+        dayIndex,
+        before,
+        after,
+        generation: {
+          id: generationId,
+          status: outcome.status,
+          attempts: outcome.attempts.length,
+        },
+      },
     });
   } catch (error) {
-    console.error("Optimize itinerary error:", error);
+    console.error("Regenerate day error:", error);
     res.status(500).json({
       success: false,
-      message: "Error optimizing itinerary",
+      message: "Error regenerating day",
       error:
         process.env.NODE_ENV === "development"
           ? error.message
@@ -362,89 +447,282 @@ Return the optimized itinerary in the same JSON format with explanations for key
   }
 };
 
-// @desc    Get travel suggestions based on preferences
-// @route   POST /api/ai/travel-suggestions
+// @desc    Propose a replacement for one activity of a saved trip
+// @route   POST /api/ai/trips/:tripId/days/:dayIndex/activities/:activityIndex/regenerate
 // @access  Private
-const getTravelSuggestions = async (req, res) => {
+//
+// Returns the whole day { before, after } so it can be applied the same way
+// as a regenerated day.
+const regenerateActivity = async (req, res) => {
   try {
-    const { preferences, currentLocation, travelHistory } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
 
-    const user = req.user;
-    const userPreferences = user.preferences || {};
+    const trip = await findEditableTrip(req, res);
+    if (!trip) return;
+
+    const dayIndex = parseInt(req.params.dayIndex);
+    const activityIndex = parseInt(req.params.activityIndex);
+    const day = trip.itinerary?.days?.[dayIndex];
+    if (!day || !day.activities[activityIndex]) {
+      return res.status(404).json({
+        success: false,
+        message: "Activity not found in this trip's itinerary",
+      });
+    }
+
+    const before = day.toObject();
+    const prompt = renderRequestPrompt(
+      req,
+      "regenerateActivity",
+      {
+        trip: promptTrip(trip, dayIndex),
+        day: before,
+        activityIndex,
+        instructions: req.body.instructions,
+      },
+      { currency: tripCurrency(trip, req.user) }
+    );
 
-    const prompt = `Based on the following user profile and preferences, suggest 5-10 travel destinations:
+    const { outcome, generationId } = await trackedGeneration(
+      req,
+      "regenerateActivity",
+      { prompt, input: { dayIndex, activityIndex, ...req.body }, trip },
+      () =>
+        generateStructured("regenerateActivity", prompt.text, {
+          validate: validateActivity,
+        })
+    );
 
-User Preferences:
-- Travel Style: ${
-      preferences?.travelStyle || userPreferences.travelStyle || "balanced"
+    if (!outcome.data) {
+      logger.warn("Activity regeneration failed validation:", {
+        tripId: trip._id.toString(),
+        dayIndex,
+        activityIndex,
+        errors: outcome.errors,
+      });
+      return res.status(502).json({
+        success: false,
+        message: "AI could not produce a valid replacement for this activity",
+        errors: outcome.errors,
+      });
     }
-- Budget Range: ${
-      preferences?.budgetRange || userPreferences.budgetRange || "moderate"
+
+    const currency = tripCurrency(trip, req.user);
+    const replacement = toTripActivity(outcome.data, currency);
+    const activities = before.activities.map((activity, index) =>
+      index === activityIndex ? replacement : activity
+    );
+
+    const after = {
+      ...before,
+      activities,
+      totalCost: {
+        amount: Trip.sumDayCost({ activities, meals: before.meals }),
+        currency: before.totalCost?.currency || currency,
+      },
+    };
+    delete after._id;
+
+    res.json({
+      success: true,
+      data: {
+        dayIndex,
+        activityIndex,
+        before,
+        after,
+        generation: {
+          id: generationId,
+          status: outcome.status,
+          attempts: outcome.attempts.length,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Regenerate activity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error regenerating activity",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Send a message to the trip-editing assistant
+// @route   POST /api/ai/trips/:tripId/chat
+// @access  Private
+//
+// The reply may carry a patch against the itinerary; it is stored on the
+// trip's chat history with status "proposed" and only changes the trip once
+// applied through POST /api/trips/:id/chat/:messageId/apply.
+const chatWithTrip = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
     }
-- Preferred Activities: ${
-      preferences?.interests || userPreferences.interests || ["sightseeing"]
+
+    const trip = await findEditableTrip(req, res, { withChat: true });
+    if (!trip) return;
+
+    const days = (trip.itinerary?.days || []).map((day) => day.toObject());
+    if (days.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This trip has no itinerary to edit yet",
+      });
     }
-- Accommodation Type: ${
-      preferences?.accommodation ||
-      userPreferences.preferredAccommodation ||
-      "hotel"
+
+    const message = req.body.message.trim();
+    const prompt = renderRequestPrompt(
+      req,
+      "tripChat",
+      {
+        trip: promptTrip(trip),
+        days,
+        history: trip.chatHistory
+          .slice(-CHAT_CONTEXT_MESSAGES)
+          .map((turn) => turn.toObject()),
+        message,
+      },
+      { currency: tripCurrency(trip, req.user) }
+    );
+
+    const { outcome, generationId } = await trackedGeneration(
+      req,
+      "tripChat",
+      { prompt, input: { message }, trip },
+      () =>
+        generateStructured("tripChat", prompt.text, {
+          validate: (data) => validateChatResponse(data, days),
+        })
+    );
+
+    if (!outcome.data) {
+      logger.warn("Trip chat response failed validation:", {
+        tripId: trip._id.toString(),
+        errors: outcome.errors,
+      });
+      return res.status(502).json({
+        success: false,
+        message: "AI could not turn this request into valid itinerary changes",
+        errors: outcome.errors,
+      });
     }
-- Current Location: ${currentLocation || "Not specified"}
-- Previous Destinations: ${
-      travelHistory?.map((trip) => trip.destination).join(", ") || "None"
+
+    const { reply, operations } = outcome.data;
+    const currency = tripCurrency(trip, req.user);
+
+    const userMessage = trip.chatHistory.create({
+      role: "user",
+      content: message,
+    });
+    const assistantMessage = trip.chatHistory.create({
+      role: "assistant",
+      content: reply.slice(0, 4000),
+      generation: generationId,
+    });
+
+    let preview = null;
+    if (operations.length > 0) {
+      const { changedDays, totalCost } = previewOperations(days, operations, {
+        currency,
+        legs: trip.legs,
+      });
+      assistantMessage.operations = operations;
+      assistantMessage.changes = describeOperations(operations, days);
+      assistantMessage.patchStatus = "proposed";
+      assistantMessage.tripVersion = trip.version;
+      preview = { changedDays, totalCost };
     }
 
-Please provide suggestions in the following JSON format:
-{
-  "suggestions": [
-    {
-      "destination": "Destination Name",
-      "country": "Country",
-      "category": "beach/mountain/city/cultural/adventure",
-      "estimatedBudget": {
-        "min": 60000,
-        "max": 120000,
-        "currency": "INR"
+    await Trip.updateOne(
+      { _id: trip._id },
+      {
+        $push: {
+          chatHistory: {
+            $each: [userMessage.toObject(), assistantMessage.toObject()],
+            $slice: -CHAT_HISTORY_LIMIT,
+          },
+        },
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        messages: [userMessage, assistantMessage],
+        preview,
+        generation: {
+          id: generationId,
+          status: outcome.status,
+          attempts: outcome.attempts.length,
+        },
       },
-      "bestTimeToVisit": "March to May",
-      "highlights": [
-        "Main attraction 1",
-        "Main attraction 2",
-        "Main attraction 3"
-      ],
-      "whyRecommended": "Specific reasons based on user preferences",
-      "estimatedDuration": "5-7 days",
-      "difficultyLevel": "easy/moderate/challenging",
-      "uniqueExperiences": [
-        "Unique experience 1",
-        "Unique experience 2"
-      ]
+    });
+  } catch (error) {
+    console.error("Trip chat error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error talking to the trip assistant",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get travel suggestions based on preferences
+// @route   POST /api/ai/travel-suggestions
+// @access  Private
+const getTravelSuggestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
     }
-  ],
-  "personalizedTips": [
-    "Tip based on travel style",
-    "Budget optimization tip",
-    "Experience enhancement tip"
-  ]
-}
 
-Focus on destinations that match the user's travel style and haven't been visited before.`;
+    const { preferences, currentLocation, travelHistory } = req.body;
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let suggestionsText = response.text();
+    const user = req.user;
+    const userPreferences = user.preferences || {};
+
+    const prompt = renderRequestPrompt(req, "travelSuggestions", {
+      preferences,
+      userPreferences,
+      currentLocation,
+      travelHistory,
+    });
 
-    // Clean up the response
-    suggestionsText = suggestionsText
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "");
+    const { outcome } = await trackedGeneration(
+      req,
+      "travelSuggestions",
+      { prompt, input: req.body },
+      () =>
+        generateStructured("travelSuggestions", prompt.text, { maxRepairs: 0 })
+    );
 
-    let suggestionsData;
-    try {
-      suggestionsData = JSON.parse(suggestionsText);
-    } catch (parseError) {
-      console.error("Failed to parse suggestions response:", parseError);
+    let suggestionsData = outcome.data;
+    if (!suggestionsData) {
+      console.error("Failed to parse suggestions response:", outcome.errors);
       // Fallback suggestions
       suggestionsData = {
         suggestions: [
@@ -496,6 +774,15 @@ Focus on destinations that match the user's travel style and haven't been visite
 // @access  Private
 const getDestinationInsights = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
     const { destination, travelDates } = req.body;
 
     if (!destination) {
@@ -505,77 +792,24 @@ const getDestinationInsights = async (req, res) => {
       });
     }
 
-    const prompt = `Provide comprehensive travel insights for ${destination} for travel dates: ${
-      travelDates || "flexible"
-    }. 
-
-Include the following information in JSON format:
-{
-  "destination": "${destination}",
-  "overview": "Brief description of the destination",
-  "weather": {
-    "currentSeason": "season name",
-    "averageTemperature": "temperature range",
-    "rainfall": "rainfall info",
-    "bestMonths": ["month1", "month2"]
-  },
-  "costOfLiving": {
-    "level": "low/moderate/high",
-    "averageMealCost": "cost range",
-    "accommodation": "price range",
-    "transport": "cost info"
-  },
-  "culture": {
-    "language": "primary language",
-    "currency": "local currency",
-    "religion": "primary religion",
-    "customs": ["custom1", "custom2"],
-    "etiquette": ["tip1", "tip2"]
-  },
-  "topAttractions": [
-    {
-      "name": "Attraction name",
-      "type": "museum/landmark/nature",
-      "description": "brief description",
-      "averageVisitTime": "time needed"
-    }
-  ],
-  "localCuisine": [
-    {
-      "dish": "dish name",
-      "description": "what it is",
-      "where": "where to find it"
-    }
-  ],
-  "transportation": {
-    "publicTransport": "description",
-    "ridesharing": "availability",
-    "walkability": "walkability score",
-    "tips": ["tip1", "tip2"]
-  },
-  "safety": {
-    "level": "low/moderate/high risk",
-    "commonIssues": ["issue1", "issue2"],
-    "tips": ["safety tip1", "safety tip2"]
-  },
-  "packingTips": ["item1", "item2", "item3"]
-}`;
-
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let insightsText = response.text();
-
-    // Clean up the response
-    insightsText = insightsText
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "");
-
-    let insightsData;
-    try {
-      insightsData = JSON.parse(insightsText);
-    } catch (parseError) {
-      console.error("Failed to parse insights response:", parseError);
+    const prompt = renderRequestPrompt(req, "destinationInsights", {
+      destination,
+      travelDates,
+    });
+
+    const { outcome } = await trackedGeneration(
+      req,
+      "destinationInsights",
+      { prompt, input: req.body },
+      () =>
+        generateStructured("destinationInsights", prompt.text, {
+          maxRepairs: 0,
+        })
+    );
+
+    let insightsData = outcome.data;
+    if (!insightsData) {
+      console.error("Failed to parse insights response:", outcome.errors);
       // Fallback insights
       insightsData = {
         destination,
@@ -625,21 +859,27 @@ Include the following information in JSON format:
   }
 };
 
-// @desc    Get AI-powered trip recommendations
+// @desc    Get personalized trip recommendations
 // @route   GET /api/ai/recommendations
 // @route   POST /api/ai/recommendations/refresh (clears cache)
 // @access  Private
 const getRecommendations = async (req, res) => {
   try {
-    // Use dummy recommendations instead of AI
-    const recommendations = getDummyRecommendations();
+    // POST /recommendations/refresh rebuilds instead of serving the cache
+    const refreshed = req.method === "POST";
+    if (refreshed) {
+      recommendationService.invalidate(req.user.id);
+    }
 
-    // recommendations generated
+    const { data, generatedAt, cached } =
+      await recommendationService.getForUser(req.user.id);
 
     res.status(200).json({
       success: true,
-      data: recommendations,
-      refreshed: req.method === "POST",
+      data,
+      cached,
+      generatedAt,
+      refreshed,
     });
   } catch (error) {
     logger.error("Error getting recommendations:", error);
@@ -653,111 +893,597 @@ const getRecommendations = async (req, res) => {
   }
 };
 
-// Helper: Get random dummy recommendations from a list of 15 destinations
-function getDummyRecommendations() {
-  const allDestinations = [
-    {
-      destination: "Paris, France",
-      highlights: "Eiffel Tower, Louvre Museum, Seine River Cruise",
-      duration: 5,
-      estimatedCost: { min: 80000, max: 150000, currency: "INR" },
-    },
-    {
-      destination: "Tokyo, Japan",
-      highlights: "Mount Fuji, Ancient Temples, Cherry Blossoms",
-      duration: 6,
-      estimatedCost: { min: 90000, max: 180000, currency: "INR" },
-    },
-    {
-      destination: "Bali, Indonesia",
-      highlights: "Pristine Beaches, Sacred Temples, Rice Terraces",
-      duration: 4,
-      estimatedCost: { min: 40000, max: 80000, currency: "INR" },
-    },
-    {
-      destination: "Dubai, UAE",
-      highlights: "Burj Khalifa, Desert Safari, Luxury Shopping",
-      duration: 4,
-      estimatedCost: { min: 60000, max: 120000, currency: "INR" },
-    },
-    {
-      destination: "Goa, India",
-      highlights: "Golden Beaches, Portuguese Heritage, Vibrant Nightlife",
-      duration: 3,
-      estimatedCost: { min: 15000, max: 35000, currency: "INR" },
-    },
-    {
-      destination: "Maldives",
-      highlights: "Overwater Villas, Coral Reefs, Luxury Resorts",
-      duration: 5,
-      estimatedCost: { min: 100000, max: 250000, currency: "INR" },
-    },
-    {
-      destination: "Santorini, Greece",
-      highlights: "White-washed Buildings, Sunset Views, Aegean Sea",
-      duration: 4,
-      estimatedCost: { min: 70000, max: 140000, currency: "INR" },
-    },
-    {
-      destination: "New York, USA",
-      highlights: "Statue of Liberty, Times Square, Central Park",
-      duration: 6,
-      estimatedCost: { min: 120000, max: 220000, currency: "INR" },
-    },
-    {
-      destination: "Jaipur, India",
-      highlights: "Pink City, Amber Fort, Royal Palaces",
-      duration: 3,
-      estimatedCost: { min: 12000, max: 30000, currency: "INR" },
-    },
-    {
-      destination: "Barcelona, Spain",
-      highlights: "Sagrada Familia, Gothic Quarter, Mediterranean Beaches",
-      duration: 5,
-      estimatedCost: { min: 75000, max: 145000, currency: "INR" },
-    },
+// @desc    Get the current user's monthly AI quota
+// @route   GET /api/ai/quota
+// @access  Private
+const getAiQuota = (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.aiQuota,
+  });
+};
+
+// @desc    List recorded AI generations (admins see every user's)
+// @route   GET /api/ai/generations
+// @access  Private
+const getGenerations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { endpoint, promptVersion, status, trip, user } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = {};
+    if (req.user.role === "admin") {
+      if (user) query.user = user;
+    } else {
+      query.user = req.user.id;
+    }
+    if (endpoint) query.endpoint = endpoint;
+    if (promptVersion) query.promptVersion = promptVersion;
+    if (status) query.status = status;
+    if (trip) query.trip = trip;
+
+    // Prompts and raw responses are only returned by GET /generations/:id
+    const [generations, total] = await Promise.all([
+      AiGeneration.find(query)
+        .select("-prompt -input -attempts.response")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AiGeneration.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      count: generations.length,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+      data: generations,
+    });
+  } catch (error) {
+    console.error("Get AI generations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching AI generations",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Compare outcomes per endpoint, prompt version and model
+// @route   GET /api/ai/generations/stats
+// @access  Private/Admin
+const getGenerationStats = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const match = {};
+    if (req.query.endpoint) match.endpoint = req.query.endpoint;
+    if (req.query.since) match.createdAt = { $gte: new Date(req.query.since) };
+
+    const stats = await AiGeneration.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            endpoint: "$endpoint",
+            promptVersion: "$promptVersion",
+            model: "$model",
+          },
+          count: { $sum: 1 },
+          generated: {
+            $sum: { $cond: [{ $eq: ["$status", "generated"] }, 1, 0] },
+          },
+          repaired: {
+            $sum: { $cond: [{ $eq: ["$status", "repaired"] }, 1, 0] },
+          },
+          failed: {
+            $sum: {
+              $cond: [{ $in: ["$status", ["failed", "error"]] }, 1, 0],
+            },
+          },
+          avgAttempts: { $avg: { $size: "$attempts" } },
+          avgLatencyMs: { $avg: "$latencyMs" },
+          avgTotalTokens: { $avg: "$usage.totalTokens" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          endpoint: "$_id.endpoint",
+          promptVersion: "$_id.promptVersion",
+          model: "$_id.model",
+          count: 1,
+          generated: 1,
+          repaired: 1,
+          failed: 1,
+          avgAttempts: { $round: ["$avgAttempts", 2] },
+          avgLatencyMs: { $round: ["$avgLatencyMs", 0] },
+          avgTotalTokens: { $round: ["$avgTotalTokens", 0] },
+        },
+      },
+      { $sort: { endpoint: 1, promptVersion: 1, model: 1 } },
+    ]);
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    console.error("Get AI generation stats error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching AI generation statistics",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get one AI generation with its prompt and raw responses
+// @route   GET /api/ai/generations/:id
+// @access  Private
+const getGenerationById = async (req, res) => {
+  try {
+    const generation = await AiGeneration.findById(req.params.id);
+
+    if (!generation) {
+      return res.status(404).json({
+        success: false,
+        message: "AI generation not found",
+      });
+    }
+
+    if (
+      generation.user.toString() !== req.user.id &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this AI generation",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: generation,
+    });
+  } catch (error) {
+    console.error("Get AI generation error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "AI generation not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching AI generation",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    List prompt templates with their versions and variables
+// @route   GET /api/ai/prompts
+// @access  Private/Admin
+const getPromptTemplates = (req, res) => {
+  res.json({
+    success: true,
+    data: listTemplates(),
+  });
+};
+
+// @desc    Render a prompt template without calling the model
+// @route   POST /api/ai/prompts/:name/render
+// @access  Private/Admin
+const previewPrompt = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { variables, version, locale, currency } = req.body;
+
+  try {
+    res.json({
+      success: true,
+      data: renderPrompt(req.params.name, variables, {
+        version,
+        locale,
+        currency: currency || preferredCurrency(req.user),
+      }),
+    });
+  } catch (error) {
+    // Unknown template, missing version or invalid variables
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Helper: Run a model call for the current user and record it as an
+// AiGeneration (see services/aiGenerationService.js). `prompt` is the
+// rendered template, so the record carries the version that was used.
+function trackedGeneration(req, endpoint, { prompt, input, trip }, run) {
+  return trackGeneration(
     {
-      destination: "Singapore",
-      highlights: "Marina Bay Sands, Gardens by the Bay, Hawker Centers",
-      duration: 4,
-      estimatedCost: { min: 55000, max: 110000, currency: "INR" },
+      endpoint,
+      promptVersion: prompt.version,
+      userId: req.user.id,
+      tripId: trip?._id,
+      prompt: prompt.text,
+      input,
     },
+    run
+  );
+}
+
+// Helper: Render a prompt template for this request. A client may pin
+// promptVersion to compare template versions side by side; otherwise the
+// configured default is used (see services/llm/prompts).
+function renderRequestPrompt(req, name, variables, { currency } = {}) {
+  return renderPrompt(name, variables, {
+    version: req.body.promptVersion,
+    locale: requestLocale(req),
+    currency,
+  });
+}
+
+function requestLocale(req) {
+  return req.body.locale || req.user.preferences?.language;
+}
+
+// Helper: Itinerary generation prompt shared by the JSON and streaming routes
+function renderItineraryPrompt(req) {
+  const {
+    destination,
+    duration,
+    budget,
+    travelStyle,
+    interests,
+    groupSize,
+    accommodation,
+    transport,
+    startDate,
+    endDate,
+    legs,
+  } = req.body;
+
+  return renderRequestPrompt(
+    req,
+    "generateItinerary",
     {
-      destination: "Kerala, India",
-      highlights: "Backwaters, Hill Stations, Ayurvedic Retreats",
-      duration: 5,
-      estimatedCost: { min: 20000, max: 45000, currency: "INR" },
+      destination,
+      duration,
+      budget,
+      travelStyle,
+      interests,
+      groupSize,
+      accommodation,
+      transport,
+      startDate,
+      endDate,
+      // Only versions that plan multi-city trips declare legs
+      legs: legs?.length > 0 ? planLegs(legs) : undefined,
     },
-    {
-      destination: "London, England",
-      highlights: "Big Ben, British Museum, Thames River",
-      duration: 5,
-      estimatedCost: { min: 95000, max: 175000, currency: "INR" },
+    { currency: requestCurrency(req) }
+  );
+}
+
+// Helper: Currency of a generation request: its budget's, else the user's
+function requestCurrency(req) {
+  return tripCurrency({ preferences: { budget: req.body.budget } }, req.user);
+}
+
+// Helper: Load the :tripId trip for an AI edit; the caller needs edit
+// permission (see services/tripPermissions.js). Sends the error response
+// and resolves to null when it is missing or off limits.
+function findEditableTrip(req, res, { withChat = false } = {}) {
+  return findTripWithPermission(req, res, "edit", {
+    tripId: req.params.tripId,
+    prepare: (query) => (withChat ? query.select("+chatHistory") : query),
+    message: "Not authorized to modify this trip",
+  });
+}
+
+// Helper: Trip fields the trip-editing prompts describe. When editing one
+// day of a multi-city trip, the destination is that day's leg.
+function promptTrip(trip, dayIndex) {
+  const { destination, legs, preferences, itinerary } = trip.toObject();
+  const city = itinerary?.days?.[dayIndex]?.city;
+  const leg = city && legs?.find((candidate) => sameCity(candidate.city, city));
+
+  return {
+    destination: leg ? { city: leg.city, country: leg.country } : destination,
+    legs,
+    preferences,
+  };
+}
+
+// Helper: Map a model activity onto the Trip activity schema
+function toTripActivity(activity, currency) {
+  return {
+    time: activity.time,
+    activity: activity.activity,
+    location: {
+      name: activity.location?.name || "",
+      address: activity.location?.address || "",
+      coordinates: activity.location?.coordinates,
     },
-    {
-      destination: "Phuket, Thailand",
-      highlights: "Tropical Beaches, Island Hopping, Thai Cuisine",
-      duration: 5,
-      estimatedCost: { min: 45000, max: 90000, currency: "INR" },
+    duration: activity.duration,
+    cost: {
+      amount: activity.cost?.amount || 0,
+      currency: activity.cost?.currency || currency,
     },
+    description: activity.description || "",
+    type: activity.type,
+  };
+}
+
+// Helper: Check a generated itinerary against the request's budget and
+// schedule (see services/llm/itineraryConstraints.js). When it is over
+// budget and enforceBudget (or AI_ENFORCE_BUDGET) is set, ask the model once
+// for a cheaper plan and use it if it is valid and actually cheaper.
+// Resolves to { outcome, generationId, constraints }.
+async function checkConstraints(
+  req,
+  prompt,
+  { outcome, generationId },
+  { signal } = {}
+) {
+  if (!outcome.data) return { outcome, generationId, constraints: null };
+
+  const { duration, budget, groupSize } = req.body;
+  const legs = planLegs(req.body.legs);
+  const constraints = checkItineraryConstraints(outcome.data.itinerary, {
+    budget,
+    groupSize,
+    transfers: outcome.data.transfers,
+  });
+  const enforceBudget =
+    req.body.enforceBudget ?? process.env.AI_ENFORCE_BUDGET === "true";
+
+  if (!enforceBudget || !isOverBudget(constraints)) {
+    return { outcome, generationId, constraints };
+  }
+
+  const { summary } = constraints;
+  const revisionPrompt = renderPrompt(
+    "reduceItineraryCost",
     {
-      destination: "Manali, India",
-      highlights: "Snow-capped Mountains, Adventure Sports, Himalayan Views",
-      duration: 4,
-      estimatedCost: { min: 18000, max: 40000, currency: "INR" },
+      originalPrompt: prompt.text,
+      itinerary: outcome.data,
+      perPerson: summary.perPerson,
+      budgetMax: summary.budget.max,
+      groupSize: summary.groupSize,
     },
-  ];
+    { locale: requestLocale(req), currency: summary.currency }
+  );
+
+  let revision;
+  try {
+    revision = await trackedGeneration(
+      req,
+      "reduceItineraryCost",
+      {
+        prompt: revisionPrompt,
+        input: { ...req.body, revisionOf: generationId },
+      },
+      () =>
+        generateStructured("generateItinerary", revisionPrompt.text, {
+          validate: (data) => validateItinerary(data, { duration, legs }),
+          signal,
+        })
+    );
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.warn("Budget revision failed:", { error: error.message });
+    revision = null;
+  }
+
+  const budgetRevision = {
+    status: "failed",
+    generationId: revision?.generationId,
+    perPersonBefore: summary.perPerson,
+  };
+
+  if (!revision?.outcome.data) {
+    return {
+      outcome,
+      generationId,
+      constraints: { ...constraints, budgetRevision },
+    };
+  }
+
+  const revised = checkItineraryConstraints(revision.outcome.data.itinerary, {
+    budget,
+    groupSize,
+    transfers: revision.outcome.data.transfers,
+  });
+  if (revised.summary.perPerson >= summary.perPerson) {
+    budgetRevision.status = "not_cheaper";
+    return {
+      outcome,
+      generationId,
+      constraints: { ...constraints, budgetRevision },
+    };
+  }
+
+  budgetRevision.status = "applied";
+  return {
+    outcome: revision.outcome,
+    generationId: revision.generationId,
+    constraints: { ...revised, budgetRevision },
+  };
+}
+
+// Helper: Turn a generateStructured outcome into the response payload,
+// substituting the placeholder outline when no valid itinerary came back
+function finalizeItinerary({ outcome, generationId, constraints = null }, req) {
+  const { destination, duration, budget, startDate, legs } = req.body;
+  const currency = requestCurrency(req);
+  const plannedLegs = planLegs(legs);
+  let itineraryData;
+  if (outcome.data) {
+    itineraryData = outcome.data;
+  } else {
+    logger.warn("Falling back to placeholder itinerary:", {
+      destination,
+      duration,
+      attempts: outcome.attempts.length,
+      errors: outcome.errors,
+    });
+    itineraryData = buildFallbackItinerary({
+      destination,
+      duration,
+      budget,
+      currency,
+      startDate,
+      legs: plannedLegs,
+    });
+  }
+
+  // Tell the client whether this is a real plan or a placeholder
+  itineraryData.generation = {
+    id: generationId,
+    status: outcome.data ? outcome.status : "fallback",
+    attempts: outcome.attempts.length,
+    validationErrors: outcome.errors,
+  };
+  // Budget and schedule warnings; null for the placeholder outline
+  itineraryData.constraints = constraints;
+  // Stops of a multi-city trip, each with the transfer that reaches it
+  if (plannedLegs.length > 0) {
+    itineraryData.legs = attachTransfers(plannedLegs, itineraryData.transfers);
+  }
+
+  // Calculate total cost if not provided
+  if (
+    !itineraryData.totalEstimatedCost ||
+    itineraryData.totalEstimatedCost.amount === 0
+  ) {
+    const totalCost = [
+      ...itineraryData.itinerary.map((day) => day.totalDayCost),
+      ...(itineraryData.transfers || []).map((transfer) => transfer.cost),
+    ].reduce((sum, cost) => sum + (cost?.amount || 0), 0);
+    itineraryData.totalEstimatedCost = {
+      amount: totalCost,
+      currency,
+    };
+  }
+
+  return itineraryData;
+}
+
+// Helper: Placeholder outline used when the model never returns a valid
+// itinerary. It carries no invented venues or coordinates and is flagged as
+// a fallback in the response so the UI does not present it as a real plan.
+function buildFallbackItinerary({
+  destination,
+  duration,
+  budget,
+  currency,
+  startDate,
+  legs = [],
+}) {
+  const days = [];
+
+  for (let day = 1; day <= duration; day++) {
+    const city = legForDay(legs, day)?.city;
+    const place = city || destination;
+    days.push({
+      day,
+      date: startDate
+        ? new Date(
+            new Date(startDate).getTime() + (day - 1) * 24 * 60 * 60 * 1000
+          )
+            .toISOString()
+            .split("T")[0]
+        : `Day ${day}`,
+      ...(city && { city }),
+      title: `Day ${day} in ${place}`,
+      activities: [
+        {
+          time: "09:00",
+          activity: `Explore ${place}`,
+          location: { name: place },
+          duration: 4,
+          cost: {
+            amount: Math.round((budget.max || 0) / duration / 2),
+            currency,
+          },
+          description: "Unplanned day - regenerate to get specific activities",
+          type: "activity",
+        },
+      ],
+      meals: [],
+      totalDayCost: {
+        amount: Math.round((budget.max || 0) / duration),
+        currency,
+      },
+    });
+  }
 
-  // Randomly shuffle and return 3 destinations
-  return allDestinations
-    .sort(() => 0.5 - Math.random())
-    .slice(0, 3);
+  return {
+    destination,
+    duration,
+    totalEstimatedCost: { amount: 0, currency },
+    itinerary: days,
+    recommendations: {},
+  };
 }
 
 module.exports = {
   generateItinerary,
+  generateItineraryStream,
   optimizeItinerary,
+  regenerateDay,
+  regenerateActivity,
+  chatWithTrip,
   getTravelSuggestions,
   getDestinationInsights,
   getRecommendations,
+  getAiQuota,
+  getGenerations,
+  getGenerationStats,
+  getGenerationById,
+  getPromptTemplates,
+  previewPrompt,
 };
@@ -0,0 +1,270 @@
+const { validationResult } = require("express-validator");
+const ExchangeRate = require("../models/ExchangeRate");
+const {
+  dayOf,
+  preferredCurrency,
+  createConverter,
+  saveRates,
+  parseRateFile,
+} = require("../services/currencyService");
+
+// @desc    List exchange rates, newest first (?currency= for one currency)
+// @route   GET /api/currencies/rates
+// @access  Private
+const getRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { currency, page = 1, limit = 50 } = req.query;
+    const query = currency
+      ? { $or: [{ base: currency }, { quote: currency }] }
+      : {};
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .sort({ date: -1, base: 1, quote: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ExchangeRate.countDocuments(query),
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      rates,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRates: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching exchange rates",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Add or replace the rate of a currency pair on a day
+// @route   POST /api/currencies/rates
+// @access  Private (admin)
+const saveRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { base, quote, rate, date } = req.body;
+    await saveRates([{ base, quote, rate, date }], {
+      source: "admin",
+      userId: req.user.id,
+    });
+
+    const saved = await ExchangeRate.findOne({
+      base,
+      quote,
+      date: dayOf(date),
+    }).lean();
+
+    res.status(201).json({
+      success: true,
+      message: "Exchange rate saved successfully",
+      rate: saved,
+    });
+  } catch (error) {
+    console.error("Save exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error saving exchange rate",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Import exchange rates: { rates: [{ date, base, quote, rate }] }
+//          or { file: "<CSV or JSON rate file>" }
+// @route   POST /api/currencies/rates/import
+// @access  Private (admin)
+const importRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    let rows = req.body.rates;
+    if (!Array.isArray(rows)) {
+      try {
+        rows = parseRateFile(req.body.file);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: parseError.message,
+        });
+      }
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No exchange rates to import",
+      });
+    }
+
+    const { imported, skipped } = await saveRates(rows, {
+      source: "import",
+      userId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${imported} of ${rows.length} exchange rates`,
+      imported,
+      skipped,
+    });
+  } catch (error) {
+    console.error("Import exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error importing exchange rates",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Delete an exchange rate
+// @route   DELETE /api/currencies/rates/:rateId
+// @access  Private (admin)
+const deleteRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.rateId);
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Exchange rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete exchange rate error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error deleting exchange rate",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Convert an amount (?amount=&from=&to=, optional &date=); `to`
+//          defaults to the user's preferred currency
+// @route   GET /api/currencies/convert
+// @access  Private
+const convertAmount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { amount, from, date } = req.query;
+    const to = req.query.to || preferredCurrency(req.user);
+
+    const converter = await createConverter([from, to], {
+      dates: [date || new Date()],
+    });
+    const converted = converter.convert(amount, from, to, date);
+    if (!converted) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate from ${from} to ${to}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      amount,
+      from,
+      converted,
+    });
+  } catch (error) {
+    console.error("Convert currency error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error converting currency",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  getRates,
+  saveRate,
+  importRates,
+  deleteRate,
+  convertAmount,
+};
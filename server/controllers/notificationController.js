@@ -0,0 +1,265 @@
+const { validationResult } = require("express-validator");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+
+// Settings of each notification type in User.notificationPreferences
+const PREFERENCE_SETTINGS = {
+  tripReminder: ["inApp", "email", "daysBefore"],
+  tripEdited: ["inApp", "email"],
+  generationFinished: ["inApp", "email"],
+  tripInvitation: ["inApp", "email"],
+};
+
+// Only in-app notifications are shown in the inbox
+const inboxQuery = (req) => ({ user: req.user.id, channels: "in-app" });
+
+// @desc    Get the logged in user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = inboxQuery(req);
+    if (unread === "true") {
+      query.readAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ ...inboxQuery(req), readAt: null }),
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalNotifications: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching notifications",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:notificationId/read
+// @access  Private
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      ...inboxQuery(req),
+    });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      notification,
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...inboxQuery(req), readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notifications",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:notificationId
+// @access  Private
+const deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.notificationId,
+      user: req.user.id,
+    });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Notification deleted",
+    });
+  } catch (error) {
+    console.error("Delete notification error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error deleting notification",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get the logged in user's notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "notificationPreferences"
+    );
+
+    res.json({
+      success: true,
+      preferences: user.notificationPreferences,
+    });
+  } catch (error) {
+    console.error("Get notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching notification preferences",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Change notification preferences; only the given settings change
+// @route   PUT /api/notifications/preferences
+// @access  Private
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const changes = {};
+    Object.entries(PREFERENCE_SETTINGS).forEach(([type, settings]) => {
+      settings.forEach((setting) => {
+        const value = req.body[type]?.[setting];
+        if (value !== undefined) {
+          changes[`notificationPreferences.${type}.${setting}`] = value;
+        }
+      });
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: changes },
+      { new: true, runValidators: true }
+    ).select("notificationPreferences");
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated",
+      preferences: user.notificationPreferences,
+    });
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification preferences",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
@@ -1,6 +1,36 @@
+const mongoose = require("mongoose");
 const { validationResult } = require("express-validator");
 const Trip = require("../models/Trip");
 const User = require("../models/User");
+const AiGeneration = require("../models/AiGeneration");
+const recommendationService = require("../services/recommendationService");
+const { linkGenerationToTrip } = require("../services/aiGenerationService");
+const { emitTripChange } = require("../services/tripRealtime");
+const { refreshTripStatus } = require("../services/tripLifecycle");
+const { notifyTripEdited } = require("../services/notificationService");
+const { deleteTripExpenses } = require("../services/expenseService");
+const { accountTraveller } = require("../services/travellerService");
+const {
+  preferredCurrency,
+  createConverter,
+} = require("../services/currencyService");
+const {
+  requestedVersion,
+  sendVersionConflict,
+} = require("../services/tripVersion");
+const {
+  recordRevision,
+  describeUpdate,
+} = require("../services/tripRevisionService");
+const {
+  getTripRole,
+  findTripWithPermission,
+  withoutContactDetails,
+} = require("../services/tripPermissions");
+const {
+  validateOperations,
+  previewOperations,
+} = require("../services/llm/itineraryPatch");
 
 // @desc    Create a new trip
 // @route   POST /api/trips
@@ -20,6 +50,7 @@ const createTrip = async (req, res) => {
       title,
       description,
       destination,
+      legs,
       preferences,
       itinerary,
       startDate,
@@ -46,14 +77,22 @@ const createTrip = async (req, res) => {
       tripStatus = "draft";
     }
 
+    // Record which AI generation the itinerary came from, if any
+    const generation = await findOwnGeneration(
+      itinerary?.generation,
+      req.user.id
+    );
+
     // Create trip
     const trip = await Trip.create({
       user: req.user.id,
       title,
       description,
       destination,
+      legs,
       preferences,
-      itinerary,
+      travellers: [accountTraveller(req.user)],
+      itinerary: itinerary && withGenerationProvenance(itinerary, generation),
       status: tripStatus,
       startDate: startDate ? new Date(startDate) : undefined,
       endDate: endDate ? new Date(endDate) : undefined,
@@ -62,6 +101,23 @@ const createTrip = async (req, res) => {
       tags: tags || [],
     });
 
+    if (generation) {
+      await linkGenerationToTrip(generation._id, req.user.id, trip._id);
+    }
+
+    await recordRevision(trip, {
+      author: req.user.id,
+      source: generation ? "ai-generate" : "manual",
+      summary: "Trip created",
+    });
+
+    // A trip planned for today starts out ongoing, not upcoming
+    const currentStatus = await refreshTripStatus(req.app.get("io"), trip._id);
+    if (currentStatus) trip.status = currentStatus;
+
+    // Recommendations depend on trip history
+    recommendationService.invalidate(req.user.id);
+
     // Populate user information
     await trip.populate("user", "name email avatar");
 
@@ -109,10 +165,7 @@ const getTrips = async (req, res) => {
     }
 
     if (destination) {
-      query.$or = [
-        { "destination.city": { $regex: destination, $options: "i" } },
-        { "destination.country": { $regex: destination, $options: "i" } },
-      ];
+      query.$or = destinationFilter(destination);
     }
 
     // Calculate pagination
@@ -174,35 +227,113 @@ const getTripById = async (req, res) => {
   try {
     console.log("GetTripById called for trip:", req.params.id);
 
-    const trip = await Trip.findById(req.params.id)
-      .populate("user", "name email avatar")
-      .lean();
+    const trip = await findTripWithPermission(req, res, "view", {
+      prepare: (query) =>
+        query
+          .populate("user", "name email avatar")
+          .populate("members.user", "name email avatar")
+          .lean(),
+    });
+    if (!trip) return;
 
-    console.log("Trip found:", trip ? "Yes" : "No");
+    // The caller's role; null when viewing someone's public trip
+    const role = getTripRole(trip, req.user.id);
+    res.json({
+      success: true,
+      trip: role ? trip : withoutContactDetails(trip),
+      role,
+    });
+  } catch (error) {
+    console.error("Get trip by ID error:", error);
+    console.error("Error stack:", error.stack);
+    console.error("Error message:", error.message);
 
-    if (!trip) {
+    if (error.name === "CastError") {
       return res.status(404).json({
         success: false,
         message: "Trip not found",
       });
     }
 
-    // Check if user owns the trip or trip is public
-    if (trip.user._id.toString() !== req.user.id && !trip.isPublic) {
-      return res.status(403).json({
+    res.status(500).json({
+      success: false,
+      message: "Error fetching trip",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Update trip
+// @route   PUT /api/trips/:id
+// @access  Private
+const updateTrip = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to access this trip",
+        message: "Validation failed",
+        errors: errors.array(),
       });
     }
 
+    const existing = await findTripWithPermission(req, res, "edit");
+    if (!existing) return;
+
+    // Without a version the update is unconditional, as for older clients
+    const baseVersion = requestedVersion(req);
+    if (baseVersion !== null && baseVersion !== existing.version) {
+      return sendVersionConflict(req, res);
+    }
+
+    const updateData = buildTripUpdate(req.body);
+
+    // Sharing a trip publicly is up to those who manage it
+    if (
+      updateData.isPublic !== undefined &&
+      !["owner", "co-owner"].includes(getTripRole(existing, req.user.id))
+    ) {
+      delete updateData.isPublic;
+    }
+
+    // Conditional on the version, so an edit saved since the check still wins
+    const trip = await Trip.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...(baseVersion !== null && { version: baseVersion }),
+      },
+      { ...updateData, $inc: { version: 1 } },
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).populate("user", "name email avatar");
+    if (!trip) return sendVersionConflict(req, res);
+
+    const summary = describeUpdate(Object.keys(updateData));
+    await recordRevision(trip, {
+      author: req.user.id,
+      source: req.body.source || "manual",
+      summary,
+    });
+    notifyTripEdited(trip, req.user, summary);
+    // New dates or a new itinerary can make the trip due for another status
+    const currentStatus = await refreshTripStatus(req.app.get("io"), trip._id);
+    if (currentStatus) trip.status = currentStatus;
+
+    recommendationService.invalidate(existing.user.toString());
+    emitTripChange(req, trip, "update");
+
     res.json({
       success: true,
+      message: "Trip updated successfully",
       trip,
     });
   } catch (error) {
-    console.error("Get trip by ID error:", error);
-    console.error("Error stack:", error.stack);
-    console.error("Error message:", error.message);
+    console.error("Update trip error:", error);
 
     if (error.name === "CastError") {
       return res.status(404).json({
@@ -213,7 +344,7 @@ const getTripById = async (req, res) => {
 
     res.status(500).json({
       success: false,
-      message: "Error fetching trip",
+      message: "Error updating trip",
       error:
         process.env.NODE_ENV === "development"
           ? error.message
@@ -222,10 +353,10 @@ const getTripById = async (req, res) => {
   }
 };
 
-// @desc    Update trip
-// @route   PUT /api/trips/:id
+// @desc    Replace a single itinerary day
+// @route   PUT /api/trips/:id/days/:dayIndex
 // @access  Private
-const updateTrip = async (req, res) => {
+const replaceTripDay = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -236,82 +367,118 @@ const updateTrip = async (req, res) => {
       });
     }
 
-    let trip = await Trip.findById(req.params.id);
+    const trip = await findTripWithPermission(req, res, "edit");
+    if (!trip) return;
 
-    if (!trip) {
-      return res.status(404).json({
-        success: false,
-        message: "Trip not found",
-      });
+    const baseVersion = requestedVersion(req);
+    if (baseVersion !== null && baseVersion !== trip.version) {
+      return sendVersionConflict(req, res);
     }
 
-    // Check if user owns the trip
-    if (trip.user.toString() !== req.user.id) {
-      return res.status(403).json({
+    const dayIndex = parseInt(req.params.dayIndex);
+    const current = trip.itinerary?.days?.[dayIndex];
+    if (!current) {
+      return res.status(404).json({
         success: false,
-        message: "Not authorized to update this trip",
+        message: "Day not found in this trip's itinerary",
       });
     }
 
+    // Day number and date are owned by the trip, not the replacement
     const {
-      title,
-      description,
-      destination,
-      preferences,
-      itinerary,
-      startDate,
-      endDate,
-      notes,
-      isPublic,
-      tags,
-      status,
+      _id,
+      day: _dayNumber,
+      date: _date,
+      version: _version,
+      ...replacement
     } = req.body;
+    const day = { ...replacement, day: current.day, date: current.date };
+
+    // Totals are recomputed from activity and meal costs, as on save
+    day.totalCost = {
+      amount: Trip.sumDayCost(day),
+      currency:
+        day.totalCost?.currency ||
+        trip.itinerary.totalCost?.currency ||
+        trip.preferences?.budget?.currency ||
+        "USD",
+    };
+    const totalAmount = Trip.sumTripCost(
+      trip.itinerary.days.map((existing, index) =>
+        index === dayIndex ? day : existing
+      ),
+      trip.legs
+    );
+
+    // Conditional on the version the day was replaced from, so an edit saved
+    // since loading still wins
+    const updated = await Trip.findOneAndUpdate(
+      { _id: req.params.id, version: trip.version },
+      {
+        $set: {
+          [`itinerary.days.${dayIndex}`]: day,
+          "itinerary.totalCost": {
+            amount: totalAmount,
+            currency:
+              trip.itinerary.totalCost?.currency ||
+              trip.preferences?.budget?.currency ||
+              "USD",
+          },
+        },
+        $inc: { version: 1 },
+      },
+      { new: true, runValidators: true }
+    ).populate("user", "name email avatar");
+    if (!updated) return sendVersionConflict(req, res);
 
-    // Update fields if provided
-    const updateData = {};
-    if (title !== undefined) updateData.title = title;
-    if (description !== undefined) updateData.description = description;
-    if (destination !== undefined) updateData.destination = destination;
-    if (preferences !== undefined) updateData.preferences = preferences;
-    if (itinerary !== undefined) updateData.itinerary = itinerary;
-    if (startDate !== undefined)
-      updateData.startDate = startDate ? new Date(startDate) : null;
-    if (endDate !== undefined)
-      updateData.endDate = endDate ? new Date(endDate) : null;
-    if (notes !== undefined) updateData.notes = notes;
-    if (isPublic !== undefined) updateData.isPublic = isPublic;
-    if (tags !== undefined) updateData.tags = tags;
-    
-    // Determine status based on new rules
-    // If status is explicitly provided, use it
-    // If itinerary.days exists and has length > 0, set to 'upcoming', else 'draft'
-    if (status !== undefined) {
-      updateData.status = status;
-    } else if (itinerary !== undefined) {
-      // Auto-determine status when itinerary is being updated
-      if (
-        itinerary &&
-        Array.isArray(itinerary.days) &&
-        itinerary.days.length > 0
-      ) {
-        updateData.status = "upcoming";
-      } else {
-        updateData.status = "draft";
-      }
+    const summary = `Replaced day ${day.day}`;
+    await recordRevision(updated, { author: req.user.id, summary });
+    notifyTripEdited(updated, req.user, summary);
+    emitTripChange(req, updated, "day");
+
+    res.json({
+      success: true,
+      message: "Day updated successfully",
+      trip: updated,
+    });
+  } catch (error) {
+    console.error("Replace trip day error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
     }
 
-    trip = await Trip.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate("user", "name email avatar");
+    res.status(500).json({
+      success: false,
+      message: "Error updating trip day",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get the trip assistant chat history
+// @route   GET /api/trips/:id/chat
+// @access  Private
+const getTripChat = async (req, res) => {
+  try {
+    const trip = await findTripWithPermission(req, res, "edit", {
+      prepare: (query) => query.select("user members chatHistory"),
+      message: "Not authorized to access this trip",
+    });
+    if (!trip) return;
 
     res.json({
       success: true,
-      message: "Trip updated successfully",
-      trip,
+      messages: trip.chatHistory || [],
     });
   } catch (error) {
-    console.error("Update trip error:", error);
+    console.error("Get trip chat error:", error);
 
     if (error.name === "CastError") {
       return res.status(404).json({
@@ -322,7 +489,7 @@ const updateTrip = async (req, res) => {
 
     res.status(500).json({
       success: false,
-      message: "Error updating trip",
+      message: "Error fetching trip chat",
       error:
         process.env.NODE_ENV === "development"
           ? error.message
@@ -331,29 +498,177 @@ const updateTrip = async (req, res) => {
   }
 };
 
-// @desc    Delete trip
-// @route   DELETE /api/trips/:id
+// @desc    Clear the trip assistant chat history
+// @route   DELETE /api/trips/:id/chat
 // @access  Private
-const deleteTrip = async (req, res) => {
+const clearTripChat = async (req, res) => {
   try {
-    const trip = await Trip.findById(req.params.id);
+    const trip = await findTripWithPermission(req, res, "edit", {
+      prepare: (query) => query.select("user members"),
+    });
+    if (!trip) return;
+
+    await Trip.updateOne({ _id: trip._id }, { $set: { chatHistory: [] } });
 
-    if (!trip) {
+    res.json({
+      success: true,
+      message: "Chat history cleared",
+    });
+  } catch (error) {
+    console.error("Clear trip chat error:", error);
+
+    if (error.name === "CastError") {
       return res.status(404).json({
         success: false,
         message: "Trip not found",
       });
     }
 
-    // Check if user owns the trip
-    if (trip.user.toString() !== req.user.id) {
-      return res.status(403).json({
+    res.status(500).json({
+      success: false,
+      message: "Error clearing trip chat",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Apply the itinerary patch proposed in a chat message
+// @route   POST /api/trips/:id/chat/:messageId/apply
+// @access  Private
+const applyTripChatPatch = async (req, res) => {
+  try {
+    const trip = await findTripWithPermission(req, res, "edit", {
+      prepare: (query) => query.select("+chatHistory"),
+    });
+    if (!trip) return;
+
+    const message = trip.chatHistory.id(req.params.messageId);
+    if (!message || !message.operations?.length) {
+      return res.status(404).json({
+        success: false,
+        message: "No proposed changes found for this message",
+      });
+    }
+
+    if (message.patchStatus === "applied") {
+      return res.status(409).json({
+        success: false,
+        message: "These changes have already been applied",
+      });
+    }
+
+    // Operations address activities by position, so any edit since the
+    // patch was proposed can make them point at other activities
+    if (
+      message.tripVersion !== undefined &&
+      message.tripVersion !== trip.version
+    ) {
+      return res.status(409).json({
         success: false,
-        message: "Not authorized to delete this trip",
+        message:
+          "The itinerary has changed since these edits were proposed. Ask the assistant again.",
+        version: trip.version,
       });
     }
 
+    // Proposals from before versions were recorded are checked for fit
+    const days = trip.itinerary.days.map((day) => day.toObject());
+    const errors = validateOperations(message.operations, days);
+    if (errors.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "The itinerary has changed since these edits were proposed. Ask the assistant again.",
+        errors,
+      });
+    }
+
+    const currency =
+      trip.itinerary.totalCost?.currency ||
+      trip.preferences?.budget?.currency ||
+      "USD";
+    const { days: patchedDays, totalCost } = previewOperations(
+      days,
+      message.operations,
+      { currency, legs: trip.legs }
+    );
+
+    // Same update path as updateTrip, keeping the current status
+    const updateData = buildTripUpdate({
+      itinerary: {
+        ...trip.toObject().itinerary,
+        days: patchedDays,
+        totalCost: { amount: totalCost.after, currency },
+      },
+      status: trip.status,
+    });
+    updateData["chatHistory.$[message].patchStatus"] = "applied";
+    updateData["chatHistory.$[message].appliedAt"] = new Date();
+    updateData.$inc = { version: 1 };
+
+    // Conditional on the version the patch was checked against, so an edit
+    // saved since loading still wins
+    const updated = await Trip.findOneAndUpdate(
+      { _id: req.params.id, version: trip.version },
+      updateData,
+      {
+        new: true,
+        runValidators: true,
+        arrayFilters: [{ "message._id": message._id }],
+      }
+    ).populate("user", "name email avatar");
+    if (!updated) return sendVersionConflict(req, res);
+
+    const summary = message.changes?.join("; ") || "Applied assistant changes";
+    await recordRevision(updated, {
+      author: req.user.id,
+      source: "ai-chat",
+      summary,
+    });
+    notifyTripEdited(updated, req.user, summary);
+    emitTripChange(req, updated, "assistant");
+
+    res.json({
+      success: true,
+      message: "Changes applied successfully",
+      trip: updated,
+    });
+  } catch (error) {
+    console.error("Apply trip chat patch error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error applying changes",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Delete trip
+// @route   DELETE /api/trips/:id
+// @access  Private
+const deleteTrip = async (req, res) => {
+  try {
+    const trip = await findTripWithPermission(req, res, "delete");
+    if (!trip) return;
+
     await Trip.findByIdAndDelete(req.params.id);
+    await deleteTripExpenses(trip._id);
+    recommendationService.invalidate(req.user.id);
+    emitTripChange(req, trip, "delete");
 
     res.json({
       success: true,
@@ -398,10 +713,7 @@ const getPublicTrips = async (req, res) => {
     const query = { isPublic: true };
 
     if (destination) {
-      query.$or = [
-        { "destination.city": { $regex: destination, $options: "i" } },
-        { "destination.country": { $regex: destination, $options: "i" } },
-      ];
+      query.$or = destinationFilter(destination);
     }
 
     if (travelStyle) {
@@ -452,30 +764,16 @@ const getPublicTrips = async (req, res) => {
   }
 };
 
-// @desc    Clone/copy a public trip
+// @desc    Clone/copy a public or shared trip
 // @route   POST /api/trips/:id/clone
 // @access  Private
 const cloneTrip = async (req, res) => {
   try {
-    const originalTrip = await Trip.findById(req.params.id);
-
-    if (!originalTrip) {
-      return res.status(404).json({
-        success: false,
-        message: "Trip not found",
-      });
-    }
-
-    // Check if trip is public or user owns it
-    if (
-      !originalTrip.isPublic &&
-      originalTrip.user.toString() !== req.user.id
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to clone this trip",
-      });
-    }
+    // Public trips, and trips the user owns or is a member of
+    const originalTrip = await findTripWithPermission(req, res, "view", {
+      message: "Not authorized to clone this trip",
+    });
+    if (!originalTrip) return;
 
     // Create cloned trip
     const clonedTripData = {
@@ -483,7 +781,9 @@ const cloneTrip = async (req, res) => {
       title: `${originalTrip.title} (Copy)`,
       description: originalTrip.description,
       destination: originalTrip.destination,
+      legs: originalTrip.legs,
       preferences: originalTrip.preferences,
+      travellers: [accountTraveller(req.user)],
       itinerary: originalTrip.itinerary,
       recommendations: originalTrip.recommendations,
       notes: originalTrip.notes,
@@ -493,6 +793,11 @@ const cloneTrip = async (req, res) => {
     };
 
     const clonedTrip = await Trip.create(clonedTripData);
+    await recordRevision(clonedTrip, {
+      author: req.user.id,
+      source: "clone",
+      summary: `Cloned from "${originalTrip.title}"`,
+    });
     await clonedTrip.populate("user", "name email avatar");
 
     res.status(201).json({
@@ -526,7 +831,8 @@ const cloneTrip = async (req, res) => {
 // @access  Private
 const getTripStats = async (req, res) => {
   try {
-    const userId = req.user.id;
+    // aggregate() does not cast ids the way find() does
+    const userId = new mongoose.Types.ObjectId(req.user.id);
 
     // Get trip statistics
     const stats = await Trip.aggregate([
@@ -544,15 +850,38 @@ const getTripStats = async (req, res) => {
           plannedTrips: {
             $sum: { $cond: [{ $eq: ["$status", "draft"] }, 1, 0] },
           },
-          totalCost: {
-            $sum: "$itinerary.totalCost.amount",
-          },
           averageDuration: {
             $avg: "$preferences.duration",
           },
+          multiCityTrips: {
+            $sum: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ["$legs", []] } }, 1] },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    // Planned costs per currency, added up in the user's currency below
+    const costStats = await Trip.aggregate([
+      { $match: { user: userId, "itinerary.totalCost.amount": { $gt: 0 } } },
+      {
+        $group: {
+          _id: {
+            $ifNull: [
+              "$itinerary.totalCost.currency",
+              { $ifNull: ["$preferences.budget.currency", "USD"] },
+            ],
+          },
+          amount: { $sum: "$itinerary.totalCost.amount" },
         },
       },
     ]);
+    const costs = await totalInCurrency(costStats, preferredCurrency(req.user));
 
     // Get trip by travel style
     const travelStyleStats = await Trip.aggregate([
@@ -565,12 +894,29 @@ const getTripStats = async (req, res) => {
       },
     ]);
 
-    // Get trips by destination (top 5)
+    // Get trips by destination (top 5); a multi-city trip counts once for
+    // every country and city on its route
     const destinationStats = await Trip.aggregate([
       { $match: { user: userId } },
+      { $project: { places: routePlaces("country") } },
+      { $unwind: "$places" },
       {
         $group: {
-          _id: "$destination.country",
+          _id: "$places",
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1 } },
+      { $limit: 5 },
+    ]);
+
+    const cityStats = await Trip.aggregate([
+      { $match: { user: userId } },
+      { $project: { places: routePlaces("city") } },
+      { $unwind: "$places" },
+      {
+        $group: {
+          _id: "$places",
           count: { $sum: 1 },
         },
       },
@@ -579,16 +925,25 @@ const getTripStats = async (req, res) => {
     ]);
 
     const result = {
-      overview: stats[0] || {
-        totalTrips: 0,
-        completedTrips: 0,
-        ongoingTrips: 0,
-        plannedTrips: 0,
-        totalCost: 0,
-        averageDuration: 0,
+      overview: {
+        ...(stats[0] || {
+          totalTrips: 0,
+          completedTrips: 0,
+          ongoingTrips: 0,
+          plannedTrips: 0,
+          averageDuration: 0,
+          multiCityTrips: 0,
+        }),
+        totalCost: costs.amount,
+        currency: costs.currency,
+      },
+      costConversion: {
+        rates: costs.rates,
+        unconverted: costs.unconverted,
       },
       travelStyleBreakdown: travelStyleStats,
       topDestinations: destinationStats,
+      topCities: cityStats,
     };
 
     res.json({
@@ -608,11 +963,151 @@ const getTripStats = async (req, res) => {
   }
 };
 
+// Helper: Add up amounts in several currencies ([{ _id: currency, amount }])
+// in one currency at today's rates. Amounts without a rate are left out
+// and listed in unconverted.
+async function totalInCurrency(totals, currency) {
+  const converter = await createConverter([
+    currency,
+    ...totals.map((total) => total._id),
+  ]);
+
+  const result = { amount: 0, currency, rates: [], unconverted: [] };
+  totals.forEach((total) => {
+    const converted = converter.convert(total.amount, total._id, currency);
+    if (!converted) {
+      result.unconverted.push({ currency: total._id, amount: total.amount });
+      return;
+    }
+    result.amount += converted.amount;
+    if (total._id !== currency) {
+      result.rates.push({
+        from: total._id,
+        to: currency,
+        rate: converted.rate,
+        rateDate: converted.rateDate,
+      });
+    }
+  });
+  result.amount = Math.round(result.amount * 100) / 100;
+  return result;
+}
+
+// Helper: Match a search term against the destination and every leg of a
+// multi-city trip
+function destinationFilter(destination) {
+  return [
+    { "destination.city": { $regex: destination, $options: "i" } },
+    { "destination.country": { $regex: destination, $options: "i" } },
+    { "legs.city": { $regex: destination, $options: "i" } },
+    { "legs.country": { $regex: destination, $options: "i" } },
+  ];
+}
+
+// Helper: Aggregation expression for the distinct cities or countries a
+// trip visits (`field` is "city" or "country")
+function routePlaces(field) {
+  return {
+    $setUnion: [[`$destination.${field}`], { $ifNull: [`$legs.${field}`, []] }],
+  };
+}
+
+// Helper: Load an AiGeneration by id if it belongs to the user
+async function findOwnGeneration(generationId, userId) {
+  if (!generationId || !mongoose.isValidObjectId(generationId)) return null;
+  return AiGeneration.findOne({ _id: generationId, user: userId }).select(
+    "provider model status createdAt"
+  );
+}
+
+// Helper: Replace the client-supplied provenance of an itinerary with the
+// model and time of the generation it came from
+function withGenerationProvenance(itinerary, generation) {
+  if (!generation) {
+    const { generation: _unverified, ...rest } = itinerary;
+    return rest;
+  }
+
+  // Placeholder itineraries were not written by the model
+  if (generation.status === "failed") {
+    return { ...itinerary, generation: generation._id };
+  }
+
+  return {
+    ...itinerary,
+    generation: generation._id,
+    generatedBy: `${generation.provider}/${generation.model}`,
+    generatedAt: generation.createdAt,
+  };
+}
+
+// Helper: Map an update request body onto the fields updateTrip may change
+function buildTripUpdate({
+  title,
+  description,
+  destination,
+  legs,
+  preferences,
+  itinerary,
+  startDate,
+  endDate,
+  notes,
+  isPublic,
+  tags,
+  status,
+}) {
+  // Update fields if provided
+  const updateData = {};
+  if (title !== undefined) updateData.title = title;
+  if (description !== undefined) updateData.description = description;
+  if (destination !== undefined) updateData.destination = destination;
+  if (legs !== undefined) {
+    updateData.legs = legs;
+    // findByIdAndUpdate skips the validate hook that keeps these in sync
+    if (legs?.length > 0) {
+      updateData.destination = Trip.destinationFromLegs(legs);
+    }
+  }
+  if (preferences !== undefined) updateData.preferences = preferences;
+  if (itinerary !== undefined) updateData.itinerary = itinerary;
+  if (startDate !== undefined)
+    updateData.startDate = startDate ? new Date(startDate) : null;
+  if (endDate !== undefined)
+    updateData.endDate = endDate ? new Date(endDate) : null;
+  if (notes !== undefined) updateData.notes = notes;
+  if (isPublic !== undefined) updateData.isPublic = isPublic;
+  if (tags !== undefined) updateData.tags = tags;
+
+  // Determine status based on new rules
+  // If status is explicitly provided, use it
+  // If itinerary.days exists and has length > 0, set to 'upcoming', else 'draft'
+  if (status !== undefined) {
+    updateData.status = status;
+  } else if (itinerary !== undefined) {
+    // Auto-determine status when itinerary is being updated
+    if (
+      itinerary &&
+      Array.isArray(itinerary.days) &&
+      itinerary.days.length > 0
+    ) {
+      updateData.status = "upcoming";
+    } else {
+      updateData.status = "draft";
+    }
+  }
+
+  return updateData;
+}
+
 module.exports = {
   createTrip,
   getTrips,
   getTripById,
   updateTrip,
+  replaceTripDay,
+  getTripChat,
+  clearTripChat,
+  applyTripChatPatch,
   deleteTrip,
   getPublicTrips,
   cloneTrip,
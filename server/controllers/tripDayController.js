@@ -0,0 +1,422 @@
+const { validationResult } = require("express-validator");
+const { findTripWithPermission } = require("../services/tripPermissions");
+const { recordRevision } = require("../services/tripRevisionService");
+const { emitTripChange } = require("../services/tripRealtime");
+const { notifyTripEdited } = require("../services/notificationService");
+const { tripCurrency } = require("../services/currencyService");
+const {
+  requestedVersion,
+  sendVersionConflict,
+} = require("../services/tripVersion");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVITY_FIELDS = [
+  "time",
+  "activity",
+  "location",
+  "duration",
+  "cost",
+  "description",
+  "type",
+];
+
+// @desc    Insert a day into the itinerary
+// @route   POST /api/trips/:id/days
+// @access  Private
+const addTripDay = async (req, res) => {
+  try {
+    const trip = await loadEditableTrip(req, res);
+    if (!trip) return;
+
+    const days = trip.itinerary.days;
+    const position = Math.min(req.body.position ?? days.length, days.length);
+    const neighbour = days[position - 1] || days[position];
+    const currency = tripCurrency(trip, req.user);
+
+    days.splice(position, 0, {
+      title: req.body.title,
+      theme: req.body.theme,
+      city: req.body.city || neighbour?.city,
+      activities: (req.body.activities || []).map((activity) =>
+        withCurrency(pickActivity(activity), currency)
+      ),
+      meals: req.body.meals || [],
+    });
+    syncSchedule(trip);
+
+    await saveItineraryChange(req, res, trip, {
+      summary: `Added day ${position + 1}`,
+      message: "Day added successfully",
+      status: 201,
+    });
+  } catch (error) {
+    handleError(res, error, "Add trip day", "Error adding day");
+  }
+};
+
+// @desc    Remove a day from the itinerary
+// @route   DELETE /api/trips/:id/days/:dayIndex
+// @access  Private
+const removeTripDay = async (req, res) => {
+  try {
+    const trip = await loadEditableTrip(req, res);
+    if (!trip) return;
+
+    const day = findDay(trip, req, res);
+    if (!day) return;
+
+    if (trip.itinerary.days.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A trip needs at least one day",
+      });
+    }
+
+    const dayNumber = day.day;
+    trip.itinerary.days.pull(day._id);
+    syncSchedule(trip);
+
+    await saveItineraryChange(req, res, trip, {
+      summary: `Removed day ${dayNumber}`,
+      message: "Day removed successfully",
+    });
+  } catch (error) {
+    handleError(res, error, "Remove trip day", "Error removing day");
+  }
+};
+
+// @desc    Add an activity to a day
+// @route   POST /api/trips/:id/days/:dayIndex/activities
+// @access  Private
+const addDayActivity = async (req, res) => {
+  try {
+    const trip = await loadEditableTrip(req, res);
+    if (!trip) return;
+
+    const day = findDay(trip, req, res);
+    if (!day) return;
+
+    const activity = withCurrency(
+      pickActivity(req.body),
+      tripCurrency(trip, req.user)
+    );
+    day.activities.splice(
+      insertionIndex(day.activities, activity, req.body.position),
+      0,
+      activity
+    );
+
+    await saveItineraryChange(req, res, trip, {
+      summary: `Day ${day.day}: added "${activity.activity}"`,
+      message: "Activity added successfully",
+      status: 201,
+    });
+  } catch (error) {
+    handleError(res, error, "Add activity", "Error adding activity");
+  }
+};
+
+// @desc    Change some fields of an activity
+// @route   PUT /api/trips/:id/days/:dayIndex/activities/:activityId
+// @access  Private
+const updateDayActivity = async (req, res) => {
+  try {
+    const trip = await loadEditableTrip(req, res);
+    if (!trip) return;
+
+    const day = findDay(trip, req, res);
+    if (!day) return;
+    const activity = findActivity(day, req, res);
+    if (!activity) return;
+
+    const changes = pickActivity(req.body);
+    // Nested objects are merged, so `{ cost: { amount } }` keeps the currency
+    ["location", "cost"].forEach((field) => {
+      if (changes[field]) {
+        changes[field] = { ...activity.toObject()[field], ...changes[field] };
+      }
+    });
+    activity.set(changes);
+
+    await saveItineraryChange(req, res, trip, {
+      summary: `Day ${day.day}: changed ${Object.keys(changes).join(
+        ", "
+      )} of "${activity.activity}"`,
+      message: "Activity updated successfully",
+    });
+  } catch (error) {
+    handleError(res, error, "Update activity", "Error updating activity");
+  }
+};
+
+// @desc    Remove an activity from a day
+// @route   DELETE /api/trips/:id/days/:dayIndex/activities/:activityId
+// @access  Private
+const removeDayActivity = async (req, res) => {
+  try {
+    const trip = await loadEditableTrip(req, res);
+    if (!trip) return;
+
+    const day = findDay(trip, req, res);
+    if (!day) return;
+    const activity = findActivity(day, req, res);
+    if (!activity) return;
+
+    day.activities.pull(activity._id);
+
+    await saveItineraryChange(req, res, trip, {
+      summary: `Day ${day.day}: removed "${activity.activity}"`,
+      message: "Activity removed successfully",
+    });
+  } catch (error) {
+    handleError(res, error, "Remove activity", "Error removing activity");
+  }
+};
+
+// @desc    Put the activities of a day in a new order
+// @route   PUT /api/trips/:id/days/:dayIndex/activities/order
+// @access  Private
+const reorderDayActivities = async (req, res) => {
+  try {
+    const trip = await loadEditableTrip(req, res);
+    if (!trip) return;
+
+    const day = findDay(trip, req, res);
+    if (!day) return;
+
+    // The new order must name every activity of the day exactly once
+    const { order } = req.body;
+    const current = day.activities.map((activity) => activity._id.toString());
+    if (
+      order.length !== current.length ||
+      new Set(order).size !== order.length ||
+      !order.every((id) => current.includes(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Order must list every activity of the day exactly once",
+      });
+    }
+
+    const reordered = order.map((id) => day.activities.id(id).toObject());
+    day.activities = reordered;
+
+    await saveItineraryChange(req, res, trip, {
+      summary: `Day ${day.day}: reordered activities`,
+      message: "Activities reordered successfully",
+    });
+  } catch (error) {
+    handleError(
+      res,
+      error,
+      "Reorder activities",
+      "Error reordering activities"
+    );
+  }
+};
+
+// @desc    Move an activity to another day
+// @route   POST /api/trips/:id/days/:dayIndex/activities/:activityId/move
+// @access  Private
+const moveDayActivity = async (req, res) => {
+  try {
+    const trip = await loadEditableTrip(req, res);
+    if (!trip) return;
+
+    const day = findDay(trip, req, res);
+    if (!day) return;
+    const activity = findActivity(day, req, res);
+    if (!activity) return;
+
+    const target = trip.itinerary.days[req.body.toDayIndex];
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "Target day not found in this trip's itinerary",
+      });
+    }
+
+    const moved = activity.toObject();
+    day.activities.pull(activity._id);
+    target.activities.splice(
+      insertionIndex(target.activities, moved, req.body.position),
+      0,
+      moved
+    );
+
+    await saveItineraryChange(req, res, trip, {
+      summary: `Moved "${moved.activity}" from day ${day.day} to day ${target.day}`,
+      message: "Activity moved successfully",
+    });
+  } catch (error) {
+    handleError(res, error, "Move activity", "Error moving activity");
+  }
+};
+
+// Helper: Validate the request and load the trip the user may edit, checking
+// the version the change is based on. Sends the error response and resolves
+// to null when the change cannot go ahead.
+async function loadEditableTrip(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+    return null;
+  }
+
+  const trip = await findTripWithPermission(req, res, "edit");
+  if (!trip) return null;
+
+  const baseVersion = requestedVersion(req);
+  if (baseVersion !== null && baseVersion !== trip.version) {
+    await sendVersionConflict(req, res);
+    return null;
+  }
+  return trip;
+}
+
+// Helper: Day at :dayIndex, or null after sending 404
+function findDay(trip, req, res) {
+  const day = trip.itinerary?.days?.[parseInt(req.params.dayIndex)];
+  if (!day) {
+    res.status(404).json({
+      success: false,
+      message: "Day not found in this trip's itinerary",
+    });
+    return null;
+  }
+  return day;
+}
+
+// Helper: Activity :activityId of a day, or null after sending 404
+function findActivity(day, req, res) {
+  const activity = day.activities.id(req.params.activityId);
+  if (!activity) {
+    res.status(404).json({
+      success: false,
+      message: "Activity not found in this day",
+    });
+    return null;
+  }
+  return activity;
+}
+
+// Helper: The activity fields of a request body
+function pickActivity(body) {
+  return Object.fromEntries(
+    ACTIVITY_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+}
+
+// Helper: Activity with a cost, in the trip's currency unless it has one
+function withCurrency(activity, currency) {
+  return {
+    ...activity,
+    cost: {
+      amount: activity.cost?.amount || 0,
+      currency: activity.cost?.currency || currency,
+    },
+  };
+}
+
+// Helper: Where a new activity goes in a day: at `position` when given,
+// otherwise before the first activity that starts later
+function insertionIndex(activities, activity, position) {
+  if (position !== undefined) return Math.min(position, activities.length);
+  const later = activities.findIndex(
+    (other) => activity.time && other.time && other.time > activity.time
+  );
+  return later === -1 ? activities.length : later;
+}
+
+// Helper: Renumber the days after days were added or removed, and keep the
+// day dates, end date and duration in line with them. Dates belong to the
+// position of a day, as with swapped days.
+function syncSchedule(trip) {
+  const { days } = trip.itinerary;
+  const start = trip.startDate && new Date(trip.startDate).getTime();
+
+  days.forEach((day, index) => {
+    day.day = index + 1;
+    if (start) day.date = new Date(start + index * DAY_MS);
+  });
+  if (start) trip.endDate = new Date(start + (days.length - 1) * DAY_MS);
+  trip.preferences.duration = days.length;
+}
+
+// Helper: Save an itinerary change if nobody saved the trip in the meantime,
+// record it in the history and tell the people on the trip
+async function saveItineraryChange(req, res, trip, options) {
+  const { summary, message, status = 200 } = options;
+
+  // Conditional on the version, so an edit saved since loading still wins
+  trip.$where = { version: trip.version };
+  trip.version += 1;
+  try {
+    await trip.calculateTotalCost();
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") {
+      return sendVersionConflict(req, res);
+    }
+    throw error;
+  }
+  await trip.populate("user", "name email avatar");
+
+  await recordRevision(trip, { author: req.user.id, summary });
+  notifyTripEdited(trip, req.user, summary);
+  emitTripChange(req, trip, "day");
+
+  res.status(status).json({
+    success: true,
+    message,
+    trip,
+  });
+}
+
+// Helper: Error response shared by the handlers above
+function handleError(res, error, label, message) {
+  console.error(`${label} error:`, error);
+
+  if (error.name === "CastError") {
+    return res.status(404).json({
+      success: false,
+      message: "Trip not found",
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+      })),
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error:
+      process.env.NODE_ENV === "development"
+        ? error.message
+        : "Internal server error",
+  });
+}
+
+module.exports = {
+  addTripDay,
+  removeTripDay,
+  addDayActivity,
+  updateDayActivity,
+  removeDayActivity,
+  reorderDayActivities,
+  moveDayActivity,
+};
@@ -0,0 +1,715 @@
+const { validationResult } = require("express-validator");
+const Expense = require("../models/Expense");
+const Settlement = require("../models/Settlement");
+const {
+  getTripRole,
+  findTripWithPermission,
+} = require("../services/tripPermissions");
+const { summarizeExpenses } = require("../services/expenseService");
+const { findTraveller } = require("../services/travellerService");
+const { buildSplit, computeBalances } = require("../services/expenseSplit");
+const { receiptPath, removeReceipt } = require("../services/receiptStorage");
+const {
+  preferredCurrency,
+  tripCurrency,
+  createConverter,
+} = require("../services/currencyService");
+
+const EXPENSE_FIELDS = [
+  "amount",
+  "currency",
+  "category",
+  "description",
+  "date",
+  "paidBy",
+  "split",
+  "activity",
+];
+
+// @desc    List a trip's expenses, newest first (?category= to filter)
+// @route   GET /api/trips/:id/expenses
+// @access  Private
+const getTripExpenses = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "view");
+    if (!trip) return;
+
+    const query = { trip: trip._id };
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const expenses = await Expense.find(query)
+      .sort({ date: -1, createdAt: -1 })
+      .lean();
+
+    // Expenses in another currency also carry their amount in the trip's
+    const currency = tripCurrency(trip, req.user);
+    const converter = await tripConverter(trip, expenses);
+    expenses.forEach((expense) => {
+      if (expense.currency !== currency) {
+        expense.converted = converter.convert(
+          expense.amount,
+          expense.currency,
+          currency,
+          expense.date
+        );
+      }
+    });
+
+    res.json({
+      success: true,
+      currency,
+      travellers: trip.travellers,
+      expenses,
+    });
+  } catch (error) {
+    handleError(res, error, "Get trip expenses", "Error fetching expenses");
+  }
+};
+
+// @desc    Planned vs actual spending per day, per category and over time
+// @route   GET /api/trips/:id/expenses/summary
+// @access  Private
+const getTripExpenseSummary = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "view");
+    if (!trip) return;
+
+    const expenses = await Expense.find({ trip: trip._id })
+      .select("amount currency category date activity")
+      .lean();
+
+    const displayCurrency = preferredCurrency(req.user);
+    const converter = await tripConverter(trip, expenses, [displayCurrency]);
+
+    res.json({
+      success: true,
+      summary: summarizeExpenses(trip, expenses, {
+        converter,
+        displayCurrency,
+      }),
+    });
+  } catch (error) {
+    handleError(
+      res,
+      error,
+      "Get expense summary",
+      "Error summarizing expenses"
+    );
+  }
+};
+
+// @desc    Log an expense
+// @route   POST /api/trips/:id/expenses
+// @access  Private
+const addTripExpense = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const fields = pickExpense(req.body);
+    if (!resolveReferences(trip, fields, null, res)) return;
+
+    // Paid today by whoever logs it, in the trip's currency, unless given
+    const expense = await Expense.create({
+      currency: tripCurrency(trip, req.user),
+      date: new Date(new Date().toISOString().slice(0, 10)),
+      paidBy: findTraveller(trip, req.user.id)._id,
+      ...fields,
+      trip: trip._id,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Expense added successfully",
+      expense,
+    });
+  } catch (error) {
+    handleError(res, error, "Add trip expense", "Error adding expense");
+  }
+};
+
+// @desc    Change an expense
+// @route   PUT /api/trips/:id/expenses/:expenseId
+// @access  Private
+const updateTripExpense = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const expense = await findExpense(trip, req, res);
+    if (!expense) return;
+
+    const fields = pickExpense(req.body);
+    if (!resolveReferences(trip, fields, expense, res)) return;
+
+    // activity: null unlinks the expense
+    expense.set(fields);
+    await expense.save();
+
+    res.json({
+      success: true,
+      message: "Expense updated successfully",
+      expense,
+    });
+  } catch (error) {
+    handleError(res, error, "Update trip expense", "Error updating expense");
+  }
+};
+
+// @desc    Delete an expense and its receipt
+// @route   DELETE /api/trips/:id/expenses/:expenseId
+// @access  Private
+const deleteTripExpense = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const expense = await findExpense(trip, req, res);
+    if (!expense) return;
+
+    await expense.deleteOne();
+    if (expense.receipt?.filename) {
+      await removeReceipt(expense.receipt.filename);
+    }
+
+    res.json({
+      success: true,
+      message: "Expense deleted successfully",
+    });
+  } catch (error) {
+    handleError(res, error, "Delete trip expense", "Error deleting expense");
+  }
+};
+
+// @desc    Attach a receipt to an expense, replacing any earlier one
+// @route   POST /api/trips/:id/expenses/:expenseId/receipt
+// @access  Private
+const uploadExpenseReceipt = async (req, res) => {
+  // The file is already stored; drop it unless it ends up on the expense
+  let keepFile = false;
+
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const expense = await findExpense(trip, req, res);
+    if (!expense) return;
+
+    const previous = expense.receipt?.filename;
+    expense.receipt = {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedAt: new Date(),
+    };
+    await expense.save();
+    keepFile = true;
+
+    if (previous) {
+      await removeReceipt(previous);
+    }
+
+    res.json({
+      success: true,
+      message: "Receipt uploaded successfully",
+      expense,
+    });
+  } catch (error) {
+    handleError(res, error, "Upload receipt", "Error uploading receipt");
+  } finally {
+    if (!keepFile) {
+      await removeReceipt(req.file.filename).catch((error) =>
+        console.error("Remove receipt error:", error)
+      );
+    }
+  }
+};
+
+// @desc    Download an expense's receipt
+// @route   GET /api/trips/:id/expenses/:expenseId/receipt
+// @access  Private
+const getExpenseReceipt = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "view");
+    if (!trip) return;
+
+    const expense = await findExpense(trip, req, res);
+    if (!expense) return;
+
+    if (!expense.receipt?.filename) {
+      return res.status(404).json({
+        success: false,
+        message: "This expense has no receipt",
+      });
+    }
+
+    res.set("X-Content-Type-Options", "nosniff");
+    res.type(expense.receipt.mimeType);
+    res.sendFile(receiptPath(expense.receipt.filename), (error) => {
+      if (!error || res.headersSent) return;
+      if (error.code === "ENOENT") {
+        return res.status(404).json({
+          success: false,
+          message: "Receipt file not found",
+        });
+      }
+      handleError(res, error, "Send receipt", "Error fetching receipt");
+    });
+  } catch (error) {
+    handleError(res, error, "Get receipt", "Error fetching receipt");
+  }
+};
+
+// @desc    Remove an expense's receipt
+// @route   DELETE /api/trips/:id/expenses/:expenseId/receipt
+// @access  Private
+const deleteExpenseReceipt = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const expense = await findExpense(trip, req, res);
+    if (!expense) return;
+
+    const filename = expense.receipt?.filename;
+    if (filename) {
+      expense.receipt = undefined;
+      await expense.save();
+      await removeReceipt(filename);
+    }
+
+    res.json({
+      success: true,
+      message: "Receipt removed successfully",
+      expense,
+    });
+  } catch (error) {
+    handleError(res, error, "Delete receipt", "Error removing receipt");
+  }
+};
+
+// @desc    List the travellers who share a trip's expenses
+// @route   GET /api/trips/:id/travellers
+// @access  Private
+const getTripTravellers = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "view");
+    if (!trip) return;
+
+    res.json({
+      success: true,
+      travellers: trip.travellers,
+    });
+  } catch (error) {
+    handleError(res, error, "Get travellers", "Error fetching travellers");
+  }
+};
+
+// @desc    Add a traveller, who needs no account
+// @route   POST /api/trips/:id/travellers
+// @access  Private
+const addTripTraveller = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const { name, email } = req.body;
+    if (email && trip.travellers.some((other) => other.email === email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A traveller with this email is already on the trip",
+      });
+    }
+
+    trip.travellers.push({ name, email });
+    await trip.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${name} added to the travellers`,
+      traveller: trip.travellers[trip.travellers.length - 1],
+      travellers: trip.travellers,
+    });
+  } catch (error) {
+    handleError(res, error, "Add traveller", "Error adding traveller");
+  }
+};
+
+// @desc    Rename a traveller, or change the email of one without an account
+// @route   PUT /api/trips/:id/travellers/:travellerId
+// @access  Private
+const updateTripTraveller = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const traveller = findTripTraveller(trip, req, res);
+    if (!traveller) return;
+
+    const { name, email } = req.body;
+    if (email !== undefined && traveller.user) {
+      return res.status(400).json({
+        success: false,
+        message: "The email of a traveller with an account cannot be changed",
+      });
+    }
+    if (
+      email &&
+      trip.travellers.some(
+        (other) => other.email === email && !other._id.equals(traveller._id)
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A traveller with this email is already on the trip",
+      });
+    }
+
+    if (name !== undefined) traveller.name = name;
+    if (email !== undefined) traveller.email = email || undefined;
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: "Traveller updated successfully",
+      traveller,
+      travellers: trip.travellers,
+    });
+  } catch (error) {
+    handleError(res, error, "Update traveller", "Error updating traveller");
+  }
+};
+
+// @desc    Remove a traveller who has no expenses or settlements
+// @route   DELETE /api/trips/:id/travellers/:travellerId
+// @access  Private
+const removeTripTraveller = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const traveller = findTripTraveller(trip, req, res);
+    if (!traveller) return;
+
+    if (traveller.user && getTripRole(trip, traveller.user)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "People on the trip are always travellers; remove them from the members instead",
+      });
+    }
+
+    const ids = [traveller._id, traveller.user].filter(Boolean);
+    const [expenses, settlements] = await Promise.all([
+      Expense.exists({
+        trip: trip._id,
+        $or: [
+          { paidBy: { $in: ids } },
+          { "split.among.traveller": { $in: ids } },
+        ],
+      }),
+      Settlement.exists({
+        trip: trip._id,
+        $or: [{ from: { $in: ids } }, { to: { $in: ids } }],
+      }),
+    ]);
+    if (expenses || settlements) {
+      return res.status(400).json({
+        success: false,
+        message: `${traveller.name} has expenses or settlements on this trip`,
+      });
+    }
+
+    trip.travellers.pull(traveller._id);
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: `${traveller.name} removed from the travellers`,
+      travellers: trip.travellers,
+    });
+  } catch (error) {
+    handleError(res, error, "Remove traveller", "Error removing traveller");
+  }
+};
+
+// @desc    Balance of each traveller, the payments that would settle them
+//          and the settlements made so far
+// @route   GET /api/trips/:id/balances
+// @access  Private
+const getTripBalances = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "view");
+    if (!trip) return;
+
+    const [expenses, settlements] = await Promise.all([
+      Expense.find({ trip: trip._id })
+        .select("amount currency date paidBy split")
+        .lean(),
+      Settlement.find({ trip: trip._id })
+        .populate("recordedBy", "name")
+        .sort({ paidAt: -1 })
+        .lean(),
+    ]);
+
+    const converter = await tripConverter(trip, [...expenses, ...settlements]);
+
+    res.json({
+      success: true,
+      ...computeBalances(trip, expenses, settlements, converter),
+      settlements,
+    });
+  } catch (error) {
+    handleError(res, error, "Get balances", "Error calculating balances");
+  }
+};
+
+// @desc    Record a payment between two travellers as made
+// @route   POST /api/trips/:id/settlements
+// @access  Private
+const addTripSettlement = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const from = findTraveller(trip, req.body.from);
+    const to = findTraveller(trip, req.body.to);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: "Settlements are between the trip's travellers",
+      });
+    }
+    if (from._id.equals(to._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "A traveller cannot settle with themselves",
+      });
+    }
+
+    const settlement = await Settlement.create({
+      trip: trip._id,
+      from: from._id,
+      to: to._id,
+      amount: req.body.amount,
+      currency: req.body.currency || tripCurrency(trip, req.user),
+      note: req.body.note,
+      paidAt: req.body.paidAt,
+      recordedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payment from ${from.name} to ${to.name} marked as paid`,
+      settlement,
+    });
+  } catch (error) {
+    handleError(res, error, "Add settlement", "Error recording settlement");
+  }
+};
+
+// @desc    Delete a recorded settlement
+// @route   DELETE /api/trips/:id/settlements/:settlementId
+// @access  Private
+const deleteTripSettlement = async (req, res) => {
+  try {
+    const trip = await loadTrip(req, res, "edit");
+    if (!trip) return;
+
+    const settlement = await Settlement.findOneAndDelete({
+      _id: req.params.settlementId,
+      trip: trip._id,
+    });
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: "Settlement not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Settlement deleted successfully",
+    });
+  } catch (error) {
+    handleError(res, error, "Delete settlement", "Error deleting settlement");
+  }
+};
+
+// Helper: Validate the request and load the trip. Unlike the trip itself,
+// expenses of a public trip are only shown to the people on it. Sends the
+// error response and resolves to null when the request cannot go ahead.
+async function loadTrip(req, res, permission) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+    return null;
+  }
+
+  const trip = await findTripWithPermission(req, res, permission);
+  if (!trip) return null;
+
+  if (!getTripRole(trip, req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: "Only people on this trip can see its expenses",
+    });
+    return null;
+  }
+  return trip;
+}
+
+// Helper: Expense :expenseId of the trip, or null after sending 404
+async function findExpense(trip, req, res) {
+  const expense = await Expense.findOne({
+    _id: req.params.expenseId,
+    trip: trip._id,
+  });
+  if (!expense) {
+    res.status(404).json({
+      success: false,
+      message: "Expense not found",
+    });
+    return null;
+  }
+  return expense;
+}
+
+// Helper: Traveller :travellerId of the trip, or null after sending 404
+function findTripTraveller(trip, req, res) {
+  const traveller = trip.travellers.id(req.params.travellerId);
+  if (!traveller) {
+    res.status(404).json({
+      success: false,
+      message: "Traveller not found",
+    });
+    return null;
+  }
+  return traveller;
+}
+
+// Helper: The expense fields of a request body
+function pickExpense(body) {
+  return Object.fromEntries(
+    EXPENSE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+}
+
+// Helper: Resolve the payer and split of an expense to the trip's
+// travellers, and check its activity is in the itinerary. `expense` is the
+// expense being changed, if any. Sends 400 and returns false when something
+// does not add up.
+function resolveReferences(trip, fields, expense, res) {
+  const reject = (message) => {
+    res.status(400).json({ success: false, message });
+    return false;
+  };
+
+  // The payer may be given as a traveller id or an account holder's user id
+  if (fields.paidBy !== undefined) {
+    const payer = findTraveller(trip, fields.paidBy);
+    if (!payer) return reject("The payer must be one of the trip's travellers");
+    fields.paidBy = payer._id;
+  }
+
+  if (
+    fields.activity &&
+    !(trip.itinerary?.days || []).some((day) =>
+      day.activities.id(fields.activity)
+    )
+  ) {
+    return reject("Activity not found in this trip's itinerary");
+  }
+
+  // A new amount is checked against the split it keeps
+  if (fields.split !== undefined || fields.amount !== undefined) {
+    const { split, error } = buildSplit(
+      trip,
+      fields.split || expense?.split?.toObject(),
+      fields.amount ?? expense.amount
+    );
+    if (error) return reject(error);
+    fields.split = split;
+  }
+  return true;
+}
+
+// Helper: Currency converter for the trip's currency, its budget's and
+// those of the given expenses or settlements, on their dates and today
+function tripConverter(trip, records, currencies = []) {
+  return createConverter(
+    [
+      tripCurrency(trip),
+      trip.preferences?.budget?.currency,
+      ...records.map((record) => record.currency),
+      ...currencies,
+    ],
+    {
+      dates: [
+        new Date(),
+        ...records.map((record) => record.date || record.paidAt),
+      ],
+    }
+  );
+}
+
+// Helper: Send the error response for a failed request
+function handleError(res, error, label, message) {
+  console.error(`${label} error:`, error);
+
+  if (error.name === "CastError") {
+    return res.status(404).json({
+      success: false,
+      message: "Trip not found",
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+      })),
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error:
+      process.env.NODE_ENV === "development"
+        ? error.message
+        : "Internal server error",
+  });
+}
+
+module.exports = {
+  getTripExpenses,
+  getTripExpenseSummary,
+  addTripExpense,
+  updateTripExpense,
+  deleteTripExpense,
+  uploadExpenseReceipt,
+  getExpenseReceipt,
+  deleteExpenseReceipt,
+  getTripTravellers,
+  addTripTraveller,
+  updateTripTraveller,
+  removeTripTraveller,
+  getTripBalances,
+  addTripSettlement,
+  deleteTripSettlement,
+};
@@ -0,0 +1,598 @@
+const { validationResult } = require("express-validator");
+const Trip = require("../models/Trip");
+const User = require("../models/User");
+const {
+  getTripRole,
+  canAssignRole,
+  findTripWithPermission,
+  withoutContactDetails,
+} = require("../services/tripPermissions");
+const { removeFromTripRoom } = require("../services/tripRealtime");
+const { notifyTripInvitation } = require("../services/notificationService");
+const { addAccountTraveller } = require("../services/travellerService");
+
+// How long an invitation can be accepted for
+const INVITATION_TTL_DAYS = 14;
+
+// @desc    Get trips shared with the logged in user
+// @route   GET /api/trips/shared
+// @access  Private
+const getSharedTrips = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, role } = req.query;
+
+    const query = role
+      ? { members: { $elemMatch: { user: req.user.id, role } } }
+      : { "members.user": req.user.id };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const trips = await Trip.find(query)
+      .populate("user", "name email avatar")
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Trip.countDocuments(query);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      trips: trips.map((trip) => ({
+        ...trip,
+        role: getTripRole(trip, req.user.id),
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalTrips: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get shared trips error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching shared trips",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get the owner and members of a trip
+// @route   GET /api/trips/:id/members
+// @access  Private
+const getTripMembers = async (req, res) => {
+  try {
+    const trip = await findTripWithPermission(req, res, "view", {
+      prepare: (query) =>
+        query
+          .select("user members isPublic")
+          .populate("user", "name email avatar")
+          .populate("members.user", "name email avatar")
+          .populate("members.addedBy", "name")
+          .lean(),
+    });
+    if (!trip) return;
+
+    // Email addresses are for the people on the trip only
+    const role = getTripRole(trip, req.user.id);
+    const visible = role ? trip : withoutContactDetails(trip);
+    res.json({
+      success: true,
+      owner: visible.user,
+      members: visible.members,
+      role,
+    });
+  } catch (error) {
+    console.error("Get trip members error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching trip members",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/trips/:id/members/:userId
+// @access  Private
+const updateTripMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await findTripWithPermission(req, res, "manage");
+    if (!trip) return;
+
+    const member = findMember(trip, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    const actorRole = getTripRole(trip, req.user.id);
+    const { role } = req.body;
+    if (
+      !canAssignRole(actorRole, role) ||
+      !canAssignRole(actorRole, member.role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the trip owner can grant or change co-ownership",
+      });
+    }
+
+    member.role = role;
+    await trip.save();
+    await trip.populate("members.user", "name email avatar");
+
+    res.json({
+      success: true,
+      message: "Member role updated",
+      members: trip.members,
+    });
+  } catch (error) {
+    console.error("Update trip member error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating trip member",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Remove a member, or leave a trip when :userId is the caller
+// @route   DELETE /api/trips/:id/members/:userId
+// @access  Private
+const removeTripMember = async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const trip = await findTripWithPermission(
+      req,
+      res,
+      leaving ? "view" : "manage"
+    );
+    if (!trip) return;
+
+    if (trip.user.toString() === req.params.userId) {
+      return res.status(400).json({
+        success: false,
+        message: "The trip owner cannot be removed from the trip",
+      });
+    }
+
+    const member = findMember(trip, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    if (
+      !leaving &&
+      !canAssignRole(getTripRole(trip, req.user.id), member.role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the trip owner can remove a co-owner",
+      });
+    }
+
+    trip.members.pull(member._id);
+    await trip.save();
+
+    // Public trips stay viewable, so only private ones close the live room
+    if (!trip.isPublic) {
+      await removeFromTripRoom(req, trip._id, req.params.userId);
+    }
+
+    res.json({
+      success: true,
+      message: leaving ? "You left the trip" : "Member removed",
+    });
+  } catch (error) {
+    console.error("Remove trip member error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error removing trip member",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Invite a user to a trip by email
+// @route   POST /api/trips/:id/invitations
+// @access  Private
+const inviteToTrip = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await findTripWithPermission(req, res, "manage", {
+      prepare: (query) => query.select("+invitations"),
+    });
+    if (!trip) return;
+
+    const { email, role = "viewer" } = req.body;
+
+    if (!canAssignRole(getTripRole(trip, req.user.id), role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the trip owner can invite co-owners",
+      });
+    }
+
+    const invitee = await User.findOne({ email }).select("_id");
+    if (invitee && getTripRole(trip, invitee._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "This user already has access to the trip",
+      });
+    }
+
+    if (trip.invitations.some((invitation) => isOpen(invitation, email))) {
+      return res.status(409).json({
+        success: false,
+        message: "This email already has a pending invitation",
+      });
+    }
+
+    trip.invitations.push({
+      email,
+      role,
+      invitedBy: req.user.id,
+      expiresAt: new Date(
+        Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+    await trip.save();
+
+    const invitation = trip.invitations[trip.invitations.length - 1];
+    const delivered = await notifyTripInvitation(trip, invitation, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: delivered
+        ? "Invitation sent"
+        : "Invitation saved. It will be waiting when they sign in with this email.",
+      invitation,
+    });
+  } catch (error) {
+    console.error("Invite to trip error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error sending invitation",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get the pending invitations of a trip
+// @route   GET /api/trips/:id/invitations
+// @access  Private
+const getTripInvitations = async (req, res) => {
+  try {
+    const trip = await findTripWithPermission(req, res, "manage", {
+      prepare: (query) =>
+        query
+          .select("user members +invitations")
+          .populate("invitations.invitedBy", "name email"),
+    });
+    if (!trip) return;
+
+    res.json({
+      success: true,
+      invitations: trip.invitations.filter((invitation) => isOpen(invitation)),
+    });
+  } catch (error) {
+    console.error("Get trip invitations error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invitations",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/trips/:id/invitations/:invitationId
+// @access  Private
+const revokeTripInvitation = async (req, res) => {
+  try {
+    const trip = await findTripWithPermission(req, res, "manage", {
+      prepare: (query) => query.select("user members +invitations"),
+    });
+    if (!trip) return;
+
+    const invitation = trip.invitations.id(req.params.invitationId);
+    if (!invitation || invitation.status !== "pending") {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    invitation.status = "revoked";
+    invitation.respondedAt = new Date();
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: "Invitation revoked",
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error revoking invitation",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get pending invitations addressed to the logged in user
+// @route   GET /api/trips/invitations
+// @access  Private
+const getMyInvitations = async (req, res) => {
+  try {
+    const email = req.user.email.toLowerCase();
+
+    const trips = await Trip.find({
+      invitations: {
+        $elemMatch: {
+          email,
+          status: "pending",
+          expiresAt: { $gt: new Date() },
+        },
+      },
+    })
+      .select("title destination legs startDate endDate user +invitations")
+      .populate("user", "name avatar")
+      .populate("invitations.invitedBy", "name email avatar");
+
+    const invitations = trips.flatMap((trip) =>
+      trip.invitations
+        .filter((invitation) => isOpen(invitation, email))
+        .map((invitation) => ({
+          _id: invitation._id,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          expiresAt: invitation.expiresAt,
+          createdAt: invitation.createdAt,
+          trip: {
+            _id: trip._id,
+            title: trip.title,
+            destination: trip.destination,
+            legs: trip.legs,
+            startDate: trip.startDate,
+            endDate: trip.endDate,
+            owner: trip.user,
+          },
+        }))
+    );
+
+    res.json({
+      success: true,
+      invitations,
+    });
+  } catch (error) {
+    console.error("Get my invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invitations",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Accept an invitation and join the trip
+// @route   POST /api/trips/invitations/:invitationId/accept
+// @access  Private
+const acceptInvitation = (req, res) => respondToInvitation(req, res, true);
+
+// @desc    Decline an invitation
+// @route   POST /api/trips/invitations/:invitationId/decline
+// @access  Private
+const declineInvitation = (req, res) => respondToInvitation(req, res, false);
+
+async function respondToInvitation(req, res, accept) {
+  try {
+    const email = req.user.email.toLowerCase();
+    const now = new Date();
+    const openInvitation = {
+      _id: req.params.invitationId,
+      email,
+      status: "pending",
+      expiresAt: { $gt: now },
+    };
+
+    const trip = await Trip.findOne({
+      invitations: { $elemMatch: openInvitation },
+    }).select("user members +invitations");
+
+    // Invitations for other addresses are reported as missing too
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found or no longer valid",
+      });
+    }
+
+    const invitation = trip.invitations.id(req.params.invitationId);
+    const update = {
+      $set: {
+        "invitations.$.status": accept ? "accepted" : "declined",
+        "invitations.$.respondedAt": now,
+      },
+    };
+    // Owners and existing members keep the access they have
+    if (accept && !getTripRole(trip, req.user.id)) {
+      update.$push = {
+        members: {
+          user: req.user.id,
+          role: invitation.role,
+          addedBy: invitation.invitedBy,
+          addedAt: now,
+        },
+      };
+    }
+
+    // Conditional on the invitation still being open, so a double submit
+    // cannot add the member twice
+    const result = await Trip.updateOne(
+      { _id: trip._id, invitations: { $elemMatch: openInvitation } },
+      update
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Invitation was already answered",
+      });
+    }
+    if (accept) await addAccountTraveller(trip._id, req.user);
+
+    res.json({
+      success: true,
+      message: accept ? "Invitation accepted" : "Invitation declined",
+      tripId: trip._id,
+      role: accept ? getTripRole(trip, req.user.id) || invitation.role : null,
+    });
+  } catch (error) {
+    console.error("Respond to invitation error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found or no longer valid",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error responding to invitation",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+}
+
+// Helper: Member entry for a user id
+function findMember(trip, userId) {
+  return trip.members.find((member) => member.user.toString() === userId);
+}
+
+// Helper: Whether an invitation can still be answered (optionally for one
+// email address)
+function isOpen(invitation, email) {
+  return (
+    invitation.status === "pending" &&
+    (!invitation.expiresAt || invitation.expiresAt > new Date()) &&
+    (!email || invitation.email === email)
+  );
+}
+
+module.exports = {
+  getSharedTrips,
+  getTripMembers,
+  updateTripMember,
+  removeTripMember,
+  inviteToTrip,
+  getTripInvitations,
+  revokeTripInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+};
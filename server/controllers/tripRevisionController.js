@@ -0,0 +1,299 @@
+const { validationResult } = require("express-validator");
+const Trip = require("../models/Trip");
+const TripRevision = require("../models/TripRevision");
+const recommendationService = require("../services/recommendationService");
+const { findTripWithPermission } = require("../services/tripPermissions");
+const {
+  takeSnapshot,
+  recordRevision,
+  diffSnapshots,
+} = require("../services/tripRevisionService");
+const { emitTripChange } = require("../services/tripRealtime");
+const { refreshTripStatus } = require("../services/tripLifecycle");
+const {
+  requestedVersion,
+  sendVersionConflict,
+} = require("../services/tripVersion");
+const { notifyTripEdited } = require("../services/notificationService");
+
+// Revision of this trip by id, or null
+const findRevision = (tripId, revisionId) =>
+  TripRevision.findOne({ _id: revisionId, trip: tripId })
+    .populate("author", "name avatar")
+    .lean();
+
+// @desc    List the revisions of a trip, newest first
+// @route   GET /api/trips/:id/revisions
+// @access  Private
+const getTripRevisions = async (req, res) => {
+  try {
+    const trip = await findTripWithPermission(req, res, "view", {
+      prepare: (query) => query.select("user members isPublic version"),
+    });
+    if (!trip) return;
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const revisions = await TripRevision.find({ trip: trip._id })
+      .select("-snapshot")
+      .populate("author", "name avatar")
+      .sort({ version: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await TripRevision.countDocuments({ trip: trip._id });
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      version: trip.version,
+      revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRevisions: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get trip revisions error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching trip history",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Get one revision with its snapshot
+// @route   GET /api/trips/:id/revisions/:revisionId
+// @access  Private
+const getTripRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await findTripWithPermission(req, res, "view", {
+      prepare: (query) => query.select("user members isPublic"),
+    });
+    if (!trip) return;
+
+    const revision = await findRevision(trip._id, req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      revision,
+    });
+  } catch (error) {
+    console.error("Get trip revision error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching revision",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Compare two revisions, or a revision with the current trip
+// @route   GET /api/trips/:id/revisions/diff?from=<revisionId>&to=<revisionId>
+// @access  Private
+const getTripRevisionDiff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await findTripWithPermission(req, res, "view");
+    if (!trip) return;
+
+    const { from, to } = req.query;
+    const [fromRevision, toRevision] = await Promise.all([
+      findRevision(trip._id, from),
+      to ? findRevision(trip._id, to) : null,
+    ]);
+
+    if (!fromRevision || (to && !toRevision)) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    // Without `to` the comparison is with the trip as it is now
+    const target = toRevision || {
+      version: trip.version,
+      snapshot: takeSnapshot(trip),
+    };
+
+    res.json({
+      success: true,
+      from: { _id: fromRevision._id, version: fromRevision.version },
+      to: { _id: toRevision?._id || null, version: target.version },
+      diff: diffSnapshots(fromRevision.snapshot, target.snapshot),
+    });
+  } catch (error) {
+    console.error("Get trip revision diff error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error comparing revisions",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+// @desc    Put a trip back to an earlier revision
+// @route   POST /api/trips/:id/revisions/:revisionId/restore
+// @access  Private
+const restoreTripRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await findTripWithPermission(req, res, "edit");
+    if (!trip) return;
+
+    const baseVersion = requestedVersion(req);
+    if (baseVersion !== null && baseVersion !== trip.version) {
+      return sendVersionConflict(req, res);
+    }
+
+    const revision = await findRevision(trip._id, req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    // The status follows the restored dates and itinerary rather than
+    // going back with them (see services/tripLifecycle.js)
+    const { status, ...snapshot } = revision.snapshot;
+
+    // Fields missing from the snapshot were empty at the time
+    const currentFields = Object.keys(takeSnapshot(trip));
+    const $unset = Object.fromEntries(
+      currentFields
+        .filter((field) => field !== "status" && snapshot[field] === undefined)
+        .map((field) => [field, ""])
+    );
+
+    const restored = await Trip.findOneAndUpdate(
+      { _id: trip._id, version: trip.version },
+      {
+        $set: snapshot,
+        ...(Object.keys($unset).length > 0 && { $unset }),
+        $inc: { version: 1 },
+      },
+      { new: true, runValidators: true }
+    ).populate("user", "name email avatar");
+
+    if (!restored) return sendVersionConflict(req, res);
+
+    const currentStatus = await refreshTripStatus(
+      req.app.get("io"),
+      restored._id
+    );
+    if (currentStatus) restored.status = currentStatus;
+
+    const summary = `Restored version ${revision.version}`;
+    await recordRevision(restored, {
+      author: req.user.id,
+      source: "restore",
+      summary,
+    });
+    notifyTripEdited(restored, req.user, summary);
+    recommendationService.invalidate(restored.user._id.toString());
+    emitTripChange(req, restored, "restore");
+
+    res.json({
+      success: true,
+      message: `Trip restored to version ${revision.version}`,
+      trip: restored,
+    });
+  } catch (error) {
+    console.error("Restore trip revision error:", error);
+
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Trip not found",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error restoring revision",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  getTripRevisions,
+  getTripRevision,
+  getTripRevisionDiff,
+  restoreTripRevision,
+};
@@ -0,0 +1,78 @@
+const User = require("../models/User");
+const { logger } = require("./logging");
+
+// Quota headers go on every AI response so the client can keep its counter
+// current without polling
+const setQuotaHeaders = (res, quota) => {
+  res.set({
+    "X-AI-Quota-Limit": String(quota.limit),
+    "X-AI-Quota-Remaining": String(quota.remaining),
+    "X-AI-Quota-Reset": quota.resetsAt.toISOString(),
+  });
+};
+
+/**
+ * Monthly AI quota per user plan. Must run after `protect`.
+ *
+ * consume: false reports the quota without charging for the request (for
+ * reads that do not call the model).
+ *
+ * Requests that end in an error status (bad input, missing trip, model
+ * failure) are refunded, so only successful AI calls count. Handlers that
+ * fail after sending a success status (streams) call req.refundAiRequest()
+ * themselves; it refunds at most once per request.
+ */
+const aiQuota =
+  ({ consume = true } = {}) =>
+  async (req, res, next) => {
+    try {
+      if (!consume) {
+        setQuotaHeaders(res, req.user.aiQuota);
+        return next();
+      }
+
+      const { allowed, quota } = await User.consumeAiRequest(req.user);
+      setQuotaHeaders(res, quota);
+
+      if (!allowed) {
+        return res.status(429).json({
+          success: false,
+          message: `Monthly AI request limit reached for the ${
+            quota.plan
+          } plan. Your quota resets on ${quota.resetsAt
+            .toISOString()
+            .slice(0, 10)}.`,
+          quota,
+        });
+      }
+
+      req.aiQuota = quota;
+      let refunded = false;
+      req.refundAiRequest = () => {
+        if (refunded) return;
+        refunded = true;
+        User.refundAiRequest(req.user._id).catch((error) =>
+          logger.error("AI quota refund error:", error)
+        );
+      };
+      res.on("finish", () => {
+        if (res.statusCode >= 400) req.refundAiRequest();
+      });
+
+      next();
+    } catch (error) {
+      logger.error("AI quota check error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error checking AI quota",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+module.exports = {
+  aiQuota,
+};
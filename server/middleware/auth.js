@@ -287,6 +287,67 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Socket.IO middleware - same checks as protect for the handshake
+ * The client sends its access token as `auth.token` (or an Authorization
+ * header); the user is stored on `socket.data.user`.
+ */
+const protectSocket = async (socket, next) => {
+  const reject = (message) => {
+    const error = new Error(message);
+    error.data = { message };
+    next(error);
+  };
+
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token =
+      auth.token || tokenManager.extractTokenFromHeader(headers.authorization);
+
+    if (!token || !tokenManager.isValidTokenStructure(token)) {
+      return reject("Access denied. No token provided.");
+    }
+
+    if (await tokenManager.isTokenBlacklisted(token)) {
+      return reject("Token has been revoked");
+    }
+
+    let decoded;
+    try {
+      decoded = tokenManager.verifyAccessToken(token);
+    } catch (error) {
+      logger.warn("Invalid socket access token:", {
+        error: error.message,
+        ip: socket.handshake.address,
+      });
+      return reject(
+        error.message === "Access token expired"
+          ? "Token expired. Please refresh your session."
+          : "Invalid token"
+      );
+    }
+
+    const user = await User.findOne({
+      _id: decoded.id,
+      isActive: true,
+    }).select("-password");
+
+    if (
+      !user ||
+      user.isAccountLocked ||
+      user.changedPasswordAfter(decoded.iat)
+    ) {
+      return reject("Not authorized");
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    logger.error("Socket authentication error:", error);
+    reject("Authentication failed");
+  }
+};
+
 const requireEmailVerification = (req, res, next) => {
   next();
 };
@@ -334,6 +395,7 @@ module.exports = {
   authorize,
   checkPermission,
   optionalAuth,
+  protectSocket,
   checkAccountStatus,
   userRateLimit,
 };
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const multer = require("multer");
+const { RECEIPTS_DIR } = require("../services/receiptStorage");
+
+const MAX_RECEIPT_BYTES = 5 * 1024 * 1024;
+
+const RECEIPT_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/heic": ".heic",
+  "application/pdf": ".pdf",
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(RECEIPTS_DIR, { recursive: true }, (error) =>
+      cb(error, RECEIPTS_DIR)
+    );
+  },
+  // Random names, so nothing the client sends ends up in a path
+  filename: (req, file, cb) => {
+    cb(
+      null,
+      `${crypto.randomBytes(16).toString("hex")}${RECEIPT_TYPES[file.mimetype]}`
+    );
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_RECEIPT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    cb(null, Boolean(RECEIPT_TYPES[file.mimetype]));
+  },
+});
+
+/**
+ * Accept one receipt file in the `receipt` field of a multipart body as
+ * req.file. Anything but a JPEG, PNG, WebP, HEIC image or PDF of at most
+ * 5 MB is rejected with 400.
+ */
+const receiptUpload = (req, res, next) => {
+  upload.single("receipt")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message:
+          error.code === "LIMIT_FILE_SIZE"
+            ? "Receipts can be at most 5 MB"
+            : `Receipt upload failed: ${error.message}`,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Attach a receipt image (JPEG, PNG, WebP, HEIC) or PDF",
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  receiptUpload,
+};
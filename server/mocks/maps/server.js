@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+/**
+ * Map mock server
+ *
+ * Answers the Nominatim (/search, /reverse), Overpass (/interpreter) and
+ * OSRM (/route/v1) requests FreeMapService makes, from the fixtures in
+ * ./fixtures, so the maps work offline and give the same answers every
+ * time. Point the server at it with MAPS_BASE_URL:
+ *
+ *   npm run maps:mock                      (port MAPS_MOCK_PORT, 5055)
+ *   MAPS_BASE_URL=http://localhost:5055 npm run dev
+ *
+ * Tests can start it in-process with createMapMockServer().listen(0).
+ *
+ *   places.json  places found by /search and, nearest first, /reverse;
+ *                a place is found by any of its `names`, or a query that
+ *                starts with one followed by a comma ("jaipur, india")
+ *   pois.json    Overpass elements /interpreter filters by distance, tag
+ *                and name
+ * Routes are straight lines between the two points, with a distance and
+ * duration worked out from the profile's speed.
+ *
+ * failures ({ "/search": 503 }, or MAPS_MOCK_FAIL="/search=503,/reverse=429")
+ * makes a path fail with that status, to try out provider fallbacks.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+const DEFAULT_PORT = 5055;
+
+// Reverse lookups find places up to this far away
+const REVERSE_RADIUS_KM = 25;
+
+// Average speed of each OSRM profile in km/h, and how much longer roads are
+// than the straight line
+const PROFILE_SPEEDS = { driving: 40, car: 40, foot: 5, bike: 15 };
+const DETOUR_FACTOR = 1.3;
+
+const normalize = (text) =>
+  String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+// Haversine distance in km
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (deg) => deg * (Math.PI / 180);
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const readFixture = (fixturesDir, name) =>
+  JSON.parse(fs.readFileSync(path.join(fixturesDir, name), "utf8"));
+
+// "/search=503,/reverse=429" -> { "/search": 503, "/reverse": 429 }
+const parseFailures = (value) =>
+  Object.fromEntries(
+    String(value || "")
+      .split(",")
+      .filter(Boolean)
+      .map((entry) => {
+        const [route, status] = entry.split("=");
+        return [route.trim(), Number(status) || 503];
+      })
+  );
+
+/**
+ * Overpass QL as FreeMapService writes it: the first around:radius,lat,lng,
+ * tag filters such as [amenity=restaurant] or [amenity], and an optional
+ * ['name'~'keyword',i]
+ */
+const parseOverpassQuery = (query) => {
+  const around = query.match(/around:(\d+(?:\.\d+)?),(-?[\d.]+),(-?[\d.]+)/);
+  if (!around) return null;
+
+  const name = query.match(/\['name'~'([^']*)',i\]/);
+  const withoutName = query.replace(/\['name'~'[^']*',i\]/g, "");
+  const tags = [...withoutName.matchAll(/\[(\w+)(?:=([^\]]+))?\]/g)].map(
+    (match) => ({ key: match[1], value: match[2] })
+  );
+
+  return {
+    radius: Number(around[1]),
+    lat: Number(around[2]),
+    lng: Number(around[3]),
+    tags,
+    name: name ? name[1].toLowerCase() : null,
+  };
+};
+
+const createMapMockServer = ({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  failures = parseFailures(process.env.MAPS_MOCK_FAIL),
+} = {}) => {
+  const { places } = readFixture(fixturesDir, "places.json");
+  const { elements } = readFixture(fixturesDir, "pois.json");
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  // Every request, for tests to look at
+  app.locals.requests = [];
+  app.use((req, res, next) => {
+    app.locals.requests.push({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      headers: req.headers,
+    });
+
+    const failure = Object.keys(failures).find((route) =>
+      req.path.startsWith(route)
+    );
+    if (failure) {
+      return res.status(failures[failure]).json({ error: "Mock failure" });
+    }
+    next();
+  });
+
+  // Nominatim search
+  app.get("/search", (req, res) => {
+    const query = normalize(req.query.q);
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const found = places.filter((place) =>
+      place.names.some((name) => query === name || query.startsWith(`${name},`))
+    );
+    res.json(found.slice(0, limit).map((place) => place.result));
+  });
+
+  // Nominatim reverse
+  app.get("/reverse", (req, res) => {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lon);
+    const nearest = places
+      .map((place) => ({
+        place,
+        distance: distanceKm(
+          lat,
+          lng,
+          Number(place.result.lat),
+          Number(place.result.lon)
+        ),
+      }))
+      .filter((entry) => entry.distance <= REVERSE_RADIUS_KM)
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    if (!nearest) {
+      return res.json({ error: "Unable to geocode" });
+    }
+    res.json(nearest.place.result);
+  });
+
+  // Overpass
+  app.post("/interpreter", (req, res) => {
+    const query = parseOverpassQuery(String(req.body.data || ""));
+    if (!query) {
+      return res.status(400).send("Mock Overpass: no around: filter");
+    }
+
+    const found = elements.filter(
+      (element) =>
+        distanceKm(query.lat, query.lng, element.lat, element.lon) * 1000 <=
+          query.radius &&
+        query.tags.every((tag) =>
+          tag.value === undefined
+            ? element.tags[tag.key] !== undefined
+            : element.tags[tag.key] === tag.value
+        ) &&
+        (!query.name ||
+          String(element.tags.name || "")
+            .toLowerCase()
+            .includes(query.name))
+    );
+    res.json({ version: 0.6, generator: "map mock server", elements: found });
+  });
+
+  // OSRM route between two points
+  app.get("/route/v1/:profile/:coordinates", (req, res) => {
+    const points = req.params.coordinates
+      .split(";")
+      .map((point) => point.split(",").map(Number));
+    if (
+      points.length !== 2 ||
+      points.some((point) => point.length !== 2 || point.some(Number.isNaN))
+    ) {
+      return res.status(400).json({
+        code: "InvalidQuery",
+        message: "Mock OSRM routes between exactly two lng,lat points",
+      });
+    }
+
+    const [[fromLng, fromLat], [toLng, toLat]] = points;
+    const speed = PROFILE_SPEEDS[req.params.profile] || PROFILE_SPEEDS.driving;
+    const distance = Math.round(
+      distanceKm(fromLat, fromLng, toLat, toLng) * 1000 * DETOUR_FACTOR
+    );
+    const duration = Math.round(distance / ((speed * 1000) / 3600));
+    const step = (type, location, name) => ({
+      distance: type === "depart" ? distance : 0,
+      duration: type === "depart" ? duration : 0,
+      name,
+      maneuver: { type, location },
+    });
+
+    res.json({
+      code: "Ok",
+      routes: [
+        {
+          distance,
+          duration,
+          geometry: {
+            type: "LineString",
+            coordinates: [
+              [fromLng, fromLat],
+              [toLng, toLat],
+            ],
+          },
+          legs: [
+            {
+              distance,
+              duration,
+              summary: "Mock route",
+              steps: [
+                step("depart", [fromLng, fromLat], "Mock road"),
+                step("arrive", [toLng, toLat], ""),
+              ],
+            },
+          ],
+        },
+      ],
+      waypoints: [
+        { location: [fromLng, fromLat], name: "" },
+        { location: [toLng, toLat], name: "" },
+      ],
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = process.env.MAPS_MOCK_PORT || DEFAULT_PORT;
+  createMapMockServer().listen(port, () => {
+    console.log(`Map mock server on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMapMockServer };
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+const usageSchema = {
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+};
+
+// One model call; repaired generations have several
+const attemptSchema = new mongoose.Schema(
+  {
+    provider: String,
+    model: String,
+    response: String, // raw model output
+    validationErrors: [String],
+    latencyMs: Number,
+    usage: usageSchema,
+  },
+  { _id: false }
+);
+
+// Provenance record for every AI call, so bad outputs can be traced back to
+// the prompt version and model that produced them
+const aiGenerationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Trip the output was saved to (linked when the trip is created, or
+    // known up front for edits of an existing trip)
+    trip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Trip",
+    },
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    promptVersion: {
+      type: String,
+      required: true,
+    },
+    provider: String,
+    model: String,
+
+    // Request parameters and the exact prompt sent first
+    input: mongoose.Schema.Types.Mixed,
+    prompt: String,
+
+    attempts: [attemptSchema],
+    status: {
+      type: String,
+      enum: ["generated", "repaired", "failed", "cancelled", "error"],
+      required: true,
+    },
+    validationErrors: [String],
+    error: String,
+
+    latencyMs: Number,
+    usage: usageSchema,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+aiGenerationSchema.index({ user: 1, createdAt: -1 });
+aiGenerationSchema.index({ endpoint: 1, promptVersion: 1, createdAt: -1 });
+aiGenerationSchema.index({ trip: 1 });
+
+module.exports = mongoose.model("AiGeneration", aiGenerationSchema);
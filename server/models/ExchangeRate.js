@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// One row of the exchange rate table: on `date`, 1 `base` was worth `rate`
+// `quote`. Rates are entered by admins or imported from a file (see
+// services/currencyService.js and scripts/importRates.js).
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+    quote: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // The day the rate applies to, at midnight UTC
+    date: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["admin", "import"],
+      default: "admin",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exchangeRateSchema.index({ base: 1, quote: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
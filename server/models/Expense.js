@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+
+// What an expense was for. Planned itinerary costs are sorted into the same
+// categories (see expenseService.plannedCategory) so the two can be compared.
+const EXPENSE_CATEGORIES = [
+  "accommodation",
+  "transport",
+  "food",
+  "activities",
+  "shopping",
+  "other",
+];
+
+const SPLIT_METHODS = ["equal", "shares", "exact"];
+
+// One traveller's part of an expense: a number of `shares` for the "shares"
+// method, an exact `amount` for "exact", neither for "equal"
+const splitPartSchema = new mongoose.Schema(
+  {
+    traveller: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    shares: {
+      type: Number,
+      min: 0,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Money actually spent on a trip, logged while travelling
+const expenseSchema = new mongoose.Schema(
+  {
+    trip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Trip",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // ISO 4217 code; defaults to the trip's budget currency
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+    category: {
+      type: String,
+      enum: EXPENSE_CATEGORIES,
+      default: "other",
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // Calendar day of the expense, stored as midnight UTC like trip dates
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Traveller who paid (an id in trip.travellers). Expenses logged before
+    // trips had travellers hold the payer's user id; travellerService
+    // .findTraveller resolves both.
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Who the expense is shared between, and how
+    split: {
+      method: {
+        type: String,
+        enum: SPLIT_METHODS,
+        default: "equal",
+      },
+      among: [splitPartSchema],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Itinerary activity the money was spent on (an itinerary.days[].activities
+    // id). The day it counts towards follows the activity when it is moved.
+    activity: mongoose.Schema.Types.ObjectId,
+    // Photo or PDF of the receipt, stored in RECEIPTS_DIR and served to trip
+    // members only
+    receipt: {
+      filename: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      uploadedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+expenseSchema.index({ trip: 1, date: 1 });
+
+expenseSchema.statics.CATEGORIES = EXPENSE_CATEGORIES;
+expenseSchema.statics.SPLIT_METHODS = SPLIT_METHODS;
+
+module.exports = mongoose.model("Expense", expenseSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// A cached geocode or reverse geocode result (see services/geocodeCache.js).
+// `key` is the normalized lookup: "geocode:paris, france" or
+// "reverse:48.85660,2.35220". MongoDB removes entries once `expiresAt` passes.
+const geocodeCacheSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    kind: {
+      type: String,
+      enum: ["geocode", "reverse"],
+      required: true,
+    },
+    // The result as FreeMapService returns it
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    provider: String,
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("GeocodeCache", geocodeCacheSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const NOTIFICATION_TYPES = [
+  "trip-reminder", // a trip starts in a few days
+  "trip-edited", // a collaborator changed a trip the user is on
+  "generation-finished", // an AI itinerary the user asked for is ready
+  "trip-invitation", // someone invited the user to a trip
+];
+
+const NOTIFICATION_CHANNELS = ["in-app", "email"];
+
+// Something the user was told about, on the channels it went out on (see
+// services/notificationService.js)
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    trip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Trip",
+    },
+    // Client path the notification opens, e.g. /trips/:id
+    link: String,
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    channels: [
+      {
+        type: String,
+        enum: NOTIFICATION_CHANNELS,
+      },
+    ],
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    emailedAt: Date,
+    emailError: String,
+
+    // Notifications with the same key are only sent once per user, e.g. one
+    // reminder per trip and start date
+    dedupeKey: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index(
+  { user: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+notificationSchema.statics.CHANNELS = NOTIFICATION_CHANNELS;
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// A payment between two travellers of a trip to settle their balances,
+// recorded once it has been made
+const settlementSchema = new mongoose.Schema(
+  {
+    trip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Trip",
+      required: true,
+    },
+    // Travellers (ids in trip.travellers) who paid and were paid
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+settlementSchema.index({ trip: 1, paidAt: -1 });
+
+module.exports = mongoose.model("Settlement", settlementSchema);
@@ -1,5 +1,238 @@
 const mongoose = require("mongoose");
 
+const MEAL_TYPES = ["breakfast", "lunch", "dinner", "snack"];
+
+const DIETARY_TAGS = [
+  "vegetarian",
+  "vegan",
+  "pescatarian",
+  "halal",
+  "kosher",
+  "gluten-free",
+  "dairy-free",
+  "nut-free",
+];
+
+// A meal on an itinerary day. Kept apart from activities so restaurants can
+// carry cuisine, dietary and reservation details, and still count towards
+// the day's cost.
+const mealSchema = new mongoose.Schema({
+  time: String,
+  type: {
+    type: String,
+    enum: MEAL_TYPES,
+  },
+  restaurant: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  cuisine: String,
+  dietaryTags: [
+    {
+      type: String,
+      enum: DIETARY_TAGS,
+    },
+  ],
+  location: {
+    name: String,
+    address: String,
+    coordinates: {
+      lat: Number,
+      lng: Number,
+    },
+  },
+  cost: {
+    amount: Number,
+    currency: String,
+  },
+  reservation: {
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["not_booked", "requested", "confirmed", "cancelled"],
+      default: "not_booked",
+    },
+    time: String, // when it differs from the meal time
+    partySize: Number,
+    confirmationNumber: String,
+    phone: String,
+    url: String,
+    notes: String,
+  },
+  notes: String,
+});
+
+const TRANSFER_MODES = ["flight", "train", "bus", "car", "ferry", "other"];
+
+// A stop on a multi-city trip. Legs are stored in travel order; `transfer`
+// is how the traveller gets here from the previous leg, so the first leg
+// has none.
+const legSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  coordinates: {
+    lat: Number,
+    lng: Number,
+  },
+  startDate: Date,
+  endDate: Date,
+  accommodation: {
+    name: String,
+    type: {
+      type: String,
+      enum: ["hotel", "hostel", "apartment", "resort"],
+    },
+    address: String,
+    cost: {
+      amount: Number,
+      currency: String,
+    },
+    bookingReference: String,
+  },
+  transfer: {
+    mode: {
+      type: String,
+      enum: TRANSFER_MODES,
+    },
+    departureTime: String,
+    durationHours: Number,
+    cost: {
+      amount: Number,
+      currency: String,
+    },
+    notes: String,
+  },
+});
+
+const TRIP_ROLES = ["viewer", "editor", "co-owner"];
+
+// A user the trip is shared with. The owner (`user`) is never a member;
+// see services/tripPermissions.js for what each role may do.
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: TRIP_ROLES,
+    required: true,
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// An invitation to join the trip, addressed by email so it can be sent
+// before the invitee has an account
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: TRIP_ROLES,
+    default: "viewer",
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "revoked"],
+    default: "pending",
+  },
+  expiresAt: Date,
+  respondedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Someone travelling on the trip, who can pay for and share expenses.
+// The owner and members are linked through `user`; other travellers need
+// only a name, and are linked when they join with the same email.
+const travellerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+// One turn of the trip-editing chat. Assistant turns may carry a proposed
+// patch (see services/llm/itineraryPatch.js) that the user can apply.
+const chatMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ["user", "assistant"],
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: [4000, "Message cannot be more than 4000 characters"],
+  },
+  operations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined,
+  },
+  changes: {
+    type: [String],
+    default: undefined,
+  },
+  patchStatus: {
+    type: String,
+    enum: ["proposed", "applied"],
+  },
+  // Trip version the operations were proposed against; their day and index
+  // addresses only hold for that version
+  tripVersion: Number,
+  appliedAt: Date,
+  generation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AiGeneration",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const tripSchema = new mongoose.Schema(
   {
     user: {
@@ -14,6 +247,15 @@ const tripSchema = new mongoose.Schema(
     },
     description: String,
 
+    // Collaborators and the invitations sent to new ones
+    members: [memberSchema],
+    invitations: {
+      type: [invitationSchema],
+      select: false,
+    },
+    // People sharing the trip's expenses (see services/travellerService.js)
+    travellers: [travellerSchema],
+
     // Trip details
     destination: {
       city: {
@@ -30,6 +272,9 @@ const tripSchema = new mongoose.Schema(
       },
     },
 
+    // Stops of a multi-city trip, in order; destination mirrors the first
+    legs: [legSchema],
+
     // Trip preferences
     preferences: {
       budget: {
@@ -91,10 +336,16 @@ const tripSchema = new mongoose.Schema(
         type: Date,
         default: Date.now,
       },
+      // AiGeneration record with the prompt, model and raw output
+      generation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AiGeneration",
+      },
       days: [
         {
           day: Number,
           date: Date,
+          city: String, // leg the day is spent in, on multi-city trips
           title: String, // AI-generated title for the day
           theme: String, // Theme/description of the day
           activities: [
@@ -127,6 +378,8 @@ const tripSchema = new mongoose.Schema(
               },
             },
           ],
+          meals: [mealSchema],
+          // Activities plus meals; recalculated on save
           totalCost: {
             amount: Number,
             currency: String,
@@ -140,7 +393,11 @@ const tripSchema = new mongoose.Schema(
       summary: String,
     },
 
-
+    // Conversation with the trip-editing assistant, loaded on demand
+    chatHistory: {
+      type: [chatMessageSchema],
+      select: false,
+    },
 
     // Trip status
     status: {
@@ -149,6 +406,13 @@ const tripSchema = new mongoose.Schema(
       default: "draft",
     },
 
+    // Bumped on every saved edit; live editors send the version their
+    // changes are based on so stale edits are rejected, not merged blindly
+    version: {
+      type: Number,
+      default: 0,
+    },
+
     // Trip dates
     startDate: Date,
     endDate: Date,
@@ -182,6 +446,9 @@ const tripSchema = new mongoose.Schema(
 tripSchema.index({ user: 1, createdAt: -1 });
 tripSchema.index({ status: 1 });
 tripSchema.index({ "destination.city": 1, "destination.country": 1 });
+tripSchema.index({ "legs.city": 1 });
+tripSchema.index({ "members.user": 1 });
+tripSchema.index({ "invitations.email": 1, "invitations.status": 1 });
 tripSchema.index({ startDate: 1, endDate: 1 });
 
 // Virtual for trip duration
@@ -203,21 +470,59 @@ tripSchema.virtual("daysUntilTrip").get(function () {
   return null;
 });
 
-// Method to calculate total cost
-tripSchema.methods.calculateTotalCost = function () {
+// Destination implied by a list of legs: the first stop
+tripSchema.statics.destinationFromLegs = function (legs) {
+  if (!legs || legs.length === 0) return null;
+  const [{ city, country, coordinates }] = legs;
+  return { city, country, coordinates };
+};
+
+// Cost of a day's activities and meals
+tripSchema.statics.sumDayCost = function (day) {
+  return [...(day.activities || []), ...(day.meals || [])].reduce(
+    (sum, entry) => sum + (entry.cost?.amount || 0),
+    0
+  );
+};
+
+// Cost of a whole trip: its days plus the transfers between legs, which are
+// not part of any day
+tripSchema.statics.sumTripCost = function (days, legs) {
+  return (
+    (days || []).reduce((sum, day) => sum + this.sumDayCost(day), 0) +
+    (legs || []).reduce(
+      (sum, leg) => sum + (leg.transfer?.cost?.amount || 0),
+      0
+    )
+  );
+};
+
+// Recompute day and trip totals from activity, meal and transfer costs
+// (no save)
+tripSchema.methods.recalculateCosts = function () {
   if (this.itinerary.days && this.itinerary.days.length > 0) {
-    const total = this.itinerary.days.reduce((sum, day) => {
-      return sum + (day.totalCost?.amount || 0);
-    }, 0);
+    const currency = this.preferences.budget.currency || "USD";
+
+    this.itinerary.days.forEach((day) => {
+      day.totalCost = {
+        amount: this.constructor.sumDayCost(day),
+        currency: day.totalCost?.currency || currency,
+      };
+    });
+
     this.itinerary.totalCost = {
-      amount: total,
-      currency: this.preferences.budget.currency || "USD",
+      amount: this.constructor.sumTripCost(this.itinerary.days, this.legs),
+      currency,
     };
   }
-  return this.save();
+  return this;
 };
 
-
+// Method to calculate total cost
+tripSchema.methods.calculateTotalCost = function () {
+  this.recalculateCosts();
+  return this.save();
+};
 
 // Method to update trip status
 tripSchema.methods.updateStatus = function (newStatus) {
@@ -236,10 +541,19 @@ tripSchema.methods.updateStatus = function (newStatus) {
   return this.save();
 };
 
+// Keep destination on the first leg so single-destination queries and
+// indexes still find multi-city trips
+tripSchema.pre("validate", function (next) {
+  if (this.legs && this.legs.length > 0) {
+    this.destination = this.constructor.destinationFromLegs(this.legs);
+  }
+  next();
+});
+
 // Pre-save middleware to calculate total cost
 tripSchema.pre("save", function (next) {
-  if (this.isModified("itinerary.days")) {
-    this.calculateTotalCost();
+  if (this.isModified("itinerary.days") || this.isModified("legs")) {
+    this.recalculateCosts();
   }
   next();
 });
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const REVISION_SOURCES = [
+  "manual", // edits in the app or over the API
+  "ai-generate", // trip created from a generated itinerary
+  "ai-optimize", // optimized itinerary saved over the old one
+  "ai-chat", // changes proposed by the trip assistant
+  "clone", // copied from another trip
+  "restore", // an earlier revision put back
+];
+
+// Snapshot of a trip after one saved change, so earlier versions can be
+// compared and restored
+const tripRevisionSchema = new mongoose.Schema(
+  {
+    trip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Trip",
+      required: true,
+    },
+    // Trip version the snapshot was taken at
+    version: {
+      type: Number,
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    source: {
+      type: String,
+      enum: REVISION_SOURCES,
+      default: "manual",
+    },
+    summary: String,
+
+    // Editable trip fields (see tripRevisionService.SNAPSHOT_FIELDS)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+tripRevisionSchema.index({ trip: 1, version: -1 });
+
+tripRevisionSchema.statics.SOURCES = REVISION_SOURCES;
+
+module.exports = mongoose.model("TripRevision", tripRevisionSchema);
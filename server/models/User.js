@@ -2,6 +2,31 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 
+// Per-plan usage limits (-1 = unlimited)
+const PLAN_LIMITS = {
+  free: {
+    monthlyAiRequests: 10,
+    tripsPerMonth: 5,
+    savedDestinations: 10,
+  },
+  premium: {
+    monthlyAiRequests: 100,
+    tripsPerMonth: 50,
+    savedDestinations: 100,
+  },
+  enterprise: {
+    monthlyAiRequests: -1,
+    tripsPerMonth: -1,
+    savedDestinations: -1,
+  },
+};
+
+// AI quotas reset on the first day of each calendar month (UTC)
+const startOfMonth = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const startOfNextMonth = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
 const userSchema = new mongoose.Schema(
   {
     // Basic Information
@@ -72,6 +97,11 @@ const userSchema = new mongoose.Schema(
       default: "user",
       index: true,
     },
+    plan: {
+      type: String,
+      enum: Object.keys(PLAN_LIMITS),
+      default: "free",
+    },
     isEmailVerified: {
       type: Boolean,
       default: true,
@@ -220,6 +250,34 @@ const userSchema = new mongoose.Schema(
       },
     },
 
+    // Channels each kind of notification goes out on (see
+    // services/notificationService.js). Kept apart from `preferences`, which
+    // the profile form replaces as a whole.
+    notificationPreferences: {
+      tripReminder: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: true },
+        daysBefore: {
+          type: Number,
+          default: 3,
+          min: [1, "Reminders are sent at least 1 day before a trip"],
+          max: [30, "Reminders are sent at most 30 days before a trip"],
+        },
+      },
+      tripEdited: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: false },
+      },
+      generationFinished: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: false },
+      },
+      tripInvitation: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: true },
+      },
+    },
+
     // Saved Data
     savedDestinations: [
       {
@@ -334,8 +392,30 @@ userSchema.virtual("fullProfile").get(function () {
     name: this.name,
     email: this.email,
     role: this.role,
+    plan: this.plan,
     avatar: this.avatar,
     preferences: this.preferences,
+    aiQuota: this.aiQuota,
+  };
+});
+
+// Current AI quota; a counter last reset before this month counts as unused
+userSchema.virtual("aiQuota").get(function () {
+  const now = new Date();
+  const plan = PLAN_LIMITS[this.plan] ? this.plan : "free";
+  const limit = PLAN_LIMITS[plan].monthlyAiRequests;
+  const used =
+    this.monthlyAiRequestsReset &&
+    this.monthlyAiRequestsReset >= startOfMonth(now)
+      ? this.monthlyAiRequests || 0
+      : 0;
+
+  return {
+    plan,
+    limit,
+    used,
+    remaining: limit === -1 ? -1 : Math.max(limit - used, 0),
+    resetsAt: startOfNextMonth(now),
   };
 });
 
@@ -545,32 +625,11 @@ userSchema.methods.addLoginHistory = function (
 
 // Check if user can perform action based on plan
 userSchema.methods.canPerformAction = function (action) {
-  const limits = {
-    free: {
-      monthlyAiRequests: 10,
-      tripsPerMonth: 5,
-      savedDestinations: 10,
-    },
-    premium: {
-      monthlyAiRequests: 100,
-      tripsPerMonth: 50,
-      savedDestinations: 100,
-    },
-    enterprise: {
-      monthlyAiRequests: -1, // unlimited
-      tripsPerMonth: -1,
-      savedDestinations: -1,
-    },
-  };
-
-  const userLimits = limits.free;
+  const userLimits = PLAN_LIMITS[this.plan] || PLAN_LIMITS.free;
 
   switch (action) {
     case "ai_request":
-      return (
-        userLimits.monthlyAiRequests === -1 ||
-        this.monthlyAiRequests < userLimits.monthlyAiRequests
-      );
+      return this.aiQuota.remaining !== 0;
     case "create_trip":
       return (
         userLimits.tripsPerMonth === -1 ||
@@ -598,6 +657,64 @@ userSchema.statics.findByPasswordResetToken = function (token) {
   });
 };
 
+// Atomically count one AI request against the user's monthly quota,
+// resetting the counter first if it was last reset in an earlier month.
+// Resolves to { allowed, quota }; nothing is counted when not allowed.
+userSchema.statics.consumeAiRequest = async function (user) {
+  const now = new Date();
+  const monthStart = startOfMonth(now);
+  const limit = (PLAN_LIMITS[user.plan] || PLAN_LIMITS.free).monthlyAiRequests;
+  const isNewMonth = { $lt: ["$monthlyAiRequestsReset", monthStart] };
+
+  const filter = { _id: user._id };
+  if (limit !== -1) {
+    filter.$or = [
+      { monthlyAiRequestsReset: { $exists: false } },
+      { monthlyAiRequestsReset: { $lt: monthStart } },
+      { monthlyAiRequests: { $lt: limit } },
+    ];
+  }
+
+  const updated = await this.findOneAndUpdate(
+    filter,
+    [
+      {
+        $set: {
+          monthlyAiRequests: {
+            $cond: [
+              isNewMonth,
+              1,
+              { $add: [{ $ifNull: ["$monthlyAiRequests", 0] }, 1] },
+            ],
+          },
+          monthlyAiRequestsReset: {
+            $cond: [isNewMonth, now, "$monthlyAiRequestsReset"],
+          },
+          totalAiRequestsUsed: {
+            $add: [{ $ifNull: ["$totalAiRequestsUsed", 0] }, 1],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (updated) {
+    return { allowed: true, quota: updated.aiQuota };
+  }
+
+  const current = await this.findById(user._id);
+  return { allowed: false, quota: (current || user).aiQuota };
+};
+
+// Give back a request that failed on our side
+userSchema.statics.refundAiRequest = function (userId) {
+  return this.updateOne(
+    { _id: userId, monthlyAiRequests: { $gt: 0 } },
+    { $inc: { monthlyAiRequests: -1, totalAiRequestsUsed: -1 } }
+  );
+};
+
 // Get user statistics
 userSchema.statics.getStats = function () {
   return this.aggregate([
@@ -616,7 +733,7 @@ userSchema.statics.getStats = function () {
         },
         byPlan: {
           $push: {
-            plan: "$planType",
+            plan: "$plan",
             count: 1,
           },
         },
@@ -1,19 +1,89 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const {
   generateItinerary,
+  generateItineraryStream,
   optimizeItinerary,
+  regenerateDay,
+  regenerateActivity,
+  chatWithTrip,
   getTravelSuggestions,
   getDestinationInsights,
   getRecommendations,
+  getAiQuota,
+  getGenerations,
+  getGenerationStats,
+  getGenerationById,
+  getPromptTemplates,
+  previewPrompt,
 } = require("../controllers/aiController");
-const { protect } = require("../middleware/auth");
+const { protect, authorize } = require("../middleware/auth");
+const { aiQuota } = require("../middleware/aiQuota");
+const { hasVersion, getTemplate } = require("../services/llm/prompts");
+const { routeName } = require("../services/llm/itineraryLegs");
+const { preferredCurrency } = require("../services/currencyService");
 
 const router = express.Router();
 
+// Validation middleware for the prompt options every AI route accepts:
+// promptVersion pins a template version (A/B comparison), locale sets the
+// output language and number formatting
+const promptOptionsValidation = (templateName) => [
+  body("promptVersion")
+    .optional()
+    .custom((version) => hasVersion(templateName, version))
+    .withMessage(`Unknown prompt version for ${templateName}`),
+  body("locale").optional().isLocale().withMessage("Invalid locale"),
+];
+
+// Validation middleware for the stops of a multi-city itinerary request:
+// legs: [{ city, country?, days }] in travel order, covering every day
+const itineraryLegsValidation = [
+  body("legs")
+    .optional()
+    .isArray({ min: 2, max: 10 })
+    .withMessage("Legs must be a list of 2 to 10 stops"),
+  body("legs.*.city").trim().notEmpty().withMessage("Each leg needs a city"),
+  body("legs.*.country").optional().trim(),
+  body("legs.*.days")
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Each leg needs at least one day"),
+  body("legs")
+    .optional()
+    .custom(
+      (legs, { req }) =>
+        legs.reduce((sum, leg) => sum + (Number(leg.days) || 0), 0) ===
+        Number(req.body.duration)
+    )
+    .withMessage("Leg days must add up to the trip duration"),
+  body("legs")
+    .optional()
+    .custom(
+      (legs, { req }) =>
+        !req.body.promptVersion ||
+        !hasVersion("generateItinerary", req.body.promptVersion) ||
+        Boolean(
+          getTemplate("generateItinerary", req.body.promptVersion).variables
+            .legs
+        )
+    )
+    .withMessage("This prompt version does not plan multi-city trips"),
+];
+
 // Validation middleware for itinerary generation
 const generateItineraryValidation = [
-  body("destination").notEmpty().trim().withMessage("Destination is required"),
+  ...itineraryLegsValidation,
+  // Multi-city requests may leave the destination to the route
+  body("destination")
+    .customSanitizer((destination, { req }) =>
+      !destination && Array.isArray(req.body.legs)
+        ? routeName(req.body.legs)
+        : destination
+    )
+    .notEmpty()
+    .trim()
+    .withMessage("Destination is required"),
   body("duration")
     .isInt({ min: 1, max: 30 })
     .withMessage("Duration must be between 1 and 30 days"),
@@ -22,10 +92,97 @@ const generateItineraryValidation = [
     .isNumeric()
     .withMessage("Minimum budget must be a number"),
   body("budget.max").isNumeric().withMessage("Maximum budget must be a number"),
+  // Budgets without a currency are in the user's preferred currency
+  body("budget.currency")
+    .customSanitizer(
+      (currency, { req }) => currency || preferredCurrency(req.user)
+    )
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Budget currency must be an ISO 4217 code"),
   body("groupSize")
     .optional()
     .isInt({ min: 1, max: 20 })
     .withMessage("Group size must be between 1 and 20"),
+  body("interests")
+    .optional()
+    .isArray()
+    .withMessage("Interests must be an array"),
+  body("transport")
+    .optional()
+    .isArray()
+    .withMessage("Transport must be an array"),
+  body("enforceBudget")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("enforceBudget must be a boolean"),
+  ...promptOptionsValidation("generateItinerary"),
+];
+
+// Validation middleware for single day / activity regeneration
+const regenerateValidation = [
+  param("tripId").isMongoId().withMessage("Invalid trip id"),
+  param("dayIndex")
+    .isInt({ min: 0 })
+    .withMessage("Day index must be a non-negative integer"),
+  param("activityIndex")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Activity index must be a non-negative integer"),
+  body("instructions")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Instructions cannot be more than 500 characters"),
+  body("keepActivityIndexes")
+    .optional()
+    .isArray()
+    .withMessage("keepActivityIndexes must be an array"),
+  body("keepActivityIndexes.*")
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage("keepActivityIndexes must contain activity indexes"),
+];
+
+// Validation middleware for the trip-editing chat
+const tripChatValidation = [
+  param("tripId").isMongoId().withMessage("Invalid trip id"),
+  body("message")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage("Message must be between 1 and 1000 characters"),
+  ...promptOptionsValidation("tripChat"),
+];
+
+// Validation middleware for previewing a prompt template
+const previewPromptValidation = [
+  body("variables")
+    .optional()
+    .isObject()
+    .withMessage("Variables must be an object"),
+  body("locale").optional().isLocale().withMessage("Invalid locale"),
+  body("currency")
+    .optional()
+    .isISO4217()
+    .withMessage("Currency must be an ISO 4217 code"),
+];
+
+// Validation middleware for listing AI generations
+const generationsQueryValidation = [
+  query("user").optional().isMongoId().withMessage("Invalid user id"),
+  query("trip").optional().isMongoId().withMessage("Invalid trip id"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
 ];
 
 // @route   POST /api/ai/generate-itinerary
@@ -34,33 +191,150 @@ const generateItineraryValidation = [
 router.post(
   "/generate-itinerary",
   protect,
+  aiQuota(),
   generateItineraryValidation,
   generateItinerary
 );
 
+// @route   POST /api/ai/generate-itinerary/stream
+// @desc    Generate itinerary as Server-Sent Events, one day at a time
+// @access  Private
+router.post(
+  "/generate-itinerary/stream",
+  protect,
+  aiQuota(),
+  generateItineraryValidation,
+  generateItineraryStream
+);
+
 // @route   POST /api/ai/optimize-itinerary
 // @desc    Optimize existing itinerary
 // @access  Private
-router.post("/optimize-itinerary", protect, optimizeItinerary);
+router.post(
+  "/optimize-itinerary",
+  protect,
+  aiQuota(),
+  promptOptionsValidation("optimizeItinerary"),
+  optimizeItinerary
+);
+
+// @route   POST /api/ai/trips/:tripId/days/:dayIndex/regenerate
+// @desc    Preview a regenerated day of a saved trip
+// @access  Private
+router.post(
+  "/trips/:tripId/days/:dayIndex/regenerate",
+  protect,
+  aiQuota(),
+  regenerateValidation,
+  promptOptionsValidation("regenerateDay"),
+  regenerateDay
+);
+
+// @route   POST /api/ai/trips/:tripId/days/:dayIndex/activities/:activityIndex/regenerate
+// @desc    Preview a replacement for one activity of a saved trip
+// @access  Private
+router.post(
+  "/trips/:tripId/days/:dayIndex/activities/:activityIndex/regenerate",
+  protect,
+  aiQuota(),
+  regenerateValidation,
+  promptOptionsValidation("regenerateActivity"),
+  regenerateActivity
+);
+
+// @route   POST /api/ai/trips/:tripId/chat
+// @desc    Ask the trip-editing assistant for changes to a saved trip
+// @access  Private
+router.post(
+  "/trips/:tripId/chat",
+  protect,
+  aiQuota(),
+  tripChatValidation,
+  chatWithTrip
+);
 
 // @route   POST /api/ai/travel-suggestions
 // @desc    Get AI-powered travel suggestions
 // @access  Private
-router.post("/travel-suggestions", protect, getTravelSuggestions);
+router.post(
+  "/travel-suggestions",
+  protect,
+  aiQuota(),
+  promptOptionsValidation("travelSuggestions"),
+  getTravelSuggestions
+);
 
 // @route   POST /api/ai/destination-insights
 // @desc    Get destination insights and information
 // @access  Private
-router.post("/destination-insights", protect, getDestinationInsights);
+router.post(
+  "/destination-insights",
+  protect,
+  aiQuota(),
+  promptOptionsValidation("destinationInsights"),
+  getDestinationInsights
+);
 
 // @route   GET /api/ai/recommendations
-// @desc    Get AI-powered trip recommendations
+// @desc    Get personalized trip recommendations
 // @access  Private
-router.get("/recommendations", protect, getRecommendations);
+router.get(
+  "/recommendations",
+  protect,
+  aiQuota({ consume: false }),
+  getRecommendations
+);
 
 // @route   POST /api/ai/recommendations/refresh
-// @desc    Refresh AI-powered trip recommendations (clears cache)
+// @desc    Rebuild personalized trip recommendations (clears cache)
+// @access  Private
+router.post(
+  "/recommendations/refresh",
+  protect,
+  aiQuota({ consume: false }),
+  getRecommendations
+);
+
+// @route   GET /api/ai/quota
+// @desc    Get the current user's monthly AI quota
+// @access  Private
+router.get("/quota", protect, aiQuota({ consume: false }), getAiQuota);
+
+// @route   GET /api/ai/generations
+// @desc    List recorded AI generations
+// @access  Private
+router.get("/generations", protect, generationsQueryValidation, getGenerations);
+
+// @route   GET /api/ai/generations/stats
+// @desc    Outcome, latency and token statistics per prompt version
+// @access  Private/Admin
+router.get(
+  "/generations/stats",
+  protect,
+  authorize("admin"),
+  query("since").optional().isISO8601().withMessage("Invalid since date"),
+  getGenerationStats
+);
+
+// @route   GET /api/ai/generations/:id
+// @desc    Get one AI generation with its prompt and raw responses
 // @access  Private
-router.post("/recommendations/refresh", protect, getRecommendations);
+router.get("/generations/:id", protect, getGenerationById);
+
+// @route   GET /api/ai/prompts
+// @desc    List prompt templates and their versions
+// @access  Private/Admin
+router.get("/prompts", protect, authorize("admin"), getPromptTemplates);
+
+// @route   POST /api/ai/prompts/:name/render
+// @desc    Render a prompt template without calling the model
+// @access  Private/Admin
+router.post(
+  "/prompts/:name/render",
+  protect,
+  authorize("admin"),
+  previewPromptValidation,
+  previewPrompt
+);
 
 module.exports = router;
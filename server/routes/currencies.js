@@ -0,0 +1,100 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const {
+  getRates,
+  saveRate,
+  importRates,
+  deleteRate,
+  convertAmount,
+} = require("../controllers/currencyController");
+const { protect, authorize } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Validation middleware for a currency code field
+const currencyCode = (field) =>
+  field.trim().toUpperCase().isISO4217().withMessage("Invalid currency code");
+
+// Validation middleware for the rate listing
+const ratesQueryValidation = [
+  currencyCode(query("currency").optional()),
+  query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+// Validation middleware for one rate: 1 base = rate quote on date
+const rateValidation = [
+  currencyCode(body("base")),
+  currencyCode(body("quote")),
+  body("quote")
+    .custom((quote, { req }) => quote !== req.body.base)
+    .withMessage("Base and quote currencies must differ"),
+  body("rate")
+    .isFloat({ gt: 0 })
+    .toFloat()
+    .withMessage("Rate must be a positive number"),
+  body("date").isISO8601().withMessage("Date must be a valid date"),
+];
+
+// Validation middleware for an import: a list of rates or a rate file
+const importValidation = [
+  body("rates")
+    .optional()
+    .isArray({ max: 10000 })
+    .withMessage("Rates must be a list of at most 10000 rates"),
+  body("file")
+    .if(body("rates").not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage("Send a list of rates or a CSV or JSON rate file"),
+];
+
+// Validation middleware for a conversion
+const convertValidation = [
+  query("amount").isFloat().toFloat().withMessage("Amount must be a number"),
+  currencyCode(query("from")),
+  currencyCode(query("to").optional()),
+  query("date").optional().isISO8601().withMessage("Date must be a valid date"),
+];
+
+// @route   GET /api/currencies/rates
+// @desc    List exchange rates
+// @access  Private
+router.get("/rates", protect, ratesQueryValidation, getRates);
+
+// @route   POST /api/currencies/rates
+// @desc    Add or replace an exchange rate
+// @access  Private (admin)
+router.post("/rates", protect, authorize("admin"), rateValidation, saveRate);
+
+// @route   POST /api/currencies/rates/import
+// @desc    Import exchange rates from a list or a CSV or JSON rate file
+// @access  Private (admin)
+router.post(
+  "/rates/import",
+  protect,
+  authorize("admin"),
+  importValidation,
+  importRates
+);
+
+// @route   DELETE /api/currencies/rates/:rateId
+// @desc    Delete an exchange rate
+// @access  Private (admin)
+router.delete(
+  "/rates/:rateId",
+  protect,
+  authorize("admin"),
+  param("rateId").isMongoId().withMessage("Invalid rate id"),
+  deleteRate
+);
+
+// @route   GET /api/currencies/convert
+// @desc    Convert an amount with the rate table
+// @access  Private
+router.get("/convert", protect, convertValidation, convertAmount);
+
+module.exports = router;
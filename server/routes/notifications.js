@@ -0,0 +1,74 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} = require("../controllers/notificationController");
+const { protect } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Validation middleware for notification preferences: any subset of
+// { tripReminder: { inApp, email, daysBefore }, tripEdited: { inApp, email },
+//   generationFinished: { inApp, email }, tripInvitation: { inApp, email } }
+const preferencesValidation = [
+  body([
+    "tripReminder.inApp",
+    "tripReminder.email",
+    "tripEdited.inApp",
+    "tripEdited.email",
+    "generationFinished.inApp",
+    "generationFinished.email",
+    "tripInvitation.inApp",
+    "tripInvitation.email",
+  ])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Channel settings must be true or false"),
+  body("tripReminder.daysBefore")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .toInt()
+    .withMessage("Reminders can be sent 1 to 30 days before a trip"),
+];
+
+// @route   GET /api/notifications
+// @desc    Get the logged in user's notifications (?unread=true for unread)
+// @access  Private
+router.get("/", protect, getNotifications);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences
+// @access  Private
+router.get("/preferences", protect, getNotificationPreferences);
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification preferences
+// @access  Private
+router.put(
+  "/preferences",
+  protect,
+  preferencesValidation,
+  updateNotificationPreferences
+);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put("/read-all", protect, markAllNotificationsRead);
+
+// @route   PUT /api/notifications/:notificationId/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put("/:notificationId/read", protect, markNotificationRead);
+
+// @route   DELETE /api/notifications/:notificationId
+// @desc    Delete a notification
+// @access  Private
+router.delete("/:notificationId", protect, deleteNotification);
+
+module.exports = router;
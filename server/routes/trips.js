@@ -1,19 +1,105 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, header, param, query } = require("express-validator");
 const {
   createTrip,
   getTrips,
   getTripById,
   updateTrip,
+  replaceTripDay,
+  getTripChat,
+  clearTripChat,
+  applyTripChatPatch,
   deleteTrip,
   getPublicTrips,
   cloneTrip,
   getTripStats,
 } = require("../controllers/tripController");
+const {
+  getSharedTrips,
+  getTripMembers,
+  updateTripMember,
+  removeTripMember,
+  inviteToTrip,
+  getTripInvitations,
+  revokeTripInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} = require("../controllers/tripMemberController");
+const {
+  getTripRevisions,
+  getTripRevision,
+  getTripRevisionDiff,
+  restoreTripRevision,
+} = require("../controllers/tripRevisionController");
+const {
+  addTripDay,
+  removeTripDay,
+  addDayActivity,
+  updateDayActivity,
+  removeDayActivity,
+  reorderDayActivities,
+  moveDayActivity,
+} = require("../controllers/tripDayController");
+const {
+  getTripExpenses,
+  getTripExpenseSummary,
+  addTripExpense,
+  updateTripExpense,
+  deleteTripExpense,
+  uploadExpenseReceipt,
+  getExpenseReceipt,
+  deleteExpenseReceipt,
+  getTripTravellers,
+  addTripTraveller,
+  updateTripTraveller,
+  removeTripTraveller,
+  getTripBalances,
+  addTripSettlement,
+  deleteTripSettlement,
+} = require("../controllers/tripExpenseController");
+const { receiptUpload } = require("../middleware/receiptUpload");
 const { protect, optionalAuth } = require("../middleware/auth");
+const { preferredCurrency } = require("../services/currencyService");
 
 const router = express.Router();
 
+const hasLegs = (req) =>
+  Array.isArray(req.body.legs) && req.body.legs.length > 0;
+
+// Validation middleware for the stops of a multi-city trip
+const legsValidation = [
+  body("legs")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Legs must be a list of at most 20 stops"),
+  body("legs.*.city").trim().notEmpty().withMessage("Each leg needs a city"),
+  body("legs.*.country")
+    .trim()
+    .notEmpty()
+    .withMessage("Each leg needs a country"),
+  body("legs.*.startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Leg start date must be a date"),
+  body("legs.*.endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Leg end date must be a date"),
+  body("legs.*.transfer.mode")
+    .optional()
+    .isIn(["flight", "train", "bus", "car", "ferry", "other"])
+    .withMessage("Invalid transfer mode"),
+  body("legs.*.transfer.durationHours")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Transfer duration must be a positive number of hours"),
+  body("legs.*.transfer.cost.amount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Transfer cost must be a positive number"),
+];
+
 // Validation middleware
 const tripValidation = [
   body("title")
@@ -21,11 +107,14 @@ const tripValidation = [
     .trim()
     .isLength({ min: 3, max: 100 })
     .withMessage("Title must be between 3 and 100 characters"),
+  // Multi-city trips take their destination from the first leg
   body("destination.city")
+    .if((value, { req }) => !hasLegs(req))
     .notEmpty()
     .trim()
     .withMessage("Destination city is required"),
   body("destination.country")
+    .if((value, { req }) => !hasLegs(req))
     .notEmpty()
     .trim()
     .withMessage("Destination country is required"),
@@ -36,6 +125,29 @@ const tripValidation = [
     .optional()
     .isNumeric()
     .withMessage("Budget must be a number"),
+  // Budgets without a currency are in the user's preferred currency
+  body("preferences.budget.currency")
+    .customSanitizer(
+      (currency, { req }) => currency || preferredCurrency(req.user)
+    )
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Budget currency must be an ISO 4217 code"),
+  ...legsValidation,
+];
+
+// Version a change is based on, in the body or as If-Match: "3"
+const versionValidation = [
+  body("version")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Version must be a non-negative integer")
+    .toInt(),
+  header("If-Match")
+    .optional()
+    .matches(/^(W\/)?"?\d+"?$/)
+    .withMessage('If-Match must be a trip version, e.g. "3"'),
 ];
 
 const updateTripValidation = [
@@ -48,6 +160,314 @@ const updateTripValidation = [
     .optional()
     .isInt({ min: 1, max: 365 })
     .withMessage("Duration must be between 1 and 365 days"),
+  ...legsValidation,
+  ...versionValidation,
+  // Where the change came from, for the trip's history
+  body("source")
+    .optional()
+    .isIn(["manual", "ai-generate", "ai-optimize"])
+    .withMessage("Source must be one of: manual, ai-generate, ai-optimize"),
+];
+
+const replaceDayValidation = [
+  param("dayIndex")
+    .isInt({ min: 0 })
+    .withMessage("Day index must be a non-negative integer"),
+  body("activities").isArray().withMessage("Activities must be an array"),
+  body("meals").optional().isArray().withMessage("Meals must be an array"),
+  body("meals.*.restaurant")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Each meal needs a restaurant"),
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot be more than 200 characters"),
+  ...versionValidation,
+];
+
+const dayIndexValidation = param("dayIndex")
+  .isInt({ min: 0 })
+  .withMessage("Day index must be a non-negative integer");
+
+const activityIdValidation = param("activityId")
+  .isMongoId()
+  .withMessage("Invalid activity id");
+
+const positionValidation = body("position")
+  .optional()
+  .isInt({ min: 0 })
+  .withMessage("Position must be a non-negative integer")
+  .toInt();
+
+const ACTIVITY_TYPES = [
+  "attraction",
+  "restaurant",
+  "transport",
+  "accommodation",
+  "activity",
+];
+
+// Fields of one activity; `prefix` is "" for a body that is the activity
+const activityFieldsValidation = (prefix = "") => [
+  body(`${prefix}time`)
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("Time must be HH:MM"),
+  body(`${prefix}type`)
+    .optional()
+    .isIn(ACTIVITY_TYPES)
+    .withMessage(`Type must be one of: ${ACTIVITY_TYPES.join(", ")}`),
+  body(`${prefix}duration`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Duration must be a positive number of hours"),
+  body(`${prefix}cost.amount`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Cost must be a positive number"),
+];
+
+const addDayValidation = [
+  positionValidation,
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot be more than 200 characters"),
+  body("activities")
+    .optional()
+    .isArray()
+    .withMessage("Activities must be an array"),
+  body("activities.*.activity")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Each activity needs a name"),
+  ...activityFieldsValidation("activities.*."),
+  body("meals").optional().isArray().withMessage("Meals must be an array"),
+  body("meals.*.restaurant")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Each meal needs a restaurant"),
+  ...versionValidation,
+];
+
+const removeDayValidation = [dayIndexValidation, ...versionValidation];
+
+const addActivityValidation = [
+  dayIndexValidation,
+  positionValidation,
+  body("activity")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Activity name is required"),
+  ...activityFieldsValidation(),
+  ...versionValidation,
+];
+
+const updateActivityValidation = [
+  dayIndexValidation,
+  activityIdValidation,
+  body("activity")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Activity name cannot be empty"),
+  ...activityFieldsValidation(),
+  ...versionValidation,
+];
+
+const removeActivityValidation = [
+  dayIndexValidation,
+  activityIdValidation,
+  ...versionValidation,
+];
+
+const reorderActivitiesValidation = [
+  dayIndexValidation,
+  body("order").isArray().withMessage("Order must be a list of activity ids"),
+  body("order.*").isMongoId().withMessage("Invalid activity id"),
+  ...versionValidation,
+];
+
+const moveActivityValidation = [
+  dayIndexValidation,
+  activityIdValidation,
+  body("toDayIndex")
+    .isInt({ min: 0 })
+    .withMessage("Target day index must be a non-negative integer")
+    .toInt(),
+  positionValidation,
+  ...versionValidation,
+];
+
+const TRIP_ROLES = ["viewer", "editor", "co-owner"];
+
+const invitationValidation = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .toLowerCase(),
+  body("role")
+    .optional()
+    .isIn(TRIP_ROLES)
+    .withMessage(`Role must be one of: ${TRIP_ROLES.join(", ")}`),
+];
+
+const revisionValidation = [
+  param("revisionId").isMongoId().withMessage("Invalid revision id"),
+];
+
+const revisionDiffValidation = [
+  query("from").isMongoId().withMessage("Invalid revision id in from"),
+  query("to").optional().isMongoId().withMessage("Invalid revision id in to"),
+];
+
+const EXPENSE_CATEGORIES = [
+  "accommodation",
+  "transport",
+  "food",
+  "activities",
+  "shopping",
+  "other",
+];
+
+const SPLIT_METHODS = ["equal", "shares", "exact"];
+
+const expenseIdValidation = [
+  param("expenseId").isMongoId().withMessage("Invalid expense id"),
+];
+
+// Fields of an expense; `amount` is only required when `creating`
+const expenseValidation = (creating) => [
+  body("amount")
+    .if(() => creating)
+    .exists()
+    .withMessage("Amount is required"),
+  body("amount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number")
+    .toFloat(),
+  body("currency")
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage("Currency must be a three-letter code, e.g. EUR")
+    .toUpperCase(),
+  body("category")
+    .optional()
+    .isIn(EXPENSE_CATEGORIES)
+    .withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(", ")}`),
+  body("description")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot be more than 200 characters"),
+  body("date")
+    .optional()
+    .isISO8601()
+    .withMessage("Date must be a date")
+    .toDate(),
+  // A traveller id, or the user id of an account holder on the trip
+  body("paidBy").optional().isMongoId().withMessage("Invalid payer id"),
+  body("split.method")
+    .optional()
+    .isIn(SPLIT_METHODS)
+    .withMessage(`Split method must be one of: ${SPLIT_METHODS.join(", ")}`),
+  body("split.among")
+    .optional()
+    .isArray()
+    .withMessage("Split must list the travellers who share the expense"),
+  body("split.among.*.traveller")
+    .isMongoId()
+    .withMessage("Invalid traveller id in split"),
+  body("split.among.*.shares")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Shares must be a positive number")
+    .toFloat(),
+  body("split.among.*.amount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Split amounts must be positive numbers")
+    .toFloat(),
+  // null unlinks the expense from its activity
+  body("activity")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid activity id"),
+];
+
+const expenseListValidation = [
+  query("category")
+    .optional()
+    .isIn(EXPENSE_CATEGORIES)
+    .withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(", ")}`),
+];
+
+const travellerFieldsValidation = (creating) => [
+  body("name")
+    .if(() => creating)
+    .exists()
+    .withMessage("Traveller name is required"),
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+  body("email")
+    .optional({ values: "falsy" })
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .toLowerCase(),
+];
+
+const travellerIdValidation = [
+  param("travellerId").isMongoId().withMessage("Invalid traveller id"),
+];
+
+const settlementValidation = [
+  body("from").isMongoId().withMessage("Invalid traveller id in from"),
+  body("to").isMongoId().withMessage("Invalid traveller id in to"),
+  body("amount")
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be a positive number")
+    .toFloat(),
+  body("currency")
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage("Currency must be a three-letter code, e.g. EUR")
+    .toUpperCase(),
+  body("note")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Note cannot be more than 200 characters"),
+  body("paidAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Paid date must be a date")
+    .toDate(),
+];
+
+const memberRoleValidation = [
+  param("userId").isMongoId().withMessage("Invalid user id"),
+  body("role")
+    .isIn(TRIP_ROLES)
+    .withMessage(`Role must be one of: ${TRIP_ROLES.join(", ")}`),
 ];
 
 // @route   GET /api/trips/public
@@ -60,6 +480,26 @@ router.get("/public", optionalAuth, getPublicTrips);
 // @access  Private
 router.get("/stats", protect, getTripStats);
 
+// @route   GET /api/trips/shared
+// @desc    Get trips other users have shared with the current user
+// @access  Private
+router.get("/shared", protect, getSharedTrips);
+
+// @route   GET /api/trips/invitations
+// @desc    Get pending trip invitations for the current user
+// @access  Private
+router.get("/invitations", protect, getMyInvitations);
+
+// @route   POST /api/trips/invitations/:invitationId/accept
+// @desc    Accept a trip invitation
+// @access  Private
+router.post("/invitations/:invitationId/accept", protect, acceptInvitation);
+
+// @route   POST /api/trips/invitations/:invitationId/decline
+// @desc    Decline a trip invitation
+// @access  Private
+router.post("/invitations/:invitationId/decline", protect, declineInvitation);
+
 // @route   GET /api/trips
 // @desc    Get all trips for logged in user
 // @access  Private
@@ -80,6 +520,294 @@ router.get("/:id", protect, getTripById);
 // @access  Private
 router.put("/:id", protect, updateTripValidation, updateTrip);
 
+// @route   PUT /api/trips/:id/days/:dayIndex
+// @desc    Replace one day of the itinerary, leaving the rest untouched
+// @access  Private
+router.put(
+  "/:id/days/:dayIndex",
+  protect,
+  replaceDayValidation,
+  replaceTripDay
+);
+
+// @route   POST /api/trips/:id/days
+// @desc    Insert a day into the itinerary
+// @access  Private
+router.post("/:id/days", protect, addDayValidation, addTripDay);
+
+// @route   DELETE /api/trips/:id/days/:dayIndex
+// @desc    Remove a day from the itinerary
+// @access  Private
+router.delete(
+  "/:id/days/:dayIndex",
+  protect,
+  removeDayValidation,
+  removeTripDay
+);
+
+// @route   POST /api/trips/:id/days/:dayIndex/activities
+// @desc    Add an activity to a day
+// @access  Private
+router.post(
+  "/:id/days/:dayIndex/activities",
+  protect,
+  addActivityValidation,
+  addDayActivity
+);
+
+// @route   PUT /api/trips/:id/days/:dayIndex/activities/order
+// @desc    Reorder the activities of a day
+// @access  Private
+router.put(
+  "/:id/days/:dayIndex/activities/order",
+  protect,
+  reorderActivitiesValidation,
+  reorderDayActivities
+);
+
+// @route   PUT /api/trips/:id/days/:dayIndex/activities/:activityId
+// @desc    Update an activity
+// @access  Private
+router.put(
+  "/:id/days/:dayIndex/activities/:activityId",
+  protect,
+  updateActivityValidation,
+  updateDayActivity
+);
+
+// @route   DELETE /api/trips/:id/days/:dayIndex/activities/:activityId
+// @desc    Remove an activity
+// @access  Private
+router.delete(
+  "/:id/days/:dayIndex/activities/:activityId",
+  protect,
+  removeActivityValidation,
+  removeDayActivity
+);
+
+// @route   POST /api/trips/:id/days/:dayIndex/activities/:activityId/move
+// @desc    Move an activity to another day or position
+// @access  Private
+router.post(
+  "/:id/days/:dayIndex/activities/:activityId/move",
+  protect,
+  moveActivityValidation,
+  moveDayActivity
+);
+
+// @route   GET /api/trips/:id/chat
+// @desc    Get the trip assistant chat history
+// @access  Private
+router.get("/:id/chat", protect, getTripChat);
+
+// @route   DELETE /api/trips/:id/chat
+// @desc    Clear the trip assistant chat history
+// @access  Private
+router.delete("/:id/chat", protect, clearTripChat);
+
+// @route   POST /api/trips/:id/chat/:messageId/apply
+// @desc    Apply the itinerary changes proposed in a chat message
+// @access  Private
+router.post("/:id/chat/:messageId/apply", protect, applyTripChatPatch);
+
+// @route   GET /api/trips/:id/members
+// @desc    Get the owner and members of a trip
+// @access  Private
+router.get("/:id/members", protect, getTripMembers);
+
+// @route   PUT /api/trips/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private
+router.put(
+  "/:id/members/:userId",
+  protect,
+  memberRoleValidation,
+  updateTripMember
+);
+
+// @route   DELETE /api/trips/:id/members/:userId
+// @desc    Remove a member (or leave the trip)
+// @access  Private
+router.delete("/:id/members/:userId", protect, removeTripMember);
+
+// @route   GET /api/trips/:id/invitations
+// @desc    Get pending invitations of a trip
+// @access  Private
+router.get("/:id/invitations", protect, getTripInvitations);
+
+// @route   POST /api/trips/:id/invitations
+// @desc    Invite a user to a trip by email
+// @access  Private
+router.post("/:id/invitations", protect, invitationValidation, inviteToTrip);
+
+// @route   DELETE /api/trips/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private
+router.delete("/:id/invitations/:invitationId", protect, revokeTripInvitation);
+
+// @route   GET /api/trips/:id/revisions
+// @desc    Get the revision history of a trip
+// @access  Private
+router.get("/:id/revisions", protect, getTripRevisions);
+
+// @route   GET /api/trips/:id/revisions/diff
+// @desc    Compare two revisions, or a revision with the current trip
+// @access  Private
+router.get(
+  "/:id/revisions/diff",
+  protect,
+  revisionDiffValidation,
+  getTripRevisionDiff
+);
+
+// @route   GET /api/trips/:id/revisions/:revisionId
+// @desc    Get one revision with its snapshot
+// @access  Private
+router.get(
+  "/:id/revisions/:revisionId",
+  protect,
+  revisionValidation,
+  getTripRevision
+);
+
+// @route   POST /api/trips/:id/revisions/:revisionId/restore
+// @desc    Restore a trip to an earlier revision
+// @access  Private
+router.post(
+  "/:id/revisions/:revisionId/restore",
+  protect,
+  [...revisionValidation, ...versionValidation],
+  restoreTripRevision
+);
+
+// @route   GET /api/trips/:id/expenses
+// @desc    List the expenses logged on a trip
+// @access  Private
+router.get("/:id/expenses", protect, expenseListValidation, getTripExpenses);
+
+// @route   GET /api/trips/:id/expenses/summary
+// @desc    Planned vs actual spending per day, per category and over time
+// @access  Private
+router.get("/:id/expenses/summary", protect, getTripExpenseSummary);
+
+// @route   POST /api/trips/:id/expenses
+// @desc    Log an expense
+// @access  Private
+router.post("/:id/expenses", protect, expenseValidation(true), addTripExpense);
+
+// @route   PUT /api/trips/:id/expenses/:expenseId
+// @desc    Change an expense
+// @access  Private
+router.put(
+  "/:id/expenses/:expenseId",
+  protect,
+  expenseIdValidation,
+  expenseValidation(false),
+  updateTripExpense
+);
+
+// @route   DELETE /api/trips/:id/expenses/:expenseId
+// @desc    Delete an expense
+// @access  Private
+router.delete(
+  "/:id/expenses/:expenseId",
+  protect,
+  expenseIdValidation,
+  deleteTripExpense
+);
+
+// @route   GET /api/trips/:id/expenses/:expenseId/receipt
+// @desc    Download the receipt of an expense
+// @access  Private
+router.get(
+  "/:id/expenses/:expenseId/receipt",
+  protect,
+  expenseIdValidation,
+  getExpenseReceipt
+);
+
+// @route   POST /api/trips/:id/expenses/:expenseId/receipt
+// @desc    Upload a receipt (multipart, field "receipt") for an expense
+// @access  Private
+router.post(
+  "/:id/expenses/:expenseId/receipt",
+  protect,
+  receiptUpload,
+  expenseIdValidation,
+  uploadExpenseReceipt
+);
+
+// @route   DELETE /api/trips/:id/expenses/:expenseId/receipt
+// @desc    Remove the receipt of an expense
+// @access  Private
+router.delete(
+  "/:id/expenses/:expenseId/receipt",
+  protect,
+  expenseIdValidation,
+  deleteExpenseReceipt
+);
+
+// @route   GET /api/trips/:id/travellers
+// @desc    List the travellers who share a trip's expenses
+// @access  Private
+router.get("/:id/travellers", protect, getTripTravellers);
+
+// @route   POST /api/trips/:id/travellers
+// @desc    Add a traveller (`name`, optional `email`); no account needed
+// @access  Private
+router.post(
+  "/:id/travellers",
+  protect,
+  travellerFieldsValidation(true),
+  addTripTraveller
+);
+
+// @route   PUT /api/trips/:id/travellers/:travellerId
+// @desc    Change a traveller's name or email
+// @access  Private
+router.put(
+  "/:id/travellers/:travellerId",
+  protect,
+  travellerIdValidation,
+  travellerFieldsValidation(false),
+  updateTripTraveller
+);
+
+// @route   DELETE /api/trips/:id/travellers/:travellerId
+// @desc    Remove a traveller without expenses
+// @access  Private
+router.delete(
+  "/:id/travellers/:travellerId",
+  protect,
+  travellerIdValidation,
+  removeTripTraveller
+);
+
+// @route   GET /api/trips/:id/balances
+// @desc    Per-traveller balances and who owes whom
+// @access  Private
+router.get("/:id/balances", protect, getTripBalances);
+
+// @route   POST /api/trips/:id/settlements
+// @desc    Mark a payment between two travellers as paid
+// @access  Private
+router.post(
+  "/:id/settlements",
+  protect,
+  settlementValidation,
+  addTripSettlement
+);
+
+// @route   DELETE /api/trips/:id/settlements/:settlementId
+// @desc    Delete a recorded settlement
+// @access  Private
+router.delete(
+  "/:id/settlements/:settlementId",
+  protect,
+  param("settlementId").isMongoId().withMessage("Invalid settlement id"),
+  deleteTripSettlement
+);
+
 // @route   DELETE /api/trips/:id
 // @desc    Delete trip
 // @access  Private
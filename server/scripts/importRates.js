@@ -0,0 +1,65 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const { saveRates, parseRateFile } = require("../services/currencyService");
+
+// Import exchange rates from a CSV (date,base,quote,rate header) or JSON
+// rate file into the rate table:
+//   node scripts/importRates.js rates.csv
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    const mongoURI =
+      process.env.NODE_ENV === "production"
+        ? process.env.MONGODB_URI_PROD
+        : process.env.MONGODB_URI;
+
+    if (!mongoURI) {
+      throw new Error(
+        "MongoDB URI not configured. Please check your .env file."
+      );
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log("MongoDB connected successfully");
+  } catch (error) {
+    console.error("MongoDB connection error:", error.message);
+    process.exit(1);
+  }
+};
+
+const importRates = async (file) => {
+  const rows = parseRateFile(fs.readFileSync(file, "utf8"));
+  console.log(`Importing ${rows.length} exchange rates from ${file}...\n`);
+
+  const { imported, skipped } = await saveRates(rows, { source: "import" });
+
+  skipped.forEach((entry) => {
+    console.log(`  Skipped row ${entry.row}: ${entry.message}`);
+  });
+  console.log(`\n✓ Imported ${imported} of ${rows.length} exchange rates`);
+};
+
+// Run import
+const runImport = async () => {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("Usage: node scripts/importRates.js <rates.csv|rates.json>");
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+    await importRates(file);
+    await mongoose.connection.close();
+    console.log("\nDatabase connection closed.");
+    process.exit(0);
+  } catch (error) {
+    console.error("Import failed:", error);
+    process.exit(1);
+  }
+};
+
+runImport();
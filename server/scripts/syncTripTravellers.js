@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const Trip = require("../models/Trip");
+const { syncAccountTravellers } = require("../services/travellerService");
+
+// Add the owner and members of every trip as travellers, for trips created
+// before travellers were kept up to date when people join:
+//   node scripts/syncTripTravellers.js
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    const mongoURI =
+      process.env.NODE_ENV === "production"
+        ? process.env.MONGODB_URI_PROD
+        : process.env.MONGODB_URI;
+
+    if (!mongoURI) {
+      throw new Error(
+        "MongoDB URI not configured. Please check your .env file."
+      );
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log("MongoDB connected successfully");
+  } catch (error) {
+    console.error("MongoDB connection error:", error.message);
+    process.exit(1);
+  }
+};
+
+const syncTripTravellers = async () => {
+  console.log("Syncing trip travellers...\n");
+
+  let checked = 0;
+  let updated = 0;
+  const trips = Trip.find().select("user members travellers").cursor();
+  const linked = (trip) =>
+    trip.travellers.filter((traveller) => traveller.user).length;
+  for await (const trip of trips) {
+    const before = linked(trip);
+    await syncAccountTravellers(trip);
+    checked += 1;
+    if (linked(trip) !== before) updated += 1;
+  }
+
+  console.log(`✓ Checked ${checked} trips, updated ${updated}`);
+};
+
+// Run sync
+const runSync = async () => {
+  try {
+    await connectDB();
+    await syncTripTravellers();
+    await mongoose.connection.close();
+    console.log("\nDatabase connection closed.");
+    process.exit(0);
+  } catch (error) {
+    console.error("Sync failed:", error);
+    process.exit(1);
+  }
+};
+
+runSync();
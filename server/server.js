@@ -18,6 +18,10 @@ const {
   errorLogger,
   requestLogger,
 } = require("./middleware/logging");
+const { registerTripSocket } = require("./services/tripRealtime");
+const { startTripLifecycleScheduler } = require("./services/tripLifecycle");
+const { startTripReminderScheduler } = require("./services/tripReminders");
+const { initNotifications } = require("./services/notificationService");
 
 const app = express();
 const server = http.createServer(app);
@@ -30,36 +34,19 @@ const io = socketIo(server, {
   },
 });
 
-// Socket.IO connection handling
-io.on("connection", (socket) => {
-  logger.info("User connected:", { socketId: socket.id });
-
-  socket.on("join-trip", (tripId) => {
-    socket.join(`trip-${tripId}`);
-    logger.info("User joined trip room:", { socketId: socket.id, tripId });
-  });
-
-  socket.on("leave-trip", (tripId) => {
-    socket.leave(`trip-${tripId}`);
-    logger.info("User left trip room:", { socketId: socket.id, tripId });
-  });
-
-  socket.on("trip-update", (data) => {
-    socket.to(`trip-${data.tripId}`).emit("trip-updated", data);
-    logger.info("Trip update broadcasted:", {
-      tripId: data.tripId,
-      type: data.type,
-    });
-  });
-
-  socket.on("disconnect", () => {
-    logger.info("User disconnected:", { socketId: socket.id });
-  });
-});
+// Authenticated trip rooms and live editing
+registerTripSocket(io);
 
 // Make io available to routes
 app.set("io", io);
 
+// In-app notifications are pushed to the user's sockets
+initNotifications(io);
+
+// Scheduled jobs (trip status transitions, trip reminders), started once
+// MongoDB is connected
+let scheduledTasks = [];
+
 // HTTP request logging
 app.use(morganLogger);
 app.use(requestLogger);
@@ -76,6 +63,8 @@ const userRoutes = require("./routes/users");
 const tripRoutes = require("./routes/trips");
 const mapRoutes = require("./routes/maps");
 const aiRoutes = require("./routes/ai");
+const notificationRoutes = require("./routes/notifications");
+const currencyRoutes = require("./routes/currencies");
 
 // Enhanced CORS configuration
 const corsOptions = {
@@ -83,6 +72,11 @@ const corsOptions = {
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  exposedHeaders: [
+    "X-AI-Quota-Limit",
+    "X-AI-Quota-Remaining",
+    "X-AI-Quota-Reset",
+  ],
   optionsSuccessStatus: 200,
 };
 
@@ -139,6 +133,8 @@ app.use("/api/users", userRoutes);
 app.use("/api/trips", tripRoutes);
 app.use("/api/maps", mapRoutes);
 app.use("/api/ai", aiRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/currencies", currencyRoutes);
 
 // Enhanced error handling middleware
 app.use(errorLogger);
@@ -295,6 +291,9 @@ const gracefulShutdown = async (signal) => {
       logger.info("HTTP server closed");
     });
 
+    // Stop scheduled jobs
+    scheduledTasks.forEach((task) => task.stop());
+
     // Close Socket.IO
     io.close(() => {
       logger.info("Socket.IO server closed");
@@ -344,6 +343,13 @@ const startServer = async () => {
       }
     }
 
+    if (mongoose.connection.readyState === 1) {
+      scheduledTasks = [
+        startTripLifecycleScheduler(io),
+        startTripReminderScheduler(),
+      ].filter(Boolean);
+    }
+
     // Start HTTP server
     server.listen(PORT, () => {
       console.log(`\n🚀 Server running on http://localhost:${PORT}`);
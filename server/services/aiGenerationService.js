@@ -0,0 +1,96 @@
+const AiGeneration = require("../models/AiGeneration");
+const { logger } = require("../middleware/logging");
+
+const sumUsage = (attempts) =>
+  attempts.reduce(
+    (total, attempt) => ({
+      promptTokens: total.promptTokens + (attempt.usage?.promptTokens || 0),
+      completionTokens:
+        total.completionTokens + (attempt.usage?.completionTokens || 0),
+      totalTokens: total.totalTokens + (attempt.usage?.totalTokens || 0),
+    }),
+    { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+  );
+
+const isCancellation = (error) =>
+  error.name === "AbortError" || error.name === "CanceledError";
+
+/**
+ * Run an AI call and persist an AiGeneration record for it
+ *
+ * `context` is { endpoint, promptVersion, userId, tripId, prompt, input }
+ * and `run` resolves to a generateStructured outcome
+ * ({ status, data, errors, attempts }).
+ *
+ * Resolves to { outcome, generationId }. Errors thrown by `run` are recorded
+ * and rethrown; failing to save the record is logged and never breaks the
+ * request.
+ */
+const trackGeneration = async (context, run) => {
+  const startedAt = Date.now();
+  let outcome = null;
+  let failure = null;
+
+  try {
+    outcome = await run();
+  } catch (error) {
+    failure = error;
+  }
+
+  const attempts = outcome?.attempts || [];
+  const last = attempts[attempts.length - 1];
+  let status = outcome?.status;
+  if (failure) status = isCancellation(failure) ? "cancelled" : "error";
+
+  let generationId = null;
+  try {
+    const generation = await AiGeneration.create({
+      user: context.userId,
+      trip: context.tripId,
+      endpoint: context.endpoint,
+      promptVersion: context.promptVersion,
+      provider: last?.provider,
+      model: last?.model,
+      input: context.input,
+      prompt: context.prompt,
+      attempts: attempts.map((attempt) => ({
+        provider: attempt.provider,
+        model: attempt.model,
+        response: attempt.text,
+        validationErrors: attempt.errors,
+        latencyMs: attempt.latencyMs,
+        usage: attempt.usage,
+      })),
+      status,
+      validationErrors: outcome?.errors || [],
+      error: failure?.message,
+      latencyMs: Date.now() - startedAt,
+      usage: sumUsage(attempts),
+    });
+    generationId = generation._id;
+  } catch (error) {
+    logger.error("Failed to record AI generation:", {
+      endpoint: context.endpoint,
+      error: error.message,
+    });
+  }
+
+  if (failure) throw failure;
+  return { outcome, generationId };
+};
+
+/**
+ * Link a generation to the trip its output was saved to
+ * Resolves to the generation, or null when it is not the user's
+ */
+const linkGenerationToTrip = (generationId, userId, tripId) =>
+  AiGeneration.findOneAndUpdate(
+    { _id: generationId, user: userId },
+    { trip: tripId },
+    { new: true }
+  );
+
+module.exports = {
+  trackGeneration,
+  linkGenerationToTrip,
+};
@@ -0,0 +1,262 @@
+const ExchangeRate = require("../models/ExchangeRate");
+
+/**
+ * Currency conversion
+ *
+ * Amounts are converted with the local exchange rate table (ExchangeRate),
+ * which admins maintain through /api/currencies/rates or import from a CSV
+ * or JSON file. No rates are fetched from outside.
+ *
+ * The rate used for a date is the latest one on or before it, or the
+ * earliest one when the table starts later. A pair without rates of its own
+ * is converted through a currency both have rates against (with EUR-based
+ * rates, USD -> INR goes through EUR); its rate date is the older of the
+ * two. When both ways are possible the fresher rate wins. Every conversion
+ * reports the rate and rate date it used so they can be shown next to the
+ * converted amount.
+ */
+
+const CURRENCY = /^[A-Z]{3}$/;
+const RATE_FILE_COLUMNS = ["date", "base", "quote", "rate"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Midnight UTC of the day of a date, or null when it is not a date
+const dayOf = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+};
+
+// The currency a user wants amounts shown in
+const preferredCurrency = (user) => user?.preferences?.currency || "USD";
+
+// The currency a trip's costs are planned in: the itinerary's, the budget's,
+// then that of the user planning it
+const tripCurrency = (trip, user) =>
+  trip?.itinerary?.totalCost?.currency ||
+  trip?.preferences?.budget?.currency ||
+  preferredCurrency(user);
+
+// Latest entry on or before the date, else the earliest (entries by date)
+const rateOn = (entries, date) => {
+  let found = entries[0];
+  for (const entry of entries) {
+    if (entry.date > date) break;
+    found = entry;
+  }
+  return found;
+};
+
+// Whether a rate of date `a` suits `day` better than one of date `b`: rates
+// on or before the day beat later ones, then the closest one wins
+const closerTo = (day, a, b) => {
+  if (a <= day !== b <= day) return a <= day;
+  return a <= day ? a > b : a < b;
+};
+
+// Rates of the currencies from day `first` to day `last`, with the last
+// rate of each pair before `first` and the first after `last`, by date
+const loadRates = async (codes, first, last) => {
+  const involving = {
+    $or: [{ base: { $in: codes } }, { quote: { $in: codes } }],
+  };
+  const closest = (date, order) =>
+    ExchangeRate.aggregate([
+      { $match: { ...involving, date } },
+      { $sort: { date: order } },
+      {
+        $group: {
+          _id: { base: "$base", quote: "$quote" },
+          base: { $first: "$base" },
+          quote: { $first: "$quote" },
+          rate: { $first: "$rate" },
+          date: { $first: "$date" },
+        },
+      },
+    ]);
+
+  const [before, within, after] = await Promise.all([
+    closest({ $lt: first }, -1),
+    ExchangeRate.find({
+      ...involving,
+      date: { $gte: first, $lte: last },
+    }).lean(),
+    closest({ $gt: last }, 1),
+  ]);
+  return [...before, ...within, ...after].sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Load the rates needed to convert between the given currencies on the
+ * given dates (default: today). Only the rates between the first and last
+ * of those dates are loaded, with the last one of each pair before them and
+ * the first one after; other dates get the nearest of those.
+ * Resolves to { rate(from, to, date), convert(amount, from, to, date) };
+ * both return null when the table has no rate for the pair.
+ */
+const createConverter = async (currencies, { dates = [new Date()] } = {}) => {
+  const codes = [
+    ...new Set(currencies.filter(Boolean).map((code) => code.toUpperCase())),
+  ];
+  const days = dates
+    .map(dayOf)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  const first = days[0] || dayOf(Date.now());
+  const last = days[days.length - 1] || first;
+  const rows = codes.length > 1 ? await loadRates(codes, first, last) : [];
+
+  // "FROM/TO" -> [{ rate, date }] by date, both ways round
+  const pairs = new Map();
+  const addEntry = (from, to, entry) => {
+    const key = `${from}/${to}`;
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push(entry);
+  };
+  rows.forEach((row) => {
+    if (!(row.rate > 0)) return;
+    addEntry(row.base, row.quote, { rate: row.rate, date: row.date });
+    addEntry(row.quote, row.base, { rate: 1 / row.rate, date: row.date });
+  });
+  const pivots = [...new Set(rows.flatMap((row) => [row.base, row.quote]))];
+
+  const directRate = (from, to, date) => {
+    const entries = pairs.get(`${from}/${to}`);
+    if (!entries) return null;
+    const entry = rateOn(entries, date);
+    return { rate: entry.rate, rateDate: entry.date };
+  };
+
+  const rate = (from, to, date = new Date()) => {
+    if (!from || !to) return null;
+    const source = from.toUpperCase();
+    const target = to.toUpperCase();
+    if (source === target) return { rate: 1, rateDate: null };
+
+    const day = dayOf(date) || dayOf(Date.now());
+    const direct = directRate(source, target, day);
+
+    // Through another currency when that rate is more recent
+    let best = direct;
+    pivots.forEach((pivot) => {
+      if (pivot === source || pivot === target) return;
+      const first = directRate(source, pivot, day);
+      const second = first && directRate(pivot, target, day);
+      if (!second) return;
+
+      const rateDate =
+        first.rateDate < second.rateDate ? first.rateDate : second.rateDate;
+      if (!best || closerTo(day, rateDate, best.rateDate)) {
+        best = { rate: first.rate * second.rate, rateDate };
+      }
+    });
+    return best;
+  };
+
+  const convert = (amount, from, to, date) => {
+    const found = rate(from, to, date);
+    if (!found) return null;
+    return {
+      amount: roundAmount((amount || 0) * found.rate),
+      currency: to.toUpperCase(),
+      rate: found.rate,
+      rateDate: found.rateDate,
+    };
+  };
+
+  return { rate, convert };
+};
+
+/**
+ * Add or replace rates, one per base, quote and day.
+ * rows: [{ base, quote, rate, date }]; resolves to { imported, skipped }
+ * with the 1-based row number and reason of every row that was skipped.
+ */
+const saveRates = async (rows, { source = "admin", userId } = {}) => {
+  const skipped = [];
+  const operations = [];
+
+  rows.forEach((row, index) => {
+    const base = String(row.base || "")
+      .trim()
+      .toUpperCase();
+    const quote = String(row.quote || "")
+      .trim()
+      .toUpperCase();
+    const rate = Number(row.rate);
+    const date = dayOf(row.date);
+
+    let message = null;
+    if (!CURRENCY.test(base) || !CURRENCY.test(quote)) {
+      message = "base and quote must be 3-letter currency codes";
+    } else if (base === quote) {
+      message = "base and quote must differ";
+    } else if (!(rate > 0)) {
+      message = "rate must be a positive number";
+    } else if (!date) {
+      message = "date must be a date";
+    }
+    if (message) {
+      skipped.push({ row: index + 1, message });
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { base, quote, date },
+        update: { $set: { rate, source, updatedBy: userId } },
+        upsert: true,
+      },
+    });
+  });
+
+  if (operations.length > 0) {
+    await ExchangeRate.bulkWrite(operations, { ordered: false });
+  }
+  return { imported: operations.length, skipped };
+};
+
+/**
+ * Parse a rate file: a JSON array of { date, base, quote, rate } or a CSV
+ * file with a header naming those columns. Throws on a malformed file.
+ */
+const parseRateFile = (text) => {
+  const content = String(text || "").trim();
+  if (content.startsWith("[")) {
+    const rows = JSON.parse(content);
+    if (!Array.isArray(rows)) throw new Error("Expected a list of rates");
+    return rows;
+  }
+
+  const [header, ...lines] = content.split(/\r?\n/);
+  const columns = (header || "")
+    .split(",")
+    .map((column) => column.trim().toLowerCase());
+  const missing = RATE_FILE_COLUMNS.filter(
+    (column) => !columns.includes(column)
+  );
+  if (missing.length > 0) {
+    throw new Error(`Rate file is missing the columns: ${missing.join(", ")}`);
+  }
+
+  return lines
+    .filter((line) => line.trim())
+    .map((line) => {
+      const values = line.split(",");
+      return Object.fromEntries(
+        columns.map((column, index) => [column, (values[index] || "").trim()])
+      );
+    });
+};
+
+module.exports = {
+  dayOf,
+  preferredCurrency,
+  tripCurrency,
+  createConverter,
+  saveRates,
+  parseRateFile,
+};
@@ -0,0 +1,305 @@
+const Trip = require("../models/Trip");
+const Expense = require("../models/Expense");
+const Settlement = require("../models/Settlement");
+const { calendarDay } = require("./tripLifecycle");
+const { removeReceipt } = require("./receiptStorage");
+const { tripCurrency } = require("./currencyService");
+
+/**
+ * Expense rollups
+ *
+ * Compares what the itinerary planned to spend (activity, meal and transfer
+ * costs) with the expenses logged on the trip, per itinerary day, per
+ * category and over time (the budget burn).
+ *
+ * Everything is in the trip's currency. Expenses in other currencies are
+ * converted at the rate of their date (see services/currencyService.js) and
+ * listed in `converted`; those the rate table cannot convert are totalled
+ * apart in `otherCurrencies` and left out of the comparison. With a
+ * display currency, the totals are also given in it at today's rate.
+ *
+ * An expense counts towards the day of the activity it is linked to, or else
+ * the itinerary day with its date. Expenses on no itinerary day (a flight
+ * booked months ahead) still count towards the totals and the burn.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expense category of each itinerary activity type
+const ACTIVITY_CATEGORIES = {
+  attraction: "activities",
+  activity: "activities",
+  restaurant: "food",
+  transport: "transport",
+  accommodation: "accommodation",
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const plannedCategory = (activity) =>
+  ACTIVITY_CATEGORIES[activity.type] || "activities";
+
+// YYYY-MM-DD of each itinerary day: its own date, or counted from the
+// trip's start date; null when neither is known
+const dayDates = (trip) =>
+  (trip.itinerary?.days || []).map((day, index) => {
+    if (day.date) return calendarDay(day.date);
+    if (trip.startDate) {
+      return calendarDay(new Date(trip.startDate).getTime() + index * DAY_MS);
+    }
+    return null;
+  });
+
+// Index of the itinerary day holding each activity, by activity id
+const activityDays = (trip) => {
+  const days = new Map();
+  (trip.itinerary?.days || []).forEach((day, index) =>
+    (day.activities || []).forEach((activity) =>
+      days.set(String(activity._id), index)
+    )
+  );
+  return days;
+};
+
+/**
+ * Index of the itinerary day an expense counts towards, or null
+ */
+const expenseDayIndex = (expense, { dates, activities }) => {
+  if (expense.activity && activities.has(String(expense.activity))) {
+    return activities.get(String(expense.activity));
+  }
+  const index = dates.indexOf(calendarDay(expense.date));
+  return index === -1 ? null : index;
+};
+
+/**
+ * Planned-vs-actual rollups of a trip's expenses
+ * converter comes from currencyService.createConverter; without one only
+ * expenses in the trip's currency are counted.
+ */
+const summarizeExpenses = (
+  trip,
+  expenses,
+  { converter, displayCurrency } = {}
+) => {
+  const currency = tripCurrency(trip);
+  const days = trip.itinerary?.days || [];
+  const dates = dayDates(trip);
+  const activities = activityDays(trip);
+
+  const categories = Object.fromEntries(
+    Expense.CATEGORIES.map((category) => [
+      category,
+      { category, planned: 0, actual: 0 },
+    ])
+  );
+
+  // Planned
+  const byDay = days.map((day, index) => {
+    (day.activities || []).forEach((activity) => {
+      categories[plannedCategory(activity)].planned +=
+        activity.cost?.amount || 0;
+    });
+    (day.meals || []).forEach((meal) => {
+      categories.food.planned += meal.cost?.amount || 0;
+    });
+
+    return {
+      dayIndex: index,
+      day: day.day || index + 1,
+      date: dates[index],
+      title: day.title,
+      planned: Trip.sumDayCost(day),
+      actual: 0,
+    };
+  });
+
+  const transfers = (trip.legs || []).reduce(
+    (sum, leg) => sum + (leg.transfer?.cost?.amount || 0),
+    0
+  );
+  categories.transport.planned += transfers;
+
+  // Actual, with every expense in the trip's currency
+  const counted = [];
+  const converted = {};
+  const otherCurrencies = {};
+  let unassigned = 0;
+
+  const addUp = (totals, expense, amount) => {
+    if (!totals[expense.currency]) {
+      totals[expense.currency] = {
+        currency: expense.currency,
+        amount: 0,
+        count: 0,
+      };
+    }
+    const total = totals[expense.currency];
+    total.amount += expense.amount;
+    total.count += 1;
+    if (amount !== undefined) {
+      total.converted = (total.converted || 0) + amount;
+    }
+  };
+
+  expenses.forEach((expense) => {
+    let amount = expense.amount;
+    if (expense.currency !== currency) {
+      const conversion = converter?.convert(
+        expense.amount,
+        expense.currency,
+        currency,
+        expense.date
+      );
+      if (!conversion) {
+        addUp(otherCurrencies, expense);
+        return;
+      }
+      amount = conversion.amount;
+      addUp(converted, expense, amount);
+    }
+
+    counted.push({ date: expense.date, amount });
+    categories[expense.category].actual += amount;
+
+    const index = expenseDayIndex(expense, { dates, activities });
+    if (index === null) {
+      unassigned += amount;
+    } else {
+      byDay[index].actual += amount;
+    }
+  });
+
+  const planned = transfers + byDay.reduce((sum, day) => sum + day.planned, 0);
+  const actual = counted.reduce((sum, expense) => sum + expense.amount, 0);
+  const budget = tripBudget(trip, currency, converter);
+  const totals = {
+    planned: round(planned),
+    actual: round(actual),
+    budget,
+    remaining: budget === null ? null : round(budget - actual),
+    unassigned: round(unassigned),
+    expenseCount: expenses.length,
+  };
+
+  return {
+    currency,
+    totals,
+    display: displayTotals(totals, currency, displayCurrency, converter),
+    byDay: byDay.map((day) => ({
+      ...day,
+      planned: round(day.planned),
+      actual: round(day.actual),
+    })),
+    byCategory: Object.values(categories).map((category) => ({
+      ...category,
+      planned: round(category.planned),
+      actual: round(category.actual),
+    })),
+    burn: budgetBurn(byDay, transfers, counted),
+    converted: Object.values(converted).map((total) => ({
+      ...total,
+      amount: round(total.amount),
+      converted: round(total.converted),
+    })),
+    otherCurrencies: Object.values(otherCurrencies).map((other) => ({
+      ...other,
+      amount: round(other.amount),
+    })),
+  };
+};
+
+/**
+ * The group's budget in the trip's currency. Budgets are per person (as in
+ * the planner and the itinerary checks in services/llm/itineraryConstraints),
+ * so budget.max is multiplied by groupSize. Budgets set in another currency
+ * are converted at today's rate; null when there is no budget or no rate.
+ */
+const tripBudget = (trip, currency, converter) => {
+  const budget = trip.preferences?.budget;
+  if (budget?.max === undefined || budget?.max === null) return null;
+  const groupSize = Math.max(parseInt(trip.preferences.groupSize) || 1, 1);
+  const max = budget.max * groupSize;
+  if (!budget.currency || budget.currency === currency) return max;
+
+  const conversion = converter?.convert(max, budget.currency, currency);
+  return conversion ? conversion.amount : null;
+};
+
+/**
+ * Planned, actual, budget and remaining totals in the display currency at
+ * today's rate, with the rate used; null when it is the trip's currency or
+ * there is no rate
+ */
+const displayTotals = (totals, currency, displayCurrency, converter) => {
+  if (!displayCurrency || displayCurrency === currency || !converter) {
+    return null;
+  }
+  const rate = converter.rate(currency, displayCurrency);
+  if (!rate) return null;
+
+  const inDisplay = (amount) =>
+    amount === null ? null : round(amount * rate.rate);
+  return {
+    currency: displayCurrency,
+    rate: rate.rate,
+    rateDate: rate.rateDate,
+    planned: inDisplay(totals.planned),
+    actual: inDisplay(totals.actual),
+    budget: inDisplay(totals.budget),
+    remaining: inDisplay(totals.remaining),
+  };
+};
+
+/**
+ * Cumulative planned and actual spending by date
+ * Transfers are planned from the first date on, as they are usually booked
+ * before the trip starts.
+ */
+const budgetBurn = (byDay, transfers, expenses) => {
+  const dates = new Set(
+    [
+      ...byDay.map((day) => day.date),
+      ...expenses.map((expense) => calendarDay(expense.date)),
+    ].filter(Boolean)
+  );
+
+  return [...dates].sort().map((date) => ({
+    date,
+    planned: round(
+      byDay
+        .filter((day) => day.date && day.date <= date)
+        .reduce((sum, day) => sum + day.planned, transfers)
+    ),
+    actual: round(
+      expenses
+        .filter((expense) => calendarDay(expense.date) <= date)
+        .reduce((sum, expense) => sum + expense.amount, 0)
+    ),
+  }));
+};
+
+/**
+ * Delete a trip's expenses, their receipts and the trip's settlements, e.g.
+ * with the trip
+ */
+const deleteTripExpenses = async (tripId) => {
+  const expenses = await Expense.find({
+    trip: tripId,
+    "receipt.filename": { $exists: true },
+  })
+    .select("receipt.filename")
+    .lean();
+
+  await Expense.deleteMany({ trip: tripId });
+  await Settlement.deleteMany({ trip: tripId });
+  await Promise.all(
+    expenses.map((expense) => removeReceipt(expense.receipt.filename))
+  );
+};
+
+module.exports = {
+  plannedCategory,
+  summarizeExpenses,
+  deleteTripExpenses,
+};
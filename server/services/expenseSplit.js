@@ -0,0 +1,263 @@
+const { findTraveller } = require("./travellerService");
+const { tripCurrency } = require("./currencyService");
+
+/**
+ * Expense splitting
+ *
+ * An expense is shared between some of a trip's travellers:
+ *   equal   everyone in `among` pays the same
+ *   shares  in proportion to each one's `shares` (2 shares pay twice 1)
+ *   exact   each pays the `amount` given; the amounts add up to the expense
+ *
+ * Amounts are worked out in cents; cents that do not divide evenly go to
+ * the first travellers in the split, so the parts always add up to the
+ * expense. An expense without a split (logged before expenses were split)
+ * is shared equally by all travellers.
+ *
+ * A traveller's balance is what they paid minus their share of everything,
+ * adjusted by the settlements they made and received: positive means they
+ * are owed money, negative that they owe it. Balances are in the trip's
+ * currency: other amounts are converted at the rate of the expense's or
+ * settlement's date, and those without a rate are left out.
+ */
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+// Split cents in proportion to weights; cents that do not divide evenly go
+// to the first ones with a weight
+const distribute = (cents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight === 0) return weights.map(() => 0);
+
+  const parts = weights.map((weight) =>
+    Math.floor((cents * weight) / totalWeight)
+  );
+  let remainder = cents - parts.reduce((sum, part) => sum + part, 0);
+  for (let i = 0; remainder > 0; i = (i + 1) % parts.length) {
+    if (weights[i] > 0) {
+      parts[i] += 1;
+      remainder -= 1;
+    }
+  }
+  return parts;
+};
+
+/**
+ * Check a requested split against the trip and resolve it to traveller ids
+ * Resolves to { split } or { error } with a message for the client.
+ */
+const buildSplit = (trip, requested = {}, amount) => {
+  const method = requested.method || "equal";
+  let among = requested.among || [];
+  if (among.length === 0 && method === "equal") {
+    among = trip.travellers.map((traveller) => ({ traveller: traveller._id }));
+  }
+
+  if (among.length === 0) {
+    return { error: "Choose who shares this expense" };
+  }
+
+  const parts = [];
+  for (const part of among) {
+    const traveller = findTraveller(trip, part.traveller);
+    if (!traveller) {
+      return { error: "Expenses can only be shared by the trip's travellers" };
+    }
+    if (parts.some((other) => other.traveller.equals(traveller._id))) {
+      return { error: "Each traveller can be in a split only once" };
+    }
+
+    const entry = { traveller: traveller._id };
+    if (method === "shares") entry.shares = Number(part.shares);
+    if (method === "exact") entry.amount = Number(part.amount);
+    parts.push(entry);
+  }
+
+  if (method === "shares") {
+    if (parts.some((part) => !(part.shares > 0))) {
+      return { error: "Every traveller in a split by shares needs shares" };
+    }
+  }
+
+  if (method === "exact") {
+    if (parts.some((part) => !(part.amount >= 0))) {
+      return { error: "Every traveller in an exact split needs an amount" };
+    }
+    const total = parts.reduce((sum, part) => sum + toCents(part.amount), 0);
+    if (total !== toCents(amount)) {
+      return {
+        error: `The amounts of an exact split must add up to ${amount}`,
+      };
+    }
+  }
+
+  return { split: { method, among: parts } };
+};
+
+/**
+ * What each traveller owes of an expense, as [{ traveller, amount }]
+ */
+const splitAmounts = (trip, expense) => {
+  const split = expense.split || {};
+  const among =
+    split.among && split.among.length > 0
+      ? split.among
+      : trip.travellers.map((traveller) => ({ traveller: traveller._id }));
+  if (among.length === 0) return [];
+
+  if (split.method === "exact") {
+    return among.map((part) => ({
+      traveller: part.traveller,
+      amount: part.amount || 0,
+    }));
+  }
+
+  const weights = among.map((part) =>
+    split.method === "shares" ? part.shares || 0 : 1
+  );
+  if (weights.every((weight) => weight === 0)) return [];
+
+  const shares = distribute(toCents(expense.amount), weights);
+  return among.map((part, index) => ({
+    traveller: part.traveller,
+    amount: fromCents(shares[index]),
+  }));
+};
+
+/**
+ * Fewest-ish payments that settle all balances: the largest debt is paid
+ * to the largest credit until nothing is left, so there are at most one
+ * fewer payments than travellers with a balance.
+ */
+const suggestSettlements = (balances) => {
+  const debtors = [];
+  const creditors = [];
+  balances.forEach((entry) => {
+    const cents = toCents(entry.balance);
+    if (cents < 0) debtors.push({ id: entry.traveller._id, cents: -cents });
+    if (cents > 0) creditors.push({ id: entry.traveller._id, cents });
+  });
+
+  const byAmount = (a, b) => b.cents - a.cents;
+  const payments = [];
+  while (debtors.length > 0 && creditors.length > 0) {
+    debtors.sort(byAmount);
+    creditors.sort(byAmount);
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    const cents = Math.min(debtor.cents, creditor.cents);
+
+    payments.push({
+      from: debtor.id,
+      to: creditor.id,
+      amount: fromCents(cents),
+    });
+
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+    if (debtor.cents === 0) debtors.shift();
+    if (creditor.cents === 0) creditors.shift();
+  }
+  return payments;
+};
+
+/**
+ * Per-traveller balances of a trip and the payments that would settle them
+ * converter comes from currencyService.createConverter; without one only
+ * amounts in the trip's currency are counted.
+ */
+const computeBalances = (trip, expenses, settlements, converter) => {
+  const currency = tripCurrency(trip);
+  const entries = new Map();
+
+  // Expenses and settlements may point at travellers removed since, or at
+  // a payer's user id
+  const entryFor = (id) => {
+    const traveller = findTraveller(trip, id) || {
+      _id: id,
+      name: "Former traveller",
+    };
+    const key = String(traveller._id);
+    if (!entries.has(key)) {
+      entries.set(key, {
+        traveller: {
+          _id: traveller._id,
+          name: traveller.name,
+          user: traveller.user,
+        },
+        paid: 0,
+        share: 0,
+        sent: 0,
+        received: 0,
+      });
+    }
+    return entries.get(key);
+  };
+  trip.travellers.forEach((traveller) => entryFor(traveller._id));
+
+  // Cents in the trip's currency, or null when there is no rate
+  const converted = new Set();
+  const otherCurrencies = new Set();
+  const tripCents = (amount, from, date) => {
+    if (from === currency) return toCents(amount);
+    const rate = converter?.rate(from, currency, date);
+    if (!rate) {
+      otherCurrencies.add(from);
+      return null;
+    }
+    converted.add(from);
+    return toCents(amount * rate.rate);
+  };
+
+  expenses.forEach((expense) => {
+    const cents = tripCents(expense.amount, expense.currency, expense.date);
+    if (cents === null) return;
+
+    entryFor(expense.paidBy).paid += cents;
+    // Shares are worked out in the expense's currency, then converted
+    const parts = splitAmounts(trip, expense);
+    const shares = distribute(
+      cents,
+      parts.map((part) => toCents(part.amount))
+    );
+    parts.forEach((part, index) => {
+      entryFor(part.traveller).share += shares[index];
+    });
+  });
+
+  settlements.forEach((settlement) => {
+    const cents = tripCents(
+      settlement.amount,
+      settlement.currency,
+      settlement.paidAt
+    );
+    if (cents === null) return;
+
+    entryFor(settlement.from).sent += cents;
+    entryFor(settlement.to).received += cents;
+  });
+
+  const balances = [...entries.values()].map((entry) => ({
+    traveller: entry.traveller,
+    paid: fromCents(entry.paid),
+    share: fromCents(entry.share),
+    sent: fromCents(entry.sent),
+    received: fromCents(entry.received),
+    balance: fromCents(entry.paid - entry.share + entry.sent - entry.received),
+  }));
+
+  return {
+    currency,
+    balances,
+    suggested: suggestSettlements(balances),
+    converted: [...converted],
+    otherCurrencies: [...otherCurrencies],
+  };
+};
+
+module.exports = {
+  buildSplit,
+  splitAmounts,
+  computeBalances,
+};
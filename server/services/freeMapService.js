@@ -1,21 +1,11 @@
-const axios = require("axios");
 const { logger } = require("../middleware/logging");
+const { mapRequest } = require("./mapProviders");
+const { cachedLookup, geocodeKey, reverseKey } = require("./geocodeCache");
 
-// Helper to wait (simple backoff)
-const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
-
+// Map lookups against Nominatim, Overpass and OSRM compatible services;
+// which ones is configured in services/mapProviders.js, which also paces
+// requests to each. Geocode results are cached (services/geocodeCache.js).
 class FreeMapService {
-  constructor() {
-    this.nominatimBase = "https://nominatim.openstreetmap.org";
-    this.overpassUrl = "https://overpass-api.de/api/interpreter";
-    this.osrmBase = "https://router.project-osrm.org"; // Public OSRM instance
-    // Nominatim requires descriptive User-Agent
-    this.userAgent =
-      process.env.MAPS_USER_AGENT ||
-      "AI-TripPlanner/1.0 (Educational Project; Node.js Application)";
-    this.referer = "http://localhost:3000";
-  }
-
   // Validate coordinates
   validateCoordinates(lat, lng) {
     return (
@@ -47,57 +37,41 @@ class FreeMapService {
     return deg * (Math.PI / 180);
   }
 
-  // Geocode address using Nominatim with fallback
+  // Geocode address using the geocode providers, falling back in order
   async geocode(address) {
     try {
-      // Add delay to respect Nominatim's usage policy (max 1 request per second)
-      await sleep(1500); // Increased to 1.5 seconds for safety
-      
-      let response;
-      try {
-        // Try Nominatim first
-        response = await axios.get(`${this.nominatimBase}/search`, {
-          params: {
-            q: address,
-            format: "json",
-            addressdetails: 1,
-            limit: 1,
-          },
-          headers: {
-            "User-Agent": this.userAgent,
-            Referer: this.referer,
-          },
-          timeout: 10000,
-        });
-      } catch (nominatimError) {
-        // If Nominatim fails with 403, try alternative service
-        if (nominatimError.response?.status === 403) {
-          logger.warn("Nominatim blocked, using fallback geocoder");
-          response = await axios.get("https://geocode.maps.co/search", {
+      const { result } = await cachedLookup(
+        geocodeKey(address),
+        "geocode",
+        async () => {
+          const response = await mapRequest("geocode", {
+            path: "/search",
             params: {
               q: address,
               format: "json",
+              addressdetails: 1,
+              limit: 1,
             },
-            timeout: 10000,
           });
-        } else {
-          throw nominatimError;
+
+          if (!response.data || response.data.length === 0) {
+            logger.warn(`No geocode results for: ${address}`);
+            throw new Error("No results found");
+          }
+
+          const r = response.data[0];
+          return {
+            result: {
+              formatted_address: r.display_name,
+              location: { lat: parseFloat(r.lat), lng: parseFloat(r.lon) },
+              place_id: r.osm_id || r.place_id,
+              types: r.type ? [r.type] : [],
+              address_components: r.address || {},
+            },
+            provider: response.provider,
+          };
         }
-      }
-      
-      if (!response.data || response.data.length === 0) {
-        logger.warn(`No geocode results for: ${address}`);
-        throw new Error("No results found");
-      }
-      
-      const r = response.data[0];
-      const result = {
-        formatted_address: r.display_name,
-        location: { lat: parseFloat(r.lat), lng: parseFloat(r.lon) },
-        place_id: r.osm_id || r.place_id,
-        types: r.type ? [r.type] : [],
-        address_components: r.address || {},
-      };
+      );
       return result;
     } catch (err) {
       logger.error("Free geocode error:", {
@@ -113,25 +87,36 @@ class FreeMapService {
   // Reverse geocode using Nominatim
   async reverseGeocode(lat, lng) {
     try {
-      const response = await axios.get(`${this.nominatimBase}/reverse`, {
-        params: {
-          lat,
-          lon: lng,
-          format: "json",
-          addressdetails: 1,
-        },
-        headers: { "User-Agent": this.userAgent },
-      });
-      if (!response.data) throw new Error("No reverse geocode result");
-      const r = response.data;
-      const result = {
-        formatted_address: r.display_name,
-        location: { lat, lng },
-        place_id: r.osm_id,
-        types: r.type ? [r.type] : [],
-        address_components: r.address || {},
-      };
-      return result;
+      const { result } = await cachedLookup(
+        reverseKey(lat, lng),
+        "reverse",
+        async () => {
+          const response = await mapRequest("reverseGeocode", {
+            path: "/reverse",
+            params: {
+              lat,
+              lon: lng,
+              format: "json",
+              addressdetails: 1,
+            },
+          });
+          if (!response.data || response.data.error) {
+            throw new Error("No reverse geocode result");
+          }
+          const r = response.data;
+          return {
+            result: {
+              formatted_address: r.display_name,
+              place_id: r.osm_id,
+              types: r.type ? [r.type] : [],
+              address_components: r.address || {},
+            },
+            provider: response.provider,
+          };
+        }
+      );
+      // Cached for nearby points too, so the location is the one asked for
+      return { ...result, location: { lat, lng } };
     } catch (err) {
       logger.error("Free reverse geocode error", err.message);
       throw err;
@@ -173,11 +158,12 @@ class FreeMapService {
       // Overpass QL query
       const query = `[out:json][timeout:25];(node(around:${radius},${lat},${lng})${filter}${keywordFilter};way(around:${radius},${lat},${lng})${filter}${keywordFilter};);out center 40;`;
 
-      const response = await axios.post(
-        this.overpassUrl,
-        `data=${encodeURIComponent(query)}`,
-        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-      );
+      const response = await mapRequest("poiSearch", {
+        method: "post",
+        path: "/interpreter",
+        data: `data=${encodeURIComponent(query)}`,
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      });
 
       const elements = response.data.elements || [];
       const results = elements
@@ -216,14 +202,14 @@ class FreeMapService {
   // Text search using Nominatim (broader than nearby)
   async searchPlaces(query, location = null, radius = 50000, type = null) {
     try {
-      const response = await axios.get(`${this.nominatimBase}/search`, {
+      const response = await mapRequest("geocode", {
+        path: "/search",
         params: {
           q: query,
           format: "json",
           addressdetails: 1,
           limit: 10,
         },
-        headers: { "User-Agent": this.userAgent },
       });
       const results = (response.data || []).map((r) => ({
         place_id: r.osm_id,
@@ -257,8 +243,8 @@ class FreeMapService {
       const profile =
         mode === "walking" ? "foot" : mode === "bicycling" ? "bike" : "driving"; // OSRM profiles: driving, foot, bicycle (custom instance may differ)
 
-      const url = `${this.osrmBase}/route/v1/${profile}/${oLng},${oLat};${dLng},${dLat}`;
-      const response = await axios.get(url, {
+      const response = await mapRequest("routing", {
+        path: `/route/v1/${profile}/${oLng},${oLat};${dLng},${dLat}`,
         params: { overview: "full", steps: true, geometries: "geojson" },
       });
       if (!response.data || response.data.code !== "Ok") {
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const GeocodeCache = require("../models/GeocodeCache");
+const { logger } = require("../middleware/logging");
+
+/**
+ * Geocode cache
+ *
+ * Geocode and reverse geocode results are kept in MongoDB for
+ * GEOCODE_CACHE_TTL_DAYS (default 30) so a city is looked up upstream once,
+ * not on every search. Keys are normalized so "Paris,  France" and
+ * "paris, france" share an entry, and reverse lookups are rounded to
+ * REVERSE_PRECISION decimals (about 11 m). Concurrent lookups of the same
+ * key wait for one upstream request.
+ *
+ * The cache is an optimization only: when MongoDB is unavailable lookups go
+ * straight upstream.
+ */
+
+const DEFAULT_TTL_DAYS = 30;
+const REVERSE_PRECISION = 4;
+
+const ttlMs = () =>
+  (parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS) || DEFAULT_TTL_DAYS) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+const geocodeKey = (address) =>
+  `geocode:${String(address)
+    .trim()
+    .toLowerCase()
+    .replace(/\s*,\s*/g, ", ")
+    .replace(/\s+/g, " ")}`;
+
+const reverseKey = (lat, lng) =>
+  `reverse:${Number(lat).toFixed(REVERSE_PRECISION)},${Number(lng).toFixed(
+    REVERSE_PRECISION
+  )}`;
+
+const connected = () => mongoose.connection.readyState === 1;
+
+const read = async (key) => {
+  if (!connected()) return null;
+  try {
+    const entry = await GeocodeCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+    return entry ? entry.result : null;
+  } catch (error) {
+    logger.warn("Geocode cache read failed", { key, message: error.message });
+    return null;
+  }
+};
+
+const write = async (key, kind, { result, provider }) => {
+  if (!connected()) return;
+  try {
+    await GeocodeCache.updateOne(
+      { key },
+      {
+        $set: {
+          kind,
+          result,
+          provider,
+          expiresAt: new Date(Date.now() + ttlMs()),
+        },
+        $setOnInsert: { hits: 0 },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.warn("Geocode cache write failed", { key, message: error.message });
+  }
+};
+
+const inFlight = new Map(); // key -> Promise of { result, cached }
+
+/**
+ * The cached result for key, or the one fetch() resolves to
+ * ({ result, provider }), which is then cached. Resolves to
+ * { result, cached }. Failed fetches are not cached.
+ */
+const cachedLookup = (key, kind, fetch) => {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const lookup = (async () => {
+    const cached = await read(key);
+    if (cached) return { result: cached, cached: true };
+
+    const fetched = await fetch();
+    await write(key, kind, fetched);
+    return { result: fetched.result, cached: false };
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, lookup);
+  return lookup;
+};
+
+module.exports = {
+  geocodeKey,
+  reverseKey,
+  cachedLookup,
+};
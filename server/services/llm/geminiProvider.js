@@ -0,0 +1,59 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+// Google Gemini via the official SDK
+class GeminiProvider {
+  constructor({ model } = {}) {
+    this.name = "gemini";
+    this.model = model || process.env.GEMINI_MODEL || DEFAULT_MODEL;
+    this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const model = this.client.getGenerativeModel({ model: this.model });
+    const result = await model.generateContent(prompt, { signal });
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+
+    return {
+      text: response.text(),
+      provider: this.name,
+      model: this.model,
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0,
+      },
+    };
+  }
+
+  // Same as generate, but hands each text chunk to onChunk as it arrives
+  async generateStream(prompt, { signal, onChunk } = {}) {
+    const model = this.client.getGenerativeModel({ model: this.model });
+    const result = await model.generateContentStream(prompt, { signal });
+
+    let text = "";
+    for await (const chunk of result.stream) {
+      const piece = chunk.text();
+      text += piece;
+      if (onChunk && piece) onChunk(piece);
+    }
+
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+
+    return {
+      text,
+      provider: this.name,
+      model: this.model,
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0,
+      },
+    };
+  }
+}
+
+module.exports = GeminiProvider;
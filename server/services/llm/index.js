@@ -0,0 +1,116 @@
+const GeminiProvider = require("./geminiProvider");
+const OpenAICompatibleProvider = require("./openaiCompatibleProvider");
+const StubProvider = require("./stubProvider");
+const { aiLogger } = require("../../middleware/logging");
+
+/**
+ * LLM provider registry
+ *
+ * Each AI endpoint resolves its provider from the environment:
+ *   LLM_PROVIDER_<ENDPOINT>  e.g. LLM_PROVIDER_GENERATE_ITINERARY=stub
+ *   LLM_PROVIDER             default for every endpoint (gemini if unset)
+ *   LLM_MODEL_<ENDPOINT>     optional model override for that endpoint
+ */
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  stub: StubProvider,
+};
+
+const DEFAULT_PROVIDER = "gemini";
+
+// Provider instances are cached per endpoint so SDK clients are reused
+const instances = new Map();
+
+// generateItinerary -> GENERATE_ITINERARY
+const toEnvSuffix = (endpoint) =>
+  endpoint.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+
+const resolveConfig = (endpoint) => {
+  const suffix = toEnvSuffix(endpoint);
+  const name = (
+    process.env[`LLM_PROVIDER_${suffix}`] ||
+    process.env.LLM_PROVIDER ||
+    DEFAULT_PROVIDER
+  ).toLowerCase();
+
+  if (!PROVIDERS[name]) {
+    throw new Error(
+      `Unknown LLM provider "${name}" for ${endpoint}. Expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}`
+    );
+  }
+
+  return { name, model: process.env[`LLM_MODEL_${suffix}`] };
+};
+
+const getProvider = (endpoint) => {
+  if (!instances.has(endpoint)) {
+    const { name, model } = resolveConfig(endpoint);
+    instances.set(endpoint, new PROVIDERS[name]({ model }));
+  }
+  return instances.get(endpoint);
+};
+
+// Time a provider call, log it and add latencyMs to the result.
+// Calls cancelled through the signal are not logged as failures.
+const timed = async (provider, prompt, { signal }, call) => {
+  const startedAt = Date.now();
+  try {
+    const result = await call();
+    result.latencyMs = Date.now() - startedAt;
+    aiLogger.logRequest(
+      `${result.provider}/${result.model}`,
+      prompt,
+      result.usage,
+      result.latencyMs
+    );
+    return result;
+  } catch (error) {
+    if (!signal?.aborted) {
+      aiLogger.logError(`${provider.name}/${provider.model}`, prompt, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run a prompt against the provider configured for an endpoint
+ * Resolves to { text, provider, model, usage, latencyMs }
+ */
+const generate = (endpoint, prompt, options = {}) => {
+  const provider = getProvider(endpoint);
+  return timed(provider, prompt, options, () =>
+    provider.generate(prompt, { ...options, endpoint })
+  );
+};
+
+/**
+ * Streaming variant of generate: onChunk receives text as it arrives.
+ * Providers without native streaming deliver the whole text as one chunk.
+ */
+const generateStream = (endpoint, prompt, options = {}) => {
+  const provider = getProvider(endpoint);
+  return timed(provider, prompt, options, async () => {
+    if (typeof provider.generateStream === "function") {
+      return provider.generateStream(prompt, { ...options, endpoint });
+    }
+
+    const result = await provider.generate(prompt, { ...options, endpoint });
+    if (options.onChunk) options.onChunk(result.text);
+    return result;
+  });
+};
+
+// Drop cached instances (after changing env in scripts or tests)
+const resetProviders = () => instances.clear();
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  generate,
+  generateStream,
+  resetProviders,
+};
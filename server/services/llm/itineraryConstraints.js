@@ -0,0 +1,207 @@
+/**
+ * Budget and schedule checks for a generated itinerary.
+ *
+ * The schema only guarantees the shape of a plan; these checks look at
+ * what it says. Budgets are per person (as entered in the planner) and plan
+ * costs are for the whole group, so totals are divided by groupSize before
+ * they are compared.
+ *
+ * Each warning is { code, severity, message, day?, details }:
+ *   over_budget      total per person is above budget.max
+ *   under_budget     total per person is below budget.min
+ *   overlapping_activities  an activity starts before the previous one ends
+ *   overbooked_day   activity durations on a day add up to more than 24h
+ *   mixed_currency   some costs are not in the budget currency and were
+ *                    left out of the totals
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// "09:30" -> 570; null when the time is missing or malformed
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || "");
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60) % 24).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")}`;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Sum costs in `currency`; anything else is counted separately
+const sumCosts = (entries, currency) =>
+  entries.reduce(
+    (totals, entry) => {
+      const amount = Number(entry.cost?.amount) || 0;
+      if (!amount) return totals;
+      if (entry.cost.currency && entry.cost.currency !== currency) {
+        totals.skipped.push(entry.cost.currency);
+      } else {
+        totals.amount += amount;
+      }
+      return totals;
+    },
+    { amount: 0, skipped: [] }
+  );
+
+const checkSchedule = (day) => {
+  const warnings = [];
+  const activities = (day.activities || [])
+    .map((activity, index) => ({
+      index,
+      name: activity.activity,
+      start: toMinutes(activity.time),
+      minutes: Math.max(Number(activity.duration) || 0, 0) * 60,
+    }))
+    .filter((activity) => activity.start !== null)
+    .sort((a, b) => a.start - b.start);
+
+  for (let i = 1; i < activities.length; i++) {
+    const previous = activities[i - 1];
+    const current = activities[i];
+    const previousEnd = previous.start + previous.minutes;
+
+    if (current.start < previousEnd) {
+      warnings.push({
+        code: "overlapping_activities",
+        severity: "warning",
+        day: day.day,
+        message: `Day ${day.day}: "${current.name}" at ${formatMinutes(
+          current.start
+        )} starts before "${previous.name}" ends at ${formatMinutes(
+          previousEnd
+        )}`,
+        details: {
+          activityIndexes: [previous.index, current.index],
+          overlapMinutes: Math.round(previousEnd - current.start),
+        },
+      });
+    }
+  }
+
+  const scheduledHours = (day.activities || []).reduce(
+    (sum, activity) => sum + Math.max(Number(activity.duration) || 0, 0),
+    0
+  );
+  if (scheduledHours * 60 > MINUTES_PER_DAY) {
+    warnings.push({
+      code: "overbooked_day",
+      severity: "warning",
+      day: day.day,
+      message: `Day ${day.day} schedules ${round(
+        scheduledHours
+      )} hours of activities`,
+      details: { scheduledHours: round(scheduledHours) },
+    });
+  }
+
+  return warnings;
+};
+
+/**
+ * Check itinerary days against the traveller's budget and the clock
+ *
+ * `days` are itinerary days ({ day, activities, meals }); `budget` is the
+ * request's { min, max, currency } per person. `transfers` are the journeys
+ * between the legs of a multi-city plan; they belong to no day but count
+ * towards the total.
+ *
+ * Returns { summary, warnings }. summary has the group total, the
+ * per-person total, the cost of each day and of the transfers in the budget
+ * currency.
+ */
+const checkItineraryConstraints = (
+  days,
+  { budget = {}, groupSize = 1, transfers = [] } = {}
+) => {
+  const currency = budget.currency || "INR";
+  const travellers = Math.max(parseInt(groupSize) || 1, 1);
+  const warnings = [];
+  const skippedCurrencies = new Set();
+
+  const dayTotals = (days || []).map((day) => {
+    const activities = sumCosts(day.activities || [], currency);
+    const meals = sumCosts(day.meals || [], currency);
+    [...activities.skipped, ...meals.skipped].forEach((code) =>
+      skippedCurrencies.add(code)
+    );
+
+    warnings.push(...checkSchedule(day));
+
+    return {
+      day: day.day,
+      activities: round(activities.amount),
+      meals: round(meals.amount),
+      total: round(activities.amount + meals.amount),
+    };
+  });
+
+  const transferTotal = sumCosts(transfers || [], currency);
+  transferTotal.skipped.forEach((code) => skippedCurrencies.add(code));
+
+  const total = round(
+    dayTotals.reduce((sum, day) => sum + day.total, transferTotal.amount)
+  );
+  const perPerson = round(total / travellers);
+  const min = Number(budget.min) || 0;
+  const max = Number(budget.max) || 0;
+
+  if (max > 0 && perPerson > max) {
+    warnings.push({
+      code: "over_budget",
+      severity: "warning",
+      message: `Estimated ${perPerson} ${currency} per person is above the budget of ${max} ${currency}`,
+      details: {
+        perPerson,
+        budgetMax: max,
+        overBy: round(perPerson - max),
+      },
+    });
+  } else if (min > 0 && perPerson < min) {
+    warnings.push({
+      code: "under_budget",
+      severity: "info",
+      message: `Estimated ${perPerson} ${currency} per person is below the budget of ${min} ${currency}`,
+      details: {
+        perPerson,
+        budgetMin: min,
+        underBy: round(min - perPerson),
+      },
+    });
+  }
+
+  if (skippedCurrencies.size > 0) {
+    warnings.push({
+      code: "mixed_currency",
+      severity: "info",
+      message: `Costs in ${[...skippedCurrencies].join(
+        ", "
+      )} are not included in the ${currency} totals`,
+      details: { currencies: [...skippedCurrencies] },
+    });
+  }
+
+  return {
+    summary: {
+      currency,
+      groupSize: travellers,
+      total,
+      perPerson,
+      budget: { min, max },
+      days: dayTotals,
+      transfers: round(transferTotal.amount),
+    },
+    warnings,
+  };
+};
+
+const isOverBudget = ({ warnings }) =>
+  warnings.some((warning) => warning.code === "over_budget");
+
+module.exports = {
+  checkItineraryConstraints,
+  isOverBudget,
+};
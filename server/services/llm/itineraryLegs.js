@@ -0,0 +1,100 @@
+/**
+ * Helpers for multi-city itinerary requests.
+ *
+ * A request lists its stops in order as legs: [{ city, country, days }].
+ * planLegs() gives each leg the range of itinerary days it covers, which is
+ * what the prompt describes and what the generated plan is checked against.
+ */
+
+// "Jaipur" matches "jaipur" and "Jaipur, India"
+const normalizeCity = (city) =>
+  String(city || "")
+    .split(",")[0]
+    .trim()
+    .toLowerCase();
+
+const sameCity = (a, b) => normalizeCity(a) === normalizeCity(b);
+
+// [{ city, country, days }] -> same legs with startDay / endDay (1-based)
+const planLegs = (legs) => {
+  let nextDay = 1;
+  return (legs || []).map((leg) => {
+    const days = Math.max(parseInt(leg.days) || 1, 1);
+    const planned = {
+      city: leg.city,
+      country: leg.country || "",
+      days,
+      startDay: nextDay,
+      endDay: nextDay + days - 1,
+    };
+    nextDay += days;
+    return planned;
+  });
+};
+
+// Leg a day number falls in, or null past the last leg
+const legForDay = (plannedLegs, day) =>
+  plannedLegs.find((leg) => day >= leg.startDay && day <= leg.endDay) || null;
+
+// "days 1-3" / "day 4"
+const dayRange = ({ startDay, endDay }) =>
+  startDay === endDay ? `day ${startDay}` : `days ${startDay}-${endDay}`;
+
+// "Delhi → Jaipur → Agra"
+const routeName = (legs) => (legs || []).map((leg) => leg.city).join(" → ");
+
+/**
+ * Check a generated plan follows the planned legs
+ * Every day must name the city of its leg, and there must be one transfer
+ * between each pair of consecutive legs. Returns schema-style error strings.
+ */
+const validateLegs = (data, plannedLegs) => {
+  const errors = [];
+
+  data.itinerary.forEach((day, index) => {
+    const leg = legForDay(plannedLegs, index + 1);
+    if (leg && !sameCity(day.city, leg.city)) {
+      errors.push(
+        `/itinerary/${index}/city must be "${leg.city}" (${dayRange(
+          leg
+        )} of the route)`
+      );
+    }
+  });
+
+  const transfers = data.transfers || [];
+  for (let i = 1; i < plannedLegs.length; i++) {
+    const from = plannedLegs[i - 1].city;
+    const to = plannedLegs[i].city;
+    const found = transfers.some(
+      (transfer) => sameCity(transfer.from, from) && sameCity(transfer.to, to)
+    );
+    if (!found) {
+      errors.push(`/transfers must include the transfer from ${from} to ${to}`);
+    }
+  }
+
+  return errors;
+};
+
+// Response legs: planned legs with the model's transfer into each one
+const attachTransfers = (plannedLegs, transfers = []) =>
+  plannedLegs.map((leg, index) => {
+    if (index === 0) return leg;
+    const from = plannedLegs[index - 1].city;
+    const transfer = transfers.find(
+      (candidate) =>
+        sameCity(candidate.from, from) && sameCity(candidate.to, leg.city)
+    );
+    return transfer ? { ...leg, transfer } : leg;
+  });
+
+module.exports = {
+  sameCity,
+  planLegs,
+  legForDay,
+  dayRange,
+  routeName,
+  validateLegs,
+  attachTransfers,
+};
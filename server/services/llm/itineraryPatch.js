@@ -0,0 +1,333 @@
+const Ajv = require("ajv");
+const Trip = require("../../models/Trip");
+const { activitySchema } = require("./itinerarySchema");
+
+/**
+ * Structured edits the trip chat assistant proposes against
+ * Trip.itinerary.days. Day numbers and activity indexes always refer to the
+ * itinerary as currently saved, so the order of operations does not matter.
+ *
+ *   { op: "swapDays", days: [2, 3] }
+ *   { op: "replaceDay", day: 2, title, activities: [...] }
+ *   { op: "addActivity", day: 2, activity: {...} }
+ *   { op: "updateActivity", day: 2, index: 0, changes: {...} }
+ *   { op: "removeActivity", day: 2, index: 1 }
+ */
+
+const dayNumberSchema = { type: "integer", minimum: 1 };
+const indexSchema = { type: "integer", minimum: 0 };
+
+const operationSchema = {
+  type: "object",
+  required: ["op"],
+  discriminator: { propertyName: "op" },
+  oneOf: [
+    {
+      properties: {
+        op: { const: "swapDays" },
+        days: {
+          type: "array",
+          items: dayNumberSchema,
+          minItems: 2,
+          maxItems: 2,
+        },
+      },
+      required: ["days"],
+    },
+    {
+      properties: {
+        op: { const: "replaceDay" },
+        day: dayNumberSchema,
+        title: { type: "string", minLength: 1 },
+        activities: { type: "array", minItems: 1, items: activitySchema },
+      },
+      required: ["day", "title", "activities"],
+    },
+    {
+      properties: {
+        op: { const: "addActivity" },
+        day: dayNumberSchema,
+        activity: activitySchema,
+      },
+      required: ["day", "activity"],
+    },
+    {
+      properties: {
+        op: { const: "updateActivity" },
+        day: dayNumberSchema,
+        index: indexSchema,
+        changes: {
+          ...activitySchema,
+          required: [],
+          minProperties: 1,
+        },
+      },
+      required: ["day", "index", "changes"],
+    },
+    {
+      properties: {
+        op: { const: "removeActivity" },
+        day: dayNumberSchema,
+        index: indexSchema,
+      },
+      required: ["day", "index"],
+    },
+  ],
+};
+
+const chatResponseSchema = {
+  type: "object",
+  required: ["reply", "operations"],
+  properties: {
+    reply: { type: "string", minLength: 1 },
+    operations: { type: "array", maxItems: 50, items: operationSchema },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, discriminator: true });
+const validateOperationsSchema = ajv.compile({
+  type: "array",
+  items: operationSchema,
+});
+const validateChatResponseSchema = ajv.compile(chatResponseSchema);
+
+const MAX_REPORTED_ERRORS = 15;
+
+const formatErrors = (errors) =>
+  errors
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map((err) => `${err.instancePath || "(root)"} ${err.message}`);
+
+/**
+ * Check operations against the days they will be applied to
+ * Returns a list of human-readable errors (empty when valid)
+ */
+const validateOperations = (operations, days) => {
+  if (!validateOperationsSchema(operations)) {
+    return formatErrors(validateOperationsSchema.errors);
+  }
+
+  const errors = [];
+  const touched = new Map(); // "day:index" -> op, to catch conflicting edits
+  const replaced = new Set();
+
+  const checkDay = (path, dayNumber) => {
+    if (dayNumber > days.length) {
+      errors.push(
+        `${path} refers to day ${dayNumber} but the trip has ${days.length} days`
+      );
+      return false;
+    }
+    return true;
+  };
+
+  operations.forEach((operation, i) => {
+    const path = `/operations/${i}`;
+
+    if (operation.op === "swapDays") {
+      const [a, b] = operation.days;
+      if (a === b) errors.push(`${path}/days must name two different days`);
+      checkDay(`${path}/days`, Math.max(a, b));
+      return;
+    }
+
+    if (!checkDay(`${path}/day`, operation.day)) return;
+
+    if (operation.op === "replaceDay") {
+      if (replaced.has(operation.day)) {
+        errors.push(`${path} replaces day ${operation.day} more than once`);
+      }
+      replaced.add(operation.day);
+      return;
+    }
+
+    if (operation.op === "addActivity") return;
+
+    const activities = days[operation.day - 1].activities || [];
+    if (operation.index >= activities.length) {
+      errors.push(
+        `${path}/index ${operation.index} is out of range for day ${operation.day} (${activities.length} activities)`
+      );
+      return;
+    }
+
+    const key = `${operation.day}:${operation.index}`;
+    if (touched.has(key)) {
+      errors.push(
+        `${path} edits day ${operation.day} activity ${operation.index} more than once`
+      );
+    }
+    touched.set(key, operation.op);
+  });
+
+  // Activity edits inside a day that is replaced wholesale would be lost
+  touched.forEach((op, key) => {
+    const dayNumber = Number(key.split(":")[0]);
+    if (replaced.has(dayNumber)) {
+      errors.push(
+        `day ${dayNumber} is replaced, so its activities cannot also be edited individually`
+      );
+    }
+  });
+
+  return errors;
+};
+
+// Validate the assistant's { reply, operations } response for a trip
+const validateChatResponse = (data, days) => {
+  if (!validateChatResponseSchema(data)) {
+    return formatErrors(validateChatResponseSchema.errors);
+  }
+  return validateOperations(data.operations, days).map((error) =>
+    error.startsWith("/") ? error : `/operations ${error}`
+  );
+};
+
+const byTime = (a, b) => (a.time || "").localeCompare(b.time || "");
+
+/**
+ * Apply validated operations to plain day objects
+ * Returns new days; the input is left untouched. Day numbers and dates stay
+ * in place, so swapping days moves their plans, not their calendar slots.
+ */
+const applyOperations = (days, operations, { currency } = {}) => {
+  const result = days.map((day) => ({
+    ...day,
+    activities: (day.activities || []).map((activity) => ({ ...activity })),
+  }));
+  const withCurrency = (activity) => ({
+    ...activity,
+    cost: {
+      amount: activity.cost?.amount || 0,
+      currency: activity.cost?.currency || currency,
+    },
+  });
+  const changed = new Set();
+
+  operations.forEach((operation) => {
+    if (operation.op === "replaceDay") {
+      const day = result[operation.day - 1];
+      day.title = operation.title;
+      day.activities = operation.activities.map(withCurrency);
+      changed.add(day);
+    }
+  });
+
+  operations.forEach((operation) => {
+    if (operation.op === "updateActivity") {
+      const day = result[operation.day - 1];
+      const activity = day.activities[operation.index];
+      Object.assign(activity, operation.changes);
+      if (operation.changes.location) {
+        activity.location = {
+          ...days[operation.day - 1].activities[operation.index].location,
+          ...operation.changes.location,
+        };
+      }
+      changed.add(day);
+    }
+  });
+
+  // Removals are resolved by reference so indexes keep meaning the saved order
+  const removed = new Set(
+    operations
+      .filter((operation) => operation.op === "removeActivity")
+      .map((operation) => result[operation.day - 1].activities[operation.index])
+  );
+  result.forEach((day) => {
+    const kept = day.activities.filter((activity) => !removed.has(activity));
+    if (kept.length !== day.activities.length) {
+      day.activities = kept;
+      changed.add(day);
+    }
+  });
+
+  operations.forEach((operation) => {
+    if (operation.op === "addActivity") {
+      const day = result[operation.day - 1];
+      day.activities.push(withCurrency(operation.activity));
+      changed.add(day);
+    }
+  });
+
+  changed.forEach((day) => {
+    day.activities.sort(byTime);
+    day.totalCost = {
+      amount: Trip.sumDayCost(day),
+      currency: day.totalCost?.currency || currency,
+    };
+  });
+
+  operations.forEach((operation) => {
+    if (operation.op === "swapDays") {
+      const [a, b] = operation.days.map((dayNumber) => dayNumber - 1);
+      const first = result[a];
+      const second = result[b];
+      result[a] = { ...second, day: first.day, date: first.date };
+      result[b] = { ...first, day: second.day, date: second.date };
+    }
+  });
+
+  return result;
+};
+
+const describeOperation = (operation, days) => {
+  const activityName = (dayNumber, index) =>
+    days[dayNumber - 1]?.activities?.[index]?.activity || `activity ${index + 1}`;
+
+  switch (operation.op) {
+    case "swapDays":
+      return `Swap day ${operation.days[0]} and day ${operation.days[1]}`;
+    case "replaceDay":
+      return `Day ${operation.day}: replace the plan with "${operation.title}"`;
+    case "addActivity":
+      return `Day ${operation.day}: add "${operation.activity.activity}" at ${operation.activity.time}`;
+    case "updateActivity":
+      return `Day ${operation.day}: change ${Object.keys(operation.changes).join(
+        ", "
+      )} of "${activityName(operation.day, operation.index)}"`;
+    case "removeActivity":
+      return `Day ${operation.day}: remove "${activityName(
+        operation.day,
+        operation.index
+      )}"`;
+    default:
+      return operation.op;
+  }
+};
+
+// One-line summaries of operations, for chat history and previews
+const describeOperations = (operations, days) =>
+  operations.map((operation) => describeOperation(operation, days));
+
+/**
+ * Apply operations and report what they change
+ * Resolves to { days, changedDays: [{ day, before, after }], totalCost };
+ * totalCost includes the transfers of the trip's `legs`.
+ */
+const previewOperations = (days, operations, { currency, legs } = {}) => {
+  const after = applyOperations(days, operations, { currency });
+
+  return {
+    days: after,
+    changedDays: after
+      .map((day, index) => ({ day: day.day, before: days[index], after: day }))
+      .filter(
+        (change) => JSON.stringify(change.before) !== JSON.stringify(change.after)
+      ),
+    totalCost: {
+      before: Trip.sumTripCost(days, legs),
+      after: Trip.sumTripCost(after, legs),
+      currency,
+    },
+  };
+};
+
+module.exports = {
+  chatResponseSchema,
+  validateOperations,
+  validateChatResponse,
+  applyOperations,
+  previewOperations,
+  describeOperations,
+};
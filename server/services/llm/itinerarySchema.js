@@ -0,0 +1,215 @@
+const Ajv = require("ajv");
+const { validateLegs } = require("./itineraryLegs");
+
+/**
+ * JSON Schema for the itinerary payload the model must return.
+ * Activities mirror Trip.itinerary.days[].activities[] so a validated
+ * response can be saved without reshaping.
+ */
+
+const costSchema = {
+  type: "object",
+  required: ["amount", "currency"],
+  properties: {
+    amount: { type: "number", minimum: 0 },
+    currency: { type: "string", minLength: 3, maxLength: 3 },
+  },
+};
+
+const coordinatesSchema = {
+  type: "object",
+  required: ["lat", "lng"],
+  properties: {
+    lat: { type: "number", minimum: -90, maximum: 90 },
+    lng: { type: "number", minimum: -180, maximum: 180 },
+  },
+};
+
+const timeSchema = {
+  type: "string",
+  pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+};
+
+const activitySchema = {
+  type: "object",
+  required: ["time", "activity", "location", "duration", "cost", "type"],
+  properties: {
+    time: timeSchema,
+    activity: { type: "string", minLength: 1 },
+    location: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { type: "string", minLength: 1 },
+        address: { type: "string" },
+        coordinates: coordinatesSchema,
+      },
+    },
+    duration: { type: "number", exclusiveMinimum: 0, maximum: 24 },
+    cost: costSchema,
+    description: { type: "string" },
+    type: {
+      type: "string",
+      enum: ["attraction", "restaurant", "transport", "accommodation", "activity"],
+    },
+  },
+};
+
+// Mirrors Trip.itinerary.days[].meals[]; the type, dietary and reservation
+// fields are optional because older prompt versions do not ask for them
+const mealSchema = {
+  type: "object",
+  required: ["restaurant", "cost"],
+  properties: {
+    time: timeSchema,
+    type: { type: "string", enum: ["breakfast", "lunch", "dinner", "snack"] },
+    restaurant: { type: "string", minLength: 1 },
+    cuisine: { type: "string" },
+    dietaryTags: {
+      type: "array",
+      items: {
+        type: "string",
+        enum: [
+          "vegetarian",
+          "vegan",
+          "pescatarian",
+          "halal",
+          "kosher",
+          "gluten-free",
+          "dairy-free",
+          "nut-free",
+        ],
+      },
+    },
+    cost: costSchema,
+    location: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        address: { type: "string" },
+        coordinates: coordinatesSchema,
+      },
+    },
+    reservation: {
+      type: "object",
+      properties: {
+        required: { type: "boolean" },
+      },
+    },
+  },
+};
+
+const daySchema = {
+  type: "object",
+  required: ["day", "title", "activities"],
+  properties: {
+    day: { type: "integer", minimum: 1 },
+    date: { type: "string" },
+    // Set on multi-city plans: the leg the day is spent in
+    city: { type: "string", minLength: 1 },
+    title: { type: "string", minLength: 1 },
+    activities: { type: "array", minItems: 1, items: activitySchema },
+    meals: { type: "array", items: mealSchema },
+    totalDayCost: costSchema,
+  },
+};
+
+// Travel between two legs of a multi-city plan; mirrors Trip.legs[].transfer
+const transferSchema = {
+  type: "object",
+  required: ["from", "to", "mode"],
+  properties: {
+    from: { type: "string", minLength: 1 },
+    to: { type: "string", minLength: 1 },
+    day: { type: "integer", minimum: 1 },
+    mode: {
+      type: "string",
+      enum: ["flight", "train", "bus", "car", "ferry", "other"],
+    },
+    departureTime: timeSchema,
+    durationHours: { type: "number", minimum: 0 },
+    cost: costSchema,
+    notes: { type: "string" },
+  },
+};
+
+const itinerarySchema = {
+  type: "object",
+  required: ["destination", "itinerary"],
+  properties: {
+    destination: { type: "string", minLength: 1 },
+    duration: { type: "integer", minimum: 1 },
+    totalEstimatedCost: costSchema,
+    itinerary: { type: "array", minItems: 1, items: daySchema },
+    transfers: { type: "array", items: transferSchema },
+    recommendations: { type: "object" },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(itinerarySchema);
+const validateDaySchema = ajv.compile(daySchema);
+const validateActivitySchema = ajv.compile(activitySchema);
+
+// Limit how many errors are fed back to the model in a repair prompt
+const MAX_REPORTED_ERRORS = 15;
+
+const formatErrors = (errors) =>
+  errors
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map((err) => `${err.instancePath || "(root)"} ${err.message}`);
+
+/**
+ * Validate a parsed itinerary payload
+ * `legs` are the planned legs of a multi-city request (see itineraryLegs.js)
+ * Returns a list of human-readable errors (empty when valid)
+ */
+const validateItinerary = (data, { duration, legs } = {}) => {
+  if (!validateSchema(data)) {
+    return formatErrors(validateSchema.errors);
+  }
+
+  const errors = [];
+  const days = data.itinerary;
+
+  if (duration && days.length !== Number(duration)) {
+    errors.push(
+      `/itinerary must contain exactly ${duration} days (got ${days.length})`
+    );
+  }
+
+  days.forEach((day, index) => {
+    if (day.day !== index + 1) {
+      errors.push(
+        `/itinerary/${index}/day must be ${index + 1} (days must be numbered in order)`
+      );
+    }
+  });
+
+  if (legs && legs.length > 0) {
+    errors.push(...validateLegs(data, legs));
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a single day on its own (used while streaming and when
+ * regenerating one day of a saved trip)
+ */
+const validateDay = (day) =>
+  validateDaySchema(day) ? [] : formatErrors(validateDaySchema.errors);
+
+// Validate a single replacement activity
+const validateActivity = (activity) =>
+  validateActivitySchema(activity)
+    ? []
+    : formatErrors(validateActivitySchema.errors);
+
+module.exports = {
+  itinerarySchema,
+  activitySchema,
+  validateItinerary,
+  validateDay,
+  validateActivity,
+};
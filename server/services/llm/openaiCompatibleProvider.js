@@ -0,0 +1,125 @@
+const axios = require("axios");
+
+const DEFAULT_BASE_URL = "http://localhost:11434/v1"; // Ollama's OpenAI-compatible API
+const DEFAULT_MODEL = "llama3.1";
+
+// Any server speaking the OpenAI chat completions API
+// (llama.cpp server, Ollama, vLLM, LM Studio, OpenAI itself)
+class OpenAICompatibleProvider {
+  constructor({ model } = {}) {
+    this.name = "openai";
+    this.baseUrl = (
+      process.env.OPENAI_COMPAT_BASE_URL || DEFAULT_BASE_URL
+    ).replace(/\/+$/, "");
+    this.apiKey = process.env.OPENAI_COMPAT_API_KEY;
+    this.model = model || process.env.OPENAI_COMPAT_MODEL || DEFAULT_MODEL;
+    this.timeout = parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 120000;
+  }
+
+  buildHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const headers = this.buildHeaders();
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.7,
+      },
+      { headers, timeout: this.timeout, signal }
+    );
+
+    const choice = response.data?.choices?.[0];
+    if (!choice?.message) {
+      throw new Error("Empty response from OpenAI-compatible endpoint");
+    }
+    const usage = response.data.usage || {};
+
+    return {
+      text: choice.message.content || "",
+      provider: this.name,
+      model: response.data.model || this.model,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+      },
+    };
+  }
+
+  // Streams the chat completion (SSE "data:" lines) into onChunk
+  async generateStream(prompt, { signal, onChunk } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.7,
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      {
+        headers: this.buildHeaders(),
+        timeout: this.timeout,
+        signal,
+        responseType: "stream",
+      }
+    );
+
+    let text = "";
+    let model = this.model;
+    let usage = {};
+    let pending = "";
+
+    for await (const chunk of response.data) {
+      pending += chunk.toString("utf8");
+      const lines = pending.split("\n");
+      pending = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === "[DONE]") continue;
+
+        // Servers may interleave keep-alives or other non-JSON data lines
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch (error) {
+          continue;
+        }
+        if (event.model) model = event.model;
+        if (event.usage) usage = event.usage;
+
+        const piece = event.choices?.[0]?.delta?.content;
+        if (piece) {
+          text += piece;
+          if (onChunk) onChunk(piece);
+        }
+      }
+    }
+
+    return {
+      text,
+      provider: this.name,
+      model,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+      },
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
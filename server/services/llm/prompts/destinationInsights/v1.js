@@ -0,0 +1,68 @@
+const variables = {
+  destination: { type: "string", required: true },
+  travelDates: { type: "string" },
+};
+
+function render({ destination, travelDates }) {
+  return `Provide comprehensive travel insights for ${destination} for travel dates: ${
+    travelDates || "flexible"
+  }. 
+
+Include the following information in JSON format:
+{
+  "destination": "${destination}",
+  "overview": "Brief description of the destination",
+  "weather": {
+    "currentSeason": "season name",
+    "averageTemperature": "temperature range",
+    "rainfall": "rainfall info",
+    "bestMonths": ["month1", "month2"]
+  },
+  "costOfLiving": {
+    "level": "low/moderate/high",
+    "averageMealCost": "cost range",
+    "accommodation": "price range",
+    "transport": "cost info"
+  },
+  "culture": {
+    "language": "primary language",
+    "currency": "local currency",
+    "religion": "primary religion",
+    "customs": ["custom1", "custom2"],
+    "etiquette": ["tip1", "tip2"]
+  },
+  "topAttractions": [
+    {
+      "name": "Attraction name",
+      "type": "museum/landmark/nature",
+      "description": "brief description",
+      "averageVisitTime": "time needed"
+    }
+  ],
+  "localCuisine": [
+    {
+      "dish": "dish name",
+      "description": "what it is",
+      "where": "where to find it"
+    }
+  ],
+  "transportation": {
+    "publicTransport": "description",
+    "ridesharing": "availability",
+    "walkability": "walkability score",
+    "tips": ["tip1", "tip2"]
+  },
+  "safety": {
+    "level": "low/moderate/high risk",
+    "commonIssues": ["issue1", "issue2"],
+    "tips": ["safety tip1", "safety tip2"]
+  },
+  "packingTips": ["item1", "item2", "item3"]
+}`;
+}
+
+module.exports = {
+  description: "Travel insights for a destination",
+  variables,
+  render,
+};
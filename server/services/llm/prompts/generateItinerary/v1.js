@@ -0,0 +1,138 @@
+// Original itinerary prompt. Its budget lines hard-code ₹ and $ whatever
+// the requested currency; kept unchanged so results can be compared with v2.
+
+const variables = {
+  destination: { type: "string", required: true },
+  duration: { type: "integer", required: true },
+  budget: { type: "object", required: true },
+  travelStyle: { type: "string" },
+  interests: { type: "array" },
+  groupSize: { type: "integer" },
+  accommodation: { type: "string" },
+  transport: { type: "array" },
+  startDate: { type: "date" },
+  endDate: { type: "date" },
+};
+
+function render({
+  destination,
+  duration,
+  budget,
+  travelStyle,
+  interests,
+  groupSize,
+  accommodation,
+  transport,
+  startDate,
+  endDate,
+}) {
+  return `Create a detailed ${duration}-day travel itinerary for ${destination} with the following preferences:
+
+Travel Style: ${travelStyle || "balanced"}
+Budget Range: ₹${budget.min || 0} - ₹${budget.max || 5000} ${
+    budget.currency || "INR"
+  }
+Group Size: ${groupSize || 1} people
+Accommodation Preference: ${accommodation || "hotel"}
+Transport Preferences: ${transport?.join(", ") || "flexible"}
+Interests: ${interests?.join(", ") || "general sightseeing"}
+Start Date: ${startDate || "flexible"}
+End Date: ${endDate || "flexible"}
+
+Please provide a detailed day-by-day itinerary in the following JSON format:
+{
+  "destination": "${destination}",
+  "duration": ${duration},
+  "totalEstimatedCost": {
+    "amount": 0,
+    "currency": "${budget.currency || "INR"}"
+  },
+  "itinerary": [
+    {
+      "day": 1,
+      "date": "2025-11-15",
+      "title": "Arrival, Iconic Views & Cultural Introduction",
+      "activities": [
+        {
+          "time": "09:00",
+          "activity": "Arrival and Hotel Check-in",
+          "location": {
+            "name": "Hotel Name",
+            "address": "Hotel Address",
+            "coordinates": {
+              "lat": 0.0,
+              "lng": 0.0
+            }
+          },
+          "duration": 2,
+          "cost": {
+            "amount": 150,
+            "currency": "INR"
+          },
+          "description": "Check into hotel and freshen up",
+          "type": "accommodation"
+        }
+      ],
+      "meals": [
+        {
+          "time": "12:00",
+          "restaurant": "Restaurant Name",
+          "cuisine": "Local",
+          "cost": {
+            "amount": 25,
+            "currency": "INR"
+          },
+          "location": {
+            "name": "Restaurant Name",
+            "address": "Restaurant Address"
+          }
+        }
+      ],
+      "totalDayCost": {
+        "amount": 175,
+        "currency": "INR"
+      }
+    }
+  ],
+  "recommendations": {
+    "bestTimeToVisit": "November to March",
+    "weather": "Pleasant and mild",
+    "localTips": [
+      "Carry local currency",
+      "Dress modestly when visiting religious sites"
+    ],
+    "mustSeeAttractions": [
+      "Main attraction 1",
+      "Main attraction 2"
+    ],
+    "budgetTips": [
+      "Use public transport",
+      "Eat at local restaurants"
+    ],
+    "safetyTips": [
+      "Keep copies of important documents",
+      "Stay aware of your surroundings"
+    ]
+  }
+}
+
+IMPORTANT: For each day in the itinerary, generate a creative and descriptive "title" that summarizes the theme and main highlights of that day. The title should be concise (3-6 words) and capture the essence of the day's activities.
+
+Examples of good day titles:
+- "Arrival, Iconic Views & Seine Cruise"
+- "Art, Grandeur & Shopping"
+- "Impressionist Art, Latin Quarter & Bohemian Montmartre"
+- "Historical Monuments & Local Culture"
+- "Beach Relaxation & Water Sports"
+- "Mountain Adventures & Scenic Views"
+
+Make sure to include realistic costs, actual attractions, restaurants, and locations for ${destination}. Provide specific addresses and coordinates where possible. The total cost should fit within the budget range of $${
+    budget.min || 0
+  } - $${budget.max || 5000}.`;
+}
+
+module.exports = {
+  description: "Day-by-day itinerary as JSON",
+  variables,
+  render,
+};
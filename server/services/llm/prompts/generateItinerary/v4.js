@@ -0,0 +1,202 @@
+// v3 plus multi-city trips: with `legs` (see services/llm/itineraryLegs.js)
+// the model plans each day in its leg's city and lists the transfers between
+// legs. Without legs the prompt is the same as v3.
+
+const { dayRange } = require("../../itineraryLegs");
+
+const variables = {
+  destination: { type: "string", required: true },
+  duration: { type: "integer", required: true },
+  budget: { type: "object", required: true },
+  travelStyle: { type: "string" },
+  interests: { type: "array" },
+  groupSize: { type: "integer" },
+  accommodation: { type: "string" },
+  transport: { type: "array" },
+  startDate: { type: "date" },
+  endDate: { type: "date" },
+  legs: { type: "array" },
+};
+
+const routeSection = (legs) => `
+Route (visit the cities in this order and stay for the days given):
+${legs
+  .map(
+    (leg, index) =>
+      `${index + 1}. ${leg.city}${
+        leg.country ? `, ${leg.country}` : ""
+      }: ${dayRange(leg)}`
+  )
+  .join("\n")}
+`;
+
+const transfersExample = (legs, currency) => `
+  "transfers": [
+    {
+      "from": "${legs[0].city}",
+      "to": "${legs[1].city}",
+      "day": ${legs[1].startDay},
+      "mode": "train",
+      "departureTime": "08:00",
+      "durationHours": 4.5,
+      "cost": {
+        "amount": 40,
+        "currency": "${currency}"
+      },
+      "notes": "Book seats in advance"
+    }
+  ],`;
+
+function render(
+  {
+    destination,
+    duration,
+    budget,
+    travelStyle,
+    interests,
+    groupSize,
+    accommodation,
+    transport,
+    startDate,
+    endDate,
+    legs,
+  },
+  { currency, locale, money, list, languageName }
+) {
+  const multiCity = Array.isArray(legs) && legs.length > 1;
+  const places = multiCity
+    ? legs.map((leg) => leg.city).join(", ")
+    : destination;
+  const language = locale.startsWith("en")
+    ? ""
+    : `\nWrite every title, description and tip in ${languageName()}; keep the JSON keys and "type" values in English.\n`;
+
+  return `Create a detailed ${duration}-day travel itinerary for ${
+    multiCity
+      ? `a multi-city trip through ${legs.map((leg) => leg.city).join(" → ")}`
+      : destination
+  } with the following preferences:
+
+Travel Style: ${travelStyle || "balanced"}
+Budget Range: ${money(budget.min || 0)} - ${money(budget.max || 5000)} (${currency})
+Group Size: ${groupSize || 1} people
+Accommodation Preference: ${accommodation || "hotel"}
+Transport Preferences: ${list(transport, "flexible")}
+Interests: ${list(interests, "general sightseeing")}
+Start Date: ${startDate || "flexible"}
+End Date: ${endDate || "flexible"}
+${multiCity ? routeSection(legs) : ""}${language}
+Please provide a detailed day-by-day itinerary in the following JSON format:
+{
+  "destination": "${destination}",
+  "duration": ${duration},
+  "totalEstimatedCost": {
+    "amount": 0,
+    "currency": "${currency}"
+  },${multiCity ? transfersExample(legs, currency) : ""}
+  "itinerary": [
+    {
+      "day": 1,
+      "date": "2025-11-15",${multiCity ? `\n      "city": "${legs[0].city}",` : ""}
+      "title": "Arrival, Iconic Views & Cultural Introduction",
+      "activities": [
+        {
+          "time": "09:00",
+          "activity": "Arrival and Hotel Check-in",
+          "location": {
+            "name": "Hotel Name",
+            "address": "Hotel Address",
+            "coordinates": {
+              "lat": 0.0,
+              "lng": 0.0
+            }
+          },
+          "duration": 2,
+          "cost": {
+            "amount": 150,
+            "currency": "${currency}"
+          },
+          "description": "Check into hotel and freshen up",
+          "type": "accommodation"
+        }
+      ],
+      "meals": [
+        {
+          "time": "12:00",
+          "type": "lunch",
+          "restaurant": "Restaurant Name",
+          "cuisine": "Local",
+          "dietaryTags": ["vegetarian"],
+          "cost": {
+            "amount": 25,
+            "currency": "${currency}"
+          },
+          "location": {
+            "name": "Restaurant Name",
+            "address": "Restaurant Address",
+            "coordinates": {
+              "lat": 0.0,
+              "lng": 0.0
+            }
+          },
+          "reservation": {
+            "required": false
+          }
+        }
+      ],
+      "totalDayCost": {
+        "amount": 175,
+        "currency": "${currency}"
+      }
+    }
+  ],
+  "recommendations": {
+    "bestTimeToVisit": "November to March",
+    "weather": "Pleasant and mild",
+    "localTips": [
+      "Carry local currency",
+      "Dress modestly when visiting religious sites"
+    ],
+    "mustSeeAttractions": [
+      "Main attraction 1",
+      "Main attraction 2"
+    ],
+    "budgetTips": [
+      "Use public transport",
+      "Eat at local restaurants"
+    ],
+    "safetyTips": [
+      "Keep copies of important documents",
+      "Stay aware of your surroundings"
+    ]
+  }
+}
+
+IMPORTANT: For each day in the itinerary, generate a creative and descriptive "title" that summarizes the theme and main highlights of that day. The title should be concise (3-6 words) and capture the essence of the day's activities.
+
+Examples of good day titles:
+- "Arrival, Iconic Views & Seine Cruise"
+- "Art, Grandeur & Shopping"
+- "Impressionist Art, Latin Quarter & Bohemian Montmartre"
+- "Historical Monuments & Local Culture"
+- "Beach Relaxation & Water Sports"
+- "Mountain Adventures & Scenic Views"
+
+Plan breakfast, lunch and dinner for each day as entries in "meals", not in "activities". Give each meal its "type" (breakfast, lunch, dinner or snack), the "dietaryTags" it suits (any of vegetarian, vegan, pescatarian, halal, kosher, gluten-free, dairy-free, nut-free; an empty list if none) and set "reservation.required" to true when the restaurant usually needs booking. "totalDayCost" covers both activities and meals.
+${
+  multiCity
+    ? `
+Set "city" on every day to the city of its leg from the route above. List the journey between each pair of consecutive cities in "transfers", with "day" being the first day in the next city, "mode" one of flight, train, bus, car, ferry or other, and its "departureTime", "durationHours" and "cost" for the whole group. Do not repeat transfers as activities. "totalEstimatedCost" includes the transfers.
+`
+    : ""
+}
+Make sure to include realistic costs, actual attractions, restaurants, and locations for ${places}. Provide specific addresses and coordinates where possible. The total cost should fit within the budget range of ${money(
+    budget.min || 0
+  )} - ${money(budget.max || 5000)}, with every cost in ${currency}.`;
+}
+
+module.exports = {
+  description: "Day-by-day itinerary as JSON, optionally across several cities",
+  variables,
+  render,
+};
@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Prompt template registry
+ *
+ * Templates live in prompts/<name>/v<version>.js and export
+ *   description  what the template is for
+ *   variables    { varName: { type, required, default, enum } }
+ *   render       (variables, helpers) => prompt text
+ *
+ * type is one of string, number, integer, boolean, array, object, date.
+ * The version used for a request is, in order: the requested version,
+ * PROMPT_VERSION_<NAME> (e.g. PROMPT_VERSION_GENERATE_ITINERARY=1), the
+ * highest version on disk.
+ */
+
+const VERSION_FILE = /^v(\d+)\.js$/;
+const DEFAULT_LOCALE = "en";
+const DEFAULT_CURRENCY = "USD";
+
+// name -> Map(version -> template), loaded once at startup
+const templates = new Map();
+
+const loadTemplates = () => {
+  const entries = fs.readdirSync(__dirname, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const versions = new Map();
+    for (const file of fs.readdirSync(path.join(__dirname, entry.name))) {
+      const match = file.match(VERSION_FILE);
+      if (!match) continue;
+
+      const template = require(path.join(__dirname, entry.name, file));
+      if (typeof template.render !== "function" || !template.variables) {
+        throw new Error(
+          `Prompt template ${entry.name}/${file} must export variables and render()`
+        );
+      }
+      versions.set(match[1], {
+        ...template,
+        name: entry.name,
+        version: match[1],
+      });
+    }
+
+    if (versions.size > 0) templates.set(entry.name, versions);
+  }
+};
+
+loadTemplates();
+
+// generateItinerary -> GENERATE_ITINERARY
+const toEnvSuffix = (name) =>
+  name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+
+const getVersions = (name) => {
+  const versions = templates.get(name);
+  if (!versions) throw new Error(`Unknown prompt template "${name}"`);
+  return versions;
+};
+
+const latestVersion = (name) =>
+  String(Math.max(...[...getVersions(name).keys()].map(Number)));
+
+const hasVersion = (name, version) =>
+  templates.has(name) && templates.get(name).has(String(version));
+
+// Version served when the request does not ask for one
+const defaultVersion = (name) => {
+  const configured = process.env[`PROMPT_VERSION_${toEnvSuffix(name)}`];
+  if (configured && hasVersion(name, configured)) return configured;
+  return latestVersion(name);
+};
+
+const getTemplate = (name, version) => {
+  const resolved = version ? String(version) : defaultVersion(name);
+  const template = getVersions(name).get(resolved);
+  if (!template) {
+    throw new Error(`Prompt template "${name}" has no version ${resolved}`);
+  }
+  return template;
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+  date: (value) =>
+    (value instanceof Date || typeof value === "string") &&
+    !Number.isNaN(new Date(value).getTime()),
+};
+
+// Request bodies carry numbers as strings often enough to accept them
+const coerce = (value, type) => {
+  if (
+    (type === "number" || type === "integer") &&
+    typeof value === "string" &&
+    value.trim() !== "" &&
+    !Number.isNaN(Number(value))
+  ) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Check variables against a template's declarations
+ * Returns { values, errors }; values has defaults applied
+ */
+const resolveVariables = (template, variables = {}) => {
+  const values = {};
+  const errors = [];
+
+  for (const name of Object.keys(variables)) {
+    if (!template.variables[name] && variables[name] !== undefined) {
+      errors.push(`${name} is not a variable of this template`);
+    }
+  }
+
+  for (const [name, spec] of Object.entries(template.variables)) {
+    let value = variables[name];
+    if (value === undefined || value === null || value === "") {
+      if (spec.required) errors.push(`${name} is required`);
+      if (spec.default !== undefined) values[name] = spec.default;
+      continue;
+    }
+
+    value = coerce(value, spec.type);
+    if (!TYPE_CHECKS[spec.type](value)) {
+      errors.push(`${name} must be of type ${spec.type}`);
+      continue;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      errors.push(`${name} must be one of: ${spec.enum.join(", ")}`);
+      continue;
+    }
+    values[name] = value;
+  }
+
+  return { values, errors };
+};
+
+const safeLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale || DEFAULT_LOCALE)[0];
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+};
+
+// Formatting helpers handed to render()
+const buildHelpers = ({ locale, currency }) => {
+  const resolvedLocale = safeLocale(locale);
+  const resolvedCurrency = (currency || DEFAULT_CURRENCY).toUpperCase();
+
+  return {
+    locale: resolvedLocale,
+    currency: resolvedCurrency,
+    // 5000 -> "₹5,000" (en-IN) / "$5,000.00" (en-US, USD)
+    money: (amount, code = resolvedCurrency) => {
+      try {
+        return new Intl.NumberFormat(resolvedLocale, {
+          style: "currency",
+          currency: code,
+          maximumFractionDigits: 0,
+        }).format(Number(amount) || 0);
+      } catch (error) {
+        return `${Number(amount) || 0} ${code}`;
+      }
+    },
+    list: (items, fallback = "") =>
+      Array.isArray(items) && items.length > 0 ? items.join(", ") : fallback,
+    json: (value) => JSON.stringify(value, null, 2),
+    // "fr" -> "French"
+    languageName: () => {
+      try {
+        return new Intl.DisplayNames(["en"], { type: "language" }).of(
+          resolvedLocale
+        );
+      } catch (error) {
+        return "English";
+      }
+    },
+  };
+};
+
+/**
+ * Render a template with checked variables
+ * Resolves to { name, version, text }
+ * Throws when the version does not exist or a variable is invalid.
+ */
+const renderPrompt = (name, variables, { version, locale, currency } = {}) => {
+  const template = getTemplate(name, version);
+  const { values, errors } = resolveVariables(template, variables);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid variables for prompt ${name} v${template.version}: ${errors.join(
+        "; "
+      )}`
+    );
+  }
+
+  return {
+    name,
+    version: template.version,
+    text: template.render(values, buildHelpers({ locale, currency })),
+  };
+};
+
+// Summary of every template, for the admin prompt listing
+const listTemplates = () =>
+  [...templates.entries()].map(([name, versions]) => ({
+    name,
+    defaultVersion: defaultVersion(name),
+    versions: [...versions.values()]
+      .sort((a, b) => Number(a.version) - Number(b.version))
+      .map((template) => ({
+        version: template.version,
+        description: template.description,
+        variables: template.variables,
+      })),
+  }));
+
+module.exports = {
+  renderPrompt,
+  resolveVariables,
+  getTemplate,
+  hasVersion,
+  defaultVersion,
+  listTemplates,
+};
@@ -0,0 +1,38 @@
+const variables = {
+  itinerary: { type: "object", required: true },
+  goals: { type: "array", default: ["cost", "time", "experience"] },
+};
+
+function render({ itinerary, goals }) {
+  return `Optimize the following travel itinerary based on these goals: ${goals.join(
+    ", "
+  )}.
+
+Current Itinerary:
+${JSON.stringify(itinerary, null, 2)}
+
+Please provide an optimized version that:
+1. ${
+    goals.includes("cost")
+      ? "Reduces overall costs while maintaining quality"
+      : ""
+  }
+2. ${
+    goals.includes("time")
+      ? "Optimizes travel time and reduces unnecessary delays"
+      : ""
+  }
+3. ${
+    goals.includes("experience") ? "Enhances the overall travel experience" : ""
+  }
+4. Maintains the same destination and duration
+5. Keeps the same JSON structure
+
+Return the optimized itinerary in the same JSON format with explanations for key changes in an "optimizationNotes" field.`;
+}
+
+module.exports = {
+  description: "Optimized version of a generated itinerary",
+  variables,
+  render,
+};
@@ -0,0 +1,31 @@
+// Fragments shared by several prompt templates
+
+// Trip context block for prompts that edit a saved trip
+const describeTrip = (trip) => {
+  const preferences = trip.preferences || {};
+  const budget = preferences.budget || {};
+  const route =
+    trip.legs?.length > 1
+      ? `\nRoute: ${trip.legs.map((leg) => leg.city).join(" → ")}`
+      : "";
+
+  return `Destination: ${trip.destination.city}, ${trip.destination.country}${route}
+Trip Length: ${preferences.duration} days
+Travel Style: ${preferences.travelStyle || "balanced"}
+Budget Range: ${budget.min || 0} - ${budget.max || "flexible"} ${
+    budget.currency || "INR"
+  }
+Group Size: ${preferences.groupSize || 1} people
+Interests: ${preferences.interests?.join(", ") || "general sightseeing"}`;
+};
+
+// Plain activity JSON without Mongo ids
+const stripIds = (activity) => {
+  const { _id, ...rest } = activity;
+  return rest;
+};
+
+module.exports = {
+  describeTrip,
+  stripIds,
+};
@@ -0,0 +1,41 @@
+// Follow-up to generateItinerary when the plan came back over budget. The
+// original prompt is repeated so the model keeps the same constraints.
+
+const variables = {
+  originalPrompt: { type: "string", required: true },
+  itinerary: { type: "object", required: true },
+  perPerson: { type: "number", required: true },
+  budgetMax: { type: "number", required: true },
+  groupSize: { type: "integer", default: 1 },
+};
+
+function render(
+  { originalPrompt, itinerary, perPerson, budgetMax, groupSize },
+  { currency, money, json }
+) {
+  return `${originalPrompt}
+
+Your previous plan is over budget. It costs about ${money(
+    perPerson
+  )} per person, but the budget is ${money(budgetMax)} per person (${money(
+    budgetMax * groupSize
+  )} for ${groupSize} ${groupSize === 1 ? "person" : "people"}).
+
+Previous plan:
+${json(itinerary)}
+
+Revise it into a cheaper plan:
+- Keep the same destination, number of days and JSON format.
+- Replace the most expensive activities, meals and transport with cheaper real alternatives or free sights; do not just lower the prices of the same places.
+- Keep costs realistic and in ${currency}, and bring the total to at most ${money(
+    budgetMax * groupSize
+  )} for the group.
+
+Return ONLY the revised JSON object, with no markdown fences or commentary.`;
+}
+
+module.exports = {
+  description: "Cheaper revision of an itinerary that went over budget",
+  variables,
+  render,
+};
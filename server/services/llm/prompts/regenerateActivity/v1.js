@@ -0,0 +1,51 @@
+const { describeTrip, stripIds } = require("../partials");
+
+const variables = {
+  trip: { type: "object", required: true }, // { destination, legs, preferences }
+  day: { type: "object", required: true },
+  activityIndex: { type: "integer", required: true },
+  instructions: { type: "string" },
+};
+
+function render({ trip, day, activityIndex, instructions }, { currency }) {
+  const current = day.activities[activityIndex];
+
+  return `You are replacing a single activity in Day ${day.day} ("${
+    day.title || "Untitled"
+  }") of an existing trip. Everything else in the trip stays as it is.
+
+${describeTrip(trip)}
+
+The full day, for context:
+${JSON.stringify(day.activities.map(stripIds), null, 2)}
+
+Activity to replace:
+${JSON.stringify(stripIds(current), null, 2)}
+
+Traveller's request: ${instructions || "Suggest a different activity for this time slot."}
+
+Keep the same time slot (${current.time || "same time"}) and a similar duration unless the request says otherwise, and do not duplicate another activity of the day.
+
+Return ONLY a JSON object for the replacement activity, with no markdown fences or commentary:
+{
+  "time": "${current.time || "10:00"}",
+  "activity": "Activity name",
+  "location": {
+    "name": "Place name",
+    "address": "Place address",
+    "coordinates": { "lat": 0.0, "lng": 0.0 }
+  },
+  "duration": ${current.duration || 2},
+  "cost": { "amount": 0, "currency": "${currency}" },
+  "description": "Why this fits the request",
+  "type": "attraction"
+}
+
+"type" must be one of attraction, restaurant, transport, accommodation, activity.`;
+}
+
+module.exports = {
+  description: "Replacement for one activity of a saved trip",
+  variables,
+  render,
+};
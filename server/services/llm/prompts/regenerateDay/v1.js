@@ -0,0 +1,76 @@
+const { describeTrip, stripIds } = require("../partials");
+
+const variables = {
+  trip: { type: "object", required: true }, // { destination, legs, preferences }
+  days: { type: "array", required: true },
+  dayIndex: { type: "integer", required: true },
+  kept: { type: "array", default: [] },
+  instructions: { type: "string" },
+};
+
+function render({ trip, days, dayIndex, kept, instructions }, { currency }) {
+  const day = days[dayIndex];
+
+  const otherDays = days
+    .filter((other, index) => index !== dayIndex)
+    .map(
+      (other) =>
+        `- Day ${other.day}: ${other.title || "Untitled"} (${other.activities
+          .map((activity) => activity.activity)
+          .join(", ")})`
+    )
+    .join("\n");
+
+  return `You are revising Day ${day.day} of an existing trip. Only this day changes; the rest of the trip stays as it is.
+
+${describeTrip(trip)}
+
+Other days of the trip (do not repeat their attractions):
+${otherDays || "- none"}
+
+Current Day ${day.day}:
+${JSON.stringify(
+  { title: day.title, activities: day.activities.map(stripIds) },
+  null,
+  2
+)}
+${
+  kept.length
+    ? `
+These activities stay exactly as they are and will be merged back in automatically. Do NOT include them in your response; plan only the rest of the day around their times:
+${JSON.stringify(kept.map(stripIds), null, 2)}
+`
+    : ""
+}
+Traveller's request: ${instructions || "Suggest a fresh alternative plan for this day."}
+
+Return ONLY a JSON object in this format, with no markdown fences or commentary:
+{
+  "day": ${day.day},
+  "title": "Short descriptive title for the new day",
+  "activities": [
+    {
+      "time": "14:00",
+      "activity": "Activity name",
+      "location": {
+        "name": "Place name",
+        "address": "Place address",
+        "coordinates": { "lat": 0.0, "lng": 0.0 }
+      },
+      "duration": 2,
+      "cost": { "amount": 0, "currency": "${currency}" },
+      "description": "Why this fits the request",
+      "type": "attraction"
+    }
+  ],
+  "totalDayCost": { "amount": 0, "currency": "${currency}" }
+}
+
+Use real places in ${trip.destination.city}, realistic costs in ${currency}, and "type" must be one of attraction, restaurant, transport, accommodation, activity.`;
+}
+
+module.exports = {
+  description: "Replacement plan for one day of a saved trip",
+  variables,
+  render,
+};
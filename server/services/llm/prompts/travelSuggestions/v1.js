@@ -0,0 +1,77 @@
+const variables = {
+  preferences: { type: "object" },
+  userPreferences: { type: "object", default: {} }, // from the user profile
+  currentLocation: { type: "string" },
+  travelHistory: { type: "array" },
+};
+
+function render({
+  preferences,
+  userPreferences,
+  currentLocation,
+  travelHistory,
+}) {
+  return `Based on the following user profile and preferences, suggest 5-10 travel destinations:
+
+User Preferences:
+- Travel Style: ${
+    preferences?.travelStyle || userPreferences.travelStyle || "balanced"
+  }
+- Budget Range: ${
+    preferences?.budgetRange || userPreferences.budgetRange || "moderate"
+  }
+- Preferred Activities: ${
+    preferences?.interests || userPreferences.interests || ["sightseeing"]
+  }
+- Accommodation Type: ${
+    preferences?.accommodation ||
+    userPreferences.preferredAccommodation ||
+    "hotel"
+  }
+- Current Location: ${currentLocation || "Not specified"}
+- Previous Destinations: ${
+    travelHistory?.map((trip) => trip.destination).join(", ") || "None"
+  }
+
+Please provide suggestions in the following JSON format:
+{
+  "suggestions": [
+    {
+      "destination": "Destination Name",
+      "country": "Country",
+      "category": "beach/mountain/city/cultural/adventure",
+      "estimatedBudget": {
+        "min": 60000,
+        "max": 120000,
+        "currency": "INR"
+      },
+      "bestTimeToVisit": "March to May",
+      "highlights": [
+        "Main attraction 1",
+        "Main attraction 2",
+        "Main attraction 3"
+      ],
+      "whyRecommended": "Specific reasons based on user preferences",
+      "estimatedDuration": "5-7 days",
+      "difficultyLevel": "easy/moderate/challenging",
+      "uniqueExperiences": [
+        "Unique experience 1",
+        "Unique experience 2"
+      ]
+    }
+  ],
+  "personalizedTips": [
+    "Tip based on travel style",
+    "Budget optimization tip",
+    "Experience enhancement tip"
+  ]
+}
+
+Focus on destinations that match the user's travel style and haven't been visited before.`;
+}
+
+module.exports = {
+  description: "Destination suggestions for a user profile",
+  variables,
+  render,
+};
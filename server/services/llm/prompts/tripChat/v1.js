@@ -0,0 +1,82 @@
+const { describeTrip, stripIds } = require("../partials");
+
+const variables = {
+  trip: { type: "object", required: true }, // { destination, legs, preferences }
+  days: { type: "array", required: true },
+  history: { type: "array", default: [] }, // recent chat turns, oldest first
+  message: { type: "string", required: true },
+};
+
+function render({ trip, days, history, message }, { currency }) {
+  const itinerary = days.map((day) => ({
+    day: day.day,
+    title: day.title,
+    activities: day.activities.map((activity, index) => ({
+      index,
+      ...stripIds(activity),
+    })),
+    totalCost: day.totalCost,
+  }));
+
+  const transcript = history
+    .map(
+      (turn) =>
+        `${turn.role === "user" ? "Traveller" : "Assistant"}: ${turn.content}${
+          turn.changes?.length
+            ? ` [proposed: ${turn.changes.join("; ")}${
+                turn.patchStatus === "applied" ? " (applied)" : ""
+              }]`
+            : ""
+        }`
+    )
+    .join("\n");
+
+  return `You are a travel assistant helping a traveller edit their saved trip. Answer their message and, when it asks for changes, express them as structured operations against the itinerary below.
+
+${describeTrip(trip)}
+
+Current itinerary (day numbers and activity indexes refer to this version):
+${JSON.stringify(itinerary, null, 2)}
+
+Conversation so far:
+${transcript || "(none)"}
+
+Traveller: ${message}
+
+Return ONLY a JSON object in this format, with no markdown fences or commentary:
+{
+  "reply": "Short answer to the traveller describing what you changed or why you could not",
+  "operations": []
+}
+
+Each entry in "operations" is one of:
+- { "op": "swapDays", "days": [2, 3] }  (exchange the plans of two days; dates stay put)
+- { "op": "replaceDay", "day": 2, "title": "New title", "activities": [ACTIVITY, ...] }
+- { "op": "addActivity", "day": 2, "activity": ACTIVITY }
+- { "op": "updateActivity", "day": 2, "index": 0, "changes": { only the ACTIVITY fields that change } }
+- { "op": "removeActivity", "day": 2, "index": 1 }
+
+ACTIVITY has this shape:
+{
+  "time": "19:30",
+  "activity": "Activity name",
+  "location": { "name": "Place name", "address": "Place address", "coordinates": { "lat": 0.0, "lng": 0.0 } },
+  "duration": 1.5,
+  "cost": { "amount": 0, "currency": "${currency}" },
+  "description": "Short description",
+  "type": "restaurant"
+}
+
+Rules:
+- Day numbers and indexes always refer to the current itinerary above, even after a swap.
+- Do not edit an activity more than once, and do not edit activities of a day you replace.
+- "type" must be one of attraction, restaurant, transport, accommodation, activity.
+- Use real places in ${trip.destination.city} and realistic costs in ${currency}; to reduce cost, change or remove activities rather than inventing discounts.
+- If the message is a question or nothing should change, return an empty "operations" array.`;
+}
+
+module.exports = {
+  description: "Trip-editing assistant reply with itinerary patch operations",
+  variables,
+  render,
+};
@@ -0,0 +1,76 @@
+/**
+ * Incremental parser for a JSON array inside a model response that is still
+ * being streamed. Feed it text chunks; each call returns the array items that
+ * became complete, so e.g. itinerary days can be sent before the model has
+ * finished writing the rest of the document.
+ *
+ *   const parser = createArrayItemParser("itinerary");
+ *   parser.push(chunk); // -> [ { day: 1, ... } ]
+ *
+ * Only object items are reported. Items that fail to JSON.parse are skipped;
+ * the caller still validates the complete response once the stream ends.
+ */
+const createArrayItemParser = (key) => {
+  const keyPattern = new RegExp(`"${key}"\\s*:\\s*\\[`);
+
+  let buffer = "";
+  let position = -1; // next character to scan, -1 until the array is found
+  let depth = 0; // nesting depth relative to the array
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+  let finished = false;
+
+  const push = (chunk) => {
+    const items = [];
+    buffer += chunk;
+    if (finished) return items;
+
+    if (position === -1) {
+      const match = keyPattern.exec(buffer);
+      if (!match) return items;
+      position = match.index + match[0].length;
+    }
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        if (depth === 0 && char === "{") itemStart = position;
+        depth++;
+      } else if (char === "}" || char === "]") {
+        if (depth === 0) {
+          // Closing bracket of the array itself
+          finished = true;
+          break;
+        }
+        depth--;
+        if (depth === 0 && itemStart !== -1) {
+          try {
+            items.push(JSON.parse(buffer.slice(itemStart, position + 1)));
+          } catch (error) {
+            // Malformed item; left for the full-response validation
+          }
+          itemStart = -1;
+        }
+      }
+    }
+
+    return items;
+  };
+
+  return { push };
+};
+
+module.exports = {
+  createArrayItemParser,
+};
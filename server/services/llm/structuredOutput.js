@@ -0,0 +1,107 @@
+const llm = require("./index");
+const { logger } = require("../../middleware/logging");
+
+const DEFAULT_MAX_REPAIRS = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS) || 2;
+
+// Longest previous response echoed back in a repair prompt
+const MAX_ECHOED_RESPONSE = 12000;
+
+// Strip markdown fences and any chatter around the outermost JSON object
+const parseJsonResponse = (text) => {
+  const cleaned = text.replace(/```json\n?/g, "").replace(/```\n?/g, "");
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start === -1 || end === -1) {
+    throw new Error("No JSON object found in response");
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+const buildRepairPrompt = (originalPrompt, previousText, errors) =>
+  `${originalPrompt}
+
+Your previous response did not match the required JSON format:
+${previousText.slice(0, MAX_ECHOED_RESPONSE)}
+
+It failed validation with these errors:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Return ONLY the corrected JSON object, with no markdown fences or commentary.`;
+
+/**
+ * Ask the model for JSON and re-prompt with the validation errors until the
+ * response passes `validate` or the repair budget runs out.
+ *
+ * Resolves to:
+ *   status   "generated" (valid first time), "repaired" or "failed"
+ *   data     the validated payload (null when failed)
+ *   errors   validation errors of the last attempt
+ *   attempts one { text, errors, provider, model, usage, latencyMs } entry
+ *            per call
+ *
+ * Pass `initialResult` (an llm.generate-shaped result obtained elsewhere,
+ * e.g. from a stream) to validate it as the first attempt instead of calling
+ * the model again.
+ */
+const generateStructured = async (
+  endpoint,
+  prompt,
+  { validate, maxRepairs = DEFAULT_MAX_REPAIRS, signal, initialResult } = {}
+) => {
+  const attempts = [];
+  let currentPrompt = prompt;
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const result =
+      attempt === 0 && initialResult
+        ? initialResult
+        : await llm.generate(endpoint, currentPrompt, { signal });
+
+    let data = null;
+    let errors;
+    try {
+      data = parseJsonResponse(result.text);
+      errors = validate ? validate(data) : [];
+    } catch (parseError) {
+      errors = [`Response is not valid JSON: ${parseError.message}`];
+    }
+
+    attempts.push({
+      text: result.text,
+      errors,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      latencyMs: result.latencyMs,
+    });
+
+    if (errors.length === 0) {
+      return {
+        status: attempt === 0 ? "generated" : "repaired",
+        data,
+        errors,
+        attempts,
+      };
+    }
+
+    logger.warn("AI response failed validation:", {
+      endpoint,
+      attempt: attempt + 1,
+      errors,
+    });
+
+    currentPrompt = buildRepairPrompt(prompt, result.text, errors);
+  }
+
+  return {
+    status: "failed",
+    data: null,
+    errors: attempts[attempts.length - 1].errors,
+    attempts,
+  };
+};
+
+module.exports = {
+  generateStructured,
+  parseJsonResponse,
+};
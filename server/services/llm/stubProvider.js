@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const { legForDay } = require("./itineraryLegs");
+
+// Size of the pieces generateStream replays the fixture in
+const STREAM_CHUNK_SIZE = 256;
+
+const FIXTURES_DIR =
+  process.env.LLM_STUB_FIXTURES_DIR || path.join(__dirname, "fixtures");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A stop in the route section of a multi-city prompt, as written by
+// generateItinerary v4: "2. Jaipur, India: days 3-4"
+const ROUTE_LINE = /^\d+\. (.+?)(?:, [^,:]+)?: days? (\d+)(?:-(\d+))?$/gm;
+
+// The trip an itinerary prompt asks for: its length ("a 5-day travel
+// itinerary", or the "duration" of the itinerary it revises) and the legs
+// of its route. Null for prompts that are not about a whole itinerary.
+const requestedTrip = (prompt) => {
+  const duration =
+    prompt.match(/(\d+)-day travel itinerary/)?.[1] ||
+    prompt.match(/"duration": (\d+)/)?.[1];
+  if (!duration) return null;
+
+  const legs = [...prompt.matchAll(ROUTE_LINE)].map(
+    ([, city, startDay, endDay]) => ({
+      city,
+      startDay: Number(startDay),
+      endDay: Number(endDay || startDay),
+    })
+  );
+  return { duration: Number(duration), legs };
+};
+
+// Repeat a fixture's days to fill `duration` days, numbered and dated in
+// order, with each day in its leg's city and a transfer between legs, so the
+// response passes validateItinerary for the trip that was asked for
+const fitItinerary = (fixture, { duration, legs = [] }) => {
+  const template = fixture.itinerary;
+  const firstDate = template[0].date && new Date(template[0].date).getTime();
+  const currency = fixture.totalEstimatedCost?.currency || "INR";
+
+  const itinerary = Array.from({ length: Number(duration) }, (_, index) => {
+    const day = {
+      ...template[index % template.length],
+      day: index + 1,
+      ...(firstDate && {
+        date: new Date(firstDate + index * DAY_MS).toISOString().slice(0, 10),
+      }),
+    };
+    const leg = legForDay(legs, index + 1);
+    return leg ? { ...day, city: leg.city } : day;
+  });
+
+  const transfers = legs.slice(1).map((leg, index) => ({
+    from: legs[index].city,
+    to: leg.city,
+    day: leg.startDay,
+    mode: "train",
+    departureTime: "09:00",
+    durationHours: 4,
+    cost: { amount: 1000, currency },
+  }));
+
+  const dayCosts = itinerary.reduce(
+    (sum, day) => sum + (day.totalDayCost?.amount || 0),
+    0
+  );
+  const transferCosts = transfers.reduce(
+    (sum, transfer) => sum + transfer.cost.amount,
+    0
+  );
+
+  return {
+    ...fixture,
+    duration: Number(duration),
+    ...(fixture.totalEstimatedCost && {
+      totalEstimatedCost: { amount: dayCosts + transferCosts, currency },
+    }),
+    ...(transfers.length > 0 && { transfers }),
+    itinerary,
+  };
+};
+
+// Deterministic offline provider: replies with the fixture named after the
+// endpoint (fixtures/<endpoint>.json) so the AI routes work without network.
+// Itinerary fixtures are fitted to the length and route the prompt asks for.
+class StubProvider {
+  constructor() {
+    this.name = "stub";
+    this.model = "stub-fixtures";
+  }
+
+  readFixture(endpoint, prompt) {
+    const fixturePath = path.join(FIXTURES_DIR, `${endpoint}.json`);
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No stub fixture for endpoint "${endpoint}"`);
+    }
+    const text = fs.readFileSync(fixturePath, "utf8");
+    const trip = requestedTrip(prompt);
+    if (!trip) return text;
+
+    const fixture = JSON.parse(text);
+    if (!Array.isArray(fixture.itinerary)) return text;
+    return JSON.stringify(fitItinerary(fixture, trip), null, 2);
+  }
+
+  async generate(prompt, { endpoint } = {}) {
+    return this.buildResult(this.readFixture(endpoint, prompt));
+  }
+
+  // Replays the fixture in fixed-size chunks, yielding to the event loop
+  // between them so cancellation behaves like a real upstream call
+  async generateStream(prompt, { endpoint, signal, onChunk } = {}) {
+    const text = this.readFixture(endpoint, prompt);
+
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+      if (signal?.aborted) {
+        const error = new Error("Stub stream aborted");
+        error.name = "AbortError";
+        throw error;
+      }
+      if (onChunk) onChunk(text.slice(i, i + STREAM_CHUNK_SIZE));
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    return this.buildResult(text);
+  }
+
+  buildResult(text) {
+    return {
+      text,
+      provider: this.name,
+      model: this.model,
+      usage: {
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+      },
+    };
+  }
+}
+
+module.exports = StubProvider;
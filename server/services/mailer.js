@@ -0,0 +1,39 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * Outgoing email over SMTP, configured with the EMAIL_* settings (see
+ * .env.example). Email is off while EMAIL_HOST is not set.
+ */
+
+let transporter = null;
+
+const isEmailEnabled = () => Boolean(process.env.EMAIL_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === "true",
+      auth: process.env.EMAIL_USER && {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    });
+  }
+  return transporter;
+};
+
+// Resolves with nodemailer's info, rejects when the server refuses the mail
+const sendEmail = ({ to, subject, text }) =>
+  getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    text,
+  });
+
+module.exports = {
+  isEmailEnabled,
+  sendEmail,
+};
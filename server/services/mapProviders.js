@@ -0,0 +1,218 @@
+const fs = require("fs");
+const axios = require("axios");
+const { logger } = require("../middleware/logging");
+const { schedule, resetSchedules } = require("./rateScheduler");
+
+/**
+ * Map provider configuration
+ *
+ * Each map capability is served by a list of providers, tried in order:
+ *   geocode         Nominatim-compatible /search (also used for place search)
+ *   reverseGeocode  Nominatim-compatible /reverse
+ *   poiSearch       Overpass-compatible /interpreter
+ *   routing         OSRM-compatible /route/v1
+ *
+ * A provider is { name, baseUrl, headers, params, timeout, rateLimit }.
+ * headers and params are added to every request, e.g. an auth header or an
+ * api_key; "${VAR}" in their values is replaced with the environment
+ * variable VAR so secrets can stay out of the file. rateLimit
+ * ({ perSecond, burst }) queues requests to the provider's host so it never
+ * gets more than its usage policy allows (see services/rateScheduler.js).
+ *
+ * The public OpenStreetMap services are the default. They are replaced by
+ *   MAPS_PROVIDERS_FILE  JSON file of { capability: [provider, ...] }; the
+ *                        capabilities it lists replace the defaults
+ *   MAPS_BASE_URL        one server for every capability, such as the mock
+ *                        server (npm run maps:mock); wins over both
+ *
+ * A request moves on to the next provider when one is unreachable, times
+ * out, is rate limited, refuses it (401/403) or fails (5xx).
+ */
+
+const CAPABILITIES = ["geocode", "reverseGeocode", "poiSearch", "routing"];
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Nominatim requires a descriptive User-Agent
+const userAgent = () =>
+  process.env.MAPS_USER_AGENT ||
+  "AI-TripPlanner/1.0 (Educational Project; Node.js Application)";
+
+// The public servers' usage policies: at most one request a second
+// (Overpass allows a couple of queries at once)
+const ONE_PER_SECOND = { perSecond: 1, burst: 1 };
+
+const DEFAULT_PROVIDERS = {
+  geocode: [
+    {
+      name: "nominatim",
+      baseUrl: "https://nominatim.openstreetmap.org",
+      headers: { Referer: "http://localhost:3000" },
+      rateLimit: ONE_PER_SECOND,
+    },
+    {
+      name: "geocode.maps.co",
+      baseUrl: "https://geocode.maps.co",
+      rateLimit: ONE_PER_SECOND,
+    },
+  ],
+  reverseGeocode: [
+    {
+      name: "nominatim",
+      baseUrl: "https://nominatim.openstreetmap.org",
+      rateLimit: ONE_PER_SECOND,
+    },
+  ],
+  poiSearch: [
+    {
+      name: "overpass",
+      baseUrl: "https://overpass-api.de/api",
+      rateLimit: { perSecond: 1, burst: 2 },
+    },
+  ],
+  routing: [
+    {
+      name: "osrm",
+      baseUrl: "https://router.project-osrm.org",
+      rateLimit: ONE_PER_SECOND,
+    },
+  ],
+};
+
+// Statuses after which the next provider is tried
+const shouldFallBack = (error) => {
+  const status = error.response?.status;
+  return (
+    !status ||
+    status === 401 ||
+    status === 403 ||
+    status === 429 ||
+    status >= 500
+  );
+};
+
+// "${VAR}" -> process.env.VAR in every value of an object
+const withEnv = (values = {}) =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      String(value).replace(
+        /\$\{(\w+)\}/g,
+        (match, name) => process.env[name] || ""
+      ),
+    ])
+  );
+
+const readProvidersFile = (file) => {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  Object.entries(config).forEach(([capability, providers]) => {
+    if (!CAPABILITIES.includes(capability)) {
+      throw new Error(
+        `Unknown map capability "${capability}" in ${file}. Expected one of: ${CAPABILITIES.join(
+          ", "
+        )}`
+      );
+    }
+    if (
+      !Array.isArray(providers) ||
+      providers.length === 0 ||
+      providers.some((provider) => !provider.baseUrl)
+    ) {
+      throw new Error(
+        `Map capability "${capability}" in ${file} needs a list of providers with a baseUrl`
+      );
+    }
+    providers.forEach((provider) => {
+      if (provider.rateLimit && !(provider.rateLimit.perSecond > 0)) {
+        throw new Error(
+          `Map provider "${provider.name}" in ${file} needs a positive rateLimit.perSecond`
+        );
+      }
+    });
+  });
+  return config;
+};
+
+/**
+ * Providers of every capability, from the environment
+ */
+const loadProviders = () => {
+  if (process.env.MAPS_BASE_URL) {
+    return Object.fromEntries(
+      CAPABILITIES.map((capability) => [
+        capability,
+        [{ name: "maps-base-url", baseUrl: process.env.MAPS_BASE_URL }],
+      ])
+    );
+  }
+
+  const file = process.env.MAPS_PROVIDERS_FILE;
+  return {
+    ...DEFAULT_PROVIDERS,
+    ...(file ? readProvidersFile(file) : {}),
+  };
+};
+
+// Loaded on first use, so configuration errors surface on the first map
+// request rather than at require time
+let providers = null;
+
+const getProviders = (capability) => {
+  if (!providers) providers = loadProviders();
+  return providers[capability];
+};
+
+/**
+ * Send a request for a capability, trying its providers in order.
+ * request: { method, path, params, data, headers } as for axios, with path
+ * relative to the provider's baseUrl. Resolves to { data, provider }.
+ */
+const mapRequest = async (capability, request) => {
+  const candidates = getProviders(capability);
+  let lastError;
+
+  for (const provider of candidates) {
+    try {
+      // Providers on the same host (Nominatim search and reverse) share a queue
+      await schedule(new URL(provider.baseUrl).host, provider.rateLimit);
+
+      const response = await axios({
+        method: request.method || "get",
+        url: `${provider.baseUrl.replace(/\/$/, "")}${request.path}`,
+        params: { ...request.params, ...withEnv(provider.params) },
+        data: request.data,
+        headers: {
+          "User-Agent": userAgent(),
+          ...request.headers,
+          ...withEnv(provider.headers),
+        },
+        timeout: provider.timeout || DEFAULT_TIMEOUT,
+      });
+      return { data: response.data, provider: provider.name };
+    } catch (error) {
+      lastError = error;
+      if (!shouldFallBack(error)) break;
+
+      logger.warn(`Map provider ${provider.name} failed for ${capability}`, {
+        status: error.response?.status,
+        message: error.message,
+      });
+    }
+  }
+
+  throw lastError;
+};
+
+// Forget the loaded configuration and rate limits, e.g. after changing the
+// environment
+const resetProviders = () => {
+  providers = null;
+  resetSchedules();
+};
+
+module.exports = {
+  CAPABILITIES,
+  getProviders,
+  mapRequest,
+  resetProviders,
+};
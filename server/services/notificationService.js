@@ -0,0 +1,244 @@
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { logger } = require("../middleware/logging");
+const { isEmailEnabled, sendEmail } = require("./mailer");
+const { userRoom } = require("./socketRooms");
+
+/**
+ * Notifications
+ *
+ * A notification is stored for one user and delivered on the channels the
+ * user chose for its type (User.notificationPreferences):
+ *   in-app  listed in the inbox (GET /api/notifications) and pushed to the
+ *           user's sockets as `notification`
+ *   email   sent over SMTP (services/mailer.js), when it is configured
+ *
+ * Types and what sends them:
+ *   trip-reminder        a trip starts in N days (services/tripReminders.js)
+ *   trip-edited          a collaborator saved a change to the trip
+ *   generation-finished  an itinerary the user asked the AI for is ready
+ *   trip-invitation      someone invited the user to a trip; addresses
+ *                        without an account get an email instead
+ *
+ * Sending never throws: a notification that cannot be delivered is logged
+ * and must not fail the change that caused it.
+ */
+
+// Key of each type in User.notificationPreferences
+const TYPE_PREFERENCES = {
+  "trip-reminder": "tripReminder",
+  "trip-edited": "tripEdited",
+  "generation-finished": "generationFinished",
+  "trip-invitation": "tripInvitation",
+};
+
+const MAX_MESSAGE_LENGTH = 300;
+
+let io = null;
+
+// Give the service the Socket.IO server for in-app delivery
+const initNotifications = (socketServer) => {
+  io = socketServer;
+};
+
+const truncate = (text) =>
+  text.length > MAX_MESSAGE_LENGTH
+    ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…`
+    : text;
+
+// Channels a user gets a type of notification on
+const channelsFor = (user, type) => {
+  const preference =
+    user.notificationPreferences?.[TYPE_PREFERENCES[type]] || {};
+  const channels = [];
+  if (preference.inApp !== false) channels.push("in-app");
+  if (preference.email && user.email && isEmailEnabled()) {
+    channels.push("email");
+  }
+  return channels;
+};
+
+const emailNotification = async (user, notification) => {
+  const url =
+    notification.link &&
+    `${process.env.CLIENT_URL || "http://localhost:3000"}${notification.link}`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: notification.title,
+      text: [
+        `Hi ${user.name},`,
+        "",
+        notification.message,
+        ...(url ? ["", url] : []),
+        "",
+        "You can choose which emails you get in your profile settings.",
+      ].join("\n"),
+    });
+    notification.emailedAt = new Date();
+  } catch (error) {
+    logger.error("Notification email failed:", {
+      notificationId: notification._id.toString(),
+      message: error.message,
+    });
+    notification.emailError = error.message;
+  }
+  await notification.save();
+};
+
+/**
+ * Store a notification for a user and deliver it
+ * `notification` is { type, title, message, trip?, link?, data?, dedupeKey? }.
+ * Resolves to the saved notification, or null when the user turned this
+ * type off, it was already sent (same dedupeKey) or it failed.
+ */
+const notify = async (userId, notification) => {
+  try {
+    const user = await User.findById(userId).select(
+      "name email notificationPreferences"
+    );
+    if (!user) return null;
+
+    const channels = channelsFor(user, notification.type);
+    if (channels.length === 0) return null;
+
+    const saved = await Notification.create({
+      ...notification,
+      message: truncate(notification.message),
+      user: user._id,
+      channels,
+    });
+
+    if (channels.includes("in-app") && io) {
+      io.to(userRoom(user._id)).emit("notification", saved.toJSON());
+    }
+    if (channels.includes("email")) {
+      await emailNotification(user, saved);
+    }
+    return saved;
+  } catch (error) {
+    // Duplicate dedupeKey: this one went out already
+    if (error.code === 11000) return null;
+
+    logger.error("Notification error:", {
+      type: notification.type,
+      userId: String(userId),
+      message: error.message,
+    });
+    return null;
+  }
+};
+
+// Owner and member ids of a trip, populated or not
+const tripAudience = (trip) =>
+  [trip.user, ...(trip.members || []).map((member) => member.user)]
+    .filter(Boolean)
+    .map((user) => String(user._id || user));
+
+/**
+ * Tell the other people on a trip that `editor` saved a change to it
+ * At most one notification per trip, editor and hour goes to each of them,
+ * so a burst of small edits does not turn into a burst of notifications but
+ * a second collaborator's edits are still reported.
+ */
+const notifyTripEdited = (trip, editor, summary) => {
+  const editorId = String(editor._id || editor.id);
+  const hour = new Date().toISOString().slice(0, 13);
+  const name = editor.name || "A collaborator";
+
+  return Promise.all(
+    tripAudience(trip)
+      .filter((userId) => userId !== editorId)
+      .map((userId) =>
+        notify(userId, {
+          type: "trip-edited",
+          title: `${trip.title} was changed`,
+          message: summary
+            ? `${name} changed ${trip.title}: ${summary}`
+            : `${name} changed ${trip.title}.`,
+          trip: trip._id,
+          link: `/trips/${trip._id}`,
+          data: { editor: { id: editorId, name }, summary },
+          dedupeKey: `trip-edited:${trip._id}:${editorId}:${hour}`,
+        })
+      )
+  );
+};
+
+/**
+ * Tell a user that the itinerary they asked for is ready
+ * `generation` is the generation info of the response ({ id, status }).
+ */
+const notifyGenerationFinished = (userId, generation, destination) => {
+  const fallback = generation.status === "fallback";
+
+  return notify(userId, {
+    type: "generation-finished",
+    title: fallback
+      ? `Your itinerary for ${destination} needs another try`
+      : `Your itinerary for ${destination} is ready`,
+    message: fallback
+      ? `The AI could not produce a complete itinerary for ${destination}, so a placeholder outline was returned. Try generating it again.`
+      : `Your AI itinerary for ${destination} has been generated. Review it and save it as a trip.`,
+    link: "/trip-planner",
+    data: { generationId: generation.id, status: generation.status },
+  });
+};
+
+/**
+ * Tell the person invited to a trip, by notification when the address has
+ * an account and otherwise by email. Resolves to whether it went out.
+ */
+const notifyTripInvitation = async (trip, invitation, inviter) => {
+  const name = inviter.name || "Someone";
+  const title = `${name} invited you to ${trip.title}`;
+  const message = `${name} invited you to join ${trip.title} as ${invitation.role}. The invitation is open until ${invitation.expiresAt.toDateString()}.`;
+
+  try {
+    const invitee = await User.findOne({ email: invitation.email }).select(
+      "_id"
+    );
+    if (invitee) {
+      const saved = await notify(invitee._id, {
+        type: "trip-invitation",
+        title,
+        message,
+        trip: trip._id,
+        link: "/trips",
+        data: { invitationId: invitation._id, role: invitation.role },
+        dedupeKey: `trip-invitation:${invitation._id}`,
+      });
+      return Boolean(saved);
+    }
+
+    if (!isEmailEnabled()) return false;
+    await sendEmail({
+      to: invitation.email,
+      subject: title,
+      text: [
+        message,
+        "",
+        `Sign up with this email address to accept it: ${
+          process.env.CLIENT_URL || "http://localhost:3000"
+        }/register`,
+      ].join("\n"),
+    });
+    return true;
+  } catch (error) {
+    logger.error("Invitation delivery failed:", {
+      invitationId: invitation._id.toString(),
+      message: error.message,
+    });
+    return false;
+  }
+};
+
+module.exports = {
+  TYPE_PREFERENCES,
+  initNotifications,
+  notify,
+  notifyTripEdited,
+  notifyGenerationFinished,
+  notifyTripInvitation,
+};
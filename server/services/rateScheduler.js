@@ -0,0 +1,83 @@
+/**
+ * Request rate scheduler
+ *
+ * One token bucket per upstream server, shared by every request the process
+ * makes to it: a request takes a token and waits, in arrival order, while
+ * the bucket is empty. The bucket holds up to `burst` tokens and gains
+ * `perSecond` of them each second, so a server sees at most `burst` requests
+ * at once and `perSecond` on average however many users are searching.
+ */
+
+class TokenBucket {
+  constructor({ perSecond, burst = 1 }) {
+    this.perSecond = perSecond;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.refilledAt = Date.now();
+    this.waiting = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.refilledAt) / 1000) * this.perSecond
+    );
+    this.refilledAt = now;
+  }
+
+  // Resolves once a token has been taken
+  take() {
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+      // With a timer set, earlier requests are already waiting in line
+      if (!this.timer) this.drain();
+    });
+  }
+
+  drain() {
+    this.timer = null;
+    this.refill();
+    while (this.waiting.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiting.shift()();
+    }
+
+    if (this.waiting.length > 0 && !this.timer) {
+      const wait = ((1 - this.tokens) / this.perSecond) * 1000;
+      this.timer = setTimeout(() => this.drain(), Math.ceil(wait));
+    }
+  }
+
+  // Requests waiting for a token
+  get queued() {
+    return this.waiting.length;
+  }
+}
+
+const buckets = new Map(); // key -> TokenBucket
+
+/**
+ * Wait for a turn at `key` (e.g. a host name). rateLimit is
+ * { perSecond, burst }; without one the request goes straight through.
+ * The first rateLimit given for a key is the one used.
+ */
+const schedule = (key, rateLimit) => {
+  if (!rateLimit || !(rateLimit.perSecond > 0)) return Promise.resolve();
+
+  if (!buckets.has(key)) buckets.set(key, new TokenBucket(rateLimit));
+  return buckets.get(key).take();
+};
+
+// Forget every bucket, e.g. after the map providers are reloaded. Requests
+// still waiting are let through.
+const resetSchedules = () => {
+  buckets.forEach((bucket) => {
+    clearTimeout(bucket.timer);
+    bucket.waiting.splice(0).forEach((resolve) => resolve());
+  });
+  buckets.clear();
+};
+
+module.exports = { TokenBucket, schedule, resetSchedules };
@@ -0,0 +1,22 @@
+const fs = require("fs");
+const path = require("path");
+
+// Receipts are private to a trip's members, so they are kept out of the
+// public /uploads folder and served through the expenses API
+const RECEIPTS_DIR =
+  process.env.RECEIPTS_DIR || path.join(__dirname, "../storage/receipts");
+
+// Path of a stored receipt
+const receiptPath = (filename) => path.join(RECEIPTS_DIR, filename);
+
+// Delete a stored receipt; a file that is already gone is fine
+const removeReceipt = (filename) =>
+  fs.promises.unlink(receiptPath(filename)).catch((error) => {
+    if (error.code !== "ENOENT") throw error;
+  });
+
+module.exports = {
+  RECEIPTS_DIR,
+  receiptPath,
+  removeReceipt,
+};
@@ -0,0 +1,538 @@
+const mongoose = require("mongoose");
+const Trip = require("../models/Trip");
+const User = require("../models/User");
+const { logger } = require("../middleware/logging");
+const { preferredCurrency, createConverter } = require("./currencyService");
+
+const DEFAULT_CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const DEFAULT_LIMIT = 3;
+
+// Saved destinations closer than this count as "nearby"
+const NEARBY_KM = 1500;
+
+// Candidate destinations. Interests and travel styles use the same enums as
+// Trip.preferences so they can be matched against trip history directly.
+// Costs are per person in CATALOG_CURRENCY and are converted to the user's
+// currency for budgets and display.
+const CATALOG_CURRENCY = "INR";
+
+const DESTINATIONS = [
+  {
+    destination: "Paris, France",
+    country: "France",
+    coordinates: { lat: 48.8566, lng: 2.3522 },
+    highlights: "Eiffel Tower, Louvre Museum, Seine River Cruise",
+    duration: 5,
+    estimatedCost: { min: 80000, max: 150000, currency: "INR" },
+    interests: ["culture", "history", "food", "shopping"],
+    travelStyles: ["luxury", "cultural"],
+  },
+  {
+    destination: "Tokyo, Japan",
+    country: "Japan",
+    coordinates: { lat: 35.6762, lng: 139.6503 },
+    highlights: "Mount Fuji, Ancient Temples, Cherry Blossoms",
+    duration: 6,
+    estimatedCost: { min: 90000, max: 180000, currency: "INR" },
+    interests: ["culture", "food", "shopping", "nightlife"],
+    travelStyles: ["cultural", "adventure", "luxury"],
+  },
+  {
+    destination: "Bali, Indonesia",
+    country: "Indonesia",
+    coordinates: { lat: -8.3405, lng: 115.092 },
+    highlights: "Pristine Beaches, Sacred Temples, Rice Terraces",
+    duration: 4,
+    estimatedCost: { min: 40000, max: 80000, currency: "INR" },
+    interests: ["relaxation", "nature", "culture"],
+    travelStyles: ["relaxation", "budget"],
+  },
+  {
+    destination: "Dubai, UAE",
+    country: "UAE",
+    coordinates: { lat: 25.2048, lng: 55.2708 },
+    highlights: "Burj Khalifa, Desert Safari, Luxury Shopping",
+    duration: 4,
+    estimatedCost: { min: 60000, max: 120000, currency: "INR" },
+    interests: ["shopping", "adventure", "nightlife"],
+    travelStyles: ["luxury"],
+  },
+  {
+    destination: "Goa, India",
+    country: "India",
+    coordinates: { lat: 15.2993, lng: 74.124 },
+    highlights: "Golden Beaches, Portuguese Heritage, Vibrant Nightlife",
+    duration: 3,
+    estimatedCost: { min: 15000, max: 35000, currency: "INR" },
+    interests: ["relaxation", "nightlife", "food"],
+    travelStyles: ["budget", "relaxation"],
+  },
+  {
+    destination: "Maldives",
+    country: "Maldives",
+    coordinates: { lat: 3.2028, lng: 73.2207 },
+    highlights: "Overwater Villas, Coral Reefs, Luxury Resorts",
+    duration: 5,
+    estimatedCost: { min: 100000, max: 250000, currency: "INR" },
+    interests: ["relaxation", "nature"],
+    travelStyles: ["luxury", "relaxation"],
+  },
+  {
+    destination: "Santorini, Greece",
+    country: "Greece",
+    coordinates: { lat: 36.3932, lng: 25.4615 },
+    highlights: "White-washed Buildings, Sunset Views, Aegean Sea",
+    duration: 4,
+    estimatedCost: { min: 70000, max: 140000, currency: "INR" },
+    interests: ["relaxation", "culture", "food"],
+    travelStyles: ["luxury", "relaxation"],
+  },
+  {
+    destination: "New York, USA",
+    country: "USA",
+    coordinates: { lat: 40.7128, lng: -74.006 },
+    highlights: "Statue of Liberty, Times Square, Central Park",
+    duration: 6,
+    estimatedCost: { min: 120000, max: 220000, currency: "INR" },
+    interests: ["culture", "shopping", "nightlife", "food"],
+    travelStyles: ["luxury", "cultural"],
+  },
+  {
+    destination: "Jaipur, India",
+    country: "India",
+    coordinates: { lat: 26.9124, lng: 75.7873 },
+    highlights: "Pink City, Amber Fort, Royal Palaces",
+    duration: 3,
+    estimatedCost: { min: 12000, max: 30000, currency: "INR" },
+    interests: ["history", "culture", "shopping"],
+    travelStyles: ["cultural", "budget"],
+  },
+  {
+    destination: "Barcelona, Spain",
+    country: "Spain",
+    coordinates: { lat: 41.3874, lng: 2.1686 },
+    highlights: "Sagrada Familia, Gothic Quarter, Mediterranean Beaches",
+    duration: 5,
+    estimatedCost: { min: 75000, max: 145000, currency: "INR" },
+    interests: ["culture", "history", "food", "nightlife"],
+    travelStyles: ["cultural", "relaxation"],
+  },
+  {
+    destination: "Singapore",
+    country: "Singapore",
+    coordinates: { lat: 1.3521, lng: 103.8198 },
+    highlights: "Marina Bay Sands, Gardens by the Bay, Hawker Centers",
+    duration: 4,
+    estimatedCost: { min: 55000, max: 110000, currency: "INR" },
+    interests: ["food", "shopping", "nature"],
+    travelStyles: ["luxury", "cultural"],
+  },
+  {
+    destination: "Kerala, India",
+    country: "India",
+    coordinates: { lat: 10.8505, lng: 76.2711 },
+    highlights: "Backwaters, Hill Stations, Ayurvedic Retreats",
+    duration: 5,
+    estimatedCost: { min: 20000, max: 45000, currency: "INR" },
+    interests: ["nature", "relaxation", "food"],
+    travelStyles: ["relaxation", "budget"],
+  },
+  {
+    destination: "London, England",
+    country: "England",
+    coordinates: { lat: 51.5074, lng: -0.1278 },
+    highlights: "Big Ben, British Museum, Thames River",
+    duration: 5,
+    estimatedCost: { min: 95000, max: 175000, currency: "INR" },
+    interests: ["history", "culture", "shopping"],
+    travelStyles: ["cultural", "luxury"],
+  },
+  {
+    destination: "Phuket, Thailand",
+    country: "Thailand",
+    coordinates: { lat: 7.8804, lng: 98.3923 },
+    highlights: "Tropical Beaches, Island Hopping, Thai Cuisine",
+    duration: 5,
+    estimatedCost: { min: 45000, max: 90000, currency: "INR" },
+    interests: ["relaxation", "food", "nightlife", "adventure"],
+    travelStyles: ["budget", "relaxation", "adventure"],
+  },
+  {
+    destination: "Manali, India",
+    country: "India",
+    coordinates: { lat: 32.2432, lng: 77.1892 },
+    highlights: "Snow-capped Mountains, Adventure Sports, Himalayan Views",
+    duration: 4,
+    estimatedCost: { min: 18000, max: 40000, currency: "INR" },
+    interests: ["adventure", "nature"],
+    travelStyles: ["adventure", "budget"],
+  },
+];
+
+// How much each signal contributes to a destination's score
+const WEIGHTS = {
+  savedDestination: 5,
+  interest: 2, // per shared interest, scaled by how often it appears
+  travelStyle: 2,
+  nearbySaved: 1.5,
+  visitedCountry: 1,
+  budget: 1.5,
+  duration: 0.5,
+};
+
+const normalize = (value) => (value || "").toString().trim().toLowerCase();
+
+// "Paris, France" -> "paris"
+const cityOf = (destination) => normalize(destination.split(",")[0]);
+
+const formatList = (items) =>
+  items.length <= 1
+    ? items.join("")
+    : `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Math.round(amount).toLocaleString("en-US")}`;
+
+// Personalized destination recommendations built from a user's trip
+// history, profile preferences and saved destinations
+class RecommendationService {
+  constructor() {
+    this.ttl =
+      parseInt(process.env.RECOMMENDATIONS_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS;
+    this.cache = new Map(); // userId -> { data, generatedAt, expiresAt }
+  }
+
+  // Cached recommendations for a user, rebuilt when missing or expired
+  async getForUser(userId, { limit = DEFAULT_LIMIT } = {}) {
+    const key = userId.toString();
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached, data: cached.data.slice(0, limit), cached: true };
+    }
+
+    const data = await this.build(userId);
+    const entry = {
+      data,
+      generatedAt: new Date(),
+      expiresAt: Date.now() + this.ttl,
+    };
+    this.pruneExpired();
+    this.cache.set(key, entry);
+
+    return { ...entry, data: data.slice(0, limit), cached: false };
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= now) this.cache.delete(key);
+    }
+  }
+
+  // Drop a user's cached recommendations (refresh route, trip changes)
+  invalidate(userId) {
+    this.cache.delete(userId.toString());
+  }
+
+  // Aggregate the signals used for scoring, from the trips the user owns or
+  // is a member of. Every city of a multi-city trip counts as visited.
+  async collectSignals(userId) {
+    const id = new mongoose.Types.ObjectId(userId.toString());
+    const [user, history] = await Promise.all([
+      User.findById(userId).select("preferences savedDestinations"),
+      Trip.aggregate([
+        { $match: { $or: [{ user: id }, { "members.user": id }] } },
+        {
+          $facet: {
+            destinations: [
+              {
+                $project: {
+                  places: {
+                    $cond: [
+                      { $gt: [{ $size: { $ifNull: ["$legs", []] } }, 0] },
+                      "$legs",
+                      ["$destination"],
+                    ],
+                  },
+                },
+              },
+              { $unwind: "$places" },
+              {
+                $group: {
+                  _id: {
+                    city: { $toLower: "$places.city" },
+                    country: { $toLower: "$places.country" },
+                  },
+                  trips: { $sum: 1 },
+                },
+              },
+            ],
+            travelStyles: [
+              { $group: { _id: "$preferences.travelStyle", trips: { $sum: 1 } } },
+              { $sort: { trips: -1 } },
+            ],
+            interests: [
+              { $unwind: "$preferences.interests" },
+              { $group: { _id: "$preferences.interests", trips: { $sum: 1 } } },
+              { $sort: { trips: -1 } },
+            ],
+            averages: [
+              {
+                $group: {
+                  _id: null,
+                  trips: { $sum: 1 },
+                  duration: { $avg: "$preferences.duration" },
+                },
+              },
+            ],
+            budgets: [
+              { $match: { "preferences.budget.max": { $gt: 0 } } },
+              {
+                $group: {
+                  _id: "$preferences.budget.currency",
+                  total: { $sum: "$preferences.budget.max" },
+                  trips: { $sum: 1 },
+                },
+              },
+            ],
+          },
+        },
+      ]),
+    ]);
+
+    const facets = history[0] || {};
+    const averages = facets.averages?.[0] || { trips: 0 };
+    const preferences = user?.preferences || {};
+    const currency = preferredCurrency(user);
+    const budgets = facets.budgets || [];
+    const converter = await createConverter([
+      currency,
+      CATALOG_CURRENCY,
+      ...budgets.map((budget) => budget._id),
+    ]);
+
+    // Average budget of past trips in the user's currency; budgets without
+    // a rate are left out
+    const pastBudgets = budgets.reduce(
+      (sum, budget) => {
+        const conversion = converter.convert(
+          budget.total,
+          budget._id || currency,
+          currency
+        );
+        if (!conversion) return sum;
+        return {
+          total: sum.total + conversion.amount,
+          trips: sum.trips + budget.trips,
+        };
+      },
+      { total: 0, trips: 0 }
+    );
+
+    let budgetMax = pastBudgets.trips
+      ? pastBudgets.total / pastBudgets.trips
+      : null;
+    let budgetSource = "your past trips";
+    if (preferences.budgetRange?.max) {
+      budgetMax = preferences.budgetRange.max;
+      budgetSource = "your profile";
+    }
+
+    return {
+      tripCount: averages.trips || 0,
+      visitedCities: new Set(
+        (facets.destinations || []).map((entry) => entry._id.city)
+      ),
+      visitedCountries: new Set(
+        (facets.destinations || []).map((entry) => entry._id.country)
+      ),
+      interests: (facets.interests || []).map((entry) => ({
+        name: entry._id,
+        trips: entry.trips,
+      })),
+      tripStyle: facets.travelStyles?.[0]?._id || null,
+      profileStyle: preferences.travelStyle || null,
+      averageDuration: averages.duration
+        ? Math.round(averages.duration)
+        : null,
+      currency,
+      converter,
+      budgetMax,
+      budgetSource,
+      savedDestinations: user?.savedDestinations || [],
+    };
+  }
+
+  async build(userId) {
+    const signals = await this.collectSignals(userId);
+
+    const scored = DESTINATIONS.filter(
+      (candidate) => !signals.visitedCities.has(cityOf(candidate.destination))
+    ).map((candidate) => this.score(candidate, signals));
+
+    const personalized = scored.some((item) => item.score > 0);
+    const ranked = scored.sort((a, b) => b.score - a.score);
+
+    logger.info("Recommendations built:", {
+      userId: userId.toString(),
+      trips: signals.tripCount,
+      personalized,
+    });
+
+    return ranked.map(({ candidate, score, reasons }) => {
+      const { interests, travelStyles, coordinates, country, ...item } =
+        candidate;
+
+      let why = reasons;
+      if (!why.length) {
+        why = [
+          personalized
+            ? {
+                signal: "discovery",
+                text: "Something different from your usual trips.",
+              }
+            : {
+                signal: "popular",
+                text: "A popular pick with travellers. Plan or save a few trips to get recommendations tailored to you.",
+              },
+        ];
+      }
+
+      return {
+        ...item,
+        localCost: localCost(candidate, signals),
+        score: Math.round(score * 10) / 10,
+        reasons: why,
+        whyRecommended: why
+          .slice(0, 2)
+          .map((reason) => reason.text)
+          .join(" "),
+      };
+    });
+  }
+
+  // Score one candidate; every reason names the signal that produced it
+  score(candidate, signals) {
+    let score = 0;
+    const reasons = [];
+    const city = cityOf(candidate.destination);
+
+    const saved = signals.savedDestinations.find(
+      (destination) => cityOf(destination.name) === city
+    );
+    if (saved) {
+      score += WEIGHTS.savedDestination;
+      reasons.push({
+        signal: "savedDestination",
+        text: `You saved ${saved.name} to your destinations.`,
+      });
+    } else {
+      const nearby = signals.savedDestinations.find(
+        (destination) =>
+          destination.coordinates &&
+          distanceKm(destination.coordinates, candidate.coordinates) <=
+            NEARBY_KM
+      );
+      if (nearby) {
+        score += WEIGHTS.nearbySaved;
+        reasons.push({
+          signal: "nearbySavedDestination",
+          text: `It's close to ${nearby.name}, which you saved.`,
+        });
+      }
+    }
+
+    const sharedInterests = signals.interests.filter((interest) =>
+      candidate.interests.includes(interest.name)
+    );
+    if (sharedInterests.length && signals.tripCount) {
+      sharedInterests.forEach((interest) => {
+        score += WEIGHTS.interest * (interest.trips / signals.tripCount);
+      });
+      reasons.push({
+        signal: "interests",
+        text: `Great for ${formatList(
+          sharedInterests.slice(0, 3).map((interest) => interest.name)
+        )}, which you picked on past trips.`,
+      });
+    }
+
+    const style = signals.profileStyle || signals.tripStyle;
+    if (style && candidate.travelStyles.includes(style)) {
+      score += WEIGHTS.travelStyle;
+      reasons.push({
+        signal: "travelStyle",
+        text: `Suits your ${style} travel style${
+          signals.profileStyle ? "" : " from past trips"
+        }.`,
+      });
+    }
+
+    if (signals.visitedCountries.has(normalize(candidate.country))) {
+      score += WEIGHTS.visitedCountry;
+      reasons.push({
+        signal: "visitedCountry",
+        text: `Another side of ${candidate.country}, where you've planned trips before.`,
+      });
+    }
+
+    const cost = localCost(candidate, signals);
+    if (signals.budgetMax && cost && cost.min <= signals.budgetMax) {
+      score += WEIGHTS.budget;
+      reasons.push({
+        signal: "budget",
+        text: `Starts at ${formatMoney(
+          cost.min,
+          cost.currency
+        )}, within the ${formatMoney(
+          signals.budgetMax,
+          signals.currency
+        )} budget from ${signals.budgetSource}.`,
+      });
+    }
+
+    if (
+      signals.averageDuration &&
+      Math.abs(candidate.duration - signals.averageDuration) <= 1
+    ) {
+      score += WEIGHTS.duration;
+      reasons.push({
+        signal: "duration",
+        text: `Fits your usual ${signals.averageDuration}-day trips.`,
+      });
+    }
+
+    return { candidate, score, reasons };
+  }
+}
+
+// A candidate's estimated cost in the user's currency at today's rate, with
+// the rate used; null when there is no rate
+function localCost(candidate, { currency, converter }) {
+  const { min, max, currency: from } = candidate.estimatedCost;
+  const rate = converter.rate(from, currency);
+  if (!rate) return null;
+  return {
+    min: Math.round(min * rate.rate),
+    max: Math.round(max * rate.rate),
+    currency,
+    rate: rate.rate,
+    rateDate: rate.rateDate,
+  };
+}
+
+// Haversine distance in km
+function distanceKm(from, to) {
+  const toRadians = (deg) => deg * (Math.PI / 180);
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = new RecommendationService();
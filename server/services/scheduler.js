@@ -0,0 +1,42 @@
+const cron = require("node-cron");
+const { logger } = require("../middleware/logging");
+
+/**
+ * Run `run` on the cron expression in the `envVar` environment variable
+ * (`defaultSchedule` when unset, "off" to disable) and once straight away.
+ * A tick is skipped while the previous run is still going, and errors are
+ * logged. Returns the cron task, or null when the job is not scheduled.
+ */
+const scheduleJob = ({ name, envVar, defaultSchedule, run }) => {
+  const schedule = process.env[envVar] || defaultSchedule;
+  if (schedule === "off") {
+    logger.info(`${name} scheduler disabled`);
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid ${envVar}, ${name} scheduler not started:`, {
+      schedule,
+    });
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      logger.error(`${name} run failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const task = cron.schedule(schedule, tick);
+  tick();
+  logger.info(`${name} scheduler started:`, { schedule });
+  return task;
+};
+
+module.exports = { scheduleJob };
@@ -0,0 +1,18 @@
+// Socket.IO room names: one per trip for the people viewing it, and one per
+// user for each of their connected sockets
+const tripRoom = (tripId) => `trip-${tripId}`;
+const userRoom = (userId) => `user-${userId}`;
+
+/**
+ * Send an event to the owner and members of a trip, wherever they are in
+ * the app, and to everyone viewing it. Each socket gets it once.
+ */
+const emitToTripUsers = (io, trip, event, payload) => {
+  const userIds = [trip.user, ...(trip.members || []).map((m) => m.user)]
+    .filter(Boolean)
+    .map((user) => user._id || user);
+
+  io.to([tripRoom(trip._id), ...userIds.map(userRoom)]).emit(event, payload);
+};
+
+module.exports = { tripRoom, userRoom, emitToTripUsers };
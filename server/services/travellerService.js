@@ -0,0 +1,98 @@
+const Trip = require("../models/Trip");
+const User = require("../models/User");
+
+/**
+ * Travellers
+ *
+ * trip.travellers are the people who pay for and share a trip's expenses.
+ * The owner and every member are travellers, linked through `user`; others
+ * (a partner without an account, the kids) are added by name. A traveller
+ * added with an email is linked to the account that joins the trip with
+ * that email, so their expenses and balance carry over.
+ *
+ * Travellers are kept in step when the people on a trip change (the trip is
+ * created or cloned, an invitation is accepted), not when it is read. People
+ * who leave a trip stay travellers: their expenses and payments still count.
+ */
+
+// Traveller entry for an account holder
+const accountTraveller = (user) => ({
+  name: user.name,
+  email: user.email,
+  user: user._id,
+});
+
+// Traveller of a trip by traveller id or, for account holders, user id
+const findTraveller = (trip, id) => {
+  if (!id) return null;
+  const key = String(id);
+  return (
+    (trip.travellers || []).find(
+      (traveller) =>
+        String(traveller._id) === key ||
+        (traveller.user && String(traveller.user) === key)
+    ) || null
+  );
+};
+
+/**
+ * Add an account holder who joined trip tripId as a traveller, linking the
+ * traveller invited with their email if there is one. Conditional updates,
+ * so joining twice does not add them twice.
+ */
+const addAccountTraveller = async (tripId, user) => {
+  const linked = await Trip.updateOne(
+    {
+      _id: tripId,
+      "travellers.user": { $ne: user._id },
+      travellers: { $elemMatch: { email: user.email, user: null } },
+    },
+    { $set: { "travellers.$.user": user._id } }
+  );
+  if (linked.modifiedCount > 0) return;
+
+  await Trip.updateOne(
+    { _id: tripId, "travellers.user": { $ne: user._id } },
+    { $push: { travellers: accountTraveller(user) } }
+  );
+};
+
+/**
+ * Make sure the owner and every member are travellers of the trip, linking
+ * travellers with their email first. Saves the trip when it changed. Used
+ * by scripts/syncTripTravellers.js for trips from before travellers.
+ */
+const syncAccountTravellers = async (trip) => {
+  const userIds = [trip.user, ...trip.members.map((member) => member.user)]
+    .filter(Boolean)
+    .map((user) => String(user._id || user));
+  const missing = userIds.filter(
+    (userId) =>
+      !trip.travellers.some(
+        (traveller) => traveller.user && String(traveller.user) === userId
+      )
+  );
+  if (missing.length === 0) return trip;
+
+  const users = await User.find({ _id: { $in: missing } }).select("name email");
+  users.forEach((user) => {
+    const invited = trip.travellers.find(
+      (traveller) => !traveller.user && traveller.email === user.email
+    );
+    if (invited) {
+      invited.user = user._id;
+    } else {
+      trip.travellers.push(accountTraveller(user));
+    }
+  });
+
+  await trip.save();
+  return trip;
+};
+
+module.exports = {
+  accountTraveller,
+  addAccountTraveller,
+  findTraveller,
+  syncAccountTravellers,
+};
@@ -0,0 +1,170 @@
+const { EventEmitter } = require("events");
+const Trip = require("../models/Trip");
+const { logger } = require("../middleware/logging");
+const { emitToTripUsers } = require("./socketRooms");
+const { scheduleJob } = require("./scheduler");
+
+/**
+ * Trip lifecycle
+ *
+ *   draft --(itinerary planned)--> upcoming --(start date)--> ongoing
+ *         --(day after the end date)--> completed
+ *
+ * Dates are calendar days in the owner's timezone (preferences.timezone), so
+ * a trip is ongoing from midnight of its first day there until the end of
+ * its last. Cancelled and completed trips are left alone.
+ *
+ * A scheduled job applies the transitions that are due. Each one is emitted
+ * as `transition` { trip, from, to } on lifecycleEvents and sent as
+ * `trip-status` { tripId, title, status, previousStatus } to the trip's
+ * owner, members and viewers over Socket.IO.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SCHEDULE = "*/15 * * * *";
+const ACTIVE_STATUSES = ["draft", "upcoming", "ongoing"];
+
+const lifecycleEvents = new EventEmitter();
+
+// YYYY-MM-DD of `date` in `timeZone`, or in UTC if the zone is unknown
+const localDate = (date, timeZone = "UTC") => {
+  try {
+    return new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(date);
+  } catch (error) {
+    return date.toISOString().slice(0, 10);
+  }
+};
+
+// Trip dates are stored as midnight UTC of the chosen day
+const calendarDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Status a trip should have on `now` in the owner's timezone
+ */
+const lifecycleStatus = (trip, timeZone, now = new Date()) => {
+  if (!ACTIVE_STATUSES.includes(trip.status)) return trip.status;
+
+  const planned = trip.itinerary?.days?.length > 0;
+  if (trip.status === "draft" && !planned) return "draft";
+  if (!trip.startDate) return "upcoming";
+
+  const today = localDate(now, timeZone);
+  if (today > calendarDay(trip.endDate || trip.startDate)) return "completed";
+  if (today >= calendarDay(trip.startDate)) return "ongoing";
+  return "upcoming";
+};
+
+/**
+ * Move a trip to the status it should have, unless its status changed in
+ * the meantime. Resolves to the updated trip, or null when nothing changed.
+ */
+const applyTransition = async (io, trip, timeZone, now = new Date()) => {
+  const from = trip.status;
+  const to = lifecycleStatus(trip, timeZone, now);
+  if (to === from) return null;
+
+  // Not a content change, so the version stays as it is
+  const updated = await Trip.findOneAndUpdate(
+    { _id: trip._id, status: from },
+    { $set: { status: to } },
+    { new: true }
+  ).select("user members title status");
+  if (!updated) return null;
+
+  logger.info("Trip status changed:", {
+    tripId: updated._id.toString(),
+    from,
+    to,
+  });
+  lifecycleEvents.emit("transition", { trip: updated, from, to });
+  if (io) {
+    emitToTripUsers(io, updated, "trip-status", {
+      tripId: updated._id.toString(),
+      title: updated.title,
+      status: to,
+      previousStatus: from,
+    });
+  }
+  return updated;
+};
+
+/**
+ * Apply every transition that is due
+ * Only trips that could be due in some timezone are loaded: planned drafts,
+ * and upcoming or ongoing trips whose dates are less than a day away.
+ */
+const runTripLifecycle = async (io, now = new Date()) => {
+  const soon = new Date(now.getTime() + DAY_MS);
+  const trips = await Trip.find({
+    $or: [
+      { status: "draft", "itinerary.days.0": { $exists: true } },
+      { status: "upcoming", startDate: { $lte: soon } },
+      { status: "ongoing", endDate: { $lt: soon } },
+      { status: "ongoing", endDate: null, startDate: { $lt: soon } },
+    ],
+  })
+    .select("user members title status startDate endDate itinerary.days.day")
+    .populate("user", "preferences.timezone");
+
+  let changed = 0;
+  for (const trip of trips) {
+    try {
+      const timeZone = trip.user?.preferences?.timezone;
+      if (await applyTransition(io, trip, timeZone, now)) changed += 1;
+    } catch (error) {
+      logger.error("Trip lifecycle error:", {
+        tripId: trip._id.toString(),
+        message: error.message,
+      });
+    }
+  }
+  return { checked: trips.length, changed };
+};
+
+/**
+ * Bring one trip's status up to date, e.g. right after its dates or
+ * itinerary were saved. Resolves to the new status, or null.
+ */
+const refreshTripStatus = async (io, tripId) => {
+  const trip = await Trip.findById(tripId)
+    .select("user members title status startDate endDate itinerary.days.day")
+    .populate("user", "preferences.timezone");
+  if (!trip) return null;
+
+  const updated = await applyTransition(
+    io,
+    trip,
+    trip.user?.preferences?.timezone
+  );
+  return updated ? updated.status : null;
+};
+
+/**
+ * Run the lifecycle job on TRIP_LIFECYCLE_CRON (default every 15 minutes,
+ * "off" to disable) and once straight away. Returns the cron task, or null.
+ */
+const startTripLifecycleScheduler = (io) =>
+  scheduleJob({
+    name: "Trip lifecycle",
+    envVar: "TRIP_LIFECYCLE_CRON",
+    defaultSchedule: DEFAULT_SCHEDULE,
+    run: async () => {
+      const result = await runTripLifecycle(io);
+      if (result.changed > 0) logger.info("Trip lifecycle run:", result);
+    },
+  });
+
+module.exports = {
+  lifecycleEvents,
+  lifecycleStatus,
+  localDate,
+  calendarDay,
+  runTripLifecycle,
+  refreshTripStatus,
+  startTripLifecycleScheduler,
+};
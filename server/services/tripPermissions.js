@@ -0,0 +1,116 @@
+const Trip = require("../models/Trip");
+
+/**
+ * Trip permissions
+ *
+ * A trip's `user` is its owner; other users get a role through
+ * `trip.members`. What each role may do:
+ *
+ *   view    read the trip and its members           every role
+ *   edit    change the trip, its days and chat      owner, co-owner, editor
+ *   manage  invite, change roles, remove members    owner, co-owner
+ *   delete  delete the trip                         owner
+ *
+ * Anyone may view a public trip.
+ */
+
+const ROLE_PERMISSIONS = {
+  owner: ["view", "edit", "manage", "delete"],
+  "co-owner": ["view", "edit", "manage"],
+  editor: ["view", "edit"],
+  viewer: ["view"],
+};
+
+const DENIED_MESSAGES = {
+  view: "Not authorized to access this trip",
+  edit: "Not authorized to update this trip",
+  manage: "Not authorized to manage members of this trip",
+  delete: "Not authorized to delete this trip",
+};
+
+// Works whether or not the reference is populated
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// "owner", a member role, or null when the user has no role on the trip
+const getTripRole = (trip, userId) => {
+  if (!userId) return null;
+  if (idOf(trip.user) === String(userId)) return "owner";
+
+  const member = (trip.members || []).find(
+    (candidate) => idOf(candidate.user) === String(userId)
+  );
+  return member ? member.role : null;
+};
+
+const hasTripPermission = (trip, userId, permission) => {
+  const role = getTripRole(trip, userId);
+  if (role && ROLE_PERMISSIONS[role].includes(permission)) return true;
+  return permission === "view" && Boolean(trip.isPublic);
+};
+
+// Only the owner may hand out (or take away) co-ownership
+const canAssignRole = (actorRole, role) =>
+  actorRole === "owner" || role !== "co-owner";
+
+/**
+ * Load a trip and check the caller may `permission` it
+ *
+ * `prepare` adjusts the query (populate, select, lean). Sends the 404/403
+ * response and resolves to null when the trip is missing or off limits.
+ * Invalid ids throw a CastError, which callers already map to 404.
+ */
+const findTripWithPermission = async (
+  req,
+  res,
+  permission,
+  { tripId = req.params.id, prepare, message } = {}
+) => {
+  let query = Trip.findById(tripId);
+  if (prepare) query = prepare(query);
+  const trip = await query;
+
+  if (!trip) {
+    res.status(404).json({ success: false, message: "Trip not found" });
+    return null;
+  }
+
+  if (!hasTripPermission(trip, req.user.id, permission)) {
+    res.status(403).json({
+      success: false,
+      message: message || DENIED_MESSAGES[permission],
+    });
+    return null;
+  }
+
+  return trip;
+};
+
+/**
+ * A trip (plain object) as shown to someone who is not on it, e.g. viewing a
+ * public trip: people keep their name and avatar but not their email
+ */
+const withoutContactDetails = (trip) => {
+  const person = (user) =>
+    user?._id ? { _id: user._id, name: user.name, avatar: user.avatar } : user;
+
+  return {
+    ...trip,
+    user: person(trip.user),
+    members: (trip.members || []).map((member) => ({
+      ...member,
+      user: person(member.user),
+    })),
+    travellers: (trip.travellers || []).map(
+      ({ email, ...traveller }) => traveller
+    ),
+  };
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  getTripRole,
+  hasTripPermission,
+  canAssignRole,
+  findTripWithPermission,
+  withoutContactDetails,
+};
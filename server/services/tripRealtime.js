@@ -0,0 +1,306 @@
+const mongoose = require("mongoose");
+const Trip = require("../models/Trip");
+const { logger } = require("../middleware/logging");
+const { protectSocket } = require("../middleware/auth");
+const { getTripRole, hasTripPermission } = require("./tripPermissions");
+const {
+  validateOperations,
+  previewOperations,
+  describeOperations,
+} = require("./llm/itineraryPatch");
+const { recordRevision } = require("./tripRevisionService");
+const { notifyTripEdited } = require("./notificationService");
+const { refreshTripStatus } = require("./tripLifecycle");
+const recommendationService = require("./recommendationService");
+const { tripRoom, userRoom, emitToTripUsers } = require("./socketRooms");
+
+/**
+ * Real-time trip collaboration over Socket.IO
+ *
+ * Client -> server (each takes an acknowledgement callback):
+ *   join-trip   tripId                           -> { success, version, role }
+ *   leave-trip  tripId
+ *   trip-edit   { tripId, version, operations }  -> { success, version, days, ... }
+ *
+ * Server -> room of the trip:
+ *   trip-changed   { tripId, version, source, user, operations?, days?, ... }
+ *   trip-presence  { tripId, users: [{ id, name, avatar }] }
+ *
+ * Every socket also joins a room of its user, so events about a trip can
+ * reach its owner and members when they are not viewing it (emitToTripUsers).
+ *
+ * Edits are the itinerary operations of llm/itineraryPatch, applied and
+ * saved here. An edit based on an older version than the saved one is
+ * rejected with `conflict: true`; the client reloads and tries again.
+ * Changes saved over HTTP are announced through emitTripChange.
+ */
+
+const publicUser = (user) => ({
+  id: user._id.toString(),
+  name: user.name,
+  avatar: user.avatar,
+});
+
+// Answer through the acknowledgement callback, when the client sent one
+const reply = (ack, payload) => {
+  if (typeof ack === "function") ack(payload);
+};
+
+const isTripId = (tripId) =>
+  typeof tripId === "string" && mongoose.Types.ObjectId.isValid(tripId);
+
+const broadcastPresence = async (io, tripId) => {
+  const sockets = await io.in(tripRoom(tripId)).fetchSockets();
+  const users = new Map();
+  sockets.forEach(({ data }) => {
+    if (data.user) users.set(data.user._id.toString(), publicUser(data.user));
+  });
+
+  io.to(tripRoom(tripId)).emit("trip-presence", {
+    tripId,
+    users: [...users.values()],
+  });
+};
+
+/**
+ * Apply operations to the itinerary, if it is still at `version`
+ * Resolves to { conflict } when another edit got there first, { errors }
+ * when the operations do not fit the itinerary, or { trip, days, changes }
+ * with the saved trip and the days the edit changed.
+ */
+const applyItineraryEdit = async (trip, version, operations) => {
+  if (trip.version !== version) return { conflict: true };
+
+  const days = trip.itinerary.days.map((day) => day.toObject());
+  const errors = validateOperations(operations, days);
+  if (errors.length > 0) return { errors };
+
+  const currency =
+    trip.itinerary.totalCost?.currency ||
+    trip.preferences?.budget?.currency ||
+    "USD";
+  const {
+    days: patchedDays,
+    changedDays,
+    totalCost,
+  } = previewOperations(days, operations, { currency, legs: trip.legs });
+
+  // Conditional on the version so two simultaneous edits cannot both win
+  const updated = await Trip.findOneAndUpdate(
+    { _id: trip._id, version },
+    {
+      $set: {
+        "itinerary.days": patchedDays,
+        "itinerary.totalCost": { amount: totalCost.after, currency },
+      },
+      $inc: { version: 1 },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) return { conflict: true };
+
+  const changedNumbers = changedDays.map((change) => change.day);
+  return {
+    trip: updated,
+    days: updated.itinerary.days.filter((day) =>
+      changedNumbers.includes(day.day)
+    ),
+    changes: describeOperations(operations, days),
+  };
+};
+
+const registerTripSocket = (io) => {
+  io.use(protectSocket);
+
+  io.on("connection", (socket) => {
+    const { user } = socket.data;
+    logger.info("User connected:", {
+      socketId: socket.id,
+      userId: user._id.toString(),
+    });
+    socket.join(userRoom(user._id));
+
+    socket.on("join-trip", async (tripId, ack) => {
+      try {
+        const trip = isTripId(tripId)
+          ? await Trip.findById(tripId).select("user members isPublic version")
+          : null;
+        if (!trip) {
+          return reply(ack, { success: false, message: "Trip not found" });
+        }
+
+        if (!hasTripPermission(trip, user._id, "view")) {
+          return reply(ack, {
+            success: false,
+            message: "Not authorized to access this trip",
+          });
+        }
+
+        socket.join(tripRoom(tripId));
+        logger.info("User joined trip room:", { socketId: socket.id, tripId });
+
+        reply(ack, {
+          success: true,
+          version: trip.version,
+          role: getTripRole(trip, user._id),
+        });
+        await broadcastPresence(io, tripId);
+      } catch (error) {
+        logger.error("Join trip room error:", error);
+        reply(ack, { success: false, message: "Error joining trip" });
+      }
+    });
+
+    socket.on("leave-trip", async (tripId) => {
+      if (!socket.rooms.has(tripRoom(tripId))) return;
+
+      socket.leave(tripRoom(tripId));
+      logger.info("User left trip room:", { socketId: socket.id, tripId });
+      try {
+        await broadcastPresence(io, tripId);
+      } catch (error) {
+        logger.error("Trip presence error:", error);
+      }
+    });
+
+    socket.on("trip-edit", async (payload, ack) => {
+      const { tripId, version, operations } = payload || {};
+
+      try {
+        if (
+          !isTripId(tripId) ||
+          !Number.isInteger(version) ||
+          !Array.isArray(operations) ||
+          operations.length === 0
+        ) {
+          return reply(ack, {
+            success: false,
+            message: "tripId, version and operations are required",
+          });
+        }
+
+        const trip = await Trip.findById(tripId);
+        if (!trip) {
+          return reply(ack, { success: false, message: "Trip not found" });
+        }
+
+        if (!hasTripPermission(trip, user._id, "edit")) {
+          return reply(ack, {
+            success: false,
+            message: "Not authorized to update this trip",
+          });
+        }
+
+        const result = await applyItineraryEdit(trip, version, operations);
+
+        if (result.conflict) {
+          const current = await Trip.findById(tripId).select("version");
+          return reply(ack, {
+            success: false,
+            conflict: true,
+            message:
+              "The trip has changed since your last update. Reload and try again.",
+            version: current?.version,
+          });
+        }
+
+        if (result.errors) {
+          return reply(ack, {
+            success: false,
+            message: "Invalid changes",
+            errors: result.errors,
+          });
+        }
+
+        await recordRevision(result.trip, {
+          author: user._id,
+          summary: result.changes.join("; "),
+        });
+        notifyTripEdited(result.trip, user, result.changes.join("; "));
+        // As after an HTTP update: a new itinerary can change the status
+        // and the owner's recommendations
+        const currentStatus = await refreshTripStatus(io, result.trip._id);
+        if (currentStatus) result.trip.status = currentStatus;
+        recommendationService.invalidate(result.trip.user.toString());
+
+        const event = {
+          tripId,
+          version: result.trip.version,
+          source: "edit",
+          user: publicUser(user),
+          operations,
+          changes: result.changes,
+          days: result.days,
+          totalCost: result.trip.itinerary.totalCost,
+        };
+        socket.to(tripRoom(tripId)).emit("trip-changed", event);
+        logger.info("Trip edit applied:", {
+          tripId,
+          userId: user._id.toString(),
+          version: event.version,
+          operations: operations.length,
+        });
+
+        reply(ack, { success: true, ...event });
+      } catch (error) {
+        logger.error("Trip edit error:", error);
+        reply(ack, { success: false, message: "Error updating trip" });
+      }
+    });
+
+    // Rooms are still listed while disconnecting, not after
+    socket.on("disconnecting", () => {
+      socket.rooms.forEach((room) => {
+        if (!room.startsWith("trip-")) return;
+        const tripId = room.slice("trip-".length);
+        // Let the socket leave first so it is not counted as present
+        setImmediate(() =>
+          broadcastPresence(io, tripId).catch((error) =>
+            logger.error("Trip presence error:", error)
+          )
+        );
+      });
+    });
+
+    socket.on("disconnect", () => {
+      logger.info("User disconnected:", { socketId: socket.id });
+    });
+  });
+};
+
+/**
+ * Announce a change saved over HTTP to everyone viewing the trip
+ * `source` says what changed it ("update", "day", "assistant", "restore",
+ * "delete");
+ * clients reload the trip when the version is newer than theirs.
+ */
+const emitTripChange = (req, trip, source) => {
+  const io = req.app.get("io");
+  if (!io || !trip) return;
+
+  io.to(tripRoom(trip._id)).emit("trip-changed", {
+    tripId: trip._id.toString(),
+    version: trip.version,
+    source,
+    user: publicUser(req.user),
+  });
+};
+
+// Drop a user's sockets from a trip room, e.g. after they lost access
+const removeFromTripRoom = async (req, tripId, userId) => {
+  const io = req.app.get("io");
+  if (!io) return;
+
+  const sockets = await io.in(tripRoom(tripId)).fetchSockets();
+  sockets
+    .filter(({ data }) => data.user?._id.toString() === String(userId))
+    .forEach((socket) => socket.leave(tripRoom(tripId)));
+  await broadcastPresence(io, String(tripId));
+};
+
+module.exports = {
+  registerTripSocket,
+  emitTripChange,
+  emitToTripUsers,
+  removeFromTripRoom,
+};
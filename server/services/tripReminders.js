@@ -0,0 +1,107 @@
+const Trip = require("../models/Trip");
+const User = require("../models/User");
+const { logger } = require("../middleware/logging");
+const { notify } = require("./notificationService");
+const { localDate, calendarDay } = require("./tripLifecycle");
+const { scheduleJob } = require("./scheduler");
+
+/**
+ * Trip reminders
+ *
+ * Everyone on an upcoming trip is reminded once it is N days or less away,
+ * N being their notificationPreferences.tripReminder.daysBefore, counted in
+ * their own timezone. Each person gets one reminder per trip and start date,
+ * so moving the trip brings a new one.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SCHEDULE = "0 * * * *";
+const MAX_DAYS_BEFORE = 30;
+
+// Whole days from `today` to `day` (both YYYY-MM-DD)
+const daysBetween = (today, day) =>
+  Math.round((Date.parse(day) - Date.parse(today)) / DAY_MS);
+
+const reminderMessage = (trip, days) => {
+  const destination = trip.destination?.city || trip.title;
+  if (days === 0) return `${trip.title} starts today. Enjoy ${destination}!`;
+  return `${trip.title} starts in ${days} day${
+    days === 1 ? "" : "s"
+  }. Time to get ready for ${destination}.`;
+};
+
+/**
+ * Send the reminders that are due
+ * Resolves to { checked, sent } with the number of trips looked at and
+ * reminders sent.
+ */
+const runTripReminders = async (now = new Date()) => {
+  const trips = await Trip.find({
+    status: "upcoming",
+    startDate: {
+      $gte: new Date(now.getTime() - DAY_MS),
+      $lte: new Date(now.getTime() + (MAX_DAYS_BEFORE + 1) * DAY_MS),
+    },
+  }).select("user members title destination startDate");
+
+  const userIds = new Set();
+  trips.forEach((trip) => {
+    userIds.add(String(trip.user));
+    trip.members.forEach((member) => userIds.add(String(member.user)));
+  });
+  const users = await User.find({ _id: { $in: [...userIds] } }).select(
+    "notificationPreferences preferences.timezone"
+  );
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  let sent = 0;
+  for (const trip of trips) {
+    const startDay = calendarDay(trip.startDate);
+    const recipients = [trip.user, ...trip.members.map((m) => m.user)];
+
+    for (const userId of recipients) {
+      const user = usersById.get(String(userId));
+      if (!user) continue;
+
+      const daysBefore = user.notificationPreferences?.tripReminder?.daysBefore;
+      const days = daysBetween(
+        localDate(now, user.preferences?.timezone),
+        startDay
+      );
+      if (days < 0 || days > daysBefore) continue;
+
+      const notification = await notify(user._id, {
+        type: "trip-reminder",
+        title: `${trip.title} is coming up`,
+        message: reminderMessage(trip, days),
+        trip: trip._id,
+        link: `/trips/${trip._id}`,
+        data: { startDate: trip.startDate, daysBefore: days },
+        dedupeKey: `trip-reminder:${trip._id}:${startDay}`,
+      });
+      if (notification) sent += 1;
+    }
+  }
+
+  return { checked: trips.length, sent };
+};
+
+/**
+ * Run the reminder job on TRIP_REMINDER_CRON (default hourly, "off" to
+ * disable) and once straight away. Returns the cron task, or null.
+ */
+const startTripReminderScheduler = () =>
+  scheduleJob({
+    name: "Trip reminder",
+    envVar: "TRIP_REMINDER_CRON",
+    defaultSchedule: DEFAULT_SCHEDULE,
+    run: async () => {
+      const result = await runTripReminders();
+      if (result.sent > 0) logger.info("Trip reminders sent:", result);
+    },
+  });
+
+module.exports = {
+  runTripReminders,
+  startTripReminderScheduler,
+};
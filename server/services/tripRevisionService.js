@@ -0,0 +1,268 @@
+const TripRevision = require("../models/TripRevision");
+const { logger } = require("../middleware/logging");
+
+// Trip fields a revision captures and a restore puts back. Sharing, members
+// and chat history are not part of a trip's content history.
+const SNAPSHOT_FIELDS = [
+  "title",
+  "description",
+  "destination",
+  "legs",
+  "preferences",
+  "itinerary",
+  "startDate",
+  "endDate",
+  "notes",
+  "tags",
+  "status",
+];
+
+const takeSnapshot = (trip) => {
+  const source = typeof trip.toObject === "function" ? trip.toObject() : trip;
+  return Object.fromEntries(
+    SNAPSHOT_FIELDS.filter((field) => source[field] !== undefined).map(
+      (field) => [field, source[field]]
+    )
+  );
+};
+
+/**
+ * Store the trip as it is now as a revision
+ * `trip` is the saved trip (document or plain object) and `details` is
+ * { author, source, summary }. Failing to save the revision is logged and
+ * never breaks the request that changed the trip.
+ */
+const recordRevision = async (trip, { author, source = "manual", summary }) => {
+  try {
+    return await TripRevision.create({
+      trip: trip._id,
+      version: trip.version || 0,
+      author,
+      source,
+      summary,
+      snapshot: takeSnapshot(trip),
+    });
+  } catch (error) {
+    logger.error("Failed to record trip revision:", {
+      tripId: trip._id?.toString(),
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+// "Updated title, itinerary" from the fields of an update
+const describeUpdate = (fields) => {
+  const changed = fields.filter((field) => SNAPSHOT_FIELDS.includes(field));
+  return changed.length > 0 ? `Updated ${changed.join(", ")}` : "Updated trip";
+};
+
+const ACTIVITY_FIELDS = [
+  "time",
+  "activity",
+  "description",
+  "type",
+  "duration",
+  "location.name",
+  "cost.amount",
+];
+const MEAL_FIELDS = [
+  "type",
+  "time",
+  "restaurant",
+  "cuisine",
+  "dietaryTags",
+  "location.name",
+  "cost.amount",
+];
+const DAY_FIELDS = ["title", "city", "date"];
+const TRIP_FIELDS = [
+  "title",
+  "description",
+  "destination.city",
+  "destination.country",
+  "startDate",
+  "endDate",
+  "notes",
+  "tags",
+  "status",
+];
+
+const valueAt = (object, path) =>
+  path.split(".").reduce((value, key) => value?.[key], object);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const fieldChanges = (before, after, fields) =>
+  fields
+    .filter((field) => !same(valueAt(before, field), valueAt(after, field)))
+    .map((field) => ({
+      field,
+      before: valueAt(before, field),
+      after: valueAt(after, field),
+    }));
+
+/**
+ * Pair up the entries of a list before and after a change
+ * Entries are matched by _id, then by name (`nameField`); whatever is left
+ * was added or removed. Returns only entries that differ.
+ */
+const diffEntries = (before = [], after = [], nameField, fields) => {
+  const remaining = [...after];
+  const take = (predicate) => {
+    const index = remaining.findIndex(predicate);
+    return index === -1 ? null : remaining.splice(index, 1)[0];
+  };
+
+  const matched = before.map((entry) => ({
+    before: entry,
+    after:
+      (entry._id && take((candidate) => same(candidate._id, entry._id))) ||
+      null,
+  }));
+  matched
+    .filter((pair) => !pair.after)
+    .forEach((pair) => {
+      pair.after = take(
+        (candidate) => candidate[nameField] === pair.before[nameField]
+      );
+    });
+
+  const changes = [];
+  matched.forEach(({ before: old, after: current }) => {
+    if (!current) {
+      changes.push({ status: "removed", before: old });
+      return;
+    }
+    const fieldsChanged = fieldChanges(old, current, fields);
+    if (fieldsChanged.length > 0) {
+      changes.push({
+        status: "changed",
+        before: old,
+        after: current,
+        changes: fieldsChanged,
+      });
+    }
+  });
+  remaining.forEach((entry) => changes.push({ status: "added", after: entry }));
+
+  return changes;
+};
+
+const dayHeading = (day) => ({
+  title: day.title,
+  city: day.city,
+  date: day.date,
+});
+
+/**
+ * Structured difference between two trip snapshots
+ *
+ *   fields:    [{ field, before, after }]             trip-level fields
+ *   route:     { before, after } | null                 legs, by city
+ *   days:      [{ day, status, before?, after?, changes, activities, meals }]
+ *   totalCost: { before, after, currency }
+ *
+ * Days are matched by day number; activities and meals inside a day by _id
+ * or name. Only days with a difference are listed.
+ */
+const diffSnapshots = (before, after) => {
+  const fields = fieldChanges(before, after, TRIP_FIELDS);
+  Object.keys({ ...before.preferences, ...after.preferences }).forEach(
+    (key) => {
+      if (!same(before.preferences?.[key], after.preferences?.[key])) {
+        fields.push({
+          field: `preferences.${key}`,
+          before: before.preferences?.[key],
+          after: after.preferences?.[key],
+        });
+      }
+    }
+  );
+
+  const cities = (snapshot) => (snapshot.legs || []).map((leg) => leg.city);
+  const route = same(cities(before), cities(after))
+    ? null
+    : { before: cities(before), after: cities(after) };
+
+  const beforeDays = before.itinerary?.days || [];
+  const afterDays = after.itinerary?.days || [];
+  const dayNumbers = [
+    ...new Set([...beforeDays, ...afterDays].map((day) => day.day)),
+  ].sort((a, b) => a - b);
+
+  const days = [];
+  dayNumbers.forEach((number) => {
+    const old = beforeDays.find((day) => day.day === number);
+    const current = afterDays.find((day) => day.day === number);
+
+    if (!old || !current) {
+      days.push({
+        day: number,
+        status: old ? "removed" : "added",
+        ...(old && { before: dayHeading(old) }),
+        ...(current && { after: dayHeading(current) }),
+        changes: [],
+        activities: diffEntries(
+          old?.activities,
+          current?.activities,
+          "activity",
+          ACTIVITY_FIELDS
+        ),
+        meals: diffEntries(
+          old?.meals,
+          current?.meals,
+          "restaurant",
+          MEAL_FIELDS
+        ),
+      });
+      return;
+    }
+
+    const changes = fieldChanges(old, current, DAY_FIELDS);
+    const activities = diffEntries(
+      old.activities,
+      current.activities,
+      "activity",
+      ACTIVITY_FIELDS
+    );
+    const meals = diffEntries(
+      old.meals,
+      current.meals,
+      "restaurant",
+      MEAL_FIELDS
+    );
+    if (changes.length || activities.length || meals.length) {
+      days.push({
+        day: number,
+        status: "changed",
+        before: dayHeading(old),
+        after: dayHeading(current),
+        changes,
+        activities,
+        meals,
+      });
+    }
+  });
+
+  return {
+    fields,
+    route,
+    days,
+    totalCost: {
+      before: before.itinerary?.totalCost?.amount || 0,
+      after: after.itinerary?.totalCost?.amount || 0,
+      currency:
+        after.itinerary?.totalCost?.currency ||
+        before.itinerary?.totalCost?.currency,
+    },
+  };
+};
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  takeSnapshot,
+  recordRevision,
+  describeUpdate,
+  diffSnapshots,
+};
@@ -0,0 +1,37 @@
+const Trip = require("../models/Trip");
+
+/**
+ * Optimistic concurrency for trip edits
+ *
+ * Every saved edit bumps `trip.version`. Clients may send the version their
+ * change is based on; when the trip has moved on since, the change is
+ * rejected with 409 and the current trip, so the client can merge and retry.
+ */
+
+// Version a request is based on, from `If-Match: "3"` or `version` in the
+// body; null when the client sent neither
+const requestedVersion = (req) => {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch) return Number(ifMatch.replace(/^W\//, "").replace(/"/g, ""));
+  return Number.isInteger(req.body.version) ? req.body.version : null;
+};
+
+// 409 with the saved trip, so the client can merge its changes
+const sendVersionConflict = async (req, res) => {
+  const current = await Trip.findById(req.params.id)
+    .populate("user", "name email avatar")
+    .lean();
+
+  return res.status(409).json({
+    success: false,
+    message:
+      "This trip was changed by someone else since you loaded it. Review the latest version and try again.",
+    version: current?.version,
+    trip: current,
+  });
+};
+
+module.exports = {
+  requestedVersion,
+  sendVersionConflict,
+};
@@ -0,0 +1,186 @@
+const express = require("express");
+const request = require("supertest");
+
+// The AI routes end to end on the stub provider: request validation, prompt
+// rendering, structured output and the response payloads, with no network.
+// Authentication and the database are replaced by the fakes below.
+
+process.env.LLM_PROVIDER = "stub";
+
+const mockUser = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  id: "64b7f0c2a1b2c3d4e5f60718",
+  name: "Test Traveller",
+  plan: "free",
+  preferences: { currency: "INR", travelStyle: "cultural" },
+};
+
+jest.mock("../middleware/auth", () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+jest.mock("../services/notificationService");
+
+const User = require("../models/User");
+const AiGeneration = require("../models/AiGeneration");
+const llm = require("../services/llm");
+const aiRoutes = require("../routes/ai");
+
+const app = express();
+app.use(express.json());
+app.use("/api/ai", aiRoutes);
+
+beforeEach(() => {
+  jest.spyOn(User, "consumeAiRequest").mockResolvedValue({
+    allowed: true,
+    quota: {
+      plan: "free",
+      limit: 20,
+      remaining: 19,
+      resetsAt: new Date("2030-01-01"),
+    },
+  });
+  jest.spyOn(User, "refundAiRequest").mockResolvedValue({});
+  jest
+    .spyOn(AiGeneration, "create")
+    .mockResolvedValue({ _id: "64b7f0c2a1b2c3d4e5f60719" });
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const itineraryRequest = {
+  destination: "Jaipur, India",
+  budget: { min: 10000, max: 100000 },
+  groupSize: 2,
+  interests: ["history"],
+};
+
+describe("POST /api/ai/generate-itinerary", () => {
+  it.each([1, 3, 5])(
+    "returns a generated %i-day itinerary",
+    async (duration) => {
+      const res = await request(app)
+        .post("/api/ai/generate-itinerary")
+        .send({ ...itineraryRequest, duration });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.generation.status).toBe("generated");
+      expect(res.body.data.itinerary.map((day) => day.day)).toEqual(
+        Array.from({ length: duration }, (_, index) => index + 1)
+      );
+    }
+  );
+
+  it("plans each day of a multi-city trip in its leg's city", async () => {
+    const res = await request(app)
+      .post("/api/ai/generate-itinerary")
+      .send({
+        ...itineraryRequest,
+        duration: 4,
+        legs: [
+          { city: "Jaipur", country: "India", days: 2 },
+          { city: "Agra", country: "India", days: 2 },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.generation.status).toBe("generated");
+    expect(res.body.data.itinerary.map((day) => day.city)).toEqual([
+      "Jaipur",
+      "Jaipur",
+      "Agra",
+      "Agra",
+    ]);
+  });
+
+  it("rejects a request without a duration", async () => {
+    const res = await request(app)
+      .post("/api/ai/generate-itinerary")
+      .send(itineraryRequest);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe("POST /api/ai/generate-itinerary/stream", () => {
+  it("streams the days and charges the request", async () => {
+    const res = await request(app)
+      .post("/api/ai/generate-itinerary/stream")
+      .send({ ...itineraryRequest, duration: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("event: day");
+    expect(res.text).toContain("event: complete");
+    expect(User.refundAiRequest).not.toHaveBeenCalled();
+  });
+
+  it("refunds the request when generation fails mid-stream", async () => {
+    jest
+      .spyOn(llm, "generateStream")
+      .mockRejectedValue(new Error("Upstream unavailable"));
+
+    const res = await request(app)
+      .post("/api/ai/generate-itinerary/stream")
+      .send({ ...itineraryRequest, duration: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("event: error");
+    expect(User.refundAiRequest).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("POST /api/ai/optimize-itinerary", () => {
+  it("returns the optimized itinerary", async () => {
+    const generated = await request(app)
+      .post("/api/ai/generate-itinerary")
+      .send({ ...itineraryRequest, duration: 2 });
+
+    const res = await request(app)
+      .post("/api/ai/optimize-itinerary")
+      .send({
+        itinerary: {
+          destination: generated.body.data.destination,
+          duration: 2,
+          itinerary: generated.body.data.itinerary,
+        },
+        optimizationGoals: ["cost"],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.generation.status).toBe("generated");
+    expect(res.body.data.itinerary).toHaveLength(2);
+    expect(res.body.data.optimizationNotes.length).toBeGreaterThan(0);
+  });
+});
+
+describe("POST /api/ai/travel-suggestions", () => {
+  it("returns suggestions from the model", async () => {
+    const res = await request(app)
+      .post("/api/ai/travel-suggestions")
+      .send({ currentLocation: "Delhi", preferences: { interests: ["food"] } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.suggestions.length).toBeGreaterThan(0);
+    expect(res.body.data.suggestions[0].destination).toBeTruthy();
+  });
+});
+
+describe("POST /api/ai/destination-insights", () => {
+  it("returns insights for the destination", async () => {
+    const res = await request(app)
+      .post("/api/ai/destination-insights")
+      .send({ destination: "Jaipur, India" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.overview).toBeTruthy();
+    expect(res.body.data.topAttractions.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMapMockServer } = require("../mocks/maps/server");
+const { mapRequest, resetProviders } = require("../services/mapProviders");
+const freeMapService = require("../services/freeMapService");
+
+// Map providers and FreeMapService against the bundled mock server, with no
+// network. MongoDB is not connected, so the geocode cache stays out of it.
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+const baseUrl = (server) => `http://127.0.0.1:${server.address().port}`;
+
+let mock;
+let mockServer;
+let failingServer;
+let providersFile;
+
+beforeAll(async () => {
+  mock = createMapMockServer({ failures: {} });
+  mockServer = await listen(mock);
+  failingServer = await listen(createMapMockServer({ failures: { "/": 503 } }));
+  providersFile = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "maps-")),
+    "providers.json"
+  );
+});
+
+afterAll(async () => {
+  await Promise.all([close(mockServer), close(failingServer)]);
+  fs.rmSync(path.dirname(providersFile), { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.MAPS_BASE_URL;
+  delete process.env.MAPS_PROVIDERS_FILE;
+  delete process.env.MAP_TEST_TOKEN;
+  resetProviders();
+});
+
+const useProviders = (config) => {
+  fs.writeFileSync(providersFile, JSON.stringify(config));
+  process.env.MAPS_PROVIDERS_FILE = providersFile;
+  resetProviders();
+};
+
+describe("mapRequest", () => {
+  it("falls back to the next provider when one fails", async () => {
+    useProviders({
+      geocode: [
+        { name: "down", baseUrl: baseUrl(failingServer) },
+        { name: "up", baseUrl: baseUrl(mockServer) },
+      ],
+    });
+
+    const { data, provider } = await mapRequest("geocode", {
+      path: "/search",
+      params: { q: "Paris", format: "json" },
+    });
+
+    expect(provider).toBe("up");
+    expect(data[0].display_name).toMatch(/^Paris/);
+  });
+
+  it("sends provider headers with environment values filled in", async () => {
+    process.env.MAP_TEST_TOKEN = "secret-token";
+    useProviders({
+      geocode: [
+        {
+          name: "authed",
+          baseUrl: baseUrl(mockServer),
+          headers: { Authorization: "Bearer ${MAP_TEST_TOKEN}" },
+        },
+      ],
+    });
+
+    await mapRequest("geocode", { path: "/search", params: { q: "Paris" } });
+
+    const last = mock.locals.requests[mock.locals.requests.length - 1];
+    expect(last.headers.authorization).toBe("Bearer secret-token");
+  });
+
+  it("gives up with the last error when every provider fails", async () => {
+    useProviders({
+      routing: [{ name: "down", baseUrl: baseUrl(failingServer) }],
+    });
+
+    await expect(
+      mapRequest("routing", { path: "/route/v1/driving/0,0;1,1" })
+    ).rejects.toMatchObject({ response: { status: 503 } });
+  });
+
+  it("rejects a providers file with an unknown capability", async () => {
+    useProviders({ weather: [{ name: "x", baseUrl: baseUrl(mockServer) }] });
+
+    await expect(
+      mapRequest("geocode", { path: "/search", params: { q: "Paris" } })
+    ).rejects.toThrow(/Unknown map capability "weather"/);
+  });
+});
+
+describe("FreeMapService on the mock server", () => {
+  beforeEach(() => {
+    process.env.MAPS_BASE_URL = baseUrl(mockServer);
+    resetProviders();
+  });
+
+  it("geocodes an address", async () => {
+    const result = await freeMapService.geocode("Jaipur, India");
+
+    expect(result.location).toEqual({ lat: 26.9154576, lng: 75.8189817 });
+    expect(result.address_components.city).toBe("Jaipur");
+  });
+
+  it("fails to geocode an unknown address", async () => {
+    await expect(freeMapService.geocode("Atlantis")).rejects.toThrow(
+      "No results found"
+    );
+  });
+
+  it("reverse geocodes to the nearest place", async () => {
+    const result = await freeMapService.reverseGeocode(48.8583, 2.2944);
+
+    expect(result.formatted_address).toMatch(/^Tour Eiffel/);
+    expect(result.location).toEqual({ lat: 48.8583, lng: 2.2944 });
+  });
+
+  it("finds nearby places of a type", async () => {
+    const { status, results } = await freeMapService.nearbySearch(
+      "26.9239,75.8267",
+      1000,
+      "tourist_attraction"
+    );
+
+    expect(status).toBe("OK");
+    expect(results.map((place) => place.name).sort()).toEqual([
+      "Hawa Mahal",
+      "Jantar Mantar",
+    ]);
+  });
+
+  it("gets directions between two points", async () => {
+    const directions = await freeMapService.getDirections(
+      "26.9239,75.8267",
+      "26.9855,75.8513",
+      "walking"
+    );
+
+    const [leg] = directions.routes[0].legs;
+    expect(leg.distance.value).toBeGreaterThan(7000);
+    expect(leg.start_location).toEqual({ lat: 26.9239, lng: 75.8267 });
+    expect(mock.locals.requests.some((r) => r.path.includes("/foot/"))).toBe(
+      true
+    );
+  });
+});
@@ -0,0 +1,160 @@
+const { renderPrompt, listTemplates } = require("../services/llm/prompts");
+
+// Rendered text of every prompt template version, in a few locales and
+// currencies. A snapshot changing means the model sees a different prompt:
+// add a new template version rather than editing a released one.
+
+const LOCALES = [
+  { locale: "en", currency: "INR" },
+  { locale: "en-US", currency: "USD" },
+  { locale: "fr-FR", currency: "EUR" },
+  { locale: "ja-JP", currency: "JPY" },
+];
+
+const day = (number, activities) => ({
+  _id: `day${number}`,
+  day: number,
+  title: `Day ${number} in Jaipur`,
+  activities: activities.map(([time, activity, amount]) => ({
+    _id: `${number}-${time}`,
+    time,
+    activity,
+    duration: 2,
+    cost: { amount, currency: "INR" },
+    type: "attraction",
+  })),
+  totalCost: {
+    amount: activities.reduce((sum, [, , amount]) => sum + amount, 0),
+    currency: "INR",
+  },
+});
+
+const days = [
+  day(1, [
+    ["09:00", "Amber Fort", 500],
+    ["14:00", "Jal Mahal", 0],
+  ]),
+  day(2, [
+    ["10:00", "City Palace", 700],
+    ["16:00", "Hawa Mahal", 200],
+  ]),
+];
+
+const trip = {
+  destination: { city: "Jaipur", country: "India" },
+  preferences: {
+    duration: 2,
+    travelStyle: "cultural",
+    budget: { min: 10000, max: 25000, currency: "INR" },
+    groupSize: 2,
+    interests: ["history", "food"],
+  },
+};
+
+const generateItinerary = {
+  destination: "Jaipur, India",
+  duration: 3,
+  budget: { min: 10000, max: 25000 },
+  travelStyle: "cultural",
+  interests: ["history", "food"],
+  groupSize: 2,
+  accommodation: "hotel",
+  transport: ["car"],
+  startDate: "2025-11-15",
+  endDate: "2025-11-17",
+};
+
+// Variables for each template, as the AI controller passes them
+const VARIABLES = {
+  destinationInsights: {
+    destination: "Jaipur, India",
+    travelDates: "November 2025",
+  },
+  generateItinerary,
+  optimizeItinerary: {
+    itinerary: { destination: "Jaipur", itinerary: days },
+  },
+  reduceItineraryCost: {
+    originalPrompt: "Create a 2-day itinerary for Jaipur",
+    itinerary: { destination: "Jaipur", itinerary: days },
+    perPerson: 18000,
+    budgetMax: 12500,
+    groupSize: 2,
+  },
+  regenerateActivity: {
+    trip,
+    day: days[0],
+    activityIndex: 1,
+    instructions: "Something indoors",
+  },
+  regenerateDay: {
+    trip,
+    days,
+    dayIndex: 1,
+    kept: [days[1].activities[0]],
+    instructions: "Make it rainy-day friendly",
+  },
+  travelSuggestions: {
+    preferences: { travelStyle: "adventure", interests: ["hiking"] },
+    userPreferences: { budgetRange: "budget" },
+    currentLocation: "Delhi",
+    travelHistory: [{ destination: "Goa" }, { destination: "Manali" }],
+  },
+  tripChat: {
+    trip,
+    days,
+    history: [
+      { role: "user", content: "Is day 1 too busy?" },
+      { role: "assistant", content: "It is fairly relaxed." },
+    ],
+    message: "Swap day 1 and day 2",
+  },
+};
+
+const cases = listTemplates().flatMap(({ name, versions }) =>
+  versions.flatMap(({ version }) =>
+    LOCALES.map(({ locale, currency }) => [name, version, locale, currency])
+  )
+);
+
+describe("prompt templates", () => {
+  it("has sample variables for every template", () => {
+    const names = listTemplates().map((template) => template.name);
+    expect(Object.keys(VARIABLES).sort()).toEqual(names.sort());
+  });
+
+  it.each(cases)(
+    "%s v%s renders in %s with %s",
+    (name, version, locale, currency) => {
+      const prompt = renderPrompt(name, VARIABLES[name], {
+        version,
+        locale,
+        currency,
+      });
+
+      expect(prompt.version).toBe(version);
+      expect(prompt.text).toMatchSnapshot();
+    }
+  );
+
+  it.each(LOCALES.map(({ locale, currency }) => [locale, currency]))(
+    "generateItinerary v4 renders a multi-city route in %s with %s",
+    (locale, currency) => {
+      const prompt = renderPrompt(
+        "generateItinerary",
+        {
+          ...generateItinerary,
+          destination: "Jaipur, India",
+          duration: 5,
+          legs: [
+            { city: "Jaipur", country: "India", startDay: 1, endDay: 3 },
+            { city: "Agra", country: "India", startDay: 4, endDay: 5 },
+          ],
+        },
+        { version: "4", locale, currency }
+      );
+
+      expect(prompt.text).toMatchSnapshot();
+    }
+  );
+});
@@ -0,0 +1,2 @@
+// Keep test output to failures: the server logs every AI and map request
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";